@@ -8,11 +8,44 @@ const API = {
     baseUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
         ? `${window.location.protocol}//${window.location.hostname}:3000`
         : window.location.origin,
-    accessCode: 'pioneer2024',
+    SESSION_KEY: 'pioneer_auth',
+    USER_KEY: 'pioneer_user',
+    SEASON_KEY: 'pioneer_season',
+    // Transactions fetched per request by getData
+    PAGE_SIZE: 2000,
 
     // State
     isOnline: true,
     lastSyncTime: null,
+    // GET responses that came with an ETag (analytics), by URL. They are
+    // revalidated with If-None-Match and reused when the server answers 304.
+    responseCache: new Map(),
+
+    /**
+     * Session token issued by the server at sign-in
+     */
+    get token() {
+        return sessionStorage.getItem(this.SESSION_KEY);
+    },
+
+    /**
+     * Signed-in user as returned by the server (cached for offline use)
+     */
+    get currentUser() {
+        const stored = sessionStorage.getItem(this.USER_KEY);
+        try {
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Authorization header for the current session
+     */
+    authHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    },
 
     /**
      * Make an authenticated API request
@@ -23,7 +56,7 @@ const API = {
         const defaultOptions = {
             headers: {
                 'Content-Type': 'application/json',
-                'X-Access-Code': this.accessCode
+                ...this.authHeaders()
             }
         };
 
@@ -36,16 +69,34 @@ const API = {
             }
         };
 
+        const isGet = !mergedOptions.method || mergedOptions.method.toUpperCase() === 'GET';
+        const cached = isGet ? this.responseCache.get(url) : null;
+        if (cached) {
+            mergedOptions.headers['If-None-Match'] = cached.etag;
+        }
+
         try {
             const response = await fetch(url, mergedOptions);
 
+            if (response.status === 304 && cached) {
+                this.isOnline = true;
+                return cached.body;
+            }
+
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}`);
+                const error = new Error(errorData.error || `HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
 
             this.isOnline = true;
-            return await response.json();
+            const body = await response.json();
+            const etag = response.headers.get('ETag');
+            if (isGet && etag) {
+                this.responseCache.set(url, { etag, body });
+            }
+            return body;
         } catch (error) {
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
                 this.isOnline = false;
@@ -70,22 +121,102 @@ const API = {
     },
 
     /**
-     * Authenticate with access code
+     * Sign in and store the session token
      */
-    async authenticate(accessCode) {
-        return this.request('/auth', {
+    async login(email, password) {
+        const result = await this.request('/auth/login', {
             method: 'POST',
-            body: JSON.stringify({ accessCode })
+            body: JSON.stringify({ email, password })
         });
+
+        sessionStorage.setItem(this.SESSION_KEY, result.token);
+        sessionStorage.setItem(this.USER_KEY, JSON.stringify(result.user));
+        return result.user;
     },
 
     /**
-     * Get all data from server
+     * End the session on the server and forget it locally
      */
-    async getData() {
-        const result = await this.request('/data');
+    async logout() {
+        try {
+            if (this.token) {
+                await this.request('/auth/logout', { method: 'POST' });
+            }
+        } catch (error) {
+            console.warn('Server logout failed:', error.message);
+        } finally {
+            sessionStorage.removeItem(this.SESSION_KEY);
+            sessionStorage.removeItem(this.USER_KEY);
+            this.responseCache.clear();
+        }
+    },
+
+    /**
+     * Validate the stored session and refresh the cached user
+     */
+    async getCurrentUser() {
+        const result = await this.request('/auth/me');
+        sessionStorage.setItem(this.USER_KEY, JSON.stringify(result.user));
+        return result.user;
+    },
+
+    /**
+     * Gate a page on the session: resolves to the signed-in user, or sends
+     * the browser to login.html and resolves to null. A session the server
+     * rejects is dropped; with the server down the cached user is kept.
+     */
+    async requireSession() {
+        if (this.token) {
+            try {
+                return await this.getCurrentUser();
+            } catch (error) {
+                if (error.status !== 401 && this.currentUser) return this.currentUser;
+                await this.logout();
+            }
+        }
+        window.location.href = 'login.html';
+        return null;
+    },
+
+    /**
+     * Check whether the signed-in user holds one of the given roles
+     */
+    hasRole(...roles) {
+        const user = this.currentUser;
+        return !!user && roles.includes(user.role);
+    },
+
+    /**
+     * Get one page of transactions. params may hold the filters from,
+     * to, grower, grower_id, product, hybrid, trait, crop_line,
+     * min_amount, max_amount and q, plus sort (e.g. "-amount"), fields,
+     * limit and the cursor from the previous page's next_cursor.
+     * Returns { data, total, next_cursor }.
+     */
+    async queryData(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            query.set(key, Array.isArray(value) ? value.join(',') : value);
+        });
+        const result = await this.request(`/data?${query}`);
+        return { data: result.data || [], total: result.total, next_cursor: result.next_cursor };
+    },
+
+    /**
+     * Get every transaction matching filters (all of them by default),
+     * fetched a page at a time
+     */
+    async getData(filters = {}) {
+        const data = [];
+        let cursor = null;
+        do {
+            const page = await this.queryData({ ...filters, limit: this.PAGE_SIZE, cursor });
+            data.push(...page.data);
+            cursor = page.next_cursor;
+        } while (cursor);
         this.lastSyncTime = new Date();
-        return result.data || [];
+        return data;
     },
 
     /**
@@ -99,6 +230,69 @@ const API = {
         return result.data;
     },
 
+    /**
+     * Get a single record by id
+     */
+    async getRecord(id) {
+        const result = await this.request(`/data/${encodeURIComponent(id)}`);
+        return result.data;
+    },
+
+    /**
+     * Update the given fields of a single record
+     */
+    async updateRecord(id, changes) {
+        const result = await this.request(`/data/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        return result.data;
+    },
+
+    /**
+     * Delete a single record
+     */
+    async deleteRecord(id) {
+        return this.request(`/data/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Restore a deleted record from the trash
+     */
+    async restoreRecord(id) {
+        const result = await this.request(`/data/${encodeURIComponent(id)}/restore`, {
+            method: 'POST'
+        });
+        return result.data;
+    },
+
+    /**
+     * List deletions in the trash (single records, clears and import batches)
+     */
+    async getTrash() {
+        return this.request('/trash');
+    },
+
+    /**
+     * Restore every record removed by one deletion
+     */
+    async restoreTrash(deletionId) {
+        return this.request(`/trash/${encodeURIComponent(deletionId)}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    /**
+     * Permanently delete one deletion's records (admin)
+     */
+    async purgeTrash(deletionId) {
+        return this.request(`/trash/${encodeURIComponent(deletionId)}`, {
+            method: 'DELETE'
+        });
+    },
+
     /**
      * Add multiple records (batch)
      */
@@ -124,9 +318,7 @@ const API = {
 
         const response = await fetch(`${this.baseUrl}/api/upload`, {
             method: 'POST',
-            headers: {
-                'X-Access-Code': this.accessCode
-            },
+            headers: this.authHeaders(),
             body: formData
         });
 
@@ -139,7 +331,74 @@ const API = {
     },
 
     /**
-     * Delete all data
+     * Stage an import batch from a CSV File, CSV text or parsed records.
+     * Returns the batch with row errors, diff and preview; nothing is
+     * imported until commitImport.
+     */
+    async stageImport({ file, text, records, source }) {
+        if (file) {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('source', source || 'csv');
+
+            const response = await fetch(`${this.baseUrl}/api/imports`, {
+                method: 'POST',
+                headers: this.authHeaders(),
+                body: formData
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+
+            return (await response.json()).batch;
+        }
+
+        const result = await this.request('/imports', {
+            method: 'POST',
+            body: JSON.stringify({ text, records, source })
+        });
+        return result.batch;
+    },
+
+    /**
+     * List import batches, optionally filtered by status
+     */
+    async getImports(status = null) {
+        const result = await this.request(status ? `/imports?status=${status}` : '/imports');
+        return result.batches;
+    },
+
+    /**
+     * Apply a staged import batch
+     */
+    async commitImport(batchId) {
+        return this.request(`/imports/${encodeURIComponent(batchId)}/commit`, {
+            method: 'POST'
+        });
+    },
+
+    /**
+     * Move every record from a committed import batch to the trash
+     */
+    async rollbackImport(batchId) {
+        return this.request(`/imports/${encodeURIComponent(batchId)}/rollback`, {
+            method: 'POST'
+        });
+    },
+
+    /**
+     * Discard a staged import batch
+     */
+    async discardImport(batchId) {
+        return this.request(`/imports/${encodeURIComponent(batchId)}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Move all data to the trash
      */
     async clearData() {
         return this.request('/data', {
@@ -164,30 +423,401 @@ const API = {
     },
 
     /**
-     * Get analytics by product
+     * Get revenue, quantity and orders by month for a year
      */
-    async getAnalyticsByProduct() {
-        const result = await this.request('/analytics/by-product');
+    async getMonthlyTrends(year) {
+        const result = await this.request(`/analytics/monthly/${year}`);
+        return result.months;
+    },
+
+    /**
+     * Get analytics by product, optionally for one year
+     */
+    async getAnalyticsByProduct(year) {
+        const result = await this.request(`/analytics/by-product${year ? `?year=${year}` : ''}`);
         return result.products;
     },
 
     /**
-     * Get analytics by grower
+     * Get analytics by grower, optionally for one year
+     */
+    async getAnalyticsByGrower(year) {
+        const result = await this.request(`/analytics/by-grower${year ? `?year=${year}` : ''}`);
+        return result.growers;
+    },
+
+    /**
+     * Get seed sales by hybrid, optionally for one year and crop line
+     */
+    async getAnalyticsByHybrid({ year, cropLine } = {}) {
+        const params = new URLSearchParams();
+        if (year) params.set('year', year);
+        if (cropLine) params.set('crop_line', cropLine);
+        const result = await this.request(`/analytics/by-hybrid?${params}`);
+        return result.hybrids;
+    },
+
+    /**
+     * Get seed sales by trait, optionally for one year and crop line
+     */
+    async getAnalyticsByTrait({ year, cropLine } = {}) {
+        const params = new URLSearchParams();
+        if (year) params.set('year', year);
+        if (cropLine) params.set('crop_line', cropLine);
+        const result = await this.request(`/analytics/by-trait?${params}`);
+        return result.traits;
+    },
+
+    /**
+     * Next-season forecast (see forecast.js). options may hold level,
+     * measure, method, confidence, reconcile, params (the method's
+     * parameters) and the product, hybrid, crop_line and grower_id
+     * filters. When the server is offline or there is no session, the
+     * same engine forecasts the given fallback records instead, with
+     * options.succession (the server applies the catalog's own).
+     */
+    async getForecast(options = {}, fallbackRecords = null) {
+        const { params: methodParams = {}, succession, ...rest } = options;
+        const params = new URLSearchParams();
+        Object.entries({ ...rest, ...methodParams }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
+        try {
+            return await this.request(`/forecast?${params}`);
+        } catch (error) {
+            if (!fallbackRecords || (this.isOnline && error.status !== 401)) throw error;
+            return Forecast.forecastRecords(fallbackRecords, options);
+        }
+    },
+
+    /**
+     * Backtest every forecast method by hiding the latest season (see
+     * forecast.js). options may hold measure, levels, confidence,
+     * reconcile, tolerance, params, succession and the getForecast
+     * filters. Falls back to the given records like getForecast.
+     */
+    async getBacktest(options = {}, fallbackRecords = null) {
+        const { params: methodParams = {}, levels, succession, ...rest } = options;
+        const params = new URLSearchParams();
+        Object.entries({ ...rest, level: levels && levels.join(','), ...methodParams }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
+        try {
+            return await this.request(`/forecast/backtest?${params}`);
+        } catch (error) {
+            if (!fallbackRecords || (this.isOnline && error.status !== 401)) throw error;
+            return Forecast.backtestRecords(fallbackRecords, options);
+        }
+    },
+
+    /**
+     * List grower master records with their sales summary, optionally
+     * for one year or matching a name or alias
      */
-    async getAnalyticsByGrower() {
-        const result = await this.request('/analytics/by-grower');
+    async getGrowers({ year, q } = {}) {
+        const params = new URLSearchParams();
+        if (year) params.set('year', year);
+        if (q) params.set('q', q);
+        const result = await this.request(`/growers?${params}`);
         return result.growers;
     },
 
+    /**
+     * Get a grower with its sales summary and transactions
+     */
+    async getGrower(id) {
+        const result = await this.request(`/growers/${encodeURIComponent(id)}`);
+        return result.grower;
+    },
+
+    /**
+     * Add a grower master record
+     */
+    async createGrower(grower) {
+        const result = await this.request('/growers', {
+            method: 'POST',
+            body: JSON.stringify(grower)
+        });
+        return result.grower;
+    },
+
+    /**
+     * Update the given fields of a grower (renaming keeps the old name as
+     * an alias)
+     */
+    async updateGrower(id, changes) {
+        const result = await this.request(`/growers/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        return result.grower;
+    },
+
+    /**
+     * Remove a grower that has no transactions
+     */
+    async deleteGrower(id) {
+        return this.request(`/growers/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Pairs of growers that are probably the same operation. threshold
+     * (0-1) sets how alike names must be.
+     */
+    async getGrowerDuplicates(threshold) {
+        const params = new URLSearchParams();
+        if (threshold) params.set('threshold', threshold);
+        const result = await this.request(`/growers/duplicates?${params}`);
+        return result.duplicates;
+    },
+
+    /**
+     * Growers a name and/or account number probably belong to
+     */
+    async matchGrower({ name, account } = {}) {
+        const params = new URLSearchParams();
+        if (name) params.set('name', name);
+        if (account) params.set('account', account);
+        const result = await this.request(`/growers/match?${params}`);
+        return result.matches;
+    },
+
+    /**
+     * Merge growers into the one with id. Their transactions move to it
+     * and their names become its aliases.
+     */
+    async mergeGrowers(id, fromIds) {
+        return this.request(`/growers/${encodeURIComponent(id)}/merge`, {
+            method: 'POST',
+            body: JSON.stringify({ from: fromIds })
+        });
+    },
+
+    /**
+     * List catalog items (crops, products, traits, hybrids). filters may
+     * hold kind, crop, tag, q and year. Falls back to the bundled
+     * data/catalog.json when the server is offline or there is no session.
+     */
+    async getCatalog(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
+        try {
+            const result = await this.request(`/catalog?${params}`);
+            return result.items;
+        } catch (error) {
+            if (this.isOnline && error.status !== 401) throw error;
+            return this.filterCatalog(await this.loadCatalogJSON(), filters);
+        }
+    },
+
+    /**
+     * Hybrids new, continuing and discontinued in a season. filters may
+     * hold crop and tag. Falls back to data/catalog.json like getCatalog.
+     */
+    async getLineup(year, filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+
+        try {
+            return await this.request(`/catalog/lineup/${year}?${params}`);
+        } catch (error) {
+            if (this.isOnline && error.status !== 401) throw error;
+            const hybrids = this.filterCatalog(await this.loadCatalogJSON(), { ...filters, kind: 'hybrid' })
+                .sort((a, b) => (a.crm || 0) - (b.crm || 0) || a.code.localeCompare(b.code));
+            const lineup = { year, new: [], continuing: [], discontinued: [] };
+            hybrids.forEach(item => {
+                if (item.discontinue_year === year) {
+                    lineup.discontinued.push(item);
+                } else if (item.launch_year === year) {
+                    lineup.new.push(item);
+                } else if ((item.launch_year == null || item.launch_year <= year) &&
+                    (item.discontinue_year == null || item.discontinue_year > year)) {
+                    lineup.continuing.push(item);
+                }
+            });
+            return lineup;
+        }
+    },
+
+    /**
+     * Add a catalog item (admin, manager)
+     */
+    async createCatalogItem(item) {
+        const result = await this.request('/catalog', {
+            method: 'POST',
+            body: JSON.stringify(item)
+        });
+        return result.item;
+    },
+
+    /**
+     * Update the given fields of a catalog item (admin, manager)
+     */
+    async updateCatalogItem(id, changes) {
+        const result = await this.request(`/catalog/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        return result.item;
+    },
+
+    /**
+     * Remove a catalog item (admin, manager)
+     */
+    async deleteCatalogItem(id) {
+        return this.request(`/catalog/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Catalog seed bundled with the dashboard, as a flat list of items
+     */
+    async loadCatalogJSON() {
+        const response = await fetch('/data/catalog.json');
+        if (!response.ok) {
+            throw new Error('Failed to load catalog.json');
+        }
+        const seed = await response.json();
+        return Object.entries(seed).flatMap(([kind, items]) => items.map(item => ({ tags: [], ...item, kind })));
+    },
+
+    /**
+     * Apply getCatalog filters to a list of items locally
+     */
+    filterCatalog(items, { kind, crop, tag, q, year } = {}) {
+        const season = parseInt(year);
+        return items.filter(item =>
+            (!kind || item.kind === kind) &&
+            (!crop || item.crop === crop) &&
+            (!tag || (item.tags || []).includes(tag)) &&
+            (!q || item.code.toLowerCase().includes(String(q).toLowerCase())) &&
+            (!season || ((item.launch_year == null || item.launch_year <= season) &&
+                (item.discontinue_year == null || item.discontinue_year > season)))
+        );
+    },
+
+    /**
+     * Season definition and the seasons with sales (see seasons.js). The
+     * definition is applied and remembered, so pages use it offline too.
+     */
+    async getSeasons() {
+        const result = await this.request('/seasons');
+        const definition = { ...result.definition, time_zone: result.time_zone };
+        localStorage.setItem(this.SEASON_KEY, JSON.stringify(definition));
+        this.applySeasonDefinition(definition);
+        return result;
+    },
+
+    /**
+     * Configure the agency time zone (Dates) and Seasons with a
+     * definition, or the one remembered from the server
+     */
+    applySeasonDefinition(definition = null) {
+        if (typeof Seasons === 'undefined') return;
+
+        try {
+            const stored = definition || JSON.parse(localStorage.getItem(this.SEASON_KEY) || 'null');
+            if (!stored) return;
+            if (typeof Dates !== 'undefined') Dates.configure({ timeZone: stored.time_zone });
+            Seasons.configure(stored);
+        } catch (error) {
+            console.warn('Ignoring saved season definition:', error.message);
+        }
+    },
+
+    /**
+     * List price book entries. filters may hold product, year, hybrid and
+     * trait. Falls back to the bundled data/price_book.json when the
+     * server is offline or there is no session.
+     */
+    async getPrices(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
+        try {
+            const result = await this.request(`/prices?${params}`);
+            return result.prices;
+        } catch (error) {
+            if (this.isOnline && error.status !== 401) throw error;
+            const prices = await this.loadPriceBookJSON();
+            return prices.filter(entry => Object.entries(filters).every(([key, value]) =>
+                value === undefined || value === null || value === '' || String(entry[key]) === String(value)));
+        }
+    },
+
+    /**
+     * Add a price book entry (admin, manager)
+     */
+    async createPrice(entry) {
+        const result = await this.request('/prices', {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+        return result.price;
+    },
+
+    /**
+     * Update the given fields of a price book entry (admin, manager)
+     */
+    async updatePrice(id, changes) {
+        const result = await this.request(`/prices/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        return result.price;
+    },
+
+    /**
+     * Remove a price book entry (admin, manager)
+     */
+    async deletePrice(id) {
+        return this.request(`/prices/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Re-price book-priced and unpriced records with the current price
+     * book, optionally for one year (admin, manager)
+     */
+    async repriceTransactions(year = null) {
+        return this.request('/prices/reprice', {
+            method: 'POST',
+            body: JSON.stringify({ year })
+        });
+    },
+
+    /**
+     * Price book seed bundled with the dashboard
+     */
+    async loadPriceBookJSON() {
+        const response = await fetch('/data/price_book.json');
+        if (!response.ok) {
+            throw new Error('Failed to load price_book.json');
+        }
+        const seed = await response.json();
+        return seed.prices || [];
+    },
+
     /**
      * Export data as CSV
      */
     async exportCSV(year = 'all') {
         const url = `${this.baseUrl}/api/export?year=${year}`;
         const response = await fetch(url, {
-            headers: {
-                'X-Access-Code': this.accessCode
-            }
+            headers: this.authHeaders()
         });
 
         if (!response.ok) {
@@ -205,20 +835,17 @@ const API = {
             throw new Error('Server is offline');
         }
 
-        // Get existing server data
-        const serverData = await this.getData();
-        const serverIds = new Set(serverData.map(d => d.id || d._id));
-
-        // Find records that need to be synced
-        const newRecords = localData.filter(d => !serverIds.has(d.id));
-
-        if (newRecords.length > 0) {
-            await this.addRecords(newRecords);
-        }
+        // The server matches records on their natural key (invoice, grower,
+        // product, hybrid) and only adds the ones it does not already have
+        const result = await this.request('/data/sync', {
+            method: 'POST',
+            body: JSON.stringify({ records: localData })
+        });
 
         return {
-            synced: newRecords.length,
-            total: localData.length
+            synced: result.synced,
+            skipped: result.skipped,
+            total: result.total
         };
     },
 
@@ -233,7 +860,8 @@ const API = {
             }
 
             const jsonData = await response.json();
-            const records = this.convertGrowerData(jsonData);
+            const prices = await this.getPrices().catch(() => []);
+            const records = this.convertGrowerData(jsonData, prices);
 
             return records;
         } catch (error) {
@@ -243,28 +871,33 @@ const API = {
     },
 
     /**
-     * Convert grower_data.json format to transaction format
+     * Convert grower_data.json format to transaction format, pricing each
+     * record from the price book (see pricing.js)
      */
-    convertGrowerData(jsonData) {
+    convertGrowerData(jsonData, prices = []) {
         const records = [];
-        const pricePerBag = 280; // Default price per bag
 
         // Process each year
+        // Years in the file are seasons; place each sale inside its season
+        const seasonDate = (year, month, day) => Dates.format(Seasons.dateIn(Number(year), month, day));
+
         for (const [year, yearData] of Object.entries(jsonData)) {
-            if (year === 'hybrids' || year === 'traits') continue; // Skip metadata
+            if (!/^\d{4}$/.test(year)) continue; // Only season blocks
 
             // Process corn data
             if (yearData.corn) {
                 yearData.corn.forEach((entry, index) => {
                     records.push({
-                        date: `${year}-03-15`, // Default to planting season
+                        date: seasonDate(year, 3, 15), // Default to planting season
                         invoice_number: `PIO-${year}-${(index + 1).toString().padStart(4, '0')}`,
                         grower_name: entry.grower,
                         product: 'Corn Seed',
                         hybrid: entry.hybrid,
                         trait: entry.trait,
+                        crop_line: 'Corn',
+                        bags: entry.bags,
                         quantity: entry.bags,
-                        amount: entry.bags * pricePerBag
+                        amount: 0
                     });
                 });
             }
@@ -273,22 +906,27 @@ const API = {
             if (yearData.soybean) {
                 yearData.soybean.forEach((entry, index) => {
                     records.push({
-                        date: `${year}-04-01`,
+                        date: seasonDate(year, 4, 1),
                         invoice_number: `PIO-SOY-${year}-${(index + 1).toString().padStart(4, '0')}`,
                         grower_name: entry.grower,
                         product: 'Soybean Seed',
                         hybrid: entry.hybrid,
                         trait: entry.trait,
+                        crop_line: 'Soybean',
+                        bags: entry.bags,
                         quantity: entry.bags,
-                        amount: entry.bags * 60 // Soybean price per unit
+                        amount: 0
                     });
                 });
             }
         }
 
-        return records;
+        return records.map(record => Pricing.priceRecord(record, prices));
     }
 };
 
 // Export for use in app.js
 window.API = API;
+
+// Seasons follow the server's definition from the start
+API.applySeasonDefinition();
@@ -7,11 +7,7 @@
 // CONFIGURATION & CONSTANTS
 // ============================================
 const CONFIG = {
-    AUTH_EMAIL: 'kyle@togoag.com',
-    AUTH_PASSWORD: 'Pioneer2026',
-    ACCESS_CODE: 'pioneer2024',  // legacy fallback
     STORAGE_KEY: 'pioneer_grower_data',
-    SESSION_KEY: 'pioneer_auth',
     SYNC_KEY: 'pioneer_last_sync',
     USE_API: true,  // Enable API integration
     PRODUCTS: [
@@ -19,7 +15,6 @@ const CONFIG = {
         'Herbicide', 'Fungicide', 'Insecticide', 'Fertilizer',
         'Equipment', 'Other'
     ],
-    YEARS: [2022, 2023, 2024, 2025, 2026],
     CHART_COLORS: [
         '#1a5f2a', '#2d8a42', '#3498db', '#f5a623', '#e74c3c',
         '#9b59b6', '#1abc9c', '#34495e', '#f39c12', '#95a5a6'
@@ -33,9 +28,15 @@ let state = {
     data: [],
     charts: {},
     isAuthenticated: false,
+    user: null,
     apiOnline: false,
+    trashRetentionDays: null,
+    products: [],
+    prices: [],
     isLoading: false,
-    lastSync: null
+    lastSync: null,
+    // Bumped whenever state.data is saved or reloaded (see filterDataByYear)
+    dataVersion: 0
 };
 
 // ============================================
@@ -47,18 +48,31 @@ document.addEventListener('DOMContentLoaded', () => {
     setCurrentDate();
 });
 
-function checkAuthentication() {
-    const session = sessionStorage.getItem(CONFIG.SESSION_KEY);
-    if (session === 'true' || session === 'authenticated') {
-        state.isAuthenticated = true;
-        showDashboard();
+async function checkAuthentication() {
+    if (typeof API === 'undefined' || !API.token) return;
+
+    try {
+        state.user = await API.getCurrentUser();
+    } catch (error) {
+        if (error.status === 401) {
+            // Session expired or revoked on the server
+            await API.logout();
+            return;
+        }
+        // Server unreachable: keep working offline as the cached user
+        state.user = API.currentUser;
+        if (!state.user) return;
     }
+
+    state.isAuthenticated = true;
+    showDashboard();
 }
 
 function setCurrentDate() {
     const dateEl = document.getElementById('current-date');
     if (dateEl) {
-        dateEl.textContent = new Date().toLocaleDateString('en-US', {
+        dateEl.textContent = Dates.today().toLocaleDateString('en-US', {
+            timeZone: 'UTC',
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -85,6 +99,12 @@ function initializeEventListeners() {
 
     // Forecasting
     document.getElementById('run-forecast')?.addEventListener('click', runForecast);
+    document.getElementById('forecast-recommendation')?.addEventListener('click', e => {
+        const method = e.target.dataset.method;
+        if (!method) return;
+        document.getElementById('forecast-method').value = method;
+        runForecast();
+    });
 
     // Grower filters
     document.getElementById('apply-grower-filter')?.addEventListener('click', updateGrowerAnalysis);
@@ -96,39 +116,81 @@ function initializeEventListeners() {
     initializeDataManagement();
 }
 
-function handleLogin(e) {
+async function handleLogin(e) {
     e.preventDefault();
-    const code = document.getElementById('access-code').value;
+    const email = document.getElementById('login-email').value;
+    const password = document.getElementById('login-password').value;
     const errorEl = document.getElementById('login-error');
 
-    // Accept legacy access code or new password
-    if (code === CONFIG.ACCESS_CODE || code === CONFIG.AUTH_PASSWORD) {
+    if (typeof API === 'undefined') {
+        errorEl.textContent = 'Sign-in requires the API client.';
+        return;
+    }
+
+    try {
+        state.user = await API.login(email, password);
         state.isAuthenticated = true;
-        sessionStorage.setItem(CONFIG.SESSION_KEY, 'true');
+        errorEl.textContent = '';
         showDashboard();
-    } else {
-        errorEl.textContent = 'Invalid access code. Please try again.';
-        document.getElementById('access-code').value = '';
+    } catch (error) {
+        errorEl.textContent = error.status === 401
+            ? 'Invalid email or password. Please try again.'
+            : `Sign-in failed: ${error.message}`;
+        document.getElementById('login-password').value = '';
     }
 }
 
-function handleLogout() {
+async function handleLogout() {
+    if (typeof API !== 'undefined') {
+        await API.logout();
+    }
     state.isAuthenticated = false;
-    sessionStorage.removeItem(CONFIG.SESSION_KEY);
+    state.user = null;
     document.getElementById('dashboard').classList.add('hidden');
     document.getElementById('login-screen').classList.remove('hidden');
-    document.getElementById('access-code').value = '';
+    document.getElementById('login-password').value = '';
     document.getElementById('login-error').textContent = '';
     destroyAllCharts();
 }
 
+/**
+ * Hide controls the signed-in user's role cannot use.
+ * Elements opt in with data-roles="admin sales_rep".
+ */
+function applyRolePermissions() {
+    const role = state.user?.role;
+
+    document.querySelectorAll('[data-roles]').forEach(el => {
+        const allowed = el.dataset.roles.split(/\s+/);
+        el.classList.toggle('hidden', !allowed.includes(role));
+    });
+
+    const userEl = document.getElementById('current-user');
+    if (userEl) {
+        const territory = state.user?.territory ? ` - ${state.user.territory}` : '';
+        userEl.textContent = state.user
+            ? `${state.user.name || state.user.email} (${state.user.role.replace('_', ' ')}${territory})`
+            : '';
+    }
+}
+
+function canEditData() {
+    return ['admin', 'manager', 'sales_rep'].includes(state.user?.role);
+}
+
 async function showDashboard() {
     document.getElementById('login-screen').classList.add('hidden');
     document.getElementById('dashboard').classList.remove('hidden');
+    applyRolePermissions();
 
     // Check API status and update indicator
     await checkApiStatus();
 
+    // Product categories come from the catalog, prices from the price book
+    await loadCatalogProducts();
+    await loadPriceBook();
+    await loadSeasonDefinition();
+
     // Load data (from API or localStorage)
     await loadData();
 
@@ -139,6 +201,9 @@ async function showDashboard() {
 
     initializeAllCharts();
     updateDataSummary();
+    loadImportHistory();
+    loadTrash();
+    loadGrowerDuplicates();
 }
 
 // ============================================
@@ -179,6 +244,7 @@ async function loadData() {
             const apiData = await API.getData();
             if (apiData && apiData.length > 0) {
                 state.data = apiData;
+                state.dataVersion++;
                 state.apiOnline = true;
                 // Update localStorage as backup
                 localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.data));
@@ -198,6 +264,7 @@ async function loadData() {
     // Fallback to localStorage
     const stored = localStorage.getItem(CONFIG.STORAGE_KEY);
     state.data = stored ? JSON.parse(stored) : [];
+    state.dataVersion++;
     state.isLoading = false;
 }
 
@@ -205,12 +272,14 @@ async function loadData() {
  * Save data to localStorage and optionally sync to API
  */
 async function saveData() {
+    state.dataVersion++;
+
     // Always save to localStorage first
     localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.data));
     updateDataSummary();
 
     // Try to sync to API in background (don't await)
-    if (CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined') {
+    if (CONFIG.USE_API && state.apiOnline && canEditData() && typeof API !== 'undefined') {
         syncToApi().catch(err => console.warn('Background sync failed:', err.message));
     }
 }
@@ -219,17 +288,18 @@ async function saveData() {
  * Add a new data entry
  */
 async function addDataEntry(entry) {
-    const newEntry = {
+    // Entries without an amount are priced from the price book
+    const newEntry = Pricing.priceRecord({
         ...entry,
         id: generateId(),
         created_at: new Date().toISOString()
-    };
+    }, state.prices);
 
     // Add to local state
     state.data.push(newEntry);
 
     // Try to add via API
-    if (CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined') {
+    if (CONFIG.USE_API && state.apiOnline && canEditData() && typeof API !== 'undefined') {
         try {
             await API.addRecord(newEntry);
         } catch (error) {
@@ -265,6 +335,101 @@ async function checkApiStatus() {
     }
 }
 
+/**
+ * Load product categories from the catalog and refresh the product
+ * pickers. Keeps the built-in list if the catalog cannot be read.
+ */
+async function loadCatalogProducts() {
+    if (typeof API === 'undefined') return;
+
+    try {
+        const products = await API.getCatalog({ kind: 'product' });
+        if (products.length === 0) return;
+        state.products = products;
+        CONFIG.PRODUCTS = products.map(p => p.code);
+    } catch (error) {
+        console.warn('Could not load catalog products:', error.message);
+        return;
+    }
+
+    const seedProducts = state.products.filter(p => p.crop).map(p => p.code);
+    fillProductSelect('entry-product', CONFIG.PRODUCTS, { value: '', label: 'Select...' });
+    fillProductSelect('hist-product', seedProducts, { value: 'all', label: 'All Products' });
+    fillProductSelect('pioneer-product-type', seedProducts, { value: 'auto', label: 'Auto-detect' });
+}
+
+/**
+ * Load the price book used to price records that have no invoice amount
+ */
+async function loadPriceBook() {
+    if (typeof API === 'undefined') return;
+
+    try {
+        state.prices = await API.getPrices();
+    } catch (error) {
+        console.warn('Could not load price book:', error.message);
+    }
+}
+
+/**
+ * Use the server's season definition (see seasons.js). Offline, the one
+ * remembered from the last visit stays in effect.
+ */
+async function loadSeasonDefinition() {
+    if (!CONFIG.USE_API || !state.apiOnline || typeof API === 'undefined') return;
+
+    try {
+        await API.getSeasons();
+    } catch (error) {
+        console.warn('Could not load seasons:', error.message);
+    }
+}
+
+/**
+ * Fill the season pickers (select[data-seasons]) with the seasons in the
+ * data, keeping each picker's choice while it is still offered. Options
+ * written in the page (All Seasons, Auto-detect) stay first. When the
+ * choice is gone, data-seasons picks the first or last season; "upcoming"
+ * also offers the next season, and "keep" falls back to the page option.
+ */
+function fillSeasonSelects() {
+    const seasons = dataSeasons();
+
+    document.querySelectorAll('select[data-seasons]').forEach(select => {
+        const mode = select.dataset.seasons;
+        if (select.dataset.fixedOptions === undefined) {
+            select.dataset.fixedOptions = select.innerHTML;
+        }
+
+        const offered = mode === 'upcoming'
+            ? [...new Set([...seasons, Seasons.current(), Seasons.current() + 1])].sort((a, b) => a - b)
+            : seasons;
+        const current = select.value;
+
+        select.innerHTML = select.dataset.fixedOptions +
+            offered.map(season => `<option value="${season}">${escapeHtml(Seasons.label(season))}</option>`).join('');
+
+        const values = [...select.options].map(option => option.value);
+        if (values.includes(current)) {
+            select.value = current;
+        } else if (mode === 'first' && offered.length > 0) {
+            select.value = offered[0];
+        } else if (mode === 'last' && offered.length > 0) {
+            select.value = offered[offered.length - 1];
+        }
+    });
+}
+
+function fillProductSelect(id, products, first) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = `<option value="${first.value}">${first.label}</option>` +
+        products.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+    if ([first.value, ...products].includes(current)) select.value = current;
+}
+
 /**
  * Update the API status indicator in the UI
  */
@@ -295,7 +460,8 @@ async function syncToApi() {
         const result = await API.syncToServer(state.data);
         state.lastSync = new Date();
         localStorage.setItem(CONFIG.SYNC_KEY, state.lastSync.toISOString());
-        showToast(`Synced ${result.synced} new records to server`, 'success');
+        const skipped = result.skipped ? `, ${result.skipped} already on server` : '';
+        showToast(`Synced ${result.synced} new records to server${skipped}`, 'success');
     } catch (error) {
         showToast('Sync failed: ' + error.message, 'error');
         throw error;
@@ -326,9 +492,9 @@ async function loadInitialGrowerData() {
             localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.data));
 
             // Try to sync to API
-            if (state.apiOnline) {
+            if (state.apiOnline && canEditData()) {
                 try {
-                    await API.addRecords(state.data);
+                    await API.syncToServer(state.data);
                     showToast(`Loaded ${records.length} records from grower data`, 'success');
                 } catch (error) {
                     showToast(`Loaded ${records.length} records locally`, 'success');
@@ -389,6 +555,21 @@ function initializeDataManagement() {
     document.getElementById('export-csv')?.addEventListener('click', exportToCSV);
     document.getElementById('sync-data')?.addEventListener('click', handleSyncData);
     document.getElementById('clear-data')?.addEventListener('click', clearAllData);
+
+    // Transaction table edit/delete
+    document.getElementById('records-search')?.addEventListener('input', updateRecordsTable);
+    document.querySelector('#records-table tbody')?.addEventListener('click', handleRecordAction);
+
+    // Trash restore/purge
+    document.getElementById('refresh-trash')?.addEventListener('click', loadTrash);
+    document.querySelector('#trash-table tbody')?.addEventListener('click', handleTrashAction);
+
+    // Duplicate grower merge
+    document.getElementById('refresh-duplicates')?.addEventListener('click', loadGrowerDuplicates);
+    document.querySelector('#duplicates-table tbody')?.addEventListener('click', handleDuplicateAction);
+
+    // Import rollback
+    document.querySelector('#imports-table tbody')?.addEventListener('click', handleImportAction);
 }
 
 /**
@@ -407,6 +588,211 @@ async function handleSyncData() {
     }
 }
 
+// Import Batches
+// When connected, each importer stages its rows on the server first, so the
+// preview can show row errors and matches with existing data, and a
+// committed import can be rolled back. Offline, rows are added locally.
+const pendingBatches = { csv: null, bulk: null, pioneer: null };
+const IMPORT_BUTTONS = { csv: 'import-csv', bulk: 'import-bulk', pioneer: 'import-pioneer' };
+// Bumped on every stage or discard, so a staging request that a newer one
+// has overtaken drops its batch instead of committing stale rows
+const stagingRuns = { csv: 0, bulk: 0, pioneer: 0 };
+
+function canUseImportBatches() {
+    return CONFIG.USE_API && state.apiOnline && canEditData() && typeof API !== 'undefined';
+}
+
+function setImportEnabled(kind, enabled) {
+    const button = document.getElementById(IMPORT_BUTTONS[kind]);
+    if (button) button.disabled = !enabled;
+}
+
+/**
+ * Stage rows for an importer ('csv', 'bulk' or 'pioneer') and show the
+ * server's summary in its preview. Its Import button stays disabled until
+ * the batch exists, and for good if staging fails.
+ */
+async function stageImportBatch(kind, payload) {
+    discardPendingBatch(kind);
+    if (!canUseImportBatches()) {
+        setImportEnabled(kind, true);
+        return null;
+    }
+
+    const run = stagingRuns[kind];
+    setImportEnabled(kind, false);
+    try {
+        const batch = await API.stageImport({ ...payload, source: kind });
+        if (run !== stagingRuns[kind]) {
+            API.discardImport(batch.id).catch(err => console.warn('Discard import failed:', err.message));
+            return null;
+        }
+        pendingBatches[kind] = batch;
+        renderImportSummary(kind, batch);
+        setImportEnabled(kind, true);
+        return batch;
+    } catch (error) {
+        if (run === stagingRuns[kind]) {
+            showToast('Could not prepare the import: ' + error.message, 'error');
+        }
+        return null;
+    }
+}
+
+function discardPendingBatch(kind) {
+    const batch = pendingBatches[kind];
+    pendingBatches[kind] = null;
+    stagingRuns[kind]++;
+    renderImportSummary(kind, null);
+
+    if (batch && canUseImportBatches()) {
+        API.discardImport(batch.id).catch(err => console.warn('Discard import failed:', err.message));
+    }
+}
+
+/**
+ * Commit the importer's staged batch, or add the rows locally when nothing
+ * was staged. Returns { count, message } describing what was imported.
+ */
+async function commitImportRows(kind, rows) {
+    const batch = pendingBatches[kind];
+
+    if (!batch) {
+        if (canUseImportBatches()) {
+            throw new Error('the rows have not been staged, parse them again');
+        }
+        for (const entry of rows) {
+            await addDataEntry(entry);
+        }
+        return { count: rows.length, message: `Successfully imported ${rows.length} records` };
+    }
+
+    const result = await API.commitImport(batch.id);
+    pendingBatches[kind] = null;
+    renderImportSummary(kind, null);
+
+    await loadData();
+    loadImportHistory();
+    return { count: result.count, message: result.message };
+}
+
+function renderImportSummary(kind, batch) {
+    const el = document.getElementById(`${kind}-import-summary`);
+    if (!el) return;
+
+    if (!batch) {
+        el.innerHTML = '';
+        el.classList.add('hidden');
+        return;
+    }
+
+    const diff = batch.diff || {};
+    let html = `<strong>${batch.valid_rows}</strong> of ${batch.total_rows} rows ready to import`;
+    html += ` (${formatCurrency(diff.incoming?.amount || 0)}): ${diff.new_rows || 0} new`;
+    if (diff.merge_rows) {
+        html += `, <strong>${diff.merge_rows}</strong> update existing records`;
+    }
+    if (diff.duplicate_rows) {
+        html += `, <strong>${diff.duplicate_rows}</strong> duplicates will be skipped`;
+    }
+
+    const rowErrors = batch.row_errors || [];
+    if (rowErrors.length > 0) {
+        html += `<br>${rowErrors.length} rows will be skipped:<ul>`;
+        rowErrors.slice(0, 10).forEach(e => {
+            html += `<li>Row ${e.row}: ${escapeHtml(e.errors.join('; '))}</li>`;
+        });
+        if (rowErrors.length > 10) {
+            html += `<li>... and ${rowErrors.length - 10} more</li>`;
+        }
+        html += '</ul>';
+    }
+
+    const suggestions = diff.grower_suggestions || [];
+    if (suggestions.length > 0) {
+        html += `<br>${suggestions.length} new grower names look like existing growers and will be added as new growers:<ul>`;
+        suggestions.slice(0, 10).forEach(s => {
+            html += `<li>${escapeHtml(s.name)}: did you mean ${s.matches.map(m => escapeHtml(m.name)).join(' or ')}?</li>`;
+        });
+        html += '</ul>Fix the names before importing, or merge the growers afterwards under Possible Duplicate Growers.';
+    }
+
+    el.innerHTML = html;
+    el.classList.remove('hidden');
+}
+
+// Import History
+const IMPORT_STATUS_LABELS = {
+    staged: 'Staged',
+    committed: 'Imported',
+    rolled_back: 'Rolled back',
+    discarded: 'Discarded'
+};
+
+async function loadImportHistory() {
+    const tbody = document.querySelector('#imports-table tbody');
+    if (!tbody || !canEditData()) return;
+
+    if (!canUseImportBatches()) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">Import history is available when connected to the server</td></tr>';
+        return;
+    }
+
+    let batches;
+    try {
+        batches = await API.getImports();
+    } catch (error) {
+        console.warn('Failed to load imports:', error.message);
+        return;
+    }
+
+    let html = '';
+    batches.filter(b => b.status !== 'discarded').forEach(b => {
+        const rollback = b.status === 'committed'
+            ? `<button class="btn btn-danger btn-sm" data-action="rollback" data-id="${escapeHtml(b.id)}" data-count="${b.record_count}">Roll Back</button>`
+            : '';
+
+        html += `
+            <tr>
+                <td>${new Date(b.committed_at || b.created_at).toLocaleString()}</td>
+                <td>${escapeHtml(b.filename || b.source)}</td>
+                <td>${(b.status === 'staged' ? b.valid_rows : b.record_count).toLocaleString()}</td>
+                <td>${b.row_errors.length}</td>
+                <td>${escapeHtml(b.committed_by || b.created_by || '')}</td>
+                <td>${IMPORT_STATUS_LABELS[b.status] || b.status}</td>
+                <td class="record-actions">${rollback}</td>
+            </tr>
+        `;
+    });
+
+    tbody.innerHTML = html || '<tr><td colspan="7" style="text-align: center;">No imports yet</td></tr>';
+}
+
+async function handleImportAction(e) {
+    const button = e.target.closest('button[data-action="rollback"]');
+    if (!button) return;
+
+    const { id, count } = button.dataset;
+    if (!confirm(`Roll back this import? Its ${count} records will be moved to the trash, and records it updated get their previous values back.`)) return;
+
+    try {
+        const result = await API.rollbackImport(id);
+        if (result.restored > 0) {
+            await loadData();
+        } else {
+            state.data = state.data.filter(d => d.import_id !== id);
+            await saveData();
+        }
+        showToast(result.message, 'success');
+        refreshAllCharts();
+    } catch (error) {
+        showToast('Rollback failed: ' + error.message, 'error');
+    }
+
+    loadImportHistory();
+    loadTrash();
+}
+
 // CSV Handling
 let pendingCSVData = [];
 
@@ -414,12 +800,13 @@ function handleCSVUpload(file) {
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
         const text = e.target.result;
         pendingCSVData = parseCSV(text);
 
         if (pendingCSVData.length > 0) {
             showCSVPreview(pendingCSVData);
+            await stageImportBatch('csv', { file });
         } else {
             showToast('No valid data found in CSV', 'error');
         }
@@ -427,58 +814,22 @@ function handleCSVUpload(file) {
     reader.readAsText(file);
 }
 
+/**
+ * Read transaction rows from CSV or pasted spreadsheet text with the
+ * shared reader in csv.js (columns matched by header name)
+ */
 function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const data = [];
-
-    // Check if first line is header
-    const firstLine = lines[0].toLowerCase();
-    const startIndex = firstLine.includes('date') || firstLine.includes('invoice') ? 1 : 0;
-
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        // Handle both comma and tab separated values
-        const values = line.includes('\t') ? line.split('\t') : parseCSVLine(line);
-
-        if (values.length >= 6) {
-            const entry = {
-                date: values[0].trim(),
-                invoice_number: values[1].trim(),
-                grower_name: values[2].trim(),
-                product: values[3].trim(),
-                quantity: parseFloat(values[4]) || 0,
-                amount: parseFloat(values[5].replace(/[$,]/g, '')) || 0
-            };
-
-            if (entry.date && entry.grower_name && entry.product) {
-                data.push(entry);
-            }
-        }
-    }
-
-    return data;
-}
-
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
+    let parsed;
+    try {
+        parsed = CSV.readTransactions(text);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return [];
     }
-    result.push(current);
 
-    return result;
+    return parsed.rows
+        .filter(({ record, missing }) => missing.length === 0 && record.date && record.grower_name && record.product)
+        .map(({ record }) => Pricing.priceRecord(record, state.prices));
 }
 
 function showCSVPreview(data) {
@@ -527,11 +878,15 @@ async function importCSVData() {
 
     showToast('Importing data...', 'info');
 
-    for (const entry of pendingCSVData) {
-        await addDataEntry(entry);
+    let result;
+    try {
+        result = await commitImportRows('csv', pendingCSVData);
+    } catch (error) {
+        showToast('Import failed: ' + error.message, 'error');
+        return;
     }
 
-    showToast(`Successfully imported ${pendingCSVData.length} records`, 'success');
+    showToast(result.message, 'success');
     pendingCSVData = [];
     document.getElementById('csv-preview').classList.add('hidden');
     document.getElementById('csv-file').value = '';
@@ -540,6 +895,7 @@ async function importCSVData() {
 }
 
 function cancelCSVImport() {
+    discardPendingBatch('csv');
     pendingCSVData = [];
     document.getElementById('csv-preview').classList.add('hidden');
     document.getElementById('csv-file').value = '';
@@ -567,7 +923,7 @@ async function handleManualEntry(e) {
 // Bulk Paste
 let pendingBulkData = [];
 
-function parseBulkData() {
+async function parseBulkData() {
     const text = document.getElementById('bulk-paste').value.trim();
     if (!text) {
         showToast('Please paste some data first', 'warning');
@@ -578,7 +934,7 @@ function parseBulkData() {
 
     if (pendingBulkData.length > 0) {
         showBulkPreview(pendingBulkData);
-        document.getElementById('import-bulk').disabled = false;
+        await stageImportBatch('bulk', { text });
     } else {
         showToast('No valid data found. Check format: date, invoice, grower, product, quantity, amount', 'error');
     }
@@ -625,11 +981,15 @@ async function importBulkData() {
 
     showToast('Importing data...', 'info');
 
-    for (const entry of pendingBulkData) {
-        await addDataEntry(entry);
+    let result;
+    try {
+        result = await commitImportRows('bulk', pendingBulkData);
+    } catch (error) {
+        showToast('Import failed: ' + error.message, 'error');
+        return;
     }
 
-    showToast(`Successfully imported ${pendingBulkData.length} records`, 'success');
+    showToast(result.message, 'success');
     pendingBulkData = [];
     document.getElementById('bulk-preview').classList.add('hidden');
     document.getElementById('bulk-paste').value = '';
@@ -644,7 +1004,7 @@ function exportToCSV() {
     let dataToExport = state.data;
 
     if (year !== 'all') {
-        dataToExport = state.data.filter(d => new Date(d.date).getFullYear() === parseInt(year));
+        dataToExport = filterDataByYear(parseInt(year));
     }
 
     if (dataToExport.length === 0) {
@@ -652,12 +1012,9 @@ function exportToCSV() {
         return;
     }
 
-    const headers = ['date', 'invoice_number', 'grower_name', 'product', 'quantity', 'amount'];
-    const rows = dataToExport.map(d => headers.map(h => d[h]));
-
-    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    const csv = CSV.stringify(dataToExport.map(CSV.transactionRow), { header: CSV.TRANSACTION_HEADER });
 
-    const blob = new Blob([csv], { type: 'text/csv' });
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -669,11 +1026,17 @@ function exportToCSV() {
 }
 
 async function clearAllData() {
-    if (confirm('Are you sure you want to delete all data? This cannot be undone.')) {
+    // On the server, cleared records go to the trash; local-only data cannot be recovered
+    const useApi = CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined';
+    const message = useApi
+        ? `Move all data to the trash? It can be restored from the Trash for ${state.trashRetentionDays || 30} days.`
+        : 'Are you sure you want to delete all data? This cannot be undone.';
+
+    if (confirm(message)) {
         state.data = [];
 
         // Clear from API if available
-        if (CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined') {
+        if (useApi) {
             try {
                 await API.clearData();
             } catch (error) {
@@ -682,24 +1045,357 @@ async function clearAllData() {
         }
 
         await saveData();
-        showToast('All data cleared', 'info');
+        showToast(useApi ? 'All data moved to trash' : 'All data cleared', 'info');
+        refreshAllCharts();
+        loadTrash();
+    }
+}
+
+// Transactions Table
+const RECORDS_TABLE_LIMIT = 200;
+let editingRecordId = null;
+
+function updateRecordsTable() {
+    const tbody = document.querySelector('#records-table tbody');
+    if (!tbody) return;
+
+    const searchTerm = (document.getElementById('records-search')?.value || '').trim().toLowerCase();
+    const editable = canEditData();
+
+    let records = state.data;
+    if (searchTerm) {
+        records = records.filter(d =>
+            [d.grower_name, d.invoice_number, d.product].some(v => String(v || '').toLowerCase().includes(searchTerm))
+        );
+    }
+    records = [...records].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const shown = records.slice(0, RECORDS_TABLE_LIMIT);
+    let html = '';
+    shown.forEach(d => {
+        html += d.id === editingRecordId && editable ? recordEditRow(d) : recordRow(d, editable);
+    });
+
+    tbody.innerHTML = html || `<tr><td colspan="${editable ? 7 : 6}" style="text-align: center;">No transactions found</td></tr>`;
+
+    const countEl = document.getElementById('records-count');
+    if (countEl) {
+        countEl.textContent = records.length > shown.length
+            ? `Showing ${shown.length} of ${records.length.toLocaleString()} - refine the search to see more`
+            : `${records.length.toLocaleString()} transactions`;
+    }
+}
+
+function recordRow(d, editable) {
+    const actions = editable ? `
+                <td class="record-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="edit" data-id="${escapeHtml(d.id)}">Edit</button>
+                    <button class="btn btn-danger btn-sm" data-action="delete" data-id="${escapeHtml(d.id)}">Delete</button>
+                </td>` : '';
+
+    return `
+            <tr>
+                <td>${formatDate(d.date)}</td>
+                <td>${escapeHtml(d.invoice_number || '')}</td>
+                <td>${escapeHtml(d.grower_name)}</td>
+                <td>${escapeHtml(d.product)}</td>
+                <td>${d.quantity || 0}</td>
+                <td>$${(d.amount || 0).toLocaleString()}</td>${actions}
+            </tr>
+        `;
+}
+
+function recordEditRow(d) {
+    const productOptions = CONFIG.PRODUCTS.map(p =>
+        `<option value="${p}"${p === d.product ? ' selected' : ''}>${p}</option>`
+    ).join('');
+
+    return `
+            <tr data-editing="${escapeHtml(d.id)}">
+                <td><input type="date" name="date" value="${toInputDate(d.date)}" required></td>
+                <td><input type="text" name="invoice_number" value="${escapeHtml(d.invoice_number || '')}"></td>
+                <td><input type="text" name="grower_name" value="${escapeHtml(d.grower_name)}" required></td>
+                <td><select name="product">${productOptions}</select></td>
+                <td><input type="number" name="quantity" value="${d.quantity || 0}" min="0"></td>
+                <td><input type="number" name="amount" value="${d.amount || 0}" min="0" step="0.01"></td>
+                <td class="record-actions">
+                    <button class="btn btn-primary btn-sm" data-action="save" data-id="${escapeHtml(d.id)}">Save</button>
+                    <button class="btn btn-secondary btn-sm" data-action="cancel">Cancel</button>
+                </td>
+            </tr>
+        `;
+}
+
+async function handleRecordAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, id } = button.dataset;
+    switch (action) {
+        case 'edit':
+            editingRecordId = id;
+            updateRecordsTable();
+            break;
+        case 'cancel':
+            editingRecordId = null;
+            updateRecordsTable();
+            break;
+        case 'save':
+            await saveRecordEdit(id, button.closest('tr'));
+            break;
+        case 'delete':
+            await deleteDataEntry(id);
+            break;
+    }
+}
+
+async function saveRecordEdit(id, row) {
+    const value = name => row.querySelector(`[name="${name}"]`).value;
+    const changes = {
+        date: value('date'),
+        invoice_number: value('invoice_number').trim(),
+        grower_name: value('grower_name').trim(),
+        product: value('product'),
+        quantity: parseFloat(value('quantity')) || 0,
+        amount: parseFloat(value('amount')) || 0
+    };
+
+    if (!changes.date || !changes.grower_name) {
+        showToast('Date and grower name are required', 'warning');
+        return;
+    }
+
+    if (await updateDataEntry(id, changes)) {
+        editingRecordId = null;
+        showToast('Transaction updated', 'success');
         refreshAllCharts();
     }
 }
 
+/**
+ * Update a single entry locally and on the server. Records that only
+ * exist locally (not yet synced) are updated in localStorage alone.
+ */
+async function updateDataEntry(id, changes) {
+    const index = state.data.findIndex(d => d.id === id);
+    if (index === -1) return false;
+
+    let updated = { ...state.data[index], ...changes };
+
+    if (CONFIG.USE_API && state.apiOnline && canEditData() && typeof API !== 'undefined') {
+        try {
+            updated = await API.updateRecord(id, changes);
+        } catch (error) {
+            if (error.status !== 404) {
+                showToast('Update failed: ' + error.message, 'error');
+                return false;
+            }
+        }
+    }
+
+    state.data[index] = updated;
+    await saveData();
+    return true;
+}
+
+/**
+ * Delete a single entry locally and on the server
+ */
+async function deleteDataEntry(id) {
+    const record = state.data.find(d => d.id === id);
+    if (!record) return;
+
+    if (!confirm(`Delete ${record.grower_name} - ${record.product} on ${formatDate(record.date)}?`)) return;
+
+    let trashed = false;
+    if (CONFIG.USE_API && state.apiOnline && canEditData() && typeof API !== 'undefined') {
+        try {
+            await API.deleteRecord(id);
+            trashed = true;
+        } catch (error) {
+            if (error.status !== 404) {
+                showToast('Delete failed: ' + error.message, 'error');
+                return;
+            }
+        }
+    }
+
+    state.data = state.data.filter(d => d.id !== id);
+    await saveData();
+    showToast(trashed ? 'Transaction moved to trash' : 'Transaction deleted', 'info');
+    refreshAllCharts();
+    if (trashed) loadTrash();
+}
+
+// Trash
+const TRASH_KIND_LABELS = {
+    clear: 'Cleared data',
+    import: 'Import batch'
+};
+
+/**
+ * Load the server trash into the Trash table. The trash only exists on
+ * the server, so this is a no-op in local mode.
+ */
+async function loadTrash() {
+    const tbody = document.querySelector('#trash-table tbody');
+    if (!tbody || !canEditData()) return;
+
+    if (!CONFIG.USE_API || !state.apiOnline || typeof API === 'undefined') {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">Trash is available when connected to the server</td></tr>';
+        return;
+    }
+
+    try {
+        const result = await API.getTrash();
+        state.trashRetentionDays = result.retentionDays;
+        renderTrashTable(result.batches);
+    } catch (error) {
+        console.warn('Failed to load trash:', error.message);
+    }
+}
+
+function renderTrashTable(batches) {
+    const tbody = document.querySelector('#trash-table tbody');
+    const isAdmin = state.user?.role === 'admin';
+
+    const retentionEl = document.getElementById('trash-retention');
+    if (retentionEl) {
+        retentionEl.textContent = `Deleted records are kept for ${state.trashRetentionDays} days, then purged automatically.`;
+    }
+
+    let html = '';
+    batches.forEach(b => {
+        const what = b.record
+            ? `${escapeHtml(b.record.grower_name)} - ${escapeHtml(b.record.product)} (${formatDate(b.record.date)})`
+            : TRASH_KIND_LABELS[b.kind] || 'Deleted records';
+        const purgeButton = isAdmin
+            ? `<button class="btn btn-danger btn-sm" data-action="purge" data-id="${escapeHtml(b.deletion_id)}" data-count="${b.count}">Delete Permanently</button>`
+            : '';
+
+        html += `
+            <tr>
+                <td>${new Date(b.deleted_at).toLocaleString()}</td>
+                <td>${what}</td>
+                <td>${b.count.toLocaleString()}</td>
+                <td>${escapeHtml(b.deleted_by || '')}</td>
+                <td>${formatDate(b.purge_at)}</td>
+                <td class="record-actions">
+                    <button class="btn btn-primary btn-sm" data-action="restore" data-id="${escapeHtml(b.deletion_id)}">Restore</button>
+                    ${purgeButton}
+                </td>
+            </tr>
+        `;
+    });
+
+    tbody.innerHTML = html || '<tr><td colspan="6" style="text-align: center;">Trash is empty</td></tr>';
+}
+
+async function handleTrashAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, id, count } = button.dataset;
+    try {
+        if (action === 'restore') {
+            const result = await API.restoreTrash(id);
+            showToast(result.message, 'success');
+            await loadData();
+            refreshAllCharts();
+        } else if (action === 'purge') {
+            if (!confirm(`Permanently delete ${count} records? This cannot be undone.`)) return;
+            const result = await API.purgeTrash(id);
+            showToast(result.message, 'info');
+        }
+    } catch (error) {
+        showToast(`${action === 'restore' ? 'Restore' : 'Delete'} failed: ${error.message}`, 'error');
+    }
+
+    loadTrash();
+}
+
+// Duplicate Growers
+
+/**
+ * Load growers the server thinks are the same operation into the
+ * Possible Duplicate Growers table. Only available against the server.
+ */
+async function loadGrowerDuplicates() {
+    const tbody = document.querySelector('#duplicates-table tbody');
+    if (!tbody || !['admin', 'manager'].includes(state.user?.role)) return;
+
+    if (!CONFIG.USE_API || !state.apiOnline || typeof API === 'undefined') {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Duplicate detection is available when connected to the server</td></tr>';
+        return;
+    }
+
+    try {
+        renderDuplicatesTable(await API.getGrowerDuplicates());
+    } catch (error) {
+        console.warn('Failed to load duplicate growers:', error.message);
+    }
+}
+
+function renderDuplicatesTable(duplicates) {
+    const tbody = document.querySelector('#duplicates-table tbody');
+    const describe = g => {
+        const accounts = (g.account_numbers || []).join(', ');
+        return `${escapeHtml(g.name)}${accounts ? `<br><small>${escapeHtml(accounts)}</small>` : ''}`;
+    };
+    const mergeButton = (into, from) =>
+        `<button class="btn btn-primary btn-sm" data-action="merge" data-id="${escapeHtml(into.id)}" data-from="${escapeHtml(from.id)}" ` +
+        `data-into-name="${escapeHtml(into.name)}" data-from-name="${escapeHtml(from.name)}">Keep ${escapeHtml(into.name)}</button>`;
+
+    let html = '';
+    duplicates.forEach(({ growers: [a, b], score, reasons }) => {
+        html += `
+            <tr>
+                <td>${describe(a)}</td>
+                <td>${describe(b)}</td>
+                <td>${Math.round(score * 100)}%<br><small>${escapeHtml(reasons.join('; '))}</small></td>
+                <td class="record-actions">
+                    ${mergeButton(a, b)}
+                    ${mergeButton(b, a)}
+                </td>
+            </tr>
+        `;
+    });
+
+    tbody.innerHTML = html || '<tr><td colspan="4" style="text-align: center;">No likely duplicates</td></tr>';
+}
+
+async function handleDuplicateAction(e) {
+    const button = e.target.closest('button[data-action="merge"]');
+    if (!button) return;
+
+    const { id, from, intoName, fromName } = button.dataset;
+    if (!confirm(`Merge ${fromName} into ${intoName}? Its transactions move to ${intoName} and "${fromName}" becomes an alias.`)) return;
+
+    try {
+        const result = await API.mergeGrowers(id, [from]);
+        showToast(result.message, 'success');
+        await loadData();
+        refreshAllCharts();
+    } catch (error) {
+        showToast(`Merge failed: ${error.message}`, 'error');
+    }
+
+    loadGrowerDuplicates();
+}
+
 function updateDataSummary() {
     document.getElementById('total-records').textContent = state.data.length.toLocaleString();
 
     if (state.data.length > 0) {
-        const dates = state.data.map(d => new Date(d.date)).filter(d => !isNaN(d));
-        if (dates.length > 0) {
-            const minDate = new Date(Math.min(...dates));
-            const maxDate = new Date(Math.max(...dates));
+        const days = state.data.map(d => Dates.toDay(d.date)).filter(Boolean).map(day => day.getTime());
+        if (days.length > 0) {
+            const first = days.reduce((a, b) => Math.min(a, b));
+            const last = days.reduce((a, b) => Math.max(a, b));
             document.getElementById('data-date-range').textContent =
-                `${minDate.toLocaleDateString()} - ${maxDate.toLocaleDateString()}`;
+                `${formatDate(new Date(first))} - ${formatDate(new Date(last))}`;
         }
 
-        const uniqueGrowers = new Set(state.data.map(d => d.grower_name));
+        const uniqueGrowers = new Set(state.data.map(Growers.growerKey));
         document.getElementById('unique-growers').textContent = uniqueGrowers.size.toLocaleString();
     } else {
         document.getElementById('data-date-range').textContent = 'No data';
@@ -707,6 +1403,8 @@ function updateDataSummary() {
     }
 
     document.getElementById('last-updated').textContent = new Date().toLocaleString();
+
+    updateRecordsTable();
 }
 
 // ============================================
@@ -722,10 +1420,12 @@ function destroyAllCharts() {
 }
 
 function initializeAllCharts() {
+    fillSeasonSelects();
     updateOverviewStats();
     createOverviewCharts();
     updateHistoricalCharts();
     runForecast();
+    updateForecastBacktest();
     updateGrowerAnalysis();
     updateProductAnalysis();
 }
@@ -739,7 +1439,7 @@ function refreshAllCharts() {
 // OVERVIEW TAB
 // ============================================
 function updateOverviewStats() {
-    const currentYear = new Date().getFullYear();
+    const currentYear = Seasons.current();
     const lastYear = currentYear - 1;
 
     const currentYearData = filterDataByYear(currentYear);
@@ -749,16 +1449,16 @@ function updateOverviewStats() {
     const lastYearRevenue = lastYearData.reduce((sum, d) => sum + d.amount, 0);
     const revenueChange = lastYearRevenue ? ((totalRevenue - lastYearRevenue) / lastYearRevenue * 100) : 0;
 
-    const growers = new Set(currentYearData.map(d => d.grower_name)).size;
-    const lastYearGrowers = new Set(lastYearData.map(d => d.grower_name)).size;
+    const growers = new Set(currentYearData.map(Growers.growerKey)).size;
+    const lastYearGrowers = new Set(lastYearData.map(Growers.growerKey)).size;
     const growersChange = growers - lastYearGrowers;
 
     const orders = currentYearData.length;
     const lastYearOrders = lastYearData.length;
     const ordersChange = lastYearOrders ? ((orders - lastYearOrders) / lastYearOrders * 100) : 0;
 
-    const currentGrowers = new Set(currentYearData.map(d => d.grower_name));
-    const previousGrowers = new Set(lastYearData.map(d => d.grower_name));
+    const currentGrowers = new Set(currentYearData.map(Growers.growerKey));
+    const previousGrowers = new Set(lastYearData.map(Growers.growerKey));
     const returningGrowers = [...currentGrowers].filter(g => previousGrowers.has(g)).length;
     const retentionRate = previousGrowers.size ? (returningGrowers / previousGrowers.size * 100) : 0;
 
@@ -789,7 +1489,8 @@ function createOverviewRevenueChart() {
 
     if (state.charts.overviewRevenue) state.charts.overviewRevenue.destroy();
 
-    const yearlyData = CONFIG.YEARS.map(year => {
+    const seasons = dataSeasons();
+    const yearlyData = seasons.map(year => {
         const data = filterDataByYear(year);
         return data.reduce((sum, d) => sum + d.amount, 0);
     });
@@ -797,7 +1498,7 @@ function createOverviewRevenueChart() {
     state.charts.overviewRevenue = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: CONFIG.YEARS,
+            labels: seasons.map(Seasons.label),
             datasets: [{
                 label: 'Revenue',
                 data: yearlyData,
@@ -871,22 +1572,19 @@ function createOverviewMonthlyChart() {
 
     if (state.charts.overviewMonthly) state.charts.overviewMonthly.destroy();
 
-    const currentYear = new Date().getFullYear();
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const currentData = filterDataByYear(Seasons.current());
+    const months = Seasons.months();
 
-    const monthlyData = months.map((_, index) => {
-        return state.data
-            .filter(d => {
-                const date = new Date(d.date);
-                return date.getFullYear() === currentYear && date.getMonth() === index;
-            })
+    const monthlyData = months.map(month => {
+        return currentData
+            .filter(d => monthOf(d) === month)
             .reduce((sum, d) => sum + d.amount, 0);
     });
 
     state.charts.overviewMonthly = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: months,
+            labels: months.map(monthName),
             datasets: [{
                 label: 'Revenue',
                 data: monthlyData,
@@ -915,8 +1613,9 @@ function createOverviewMonthlyChart() {
 // HISTORICAL ANALYSIS TAB
 // ============================================
 function updateHistoricalCharts() {
-    const startYear = parseInt(document.getElementById('hist-year-start')?.value || 2022);
-    const endYear = parseInt(document.getElementById('hist-year-end')?.value || 2026);
+    const seasons = dataSeasons();
+    const startYear = parseInt(document.getElementById('hist-year-start')?.value || seasons[0]);
+    const endYear = parseInt(document.getElementById('hist-year-end')?.value || seasons[seasons.length - 1]);
     const product = document.getElementById('hist-product')?.value || 'all';
 
     const years = [];
@@ -947,7 +1646,7 @@ function createHistoricalRevenueChart(years, product) {
     state.charts.historicalRevenue = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: years,
+            labels: years.map(Seasons.label),
             datasets: [{
                 label: 'Revenue',
                 data: yearlyData,
@@ -980,14 +1679,11 @@ function createYoYComparisonChart(years, product) {
 
     if (state.charts.yoyComparison) state.charts.yoyComparison.destroy();
 
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const months = Seasons.months();
 
     const datasets = years.slice(-3).map((year, index) => {
-        const monthlyData = months.map((_, monthIndex) => {
-            let data = state.data.filter(d => {
-                const date = new Date(d.date);
-                return date.getFullYear() === year && date.getMonth() === monthIndex;
-            });
+        const monthlyData = months.map(month => {
+            let data = filterDataByYear(year).filter(d => monthOf(d) === month);
             if (product !== 'all') {
                 data = data.filter(d => d.product === product);
             }
@@ -995,7 +1691,7 @@ function createYoYComparisonChart(years, product) {
         });
 
         return {
-            label: year.toString(),
+            label: Seasons.label(year),
             data: monthlyData,
             borderColor: CONFIG.CHART_COLORS[index],
             backgroundColor: 'transparent',
@@ -1006,7 +1702,7 @@ function createYoYComparisonChart(years, product) {
     state.charts.yoyComparison = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: months,
+            labels: months.map(monthName),
             datasets: datasets
         },
         options: {
@@ -1050,7 +1746,7 @@ function createGrowthRateChart(years, product) {
     state.charts.growthRate = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: years,
+            labels: years.map(Seasons.label),
             datasets: [{
                 label: 'Growth Rate (%)',
                 data: growthRates,
@@ -1095,7 +1791,7 @@ function updateHistoricalTable(years, product) {
 
         html += `
             <tr>
-                <td>${year}</td>
+                <td>${escapeHtml(Seasons.label(year))}</td>
                 <td>${formatCurrency(revenue)}</td>
                 <td>${orders.toLocaleString()}</td>
                 <td>${growers.toLocaleString()}</td>
@@ -1107,170 +1803,131 @@ function updateHistoricalTable(years, product) {
         prevRevenue = revenue;
     });
 
-    tbody.innerHTML = html || '<tr><td colspan="6" style="text-align: center;">No data available</td></tr>';
+    tbody.innerHTML = html || '<tr><td colspan="7" style="text-align: center;">No data available</td></tr>';
 }
 
 // ============================================
 // FORECASTING TAB
 // ============================================
-function runForecast() {
-    const method = document.getElementById('forecast-method')?.value || 'linear';
-    const confidence = parseFloat(document.getElementById('confidence-level')?.value || 0.9);
-
-    const yearlyData = CONFIG.YEARS.map(year => {
-        const data = filterDataByYear(year);
-        return {
-            year,
-            revenue: data.reduce((sum, d) => sum + d.amount, 0),
-            growers: new Set(data.map(d => d.grower_name)).size
-        };
-    });
-
-    const forecast = calculateForecast(yearlyData, method, confidence);
-
-    updateForecastSummary(forecast, yearlyData);
-    createForecastChart(yearlyData, forecast, confidence);
-    createProductForecastChart();
-    createMonthlyForecastChart();
-}
-
-function calculateForecast(data, method, confidence) {
-    const revenues = data.map(d => d.revenue);
-    const growers = data.map(d => d.growers);
-    const years = data.map(d => d.year);
-
-    let forecastRevenue, forecastGrowers;
-
-    switch (method) {
-        case 'linear':
-            forecastRevenue = linearRegression(years, revenues, 2027);
-            forecastGrowers = linearRegression(years, growers, 2027);
-            break;
-        case 'growth':
-            forecastRevenue = growthRateForecast(revenues);
-            forecastGrowers = growthRateForecast(growers);
-            break;
-        case 'weighted':
-            forecastRevenue = weightedAverageForecast(revenues);
-            forecastGrowers = weightedAverageForecast(growers);
-            break;
-        default:
-            forecastRevenue = linearRegression(years, revenues, 2027);
-            forecastGrowers = linearRegression(years, growers, 2027);
-    }
-
-    // Calculate confidence intervals
-    const revenueStdDev = standardDeviation(revenues);
-    const zScore = getZScore(confidence);
-    const marginOfError = revenueStdDev * zScore;
-
-    const growerStdDev = standardDeviation(growers);
-    const growerMargin = growerStdDev * zScore;
-
-    return {
-        revenue: Math.max(0, forecastRevenue),
-        revenueLow: Math.max(0, forecastRevenue - marginOfError),
-        revenueHigh: forecastRevenue + marginOfError,
-        growers: Math.max(0, Math.round(forecastGrowers)),
-        growersLow: Math.max(0, Math.round(forecastGrowers - growerMargin)),
-        growersHigh: Math.round(forecastGrowers + growerMargin)
-    };
-}
-
-function linearRegression(x, y, targetX) {
-    const n = x.length;
-    if (n === 0) return 0;
-
-    const sumX = x.reduce((a, b) => a + b, 0);
-    const sumY = y.reduce((a, b) => a + b, 0);
-    const sumXY = x.reduce((total, xi, i) => total + xi * y[i], 0);
-    const sumX2 = x.reduce((total, xi) => total + xi * xi, 0);
-
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-
-    return slope * targetX + intercept;
+/**
+ * Forecast from the server when connected, or from the loaded data with
+ * the same engine (forecast.js) otherwise, so every page agrees
+ */
+function fetchForecast(options) {
+    if (CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined') {
+        return API.getForecast(options, state.data);
+    }
+    return Promise.resolve(Forecast.forecastRecords(state.data, options));
 }
 
-function growthRateForecast(data) {
-    if (data.length < 2) return data[data.length - 1] || 0;
-
-    const growthRates = [];
-    for (let i = 1; i < data.length; i++) {
-        if (data[i - 1] > 0) {
-            growthRates.push((data[i] - data[i - 1]) / data[i - 1]);
-        }
+/**
+ * Backtest of every method, from the server or the loaded data like
+ * fetchForecast
+ */
+function fetchBacktest(options) {
+    if (CONFIG.USE_API && state.apiOnline && typeof API !== 'undefined') {
+        return API.getBacktest(options, state.data);
     }
-
-    const avgGrowth = growthRates.length ? growthRates.reduce((a, b) => a + b, 0) / growthRates.length : 0;
-    return data[data.length - 1] * (1 + avgGrowth);
+    return Promise.resolve(Forecast.backtestRecords(state.data, options));
 }
 
-function weightedAverageForecast(data) {
-    if (data.length === 0) return 0;
-
-    const weights = data.map((_, i) => i + 1);
-    const totalWeight = weights.reduce((a, b) => a + b, 0);
-
-    const weighted = data.reduce((sum, value, i) => sum + value * weights[i], 0);
-    const weightedAvg = weighted / totalWeight;
-
-    // Apply trend
-    const lastValue = data[data.length - 1];
-    const avgValue = data.reduce((a, b) => a + b, 0) / data.length;
-    const trend = lastValue > avgValue ? 1.05 : 0.95;
-
-    return weightedAvg * trend;
+/**
+ * Confidence level from the percent input, as a fraction for the engine
+ */
+function forecastConfidence() {
+    const percent = parseFloat(document.getElementById('confidence-level')?.value);
+    return percent > 0 && percent < 100 ? percent / 100 : Forecast.DEFAULT_CONFIDENCE;
 }
 
-function standardDeviation(data) {
-    if (data.length === 0) return 0;
-    const mean = data.reduce((a, b) => a + b, 0) / data.length;
-    const squaredDiffs = data.map(value => Math.pow(value - mean, 2));
-    return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / data.length);
-}
+async function runForecast() {
+    const method = document.getElementById('forecast-method')?.value || 'linear';
+    const confidence = forecastConfidence();
 
-function getZScore(confidence) {
-    const zScores = {
-        0.80: 1.28,
-        0.90: 1.645,
-        0.95: 1.96
-    };
-    return zScores[confidence] || 1.645;
+    try {
+        const [revenue, growers, products] = await Promise.all([
+            fetchForecast({ level: 'total', measure: 'revenue', method, confidence }),
+            fetchForecast({ level: 'total', measure: 'growers', method, confidence }),
+            fetchForecast({ level: 'product', measure: 'revenue', method, confidence })
+        ]);
+
+        const total = revenue.forecasts[0] || { history: [], value: 0, low: null, high: null };
+        const growerTotal = growers.forecasts[0] || { history: [], value: 0, low: null, high: null };
+        const yearlyData = revenue.seasons.map((year, index) => ({
+            year,
+            revenue: total.history[index] || 0,
+            growers: growerTotal.history[index] || 0
+        }));
+
+        const forecast = {
+            season: revenue.season || forecastSeason(dataSeasons()),
+            revenue: total.value,
+            revenueLow: total.low,
+            revenueHigh: total.high,
+            growers: growerTotal.value,
+            growersLow: growerTotal.low,
+            growersHigh: growerTotal.high,
+            confidence: revenue.confidence
+        };
+
+        updateForecastSummary(forecast, yearlyData);
+        createForecastChart(yearlyData, forecast);
+        createProductForecastChart(products, forecast.season);
+        createMonthlyForecastChart(forecast.revenue);
+    } catch (error) {
+        console.error('Forecast failed:', error);
+        showToast('Forecast failed: ' + error.message, 'error');
+    }
 }
 
 function updateForecastSummary(forecast, yearlyData) {
     const lastYearRevenue = yearlyData[yearlyData.length - 1]?.revenue || 0;
     const growth = lastYearRevenue ? ((forecast.revenue - lastYearRevenue) / lastYearRevenue * 100) : 0;
 
+    document.getElementById('forecast-revenue-label').textContent = `${Seasons.label(forecast.season)} Projected Revenue`;
     document.getElementById('forecast-revenue').textContent = formatCurrency(forecast.revenue);
     document.getElementById('forecast-range').textContent =
-        `Range: ${formatCurrency(forecast.revenueLow)} - ${formatCurrency(forecast.revenueHigh)}`;
+        forecastRange(forecast.revenueLow, forecast.revenueHigh, formatCurrency, forecast.confidence);
 
     document.getElementById('forecast-growers').textContent = forecast.growers.toLocaleString();
     document.getElementById('forecast-growers-range').textContent =
-        `Range: ${forecast.growersLow} - ${forecast.growersHigh}`;
+        forecastRange(forecast.growersLow, forecast.growersHigh, v => v.toLocaleString(), forecast.confidence);
 
     document.getElementById('forecast-growth').textContent = `${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%`;
-    document.getElementById('forecast-growth-range').textContent = 'vs 2026';
+    document.getElementById('forecast-growth-range').textContent = yearlyData.length > 0
+        ? `vs ${Seasons.label(yearlyData[yearlyData.length - 1].year)}`
+        : 'vs last season';
 }
 
-function createForecastChart(yearlyData, forecast, confidence) {
+/**
+ * Prediction interval as text; too little history leaves no interval
+ */
+function forecastRange(low, high, format, confidence) {
+    if (low === null || high === null) return 'Range: n/a (needs more seasons)';
+    return `${formatPercent(confidence)} range: ${format(low)} - ${format(high)}`;
+}
+
+/**
+ * Revenue history with the forecast and its prediction interval drawn as
+ * a band fanning out from the last season
+ */
+function createForecastChart(yearlyData, forecast) {
     const ctx = document.getElementById('forecast-chart')?.getContext('2d');
     if (!ctx) return;
 
     if (state.charts.forecast) state.charts.forecast.destroy();
 
-    const years = [...CONFIG.YEARS, 2027];
+    const years = [...yearlyData.map(d => d.year), forecast.season];
     const revenues = [...yearlyData.map(d => d.revenue), null];
-    const forecastLine = [...Array(CONFIG.YEARS.length).fill(null), forecast.revenue];
-    const upperBound = [...Array(CONFIG.YEARS.length).fill(null), forecast.revenueHigh];
-    const lowerBound = [...Array(CONFIG.YEARS.length).fill(null), forecast.revenueLow];
+    // Forecast and bounds start from the last actual so the band fans out
+    const lead = yearlyData.length ? [...Array(yearlyData.length - 1).fill(null), yearlyData[yearlyData.length - 1].revenue] : [];
+    const forecastLine = [...lead, forecast.revenue];
+    const hasInterval = forecast.revenueLow !== null && forecast.revenueHigh !== null;
+    const bandLabel = `${formatPercent(forecast.confidence)} Prediction Interval`;
 
     state.charts.forecast = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: years,
+            labels: years.map(Seasons.label),
             datasets: [
                 {
                     label: 'Historical Revenue',
@@ -1281,7 +1938,7 @@ function createForecastChart(yearlyData, forecast, confidence) {
                     tension: 0.4
                 },
                 {
-                    label: '2027 Forecast',
+                    label: `${Seasons.label(forecast.season)} Forecast`,
                     data: forecastLine,
                     borderColor: CONFIG.CHART_COLORS[3],
                     backgroundColor: CONFIG.CHART_COLORS[3],
@@ -1289,41 +1946,35 @@ function createForecastChart(yearlyData, forecast, confidence) {
                     pointRadius: 8,
                     pointStyle: 'star'
                 },
-                {
-                    label: 'Upper Bound',
-                    data: upperBound,
-                    borderColor: `${CONFIG.CHART_COLORS[3]}80`,
-                    backgroundColor: 'transparent',
-                    borderDash: [2, 2],
-                    pointRadius: 5
-                },
-                {
-                    label: 'Lower Bound',
-                    data: lowerBound,
-                    borderColor: `${CONFIG.CHART_COLORS[3]}80`,
-                    backgroundColor: 'transparent',
-                    borderDash: [2, 2],
-                    pointRadius: 5
-                }
+                ...(hasInterval ? [
+                    {
+                        label: bandLabel,
+                        data: [...lead, forecast.revenueHigh],
+                        borderColor: `${CONFIG.CHART_COLORS[3]}80`,
+                        backgroundColor: `${CONFIG.CHART_COLORS[3]}20`,
+                        borderDash: [2, 2],
+                        pointRadius: 5,
+                        fill: '+1'
+                    },
+                    {
+                        label: 'Lower Bound',
+                        data: [...lead, forecast.revenueLow],
+                        borderColor: `${CONFIG.CHART_COLORS[3]}80`,
+                        backgroundColor: 'transparent',
+                        borderDash: [2, 2],
+                        pointRadius: 5,
+                        fill: false
+                    }
+                ] : [])
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
-                legend: { position: 'top' },
-                annotation: {
-                    annotations: {
-                        confidenceBand: {
-                            type: 'box',
-                            xMin: 4.5,
-                            xMax: 5.5,
-                            yMin: forecast.revenueLow,
-                            yMax: forecast.revenueHigh,
-                            backgroundColor: `${CONFIG.CHART_COLORS[3]}20`,
-                            borderColor: 'transparent'
-                        }
-                    }
+                legend: {
+                    position: 'top',
+                    labels: { filter: item => item.text !== 'Lower Bound' }
                 }
             },
             scales: {
@@ -1338,30 +1989,22 @@ function createForecastChart(yearlyData, forecast, confidence) {
     });
 }
 
-function createProductForecastChart() {
+function createProductForecastChart(result, season) {
     const ctx = document.getElementById('product-forecast-chart')?.getContext('2d');
     if (!ctx) return;
 
     if (state.charts.productForecast) state.charts.productForecast.destroy();
 
-    const productForecasts = CONFIG.PRODUCTS.map(product => {
-        const yearlyRevenues = CONFIG.YEARS.map(year => {
-            const data = filterDataByYear(year).filter(d => d.product === product);
-            return data.reduce((sum, d) => sum + d.amount, 0);
-        });
-
-        return {
-            product,
-            forecast: linearRegression(CONFIG.YEARS, yearlyRevenues, 2027)
-        };
-    }).filter(p => p.forecast > 0).sort((a, b) => b.forecast - a.forecast);
+    const productForecasts = result.forecasts
+        .map(f => ({ product: f.product, forecast: f.value }))
+        .filter(p => p.forecast > 0);
 
     state.charts.productForecast = new Chart(ctx, {
         type: 'bar',
         data: {
             labels: productForecasts.map(p => p.product),
             datasets: [{
-                label: '2027 Projected Revenue',
+                label: `${Seasons.label(season)} Projected Revenue`,
                 data: productForecasts.map(p => p.forecast),
                 backgroundColor: CONFIG.CHART_COLORS
             }]
@@ -1385,22 +2028,23 @@ function createProductForecastChart() {
     });
 }
 
-function createMonthlyForecastChart() {
+function createMonthlyForecastChart(seasonForecast) {
     const ctx = document.getElementById('monthly-forecast-chart')?.getContext('2d');
     if (!ctx) return;
 
     if (state.charts.monthlyForecast) state.charts.monthlyForecast.destroy();
 
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const months = Seasons.months();
+    const seasons = dataSeasons();
 
     // Calculate average monthly distribution
-    const monthlyDistribution = months.map((_, index) => {
+    const monthlyDistribution = months.map(month => {
         let totalMonthRevenue = 0;
         let totalYearRevenue = 0;
 
-        CONFIG.YEARS.forEach(year => {
+        seasons.forEach(year => {
             const yearData = filterDataByYear(year);
-            const monthData = yearData.filter(d => new Date(d.date).getMonth() === index);
+            const monthData = yearData.filter(d => monthOf(d) === month);
             totalMonthRevenue += monthData.reduce((sum, d) => sum + d.amount, 0);
             totalYearRevenue += yearData.reduce((sum, d) => sum + d.amount, 0);
         });
@@ -1408,19 +2052,13 @@ function createMonthlyForecastChart() {
         return totalYearRevenue ? totalMonthRevenue / totalYearRevenue : 1 / 12;
     });
 
-    // Get 2027 forecast
-    const yearlyRevenues = CONFIG.YEARS.map(year => {
-        const data = filterDataByYear(year);
-        return data.reduce((sum, d) => sum + d.amount, 0);
-    });
-    const forecast2027 = linearRegression(CONFIG.YEARS, yearlyRevenues, 2027);
-
-    const monthlyForecast = monthlyDistribution.map(dist => forecast2027 * dist);
+    // The season's forecast spread over its months
+    const monthlyForecast = monthlyDistribution.map(dist => seasonForecast * dist);
 
     state.charts.monthlyForecast = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: months,
+            labels: months.map(monthName),
             datasets: [{
                 label: 'Projected Monthly Revenue',
                 data: monthlyForecast,
@@ -1445,11 +2083,72 @@ function createMonthlyForecastChart() {
     });
 }
 
+const FORECAST_LEVEL_LABELS = {
+    total: 'Total',
+    product: 'Product',
+    hybrid: 'Hybrid',
+    grower: 'Grower',
+    grower_hybrid: 'Grower x Hybrid'
+};
+
+const formatPercent = (value, signed = false) => value === null
+    ? '-'
+    : `${signed && value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+/**
+ * Score every method on revenue by hiding the latest season, list the
+ * scores per level, and recommend the method that forecast the total
+ * best next to the method selector
+ */
+async function updateForecastBacktest() {
+    const recommendation = document.getElementById('forecast-recommendation');
+    const tbody = document.querySelector('#forecast-backtest-table tbody');
+    const note = document.getElementById('forecast-backtest-note');
+    if (!recommendation || !tbody) return;
+
+    try {
+        const backtest = await fetchBacktest({ measure: 'revenue', confidence: forecastConfidence() });
+        if (backtest.season === null) {
+            recommendation.textContent = 'Needs two seasons of data';
+            note.textContent = 'Backtesting hides the latest season and forecasts it from the ones before, so it needs at least two seasons of data.';
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No data available</td></tr>';
+            return;
+        }
+
+        const best = backtest.results.find(r => r.level === 'total' && r.method === backtest.best.total);
+        recommendation.innerHTML = best
+            ? `${best.label} (MAPE ${formatPercent(best.mape)}) <button class="btn-link" data-method="${best.method}">Use</button>`
+            : 'No recommendation';
+
+        const first = backtest.seasons[0];
+        const last = backtest.seasons[backtest.seasons.length - 1];
+        note.textContent = `${Seasons.label(backtest.season)} hidden and forecast from ${Seasons.label(first)}` +
+            `${first === last ? '' : ` to ${Seasons.label(last)}`}. Hit rate counts forecasts within ` +
+            `${formatPercent(backtest.tolerance)} of actual revenue; positive bias means forecasts ran high. ` +
+            `Coverage is the share of actuals inside the ${formatPercent(backtest.confidence)} prediction interval.`;
+
+        tbody.innerHTML = backtest.results.map(r => `
+            <tr>
+                <td>${FORECAST_LEVEL_LABELS[r.level] || r.level}</td>
+                <td>${backtest.best[r.level] === r.method ? `<strong>${r.label}</strong>` : r.label}</td>
+                <td>${r.series.toLocaleString()}</td>
+                <td>${formatPercent(r.mape)}</td>
+                <td>${formatPercent(r.bias, true)}</td>
+                <td>${formatPercent(r.hit_rate)}</td>
+                <td>${formatPercent(r.coverage)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Backtest failed:', error);
+        recommendation.textContent = 'Unavailable';
+    }
+}
+
 // ============================================
 // GROWER ANALYSIS TAB
 // ============================================
 function updateGrowerAnalysis() {
-    const year = parseInt(document.getElementById('grower-year')?.value || new Date().getFullYear());
+    const year = parseInt(document.getElementById('grower-year')?.value || Seasons.current());
     const sortBy = document.getElementById('grower-sort')?.value || 'revenue';
     const searchTerm = document.getElementById('grower-search')?.value.toLowerCase() || '';
 
@@ -1463,8 +2162,8 @@ function updateGrowerStats(year) {
     const currentYearData = filterDataByYear(year);
     const previousYearData = filterDataByYear(year - 1);
 
-    const currentGrowers = new Set(currentYearData.map(d => d.grower_name));
-    const previousGrowers = new Set(previousYearData.map(d => d.grower_name));
+    const currentGrowers = new Set(currentYearData.map(Growers.growerKey));
+    const previousGrowers = new Set(previousYearData.map(Growers.growerKey));
 
     const newGrowers = [...currentGrowers].filter(g => !previousGrowers.has(g)).length;
     const returningGrowers = [...currentGrowers].filter(g => previousGrowers.has(g)).length;
@@ -1483,11 +2182,12 @@ function createRetentionTrendChart() {
 
     if (state.charts.retentionTrend) state.charts.retentionTrend.destroy();
 
-    const retentionData = CONFIG.YEARS.map((year, index) => {
+    const seasons = dataSeasons();
+    const retentionData = seasons.map((year, index) => {
         if (index === 0) return 0;
 
-        const currentGrowers = new Set(filterDataByYear(year).map(d => d.grower_name));
-        const previousGrowers = new Set(filterDataByYear(year - 1).map(d => d.grower_name));
+        const currentGrowers = new Set(filterDataByYear(year).map(Growers.growerKey));
+        const previousGrowers = new Set(filterDataByYear(year - 1).map(Growers.growerKey));
 
         const returning = [...currentGrowers].filter(g => previousGrowers.has(g)).length;
         return previousGrowers.size ? (returning / previousGrowers.size * 100) : 0;
@@ -1496,7 +2196,7 @@ function createRetentionTrendChart() {
     state.charts.retentionTrend = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: CONFIG.YEARS,
+            labels: seasons.map(Seasons.label),
             datasets: [{
                 label: 'Retention Rate',
                 data: retentionData,
@@ -1576,13 +2276,15 @@ function updateGrowerTable(year, sortBy, searchTerm) {
     if (!tbody) return;
 
     const yearData = filterDataByYear(year);
-    const previousYearGrowers = new Set(filterDataByYear(year - 1).map(d => d.grower_name));
+    const previousYearGrowers = new Set(filterDataByYear(year - 1).map(Growers.growerKey));
 
     const growerStats = {};
 
     yearData.forEach(d => {
-        if (!growerStats[d.grower_name]) {
-            growerStats[d.grower_name] = {
+        const key = Growers.growerKey(d);
+        if (!growerStats[key]) {
+            growerStats[key] = {
+                key,
                 name: d.grower_name,
                 revenue: 0,
                 orders: 0,
@@ -1592,7 +2294,7 @@ function updateGrowerTable(year, sortBy, searchTerm) {
             };
         }
 
-        const stats = growerStats[d.grower_name];
+        const stats = growerStats[key];
         stats.revenue += d.amount;
         stats.orders++;
         stats.products.add(d.product);
@@ -1623,7 +2325,7 @@ function updateGrowerTable(year, sortBy, searchTerm) {
 
     let html = '';
     growers.forEach(g => {
-        const isReturning = previousYearGrowers.has(g.name);
+        const isReturning = previousYearGrowers.has(g.key);
         const status = isReturning ? 'Returning' : 'New';
         const statusClass = isReturning ? 'status-active' : '';
 
@@ -1760,8 +2462,9 @@ function createProductTrendChart() {
         .slice(0, 5)
         .map(p => p[0]);
 
+    const seasons = dataSeasons();
     const datasets = topProducts.map((product, index) => {
-        const yearlyData = CONFIG.YEARS.map(year => {
+        const yearlyData = seasons.map(year => {
             const data = filterDataByYear(year).filter(d => d.product === product);
             return data.reduce((sum, d) => sum + d.amount, 0);
         });
@@ -1778,7 +2481,7 @@ function createProductTrendChart() {
     state.charts.productTrend = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: CONFIG.YEARS,
+            labels: seasons.map(Seasons.label),
             datasets: datasets
         },
         options: {
@@ -1858,13 +2561,62 @@ function updateProductTable(year) {
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
+// Records by season (see seasons.js), shared by every tab until state.data
+// or the season definition changes. The returned arrays must not be modified.
+const yearCache = { data: null, length: 0, version: -1, season: null, years: new Map() };
+
+function recordsBySeason() {
+    const season = Seasons.boundaryKey();
+    if (yearCache.data !== state.data || yearCache.length !== state.data.length ||
+        yearCache.version !== state.dataVersion || yearCache.season !== season) {
+        yearCache.data = state.data;
+        yearCache.length = state.data.length;
+        yearCache.version = state.dataVersion;
+        yearCache.season = season;
+        yearCache.years = new Map();
+        state.data.forEach(d => {
+            const recordYear = Seasons.seasonOf(d.date);
+            if (recordYear === null) return;
+            if (!yearCache.years.has(recordYear)) yearCache.years.set(recordYear, []);
+            yearCache.years.get(recordYear).push(d);
+        });
+    }
+    return yearCache.years;
+}
+
+/**
+ * Records in a season
+ */
 function filterDataByYear(year) {
-    return state.data.filter(d => {
-        const date = new Date(d.date);
-        return date.getFullYear() === year;
-    });
+    return recordsBySeason().get(year) || [];
+}
+
+/**
+ * Seasons with data, oldest first, or the season in progress when there
+ * is no data
+ */
+function dataSeasons() {
+    const seasons = [...recordsBySeason().keys()].sort((a, b) => a - b);
+    return seasons.length > 0 ? seasons : [Seasons.current()];
+}
+
+/**
+ * Season a forecast is for: the one after the latest with data
+ */
+function forecastSeason(seasons) {
+    return seasons.length > 0 ? Math.max(...seasons) + 1 : Seasons.current() + 1;
 }
 
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Calendar month (1-12) of a record's date (see dates.js)
+const monthOf = (d) => {
+    const day = Dates.toDay(d.date);
+    return day ? day.getUTCMonth() + 1 : null;
+};
+
+const monthName = (month) => MONTH_NAMES[month - 1];
+
 function formatCurrency(value) {
     if (value >= 1000000) {
         return `$${(value / 1000000).toFixed(2)}M`;
@@ -1874,9 +2626,21 @@ function formatCurrency(value) {
     return `$${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
 }
 
+// Dates are calendar days held at midnight UTC, so they are shown in UTC
+// to keep the browser's own zone from moving them to the day before
 function formatDate(dateStr) {
-    const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const day = Dates.toDay(dateStr);
+    return day ? day.toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' }) : '';
+}
+
+function toInputDate(dateStr) {
+    return Dates.format(dateStr);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
 }
 
 function showToast(message, type = 'info') {
@@ -1904,8 +2668,9 @@ function generateSampleData() {
     ];
 
     const sampleData = [];
+    const seasons = [4, 3, 2, 1, 0].map(back => Seasons.current() - back);
 
-    CONFIG.YEARS.forEach(year => {
+    seasons.forEach(year => {
         const numEntries = 50 + Math.floor(Math.random() * 100);
 
         for (let i = 0; i < numEntries; i++) {
@@ -1952,11 +2717,12 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(initializePioneerImport, 100);
 });
 
-function parsePioneerData() {
+async function parsePioneerData() {
     const text = document.getElementById('pioneer-paste')?.value.trim();
     const yearOverride = document.getElementById('pioneer-year')?.value;
     const productOverride = document.getElementById('pioneer-product-type')?.value;
-    const pricePerUnit = parseFloat(document.getElementById('pioneer-price')?.value) || 280;
+    // Blank prices each line from the price book
+    const priceOverride = parseFloat(document.getElementById('pioneer-price')?.value) || null;
 
     if (!text) {
         showToast('Please paste your Pioneer data first', 'warning');
@@ -1967,17 +2733,17 @@ function parsePioneerData() {
     pendingPioneerData = [];
 
     lines.forEach((line, index) => {
-        const parsed = parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, index);
+        const parsed = parsePioneerLine(line, yearOverride, productOverride, priceOverride, index);
         if (parsed) {
             pendingPioneerData.push(parsed);
         }
     });
 
     if (pendingPioneerData.length > 0) {
-        showPioneerPreview(pendingPioneerData, pricePerUnit);
-        document.getElementById('import-pioneer').disabled = false;
+        showPioneerPreview(pendingPioneerData);
         document.getElementById('pioneer-status').textContent = `Found ${pendingPioneerData.length} valid records`;
         document.getElementById('pioneer-status').className = 'import-status success';
+        await stageImportBatch('pioneer', { records: pendingPioneerData });
     } else {
         showToast('No valid data found. Check the format.', 'error');
         document.getElementById('pioneer-status').textContent = 'No valid records found';
@@ -1985,7 +2751,7 @@ function parsePioneerData() {
     }
 }
 
-function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lineIndex) {
+function parsePioneerLine(line, yearOverride, productOverride, priceOverride, lineIndex) {
     // Split by tab first (Excel/Power BI copy), then fall back to multiple spaces
     let parts;
     if (line.includes('\t')) {
@@ -2001,7 +2767,7 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
         return null;
     }
 
-    let year, growerName, productType, hybrid, quantity;
+    let year, growerName, accountNumber, productType, hybrid, trait, cropLine, quantity, deliveryStatus;
 
     // Check if this looks like the Demand Plan format:
     // Sales Year | Operation | Account | Product line | Product | Subproduct | Trait | Total invoice | ... | Delivered | ...
@@ -2011,11 +2777,12 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
         // Demand Plan Tracking format
         year = parseInt(parts[0]);                    // Sales Year
         growerName = parts[1];                         // Operation
-        // parts[2] = Account (skip)
+        accountNumber = parts[2] || undefined;         // Account (matches the grower record)
         const productLine = parts[3];                  // Product line (Corn, Soybean, etc.)
         // parts[4] = Product
         hybrid = parts[5];                             // Subproduct (hybrid code)
-        // parts[6] = Trait segment
+        trait = parts[6];                              // Trait segment
+        cropLine = productLine;
 
         // Detect product type from Product line column
         if (productOverride && productOverride !== 'auto') {
@@ -2049,6 +2816,7 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
             const deliveredVal = parseFloat(String(parts[11]).replace(/,/g, ''));
             if (!isNaN(deliveredVal) && deliveredVal > 0) {
                 quantity = deliveredVal;
+                deliveryStatus = 'delivered';
             }
         }
 
@@ -2073,7 +2841,7 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
         } else if (yearOverride && yearOverride !== 'auto') {
             year = parseInt(yearOverride);
         } else {
-            year = new Date().getFullYear();
+            year = Seasons.current();
         }
 
         // Look for grower name (usually contains letters and possibly numbers/special chars)
@@ -2124,6 +2892,9 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
             }
         }
 
+        // Look for trait code (NR followed by digits)
+        trait = parts.find(part => /^NR\d/i.test(part));
+
         // Find quantity - look for numbers
         const numbers = [];
         for (const part of parts) {
@@ -2145,19 +2916,36 @@ function parsePioneerLine(line, yearOverride, productOverride, pricePerUnit, lin
     if (!growerName || growerName.length < 2) return null;
     if (!productType) productType = 'Corn Seed';
     if (!quantity || quantity <= 0) quantity = 1;
-    if (!year) year = yearOverride !== 'auto' ? parseInt(yearOverride) : new Date().getFullYear();
+    if (!year) year = yearOverride !== 'auto' ? parseInt(yearOverride) : Seasons.current();
 
-    const amount = quantity * pricePerUnit;
-
-    return {
-        date: `${year}-03-15`, // Default to March 15 (planting season)
+    const record = {
+        // Default to March 15 (planting) within the season
+        date: Dates.format(Seasons.dateIn(year, 3, 15)),
         invoice_number: `PIO-${year}-${(lineIndex + 1).toString().padStart(4, '0')}`,
         grower_name: cleanGrowerName(growerName),
+        account_number: accountNumber,
         product: productType,
         hybrid: hybrid || 'Unknown',
+        trait: trait || undefined,
+        crop_line: cropLine || cropLineFor(productType),
+        bags: quantity,
+        delivery_status: deliveryStatus,
         quantity: quantity,
-        amount: amount
+        amount: priceOverride ? quantity * priceOverride : 0
     };
+
+    return priceOverride ? record : Pricing.priceRecord(record, state.prices);
+}
+
+/**
+ * Crop line for a seed product from the catalog (Corn Seed -> Corn);
+ * undefined for non-seed products
+ */
+function cropLineFor(product) {
+    const item = state.products.find(p => p.code === product);
+    if (item) return item.crop || undefined;
+    const lines = { 'Corn Seed': 'Corn', 'Soybean Seed': 'Soybean', 'Sorghum': 'Sorghum', 'Alfalfa': 'Alfalfa' };
+    return lines[product];
 }
 
 function cleanGrowerName(name) {
@@ -2168,7 +2956,7 @@ function cleanGrowerName(name) {
         .trim();
 }
 
-function showPioneerPreview(data, pricePerUnit) {
+function showPioneerPreview(data) {
     const previewContainer = document.getElementById('pioneer-preview');
     const table = document.getElementById('pioneer-preview-table');
 
@@ -2186,7 +2974,7 @@ function showPioneerPreview(data, pricePerUnit) {
     const byGrower = {};
     data.forEach(d => {
         if (!byGrower[d.grower_name]) {
-            byGrower[d.grower_name] = { units: 0, amount: 0, products: new Set(), year: new Date(d.date).getFullYear() };
+            byGrower[d.grower_name] = { units: 0, amount: 0, products: new Set(), year: Seasons.seasonOf(d.date) };
         }
         byGrower[d.grower_name].units += d.quantity;
         byGrower[d.grower_name].amount += d.amount;
@@ -2239,15 +3027,17 @@ async function importPioneerData() {
 
     showToast('Importing Pioneer data...', 'info');
 
-    // Add all records
-    for (const entry of pendingPioneerData) {
-        await addDataEntry(entry);
+    let result;
+    try {
+        result = await commitImportRows('pioneer', pendingPioneerData);
+    } catch (error) {
+        showToast('Import failed: ' + error.message, 'error');
+        return;
     }
 
-    const count = pendingPioneerData.length;
     const totalUnits = pendingPioneerData.reduce((sum, d) => sum + d.quantity, 0);
 
-    showToast(`Imported ${count} records (${totalUnits.toLocaleString()} units)`, 'success');
+    showToast(`${result.message} (${totalUnits.toLocaleString()} units)`, 'success');
 
     // Reset
     pendingPioneerData = [];
@@ -2266,7 +3056,7 @@ async function importPioneerData() {
 function getGrowerSummaryByYear() {
     const summary = {};
 
-    CONFIG.YEARS.forEach(year => {
+    dataSeasons().forEach(year => {
         summary[year] = {};
         const yearData = filterDataByYear(year);
 
@@ -0,0 +1,389 @@
+/**
+ * Pioneer Analytics - CSV
+ * RFC 4180 reader and writer shared by the browser (window.CSV) and the
+ * server (require('../csv')). Handles quoted fields, escaped quotes,
+ * embedded line breaks, CRLF/LF/CR line endings, a leading BOM and
+ * custom or sniffed delimiters, and maps columns by header name.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CSV = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BOM = '\uFEFF';
+    const QUOTE = '"';
+
+    // Tried in order when the delimiter is 'auto'
+    const SNIFFED_DELIMITERS = [',', '\t', ';', '|'];
+
+    /**
+     * Columns of a transaction import or export. Headers are matched
+     * against each alias ignoring case, spaces and punctuation; files
+     * without a header row are read in this order. Optional columns may be
+     * absent or blank.
+     */
+    const TRANSACTION_COLUMNS = [
+        { field: 'date', aliases: ['date', 'invoice date', 'order date', 'transaction date'] },
+        { field: 'invoice_number', aliases: ['invoice_number', 'invoice', 'invoice #', 'invoice no', 'invoice number'] },
+        { field: 'grower_name', aliases: ['grower_name', 'grower', 'grower name', 'customer', 'customer name', 'operation'] },
+        { field: 'product', aliases: ['product', 'product name'] },
+        { field: 'quantity', aliases: ['quantity', 'qty', 'units'] },
+        { field: 'amount', aliases: ['amount', 'total', 'revenue', 'sales'] },
+        { field: 'hybrid', aliases: ['hybrid', 'variety', 'subproduct'], optional: true },
+        { field: 'trait', aliases: ['trait', 'trait segment'], optional: true },
+        { field: 'crop_line', aliases: ['crop_line', 'crop line', 'product line', 'crop'], optional: true },
+        { field: 'bags', aliases: ['bags'], optional: true },
+        { field: 'seed_units', aliases: ['seed_units', 'seed units'], optional: true },
+        { field: 'delivery_status', aliases: ['delivery_status', 'delivery status', 'delivery'], optional: true },
+        { field: 'unit_price', aliases: ['unit_price', 'unit price', 'price'], optional: true },
+        { field: 'price_source', aliases: ['price_source', 'price source'], optional: true },
+        { field: 'account_number', aliases: ['account_number', 'account', 'account number', 'account #', 'account no'], optional: true },
+        { field: 'grower_id', aliases: ['grower_id', 'grower id'], optional: true }
+    ];
+
+    // Header row written by exports
+    const TRANSACTION_HEADER = TRANSACTION_COLUMNS.map(column => column.field);
+
+    class CSVError extends Error {
+        constructor(message, line) {
+            super(line ? `${message} (line ${line})` : message);
+            this.name = 'CSVError';
+            this.line = line;
+        }
+    }
+
+    /**
+     * Pick the delimiter that appears most often outside quotes on the
+     * first line of sample
+     */
+    function sniffDelimiter(sample) {
+        const counts = new Map(SNIFFED_DELIMITERS.map(d => [d, 0]));
+        let inQuotes = false;
+
+        for (const char of sample) {
+            if (char === QUOTE) {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        let best = SNIFFED_DELIMITERS[0];
+        counts.forEach((count, delimiter) => {
+            if (count > counts.get(best)) best = delimiter;
+        });
+        return best;
+    }
+
+    /**
+     * Incremental reader. Feed text in chunks of any size with write() and
+     * call end() once; onRow(values, line) is called for every non-blank
+     * record with the file line it starts on. delimiter may be 'auto'.
+     */
+    function createReader({ delimiter = 'auto', onRow }) {
+        let delim = delimiter === 'auto' ? null : delimiter;
+        let pending = '';
+        let started = false;
+
+        let field = '';
+        let row = [];
+        let inQuotes = false;
+        let closedQuote = false;
+        let afterCR = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+            closedQuote = false;
+        };
+
+        const endRow = () => {
+            endField();
+            // Blank lines are not records
+            if (row.length > 1 || row[0] !== '') {
+                onRow(row, rowLine);
+            }
+            row = [];
+        };
+
+        const consume = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (afterCR) {
+                    afterCR = false;
+                    if (char === '\n') {
+                        // Second half of a CRLF: already counted as a line break
+                        if (inQuotes) field += char;
+                        continue;
+                    }
+                }
+
+                if (inQuotes) {
+                    if (char === QUOTE) {
+                        inQuotes = false;
+                        closedQuote = true;
+                    } else {
+                        if (char === '\n' || char === '\r') {
+                            line++;
+                            afterCR = char === '\r';
+                        }
+                        field += char;
+                    }
+                    continue;
+                }
+
+                if (char === QUOTE) {
+                    if (closedQuote) {
+                        // "" inside a quoted field is a literal quote
+                        field += QUOTE;
+                        inQuotes = true;
+                        closedQuote = false;
+                    } else if (field === '') {
+                        inQuotes = true;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === delim) {
+                    endField();
+                } else if (char === '\n' || char === '\r') {
+                    endRow();
+                    line++;
+                    rowLine = line;
+                    afterCR = char === '\r';
+                } else {
+                    field += char;
+                    closedQuote = false;
+                }
+            }
+        };
+
+        return {
+            write(chunk) {
+                let text = String(chunk);
+                if (!started) {
+                    if (text.startsWith(BOM)) text = text.slice(1);
+                    if (!text) return;
+                    started = true;
+                }
+
+                if (!delim) {
+                    // Hold text back until the first line is complete
+                    pending += text;
+                    if (!/[\r\n]/.test(pending)) return;
+                    delim = sniffDelimiter(pending);
+                    text = pending;
+                    pending = '';
+                }
+                consume(text);
+            },
+
+            end() {
+                if (!delim) {
+                    delim = sniffDelimiter(pending);
+                    consume(pending);
+                    pending = '';
+                }
+                if (inQuotes) {
+                    throw new CSVError('Unterminated quoted field', rowLine);
+                }
+                if (field !== '' || row.length > 0) endRow();
+            },
+
+            get delimiter() {
+                return delim;
+            }
+        };
+    }
+
+    /**
+     * Read a whole document. Returns [{ line, values }].
+     */
+    function parse(text, { delimiter = 'auto' } = {}) {
+        const rows = [];
+        const reader = createReader({ delimiter, onRow: (values, line) => rows.push({ line, values }) });
+        reader.write(text);
+        reader.end();
+        return rows;
+    }
+
+    const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    /**
+     * Column index for each field named in header, or null when none of
+     * the headers are recognised
+     */
+    function mapHeader(header, columns) {
+        const names = header.map(normalizeHeader);
+        const indexes = {};
+        let matched = 0;
+
+        columns.forEach(({ field, aliases = [] }) => {
+            const wanted = [field, ...aliases].map(normalizeHeader);
+            const index = names.findIndex(name => wanted.includes(name));
+            if (index !== -1) {
+                indexes[field] = index;
+                matched++;
+            }
+        });
+
+        return matched > 0 ? indexes : null;
+    }
+
+    /**
+     * Read a document into records keyed by column field. The first row is
+     * a header when any of its cells name a column (header: 'auto'), and
+     * columns are then found by name in any order; otherwise columns are
+     * taken in the order listed. Values are trimmed strings. Blank
+     * optional values are left undefined; required columns a short row
+     * does not reach are listed in missing. Returns { header, delimiter, rows: [{ line, record, values, missing }] }.
+     */
+    function readRecords(text, { columns, delimiter = 'auto', header = 'auto' } = {}) {
+        let indexes = null;
+        let headerRow = null;
+        let first = true;
+        const rows = [];
+
+        const reader = createReader({
+            delimiter,
+            onRow: (values, line) => {
+                if (first) {
+                    first = false;
+                    const mapped = header === false ? null : mapHeader(values, columns);
+                    if (mapped || header === true) {
+                        headerRow = values;
+                        indexes = mapped || {};
+                        return;
+                    }
+                }
+                if (!indexes) {
+                    indexes = {};
+                    columns.forEach(({ field }, i) => { indexes[field] = i; });
+                }
+
+                const record = {};
+                const missing = [];
+                columns.forEach(({ field, optional }) => {
+                    const index = indexes[field];
+                    if (index === undefined) return;
+                    const value = index < values.length ? values[index].trim() : undefined;
+                    if (value !== undefined && (value !== '' || !optional)) {
+                        record[field] = value;
+                    } else if (value === undefined && !optional) {
+                        missing.push(field);
+                    }
+                });
+                rows.push({ line, record, values, missing });
+            }
+        });
+
+        reader.write(text);
+        reader.end();
+
+        return { header: headerRow, delimiter: reader.delimiter, rows };
+    }
+
+    const toNumber = (value) => parseFloat(String(value || '').replace(/[$,\s]/g, '')) || 0;
+
+    /**
+     * Read transaction rows (see TRANSACTION_COLUMNS) with quantity,
+     * amount, bags, seed units and unit price as numbers. Same result
+     * shape as readRecords.
+     */
+    function readTransactions(text, options = {}) {
+        const result = readRecords(text, { ...options, columns: TRANSACTION_COLUMNS });
+        result.rows.forEach(({ record }) => {
+            record.invoice_number = record.invoice_number || '';
+            record.quantity = toNumber(record.quantity);
+            record.amount = toNumber(record.amount);
+            ['bags', 'seed_units', 'unit_price'].forEach(field => {
+                if (record[field] !== undefined) record[field] = toNumber(record[field]);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Cells for one transaction in TRANSACTION_COLUMNS order. Dates are
+     * written as YYYY-MM-DD so exports read back unchanged.
+     */
+    function transactionRow(record) {
+        return TRANSACTION_COLUMNS.map(({ field }) => {
+            const value = record[field];
+            if (field === 'date' && value) {
+                const text = value instanceof Date ? value.toISOString() : String(value);
+                return /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.slice(0, 10) : text;
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Format one value, quoting it when it holds the delimiter, a quote, a
+     * line break or leading/trailing spaces
+     */
+    function formatValue(value, delimiter = ',') {
+        if (value === null || value === undefined) return '';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+        return needsQuotes ? QUOTE + text.replace(/"/g, '""') + QUOTE : text;
+    }
+
+    function formatRow(values, delimiter = ',') {
+        return values.map(value => formatValue(value, delimiter)).join(delimiter);
+    }
+
+    /**
+     * Incremental writer. Each writeRow() passes one formatted record,
+     * line ending included, to write(). bom prefixes the first record with
+     * a byte order mark so spreadsheet apps detect UTF-8.
+     */
+    function createWriter({ write, delimiter = ',', newline = '\r\n', bom = false }) {
+        let started = false;
+        return {
+            writeRow(values) {
+                const prefix = !started && bom ? BOM : '';
+                started = true;
+                write(prefix + formatRow(values, delimiter) + newline);
+            }
+        };
+    }
+
+    /**
+     * Format rows (arrays of values) as a document, with an optional
+     * header row first
+     */
+    function stringify(rows, { header, ...options } = {}) {
+        let output = '';
+        const writer = createWriter({ ...options, write: chunk => { output += chunk; } });
+        if (header) writer.writeRow(header);
+        rows.forEach(row => writer.writeRow(row));
+        return output;
+    }
+
+    return {
+        TRANSACTION_COLUMNS,
+        TRANSACTION_HEADER,
+        CSVError,
+        sniffDelimiter,
+        createReader,
+        parse,
+        mapHeader,
+        readRecords,
+        readTransactions,
+        transactionRow,
+        formatValue,
+        formatRow,
+        createWriter,
+        stringify
+    };
+}));
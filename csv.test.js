@@ -0,0 +1,97 @@
+/**
+ * CSV tests: RFC 4180 reading and writing, delimiter detection and
+ * transaction columns
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CSV = require('./csv');
+
+const values = (text, options) => CSV.parse(text, options).map(row => row.values);
+
+test('parse reads quoted fields with delimiters, quotes and line breaks', () => {
+    const text = 'name,notes\r\n"Garms, Inc.","said ""hi""\r\ntwice"\r\nRidge,\r\n';
+    const rows = CSV.parse(text);
+
+    assert.deepEqual(rows.map(row => row.values), [
+        ['name', 'notes'],
+        ['Garms, Inc.', 'said "hi"\r\ntwice'],
+        ['Ridge', '']
+    ]);
+    assert.deepEqual(rows.map(row => row.line), [1, 2, 4]);
+});
+
+test('parse skips blank lines and a byte order mark', () => {
+    assert.deepEqual(values('\uFEFFa,b\n\n1,2\n\n'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parse detects the delimiter from the first line', () => {
+    assert.equal(CSV.sniffDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+    assert.equal(CSV.sniffDelimiter('"a,b";c;d\n1;2;3'), ';');
+    assert.deepEqual(values('a;b\n"1;5";2'), [['a', 'b'], ['1;5', '2']]);
+    assert.equal(CSV.readRecords('a|b\n1|2', { columns: [{ field: 'a', aliases: ['a'] }] }).delimiter, '|');
+});
+
+test('parse reports an unterminated quote with its line', () => {
+    assert.throws(() => CSV.parse('a,b\n1,"open\n2,3'), error => error instanceof CSV.CSVError && error.line === 2);
+});
+
+test('the reader gives the same rows whatever the chunk size', () => {
+    const text = 'date;grower\r\n2026-03-02;"Garms\r\nInc"\r\n2026-03-04;Ridge';
+    const expected = values(text);
+    [1, 2, 5].forEach(size => {
+        const rows = [];
+        const reader = CSV.createReader({ onRow: row => rows.push(row) });
+        for (let i = 0; i < text.length; i += size) reader.write(text.slice(i, i + size));
+        reader.end();
+        assert.deepEqual(rows, expected, `chunks of ${size}`);
+    });
+});
+
+test('formatValue quotes only when it must', () => {
+    assert.equal(CSV.formatValue('Garms Inc'), 'Garms Inc');
+    assert.equal(CSV.formatValue('Garms, Inc.'), '"Garms, Inc."');
+    assert.equal(CSV.formatValue('said "hi"'), '"said ""hi"""');
+    assert.equal(CSV.formatValue(' padded'), '" padded"');
+    assert.equal(CSV.formatValue('a;b', ';'), '"a;b"');
+    assert.equal(CSV.formatValue(null), '');
+});
+
+test('stringify output parses back to the same rows', () => {
+    const rows = [['Garms, Inc.', 'line\nbreak', '"quoted"', ''], ['2', ' x ', 'plain', 'end']];
+    const text = CSV.stringify(rows, { header: ['a', 'b', 'c', 'd'], bom: true });
+
+    assert.ok(text.startsWith('\uFEFFa,b,c,d\r\n'));
+    assert.deepEqual(values(text).slice(1), rows);
+});
+
+test('readTransactions finds columns by header name in any order', () => {
+    const { rows } = CSV.readTransactions('Amount,Customer Name,Invoice #,Product,Qty,Date\n"$2,900.00",Garms Inc,INV-1,Corn Seed,10,3/2/2026');
+    const { record, missing } = rows[0];
+
+    assert.deepEqual(missing, []);
+    assert.equal(record.grower_name, 'Garms Inc');
+    assert.equal(record.invoice_number, 'INV-1');
+    assert.equal(record.amount, 2900);
+    assert.equal(record.quantity, 10);
+    assert.equal(record.date, '3/2/2026');
+});
+
+test('readTransactions takes headerless rows in export order and lists missing columns', () => {
+    const { header, rows } = CSV.readTransactions('2026-03-02,INV-1,Garms Inc,Corn Seed,10,2900\n2026-03-04,INV-2,Ridge Farms');
+
+    assert.equal(header, null);
+    assert.equal(rows[0].record.amount, 2900);
+    assert.equal(rows[0].record.bags, undefined);
+    assert.deepEqual(rows[1].missing, ['product', 'quantity', 'amount']);
+});
+
+test('transactionRow writes dates as calendar days so exports read back', () => {
+    const record = { date: new Date('2026-03-02T00:00:00Z'), invoice_number: 'INV-1', grower_name: 'Garms, Inc.', product: 'Corn Seed', quantity: 10, amount: 2900 };
+    const text = CSV.stringify([CSV.transactionRow(record)], { header: CSV.TRANSACTION_HEADER });
+    const [{ record: read }] = CSV.readTransactions(text).rows;
+
+    assert.equal(read.date, '2026-03-02');
+    assert.equal(read.grower_name, 'Garms, Inc.');
+    assert.equal(read.amount, 2900);
+});
@@ -0,0 +1,181 @@
+/**
+ * Pioneer Analytics - Dates
+ * Calendar dates shared by the browser (window.Dates) and the server
+ * (require('../dates')). Transaction and price dates are date-only: a
+ * day, not an instant, stored as a Date at midnight UTC of that day so
+ * UTC year, month and day read back the calendar date on any machine.
+ *
+ * Values with a time of day are instants. They are placed on the day they
+ * fall on in the agency's time zone (configure({ timeZone })), so an
+ * order entered at 7pm on Dec 31 in Iowa stays on Dec 31 rather than
+ * moving to the next year in UTC. Midnight UTC is read as a date, the
+ * way the server sends dates back, so reading a date twice never moves it.
+ *
+ * Ranges are half-open: from the first day up to, not including, the day
+ * after the last, so no time on the last day is dropped.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Dates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_TIME_ZONE = 'UTC';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+    const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+    let timeZone = DEFAULT_TIME_ZONE;
+
+    // One formatter per zone; building them is slow
+    const formatters = {};
+
+    function formatterFor(zone) {
+        if (!formatters[zone]) {
+            formatters[zone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return formatters[zone];
+    }
+
+    /**
+     * Wall-clock year, month (1-12), day, hour, minute and second of an
+     * instant in the agency time zone
+     */
+    function partsAt(time) {
+        const parts = {};
+        formatterFor(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return parts;
+    }
+
+    // Milliseconds the agency time zone is ahead of UTC at an instant
+    function offsetAt(time) {
+        const { year, month, day, hour, minute, second } = partsAt(time);
+        const wholeSeconds = time - (((time % 1000) + 1000) % 1000);
+        return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+    }
+
+    /**
+     * Set the agency time zone (an IANA name such as "America/Chicago").
+     * Throws when the zone is unknown.
+     */
+    function configure({ timeZone: zone } = {}) {
+        const next = zone || DEFAULT_TIME_ZONE;
+        try {
+            formatterFor(next);
+        } catch (error) {
+            throw new Error(`Unknown time zone: ${next}`);
+        }
+        timeZone = next;
+        return timeZone;
+    }
+
+    const getTimeZone = () => timeZone;
+
+    // Midnight UTC of a calendar date, or null when there is no such date
+    function fromParts(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+    }
+
+    /**
+     * The day an instant falls on in the agency time zone
+     */
+    function dayOf(time) {
+        const { year, month, day } = partsAt(time);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Calendar date of a value, as midnight UTC, or null for a missing or
+     * invalid value. Reads YYYY-MM-DD and M/D/YYYY as dates and anything
+     * with a time of day as an instant in the agency time zone.
+     */
+    function toDay(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'string') {
+            const text = value.trim();
+            let match = ISO_DATE.exec(text);
+            if (match) return fromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+            match = US_DATE.exec(text);
+            if (match) return fromParts(Number(match[3]), Number(match[1]), Number(match[2]));
+        }
+
+        const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+        if (isNaN(time)) return null;
+        return time % DAY_MS === 0 ? new Date(time) : dayOf(time);
+    }
+
+    /**
+     * Whether a value is a date without a time (YYYY-MM-DD or M/D/YYYY)
+     */
+    const isDateOnly = (value) => typeof value === 'string' &&
+        (ISO_DATE.test(value.trim()) || US_DATE.test(value.trim())) && toDay(value) !== null;
+
+    /**
+     * A date as YYYY-MM-DD, or '' for a missing or invalid value
+     */
+    function format(value) {
+        const day = toDay(value);
+        return day ? day.toISOString().slice(0, 10) : '';
+    }
+
+    /**
+     * Today in the agency time zone
+     */
+    const today = (now = new Date()) => dayOf(new Date(now).getTime());
+
+    const addDays = (day, days) => new Date(toDay(day).getTime() + days * DAY_MS);
+
+    /**
+     * Condition for dates from one day through another (either may be
+     * omitted): { $gte: from, $lt: the day after to }
+     */
+    function dayRange(from, to) {
+        const range = {};
+        if (from) range.$gte = toDay(from);
+        if (to) range.$lt = addDays(to, 1);
+        return range;
+    }
+
+    /**
+     * The instant a day begins in the agency time zone, for filtering
+     * timestamps such as created_at by day
+     */
+    function startOfDay(value) {
+        const midnight = toDay(value).getTime();
+        const guess = midnight - offsetAt(midnight);
+        return new Date(midnight - offsetAt(guess));
+    }
+
+    return {
+        DEFAULT_TIME_ZONE,
+        DAY_MS,
+        configure,
+        getTimeZone,
+        toDay,
+        isDateOnly,
+        format,
+        today,
+        addDays,
+        dayRange,
+        startOfDay
+    };
+}));
@@ -0,0 +1,54 @@
+/**
+ * Dates tests: calendar days, the agency time zone and day ranges
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Dates = require('./dates');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+test.afterEach(() => Dates.configure({}));
+
+test('toDay reads ISO and US dates as calendar days', () => {
+    assert.deepEqual(Dates.toDay('2026-03-02'), day('2026-03-02'));
+    assert.deepEqual(Dates.toDay(' 3/2/2026 '), day('2026-03-02'));
+    assert.equal(Dates.toDay('2026-02-30'), null);
+    assert.equal(Dates.toDay(''), null);
+    assert.equal(Dates.toDay('soon'), null);
+});
+
+test('toDay places instants on their day in the agency time zone', () => {
+    Dates.configure({ timeZone: 'America/Chicago' });
+
+    assert.deepEqual(Dates.toDay('2025-12-31T19:00:00-06:00'), day('2025-12-31'));
+    assert.deepEqual(Dates.toDay(new Date('2026-01-01T05:30:00Z')), day('2025-12-31'));
+    assert.equal(Dates.format('2026-01-01T01:00:00Z'), '2025-12-31');
+});
+
+test('toDay reads midnight UTC as a date so reading twice never moves it', () => {
+    Dates.configure({ timeZone: 'America/Chicago' });
+
+    const once = Dates.toDay('2026-03-02');
+    assert.deepEqual(Dates.toDay(once), once);
+    assert.deepEqual(Dates.toDay(once.toISOString()), once);
+});
+
+test('dayRange includes the whole last day', () => {
+    assert.deepEqual(Dates.dayRange('2026-03-01', '2026-03-31'), { $gte: day('2026-03-01'), $lt: day('2026-04-01') });
+    assert.deepEqual(Dates.dayRange(null, '2026-03-31'), { $lt: day('2026-04-01') });
+    assert.deepEqual(Dates.dayRange('2026-03-01'), { $gte: day('2026-03-01') });
+});
+
+test('startOfDay and today follow the agency time zone', () => {
+    Dates.configure({ timeZone: 'America/Chicago' });
+
+    assert.deepEqual(Dates.startOfDay('2026-01-15'), new Date('2026-01-15T06:00:00Z'));
+    assert.deepEqual(Dates.startOfDay('2026-07-15'), new Date('2026-07-15T05:00:00Z'));
+    assert.deepEqual(Dates.today(new Date('2026-01-01T03:00:00Z')), day('2025-12-31'));
+});
+
+test('configure rejects unknown time zones', () => {
+    assert.throws(() => Dates.configure({ timeZone: 'Mars/Olympus' }), /Unknown time zone: Mars\/Olympus/);
+    assert.equal(Dates.getTimeZone(), 'UTC');
+});
@@ -0,0 +1,1010 @@
+/**
+ * Pioneer Analytics - Forecast
+ * Season forecasts shared by the server (require('../forecast'), served
+ * by GET /api/forecast) and the pages (window.Forecast), which use it on
+ * their own data only when the server cannot be reached, so every page
+ * projects the same number for the same grower.
+ *
+ * Sales are grouped at a level (total, product, hybrid, grower or
+ * grower x hybrid) into one series per group, holding a value for every
+ * season from the first season with sales to the last (0 where the group
+ * sold nothing). Each series is projected one season ahead with the
+ * chosen method and its parameters.
+ *
+ * Each forecast comes with a prediction interval at the chosen confidence
+ * level. Linear regression uses its residuals; the other methods use the
+ * errors they would have made forecasting each past season from the
+ * seasons before it. Histories of a few seasons give few errors, so
+ * intervals use Student's t rather than the normal distribution, and
+ * empirical quantiles once there are enough errors to read them from.
+ *
+ * Forecasts at different levels are made separately, so grower x hybrid
+ * forecasts need not add up to the hybrid or total forecasts. With
+ * reconciliation every level is forecast from the grower x hybrid sales,
+ * the forecasts are reconciled at the grower x hybrid level, and every
+ * other level is the sum of its reconciled grower x hybrid forecasts.
+ *
+ * Hybrids retire: given a succession (from the catalog, see
+ * successionFrom()), the volume forecast for a hybrid discontinued by the
+ * forecast season moves to its successors by their shares, grower by
+ * grower, and the forecasts list what was transferred.
+ *
+ * backtest() scores the methods: it hides the latest season, forecasts it
+ * from the seasons before, and compares each method's forecasts with what
+ * was actually sold.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./seasons'), require('./growers'));
+    } else {
+        root.Forecast = factory(root.Seasons, root.Growers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Seasons, Growers) {
+    'use strict';
+
+    class ForecastError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ForecastError';
+        }
+    }
+
+    // Fields that identify a series at each level
+    const LEVELS = {
+        total: [],
+        product: ['product'],
+        hybrid: ['hybrid'],
+        grower: ['grower_key'],
+        grower_hybrid: ['grower_key', 'hybrid']
+    };
+
+    // What can be forecast. Counts are projected in whole units; growers
+    // counts the distinct growers in a series, so it needs a level above
+    // the grower.
+    const MEASURES = {
+        revenue: {},
+        quantity: {},
+        bags: { integer: true },
+        seed_units: { integer: true },
+        orders: { integer: true },
+        growers: { integer: true, distinct: 'grower_key' }
+    };
+
+    const DEFAULT_CONFIDENCE = 0.9;
+
+    // Past forecast errors needed before intervals are read from their
+    // quantiles instead of a t-distribution
+    const QUANTILE_MIN_ERRORS = 10;
+
+    // A backtest forecast within this share of the actual counts as a hit
+    const HIT_TOLERANCE = 0.2;
+
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+    /**
+     * Least-squares line through (season, value), evaluated at target
+     */
+    function linearRegression(x, y, targetX) {
+        const n = x.length;
+        if (n === 0) return 0;
+        if (n === 1) return y[0];
+
+        const sumX = sum(x);
+        const sumY = sum(y);
+        const sumXY = x.reduce((total, xi, i) => total + xi * y[i], 0);
+        const sumX2 = x.reduce((total, xi) => total + xi * xi, 0);
+
+        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+        const intercept = (sumY - slope * sumX) / n;
+
+        return slope * targetX + intercept;
+    }
+
+    // ln of the gamma function (Lanczos approximation)
+    function logGamma(x) {
+        const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        const base = x + 5.5;
+        let series = 1.000000000190015;
+        coefficients.forEach((c, i) => { series += c / (x + i + 1); });
+        return (x + 0.5) * Math.log(base) - base + Math.log(2.5066282746310005 * series / x);
+    }
+
+    // Continued fraction of the incomplete beta function (modified Lentz)
+    function betaFraction(x, a, b) {
+        const TINY = 1e-300;
+        const guard = (value) => (Math.abs(value) < TINY ? TINY : value);
+        let c = 1;
+        let d = 1 / guard(1 - (a + b) * x / (a + 1));
+        let h = d;
+        for (let m = 1; m <= 300; m++) {
+            const m2 = 2 * m;
+            let step = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 / guard(1 + step * d);
+            c = guard(1 + step / c);
+            h *= d * c;
+            step = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 / guard(1 + step * d);
+            c = guard(1 + step / c);
+            h *= d * c;
+            if (Math.abs(d * c - 1) < 1e-14) break;
+        }
+        return h;
+    }
+
+    // Regularized incomplete beta function I_x(a, b)
+    function incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        return x < (a + 1) / (a + b + 2)
+            ? front * betaFraction(x, a, b) / a
+            : 1 - front * betaFraction(1 - x, b, a) / b;
+    }
+
+    // P(T <= t) for Student's t with df degrees of freedom
+    function studentCdf(t, df) {
+        const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+        return t >= 0 ? 1 - tail : tail;
+    }
+
+    const quantiles = new Map();
+
+    /**
+     * The t with probability p (above 0.5) below it, for df degrees of
+     * freedom, found by bisection
+     */
+    function studentQuantile(p, df) {
+        const key = `${p}|${df}`;
+        if (!quantiles.has(key)) {
+            let low = 0;
+            let high = 1;
+            while (studentCdf(high, df) < p) high *= 2;
+            for (let i = 0; i < 100; i++) {
+                const mid = (low + high) / 2;
+                if (studentCdf(mid, df) < p) low = mid;
+                else high = mid;
+            }
+            quantiles.set(key, (low + high) / 2);
+        }
+        return quantiles.get(key);
+    }
+
+    // Quantile of sorted values, interpolating between neighbours
+    function empiricalQuantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const below = Math.floor(position);
+        const above = Math.min(below + 1, sorted.length - 1);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    /**
+     * Regression prediction interval from the residuals around the line:
+     * t(n - 2) x s x sqrt(1 + 1/n + (target - mean)^2 / Sxx). Needs three
+     * seasons; returns null with fewer.
+     */
+    function residualInterval(values, { seasons, target }, predicted, tail) {
+        const n = values.length;
+        if (n < 3) return null;
+
+        const meanX = sum(seasons) / n;
+        const meanY = sum(values) / n;
+        const sxx = sum(seasons.map(x => (x - meanX) * (x - meanX)));
+        const slope = sum(seasons.map((x, i) => (x - meanX) * (values[i] - meanY))) / sxx;
+        const sse = sum(values.map((y, i) => Math.pow(y - (meanY + slope * (seasons[i] - meanX)), 2)));
+
+        const df = n - 2;
+        const margin = studentQuantile(tail, df) * Math.sqrt(sse / df) *
+            Math.sqrt(1 + 1 / n + Math.pow(target - meanX, 2) / sxx);
+        return { low: predicted - margin, high: predicted + margin, method: 'residual', df };
+    }
+
+    /**
+     * Prediction interval from the errors a method would have made
+     * forecasting each past season from the seasons before it. With
+     * enough errors the interval is read from their quantiles; otherwise
+     * it is t(m) x their root mean square, for m errors. Returns null when
+     * there is no past season to forecast.
+     */
+    function errorInterval(method, values, { seasons, params }, predicted, tail) {
+        const errors = [];
+        for (let k = 1; k < values.length; k++) {
+            const forecast = METHODS[method].predict(values.slice(0, k), { seasons: seasons.slice(0, k), target: seasons[k], params });
+            errors.push(values[k] - forecast);
+        }
+        const m = errors.length;
+        if (m === 0) return null;
+
+        if (m >= QUANTILE_MIN_ERRORS) {
+            const sorted = [...errors].sort((a, b) => a - b);
+            return {
+                low: predicted + empiricalQuantile(sorted, 1 - tail),
+                high: predicted + empiricalQuantile(sorted, tail),
+                method: 'quantile',
+                df: null
+            };
+        }
+
+        const margin = studentQuantile(tail, m) * Math.sqrt(sum(errors.map(e => e * e)) / m);
+        return { low: predicted - margin, high: predicted + margin, method: 'errors', df: m };
+    }
+
+    /**
+     * Forecasting methods. Each predicts the next season from a series
+     * (oldest first) and its parameters, whose defaults are listed. A
+     * method may bring its own prediction interval; otherwise (or when it
+     * returns null) errorInterval() is used.
+     */
+    const METHODS = {
+        // Trend line through every season
+        linear: {
+            label: 'Linear Regression',
+            params: {},
+            predict: (values, { seasons, target }) => linearRegression(seasons, values, target),
+            interval: residualInterval
+        },
+
+        // Last season grown by the average season-over-season change
+        growth: {
+            label: 'Growth Rate',
+            params: {},
+            predict: (values) => {
+                if (values.length < 2) return values[values.length - 1] || 0;
+
+                const growthRates = [];
+                for (let i = 1; i < values.length; i++) {
+                    if (values[i - 1] > 0) {
+                        growthRates.push((values[i] - values[i - 1]) / values[i - 1]);
+                    }
+                }
+
+                const avgGrowth = growthRates.length ? sum(growthRates) / growthRates.length : 0;
+                return values[values.length - 1] * (1 + avgGrowth);
+            }
+        },
+
+        // Recent seasons weighted most, nudged up when the last season
+        // beat the average and down when it fell short
+        weighted: {
+            label: 'Weighted Average',
+            params: { trend_up: 1.05, trend_down: 0.95 },
+            predict: (values, { params }) => {
+                if (values.length === 0) return 0;
+
+                const weights = values.map((_, i) => i + 1);
+                const weightedAvg = values.reduce((total, value, i) => total + value * weights[i], 0) / sum(weights);
+
+                const lastValue = values[values.length - 1];
+                const avgValue = sum(values) / values.length;
+                return weightedAvg * (lastValue > avgValue ? params.trend_up : params.trend_down);
+            }
+        },
+
+        // Seed planning rule from the last three seasons: a repeat buyer
+        // moves by half the last change, capped; a grower who skipped the
+        // last season is expected back with less, and one who skipped two
+        // with much less
+        damped: {
+            label: 'Damped Trend',
+            params: {
+                max_growth: 0.25,
+                max_decline: -0.3,
+                damping: 0.5,
+                new_growth: 0.02,
+                lapsed: 0.8,
+                collapse_below: -0.3,
+                collapsed: 0.5,
+                dormant: 0.3
+            },
+            predict: (values, { params }) => {
+                const [older, previous, last] = [-3, -2, -1].map(offset => values[values.length + offset] || 0);
+
+                if (last) {
+                    if (previous) {
+                        const change = (last - previous) / previous;
+                        const clamped = Math.max(params.max_decline, Math.min(params.max_growth, change));
+                        return last * (1 + clamped * params.damping);
+                    }
+                    return last * (1 + params.new_growth);
+                }
+                if (previous) {
+                    if (older && (previous - older) / older < params.collapse_below) {
+                        return previous * params.collapsed;
+                    }
+                    return previous * params.lapsed;
+                }
+                return older * params.dormant;
+            }
+        },
+
+        // Holt's linear exponential smoothing: a level and a trend, each
+        // updated every season and smoothed by alpha and beta
+        holt: {
+            label: "Holt's Linear Smoothing",
+            params: { alpha: 0.5, beta: 0.3 },
+            predict: (values, { params }) => {
+                if (values.length < 2) return values[0] || 0;
+
+                let level = values[0];
+                let trend = values[1] - values[0];
+                for (let i = 1; i < values.length; i++) {
+                    const previous = level;
+                    level = params.alpha * values[i] + (1 - params.alpha) * (level + trend);
+                    trend = params.beta * (level - previous) + (1 - params.beta) * trend;
+                }
+                return level + trend;
+            }
+        },
+
+        // Croston's method for intermittent demand, such as growers who
+        // skip seasons: the size of a purchase and the seasons between
+        // purchases are smoothed separately, and the forecast is their
+        // ratio (the expected amount per season)
+        croston: {
+            label: 'Croston (Intermittent)',
+            params: { alpha: 0.3 },
+            predict: (values, { params }) => {
+                let size = null;
+                let interval = 1;
+                let gap = 1;
+                values.forEach(value => {
+                    if (value > 0) {
+                        if (size === null) {
+                            size = value;
+                        } else {
+                            size += params.alpha * (value - size);
+                            interval += params.alpha * (gap - interval);
+                        }
+                        gap = 1;
+                    } else {
+                        gap++;
+                    }
+                });
+                return size === null ? 0 : size / interval;
+            }
+        }
+    };
+
+    /**
+     * Ways to make forecasts add up across levels. Each reconciles the
+     * grower x hybrid forecasts, and the other levels are their sums.
+     */
+    const RECONCILIATIONS = {
+        none: 'None (each level forecast on its own)',
+        bottom_up: 'Bottom-up (grower x hybrid forecasts)',
+        top_down: 'Top-down (total split by forecast shares)',
+        ols: 'Least squares across every level'
+    };
+
+    /**
+     * Prediction interval for a method's forecast of a series at a
+     * confidence level, or null when the history is too short
+     */
+    function predictionInterval(method, values, context, predicted, confidence) {
+        const tail = (1 + confidence) / 2;
+        const own = METHODS[method].interval;
+        return (own && own(values, context, predicted, tail)) ||
+            errorInterval(method, values, context, predicted, tail);
+    }
+
+    /**
+     * Method parameters: the defaults, overridden by any given. Throws
+     * when a given value is not a number.
+     */
+    function resolveParams(method, given = {}) {
+        const params = { ...METHODS[method].params };
+        Object.keys(params).forEach(name => {
+            const value = given[name];
+            if (value === undefined || value === null || value === '') return;
+            const number = Number(value);
+            if (!Number.isFinite(number)) throw new ForecastError(`${name} must be a number`);
+            params[name] = number;
+        });
+        return params;
+    }
+
+    /**
+     * Check forecast options, filling in defaults. Throws a ForecastError
+     * naming the first problem.
+     */
+    function resolveOptions({ level = 'total', measure = 'revenue', method = 'linear', confidence = DEFAULT_CONFIDENCE, reconcile = 'none', params = {} } = {}) {
+        if (!LEVELS[level]) {
+            throw new ForecastError(`level must be one of ${Object.keys(LEVELS).join(', ')}`);
+        }
+        if (!MEASURES[measure]) {
+            throw new ForecastError(`measure must be one of ${Object.keys(MEASURES).join(', ')}`);
+        }
+        if (MEASURES[measure].distinct && LEVELS[level].includes(MEASURES[measure].distinct)) {
+            throw new ForecastError(`${measure} cannot be forecast per grower`);
+        }
+        if (!METHODS[method]) {
+            throw new ForecastError(`method must be one of ${Object.keys(METHODS).join(', ')}`);
+        }
+        const confidenceLevel = Number(confidence);
+        if (!(confidenceLevel > 0 && confidenceLevel < 1)) {
+            throw new ForecastError('confidence must be between 0 and 1 (e.g. 0.9)');
+        }
+        if (!RECONCILIATIONS[reconcile]) {
+            throw new ForecastError(`reconcile must be one of ${Object.keys(RECONCILIATIONS).join(', ')}`);
+        }
+        if (reconcile !== 'none' && MEASURES[measure].distinct) {
+            throw new ForecastError(`${measure} cannot be reconciled, as it does not add up across groups`);
+        }
+        return { level, measure, method, confidence: confidenceLevel, reconcile, params: resolveParams(method, params) };
+    }
+
+    // Every season from the first to the last of a list, oldest first
+    function seasonRange(seasons) {
+        const known = seasons.map(Number).filter(Number.isFinite);
+        const range = [];
+        if (known.length > 0) {
+            for (let season = Math.min(...known); season <= Math.max(...known); season++) range.push(season);
+        }
+        return range;
+    }
+
+    /**
+     * One series per group of rows at a level: { key, latest (the
+     * group's most recent row), values (one per season of history) }
+     */
+    function seriesAt(rows, fields, measure, history) {
+        const { distinct } = MEASURES[measure];
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = fields.map(field => row[field]).join('|') || 'total';
+            if (!groups.has(key)) groups.set(key, { key, latest: row, bySeason: new Map() });
+            const group = groups.get(key);
+            if (Number(row.year) >= Number(group.latest.year)) group.latest = row;
+
+            const season = Number(row.year);
+            if (distinct) {
+                if (!group.bySeason.has(season)) group.bySeason.set(season, new Set());
+                group.bySeason.get(season).add(row[distinct]);
+            } else {
+                group.bySeason.set(season, (group.bySeason.get(season) || 0) + (row[measure] || 0));
+            }
+        });
+
+        return [...groups.values()].map(group => ({
+            key: group.key,
+            latest: group.latest,
+            values: history.map(season => {
+                const value = group.bySeason.get(season);
+                return distinct ? (value ? value.size : 0) : (value || 0);
+            })
+        }));
+    }
+
+    // A series' identifying fields at a level
+    function identify(series, fields) {
+        const forecast = { key: series.key };
+        fields.forEach(field => { forecast[field] = series.latest[field]; });
+        if (fields.includes('grower_key')) {
+            forecast.grower_id = series.latest.grower_id || null;
+            forecast.grower_name = series.latest.grower_name;
+        }
+        return forecast;
+    }
+
+    const dot = (a, b) => a.reduce((total, value, i) => total + value * b[i], 0);
+
+    /**
+     * Grower x hybrid values whose sums at every level are as close as
+     * possible (least squares) to that level's own forecasts, solved by
+     * conjugate gradients. Each grower x hybrid is in one node per level.
+     */
+    function leastSquares(nodes, count) {
+        const multiply = (vector) => {
+            const result = new Array(count).fill(0);
+            nodes.forEach(node => {
+                const total = sum(node.members.map(j => vector[j]));
+                node.members.forEach(j => { result[j] += total; });
+            });
+            return result;
+        };
+        const target = new Array(count).fill(0);
+        nodes.forEach(node => node.members.forEach(j => { target[j] += node.base; }));
+
+        const solution = new Array(count).fill(0);
+        let residual = [...target];
+        let direction = [...residual];
+        let norm = dot(residual, residual);
+        const stop = 1e-20 * Math.max(1, norm);
+        for (let step = 0; step < count + 10 && norm > stop; step++) {
+            const product = multiply(direction);
+            const size = norm / dot(direction, product);
+            direction.forEach((d, j) => { solution[j] += size * d; });
+            residual = residual.map((r, j) => r - size * product[j]);
+            const next = dot(residual, residual);
+            direction = residual.map((r, j) => r + (next / norm) * direction[j]);
+            norm = next;
+        }
+        return solution;
+    }
+
+    /**
+     * Reconciled grower x hybrid values from every node's own forecast
+     * (base); leaves are the grower x hybrid nodes in member order
+     */
+    const RECONCILERS = {
+        bottom_up: (nodes, leaves) => leaves.map(leaf => leaf.base),
+        top_down: (nodes, leaves) => {
+            const total = nodes.find(node => node.level === 'total').base;
+            let shares = leaves.map(leaf => Math.max(0, leaf.base));
+            if (sum(shares) === 0) shares = leaves.map(leaf => sum(leaf.values));
+            const whole = sum(shares);
+            return shares.map(share => (whole ? total * share / whole : 0));
+        },
+        ols: (nodes, leaves) => leastSquares(nodes, leaves.length)
+    };
+
+    /**
+     * Reconciled values made whole and non-negative without changing their
+     * total: negative values become 0 and the total is apportioned over
+     * the rest (by largest remainder for whole units)
+     */
+    function apportion(values, integer) {
+        const total = Math.max(0, integer ? Math.round(sum(values)) : sum(values));
+        const positive = values.map(value => Math.max(0, value));
+        const whole = sum(positive);
+        if (whole === 0) return values.map(() => 0);
+        return split(total, positive.map(value => 100 * value / whole), integer);
+    }
+
+    /**
+     * Forecasts at a level that add up across levels: every level is
+     * forecast from the grower x hybrid series (negative forecasts taken
+     * as 0, as unreconciled ones are), those forecasts are reconciled into
+     * grower x hybrid values, and each forecast is the sum of its
+     * reconciled grower x hybrids. Intervals keep their width and move
+     * with their forecast.
+     */
+    function reconciled(rows, { level, measure, method, confidence, reconcile, params }, history, target, retiring) {
+        const { integer } = MEASURES[measure];
+        const context = { seasons: history, target, params };
+        // In key order, so whole units are apportioned the same way
+        // whatever order the rows came in
+        const bottoms = seriesAt(rows, LEVELS.grower_hybrid, measure, history)
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+        if (bottoms.length === 0) return [];
+
+        const nodes = [];
+        Object.entries(LEVELS).forEach(([name, fields]) => {
+            const byKey = new Map();
+            bottoms.forEach((bottom, index) => {
+                const key = fields.map(field => bottom.latest[field]).join('|') || 'total';
+                if (!byKey.has(key)) byKey.set(key, { level: name, key, latest: bottom.latest, members: [], values: history.map(() => 0) });
+                const node = byKey.get(key);
+                if (Number(bottom.latest.year) >= Number(node.latest.year)) node.latest = bottom.latest;
+                node.members.push(index);
+                bottom.values.forEach((value, i) => { node.values[i] += value; });
+            });
+            nodes.push(...byKey.values());
+        });
+        nodes.forEach(node => { node.base = Math.max(0, METHODS[method].predict(node.values, context)); });
+
+        const finish = (value) => Math.max(0, integer ? Math.round(value) : value);
+        const leaves = nodes.filter(node => node.level === 'grower_hybrid');
+        const values = apportion(RECONCILERS[reconcile](nodes, leaves), integer);
+        const succeeded = succeed(leaves.map((leaf, j) => ({
+            key: leaf.key,
+            latest: leaf.latest,
+            history: leaf.values,
+            value: values[j],
+            low: null,
+            high: null,
+            interval: null
+        })), LEVELS.grower_hybrid, retiring, integer);
+
+        const fields = LEVELS[level];
+        const nodesAt = new Map(nodes.filter(node => node.level === level).map(node => [node.key, node]));
+        const groups = new Map();
+        succeeded.forEach(leaf => {
+            const key = fields.map(field => leaf.latest[field]).join('|') || 'total';
+            if (!groups.has(key)) {
+                const node = nodesAt.get(key);
+                groups.set(key, { key, latest: node ? node.latest : leaf.latest, value: 0, from: [], to: [] });
+            }
+            const group = groups.get(key);
+            group.value += leaf.value;
+            group.from.push(...(leaf.transferred_from || []));
+            group.to.push(...(leaf.transferred_to || []));
+        });
+
+        return [...groups.values()].map(group => {
+            const node = nodesAt.get(group.key);
+            const interval = node ? predictionInterval(method, node.values, context, node.base, confidence) : null;
+            const retired = group.value === 0 && group.to.length > 0;
+            const shift = node ? group.value - node.base : 0;
+            const entry = {
+                key: group.key,
+                latest: group.latest,
+                history: node ? node.values : history.map(() => 0),
+                value: group.value,
+                low: interval ? (retired ? 0 : Math.min(group.value, finish(interval.low + shift))) : null,
+                high: interval ? (retired ? 0 : Math.max(group.value, finish(interval.high + shift))) : null,
+                interval: interval ? { method: interval.method, df: interval.df } : null
+            };
+            if (fields.includes('hybrid')) {
+                if (group.from.length > 0) entry.transferred_from = mergeTransfers(group.from);
+                if (group.to.length > 0) entry.transferred_to = mergeTransfers(group.to);
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Succession map from catalog hybrids: { [code]: { discontinue_year,
+     * successors: [{ code, share }] } } for hybrids with a discontinue
+     * year and successors. Shares are percentages.
+     */
+    function successionFrom(items = []) {
+        const succession = {};
+        items.filter(item => (!item.kind || item.kind === 'hybrid') && item.discontinue_year &&
+            Array.isArray(item.successors) && item.successors.length > 0)
+            .forEach(item => {
+                succession[item.code] = {
+                    discontinue_year: Number(item.discontinue_year),
+                    successors: item.successors.map(successor => ({ code: successor.code, share: Number(successor.share) || 0 }))
+                };
+            });
+        return succession;
+    }
+
+    /**
+     * Hybrids retired by a season with the hybrids their volume goes to,
+     * { [code]: [{ code, share }] }. A successor that has itself retired
+     * passes its share on to its own successors; shares are scaled to
+     * add up to 100 so no volume is lost. A chain that leads back to the
+     * retiring hybrid keeps that share on it.
+     */
+    function retiringBy(succession, season) {
+        const retiring = {};
+        if (!succession || season === null) return retiring;
+
+        const retires = (code) => Boolean(succession[code]) && succession[code].discontinue_year <= season &&
+            sum(succession[code].successors.map(successor => successor.share)) > 0;
+        const expand = (code, share, passed) => {
+            if (!retires(code) || passed.has(code)) return [{ code, share }];
+            const { successors } = succession[code];
+            const whole = sum(successors.map(successor => successor.share));
+            return successors.flatMap(successor =>
+                expand(successor.code, share * successor.share / whole, new Set([...passed, code])));
+        };
+
+        Object.keys(succession).filter(retires).forEach(code => {
+            const shares = new Map();
+            expand(code, 100, new Set()).forEach(successor => {
+                shares.set(successor.code, (shares.get(successor.code) || 0) + successor.share);
+            });
+            shares.delete(code);
+            if (shares.size > 0) retiring[code] = [...shares].map(([successor, share]) => ({ code: successor, share }));
+        });
+        return retiring;
+    }
+
+    /**
+     * A value split by percentage shares; whole units are split by
+     * largest remainder so the parts add up to the value
+     */
+    function split(value, shares, integer) {
+        const exact = shares.map(share => value * share / 100);
+        if (!integer) return exact;
+
+        const parts = exact.map(Math.floor);
+        let left = Math.round(sum(exact) - sum(parts));
+        exact.map((part, i) => ({ i, remainder: part - parts[i] }))
+            .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+            .forEach(({ i }) => {
+                if (left > 0) {
+                    parts[i]++;
+                    left--;
+                }
+            });
+        return parts;
+    }
+
+    // Transfers to or from the same hybrid added together
+    function mergeTransfers(transfers) {
+        const byHybrid = new Map();
+        transfers.forEach(({ hybrid, value }) => byHybrid.set(hybrid, (byHybrid.get(hybrid) || 0) + value));
+        return [...byHybrid].map(([hybrid, value]) => ({ hybrid, value }));
+    }
+
+    /**
+     * Move the forecasts of retiring hybrids to their successors, within
+     * the same group at a level with a hybrid (the same grower at the
+     * grower x hybrid level). A successor the group has no series for
+     * gets one with no history and no interval; one it has keeps its
+     * interval, moved by what it received. A retired forecast is 0.
+     */
+    function succeed(entries, fields, retiring, integer) {
+        if (!fields.includes('hybrid') || Object.keys(retiring).length === 0) return entries;
+
+        const byKey = new Map(entries.map(entry => [entry.key, entry]));
+        entries.forEach(entry => {
+            const hybrid = entry.latest.hybrid;
+            const successors = retiring[hybrid];
+            if (!successors || !entry.value) return;
+
+            const shares = successors.map(successor => successor.share);
+            const parts = split(entry.value, shares, integer);
+            // What stays (a share looping back), without rounding dust
+            const keptShare = 100 - sum(shares);
+            const kept = integer ? entry.value - sum(parts) : (keptShare > 1e-9 ? entry.value * keptShare / 100 : 0);
+            successors.forEach((successor, i) => {
+                const latest = { ...entry.latest, hybrid: successor.code };
+                const key = fields.map(field => latest[field]).join('|');
+                if (!byKey.has(key)) {
+                    byKey.set(key, { key, latest, history: entry.history.map(() => 0), value: 0, low: null, high: null, interval: null });
+                }
+                const target = byKey.get(key);
+                target.value += parts[i];
+                if (target.low !== null) {
+                    target.low += parts[i];
+                    target.high += parts[i];
+                }
+                target.transferred_from = [...(target.transferred_from || []), { hybrid, value: parts[i] }];
+                entry.transferred_to = [...(entry.transferred_to || []), { hybrid: successor.code, value: parts[i] }];
+            });
+            entry.value = kept;
+            if (entry.low !== null) {
+                entry.low = Math.min(entry.low, kept);
+                entry.high = Math.min(entry.high, kept);
+            }
+        });
+        return [...byKey.values()];
+    }
+
+    /**
+     * Forecast the season after the history. rows are sales totals by
+     * season: { year, grower_key, grower_id, grower_name, product, hybrid,
+     * revenue, quantity, bags, seed_units, orders }, such as rollup cells
+     * or rowsFromRecords(). seasons, when given, is the full history (so
+     * a filtered forecast spans the same seasons as an unfiltered one).
+     * With reconcile (other than none) only sales with a hybrid are
+     * forecast, at every level, so the levels add up. options.succession
+     * (see successionFrom()) moves the forecasts of hybrids retired by
+     * the forecast season to their successors.
+     *
+     * Returns { level, measure, method, params, confidence, reconcile,
+     * seasons, season, label, succession, forecasts } where succession
+     * lists the retired hybrids applied ({ hybrid, successors }) and each
+     * forecast holds its group's fields, history (one value per season),
+     * value, and the prediction interval low and high with how it was
+     * made ({ method, df }); low, high and interval are null when the
+     * history is too short. At levels with a hybrid, transferred_to and
+     * transferred_from list the volume moved ({ hybrid, value }).
+     */
+    function run(rows, options = {}, seasons = null) {
+        const resolved = resolveOptions(options);
+        const { level, measure, method, confidence, reconcile, params } = resolved;
+        const fields = reconcile === 'none' ? LEVELS[level] : LEVELS.grower_hybrid;
+        const { integer } = MEASURES[measure];
+
+        const usable = rows.filter(row => row.year !== null && row.year !== undefined && fields.every(field => row[field]));
+        const history = seasonRange(seasons || usable.map(row => row.year));
+        const target = history.length > 0 ? history[history.length - 1] + 1 : null;
+
+        const finish = (value) => Math.max(0, integer ? Math.round(value) : value);
+        const retiring = retiringBy(options.succession, target);
+
+        const entries = reconcile !== 'none'
+            ? reconciled(usable, resolved, history, target, retiring)
+            : succeed(seriesAt(usable, fields, measure, history).map(series => {
+                const context = { seasons: history, target, params };
+                const predicted = METHODS[method].predict(series.values, context);
+                const interval = predictionInterval(method, series.values, context, predicted, confidence);
+                return {
+                    key: series.key,
+                    latest: series.latest,
+                    history: series.values,
+                    value: finish(predicted),
+                    low: interval ? finish(interval.low) : null,
+                    high: interval ? finish(interval.high) : null,
+                    interval: interval ? { method: interval.method, df: interval.df } : null
+                };
+            }), fields, retiring, integer);
+
+        const forecasts = entries.map(({ key, latest, transferred_from, transferred_to, ...forecast }) => ({
+            ...identify({ key, latest }, LEVELS[level]),
+            ...forecast,
+            ...(transferred_from ? { transferred_from: mergeTransfers(transferred_from) } : {}),
+            ...(transferred_to ? { transferred_to: mergeTransfers(transferred_to) } : {})
+        })).sort((a, b) => b.value - a.value || String(a.key).localeCompare(String(b.key)));
+
+        return {
+            level,
+            measure,
+            method,
+            params,
+            confidence,
+            reconcile,
+            seasons: history,
+            season: target,
+            label: target === null ? null : Seasons.label(target),
+            succession: Object.entries(retiring).map(([hybrid, successors]) => ({ hybrid, successors })),
+            forecasts
+        };
+    }
+
+    /**
+     * Accuracy of forecasts against actuals, both keyed by series:
+     * mape, the mean absolute percentage error over series that sold;
+     * bias, total forecast over total actual minus one (positive when
+     * forecasts run high); hit_rate, the share of series forecast
+     * within tolerance of the actual; and coverage, the share of
+     * prediction intervals the actual fell in. A series missing from
+     * either side counts as 0 there.
+     */
+    function score(forecasts, actuals, tolerance) {
+        const keys = new Set([...forecasts.keys(), ...actuals.keys()]);
+        let errors = 0, scored = 0, hits = 0, forecastTotal = 0, actualTotal = 0, intervals = 0, covered = 0;
+        keys.forEach(key => {
+            const { value: forecast = 0, low = null, high = null } = forecasts.get(key) || {};
+            const actual = actuals.get(key) || 0;
+            if (low !== null) {
+                intervals++;
+                if (actual >= low && actual <= high) covered++;
+            }
+            forecastTotal += forecast;
+            actualTotal += actual;
+            if (actual > 0) {
+                errors += Math.abs(forecast - actual) / actual;
+                scored++;
+            }
+            if (Math.abs(forecast - actual) <= tolerance * actual) hits++;
+        });
+        return {
+            series: keys.size,
+            mape: scored ? errors / scored : null,
+            bias: actualTotal ? forecastTotal / actualTotal - 1 : null,
+            hit_rate: keys.size ? hits / keys.size : null,
+            coverage: intervals ? covered / intervals : null
+        };
+    }
+
+    /**
+     * Backtest every method: hide the latest season, forecast it from the
+     * seasons before, and score each method at each level. rows and
+     * seasons are as for run(). options: measure, levels (default every
+     * level the measure allows), params (any method's, by name),
+     * confidence (for coverage), reconcile (scored against sales with a
+     * hybrid, as run() forecasts them), succession and tolerance (for hit_rate,
+     * default HIT_TOLERANCE).
+     *
+     * Returns { measure, season, label, seasons, confidence, reconcile,
+     * tolerance, results, best }: results holds { level, method, label,
+     * series, mape, bias, hit_rate, coverage } per level and method, and
+     * best the method with the lowest MAPE at each level. season is null
+     * when there are fewer than two seasons.
+     */
+    function backtest(rows, options = {}, seasons = null) {
+        const { measure = 'revenue', params = {} } = options;
+        const { confidence, reconcile } = resolveOptions({
+            measure,
+            confidence: options.confidence || undefined,
+            reconcile: options.reconcile || undefined
+        });
+        const distinct = MEASURES[measure].distinct;
+        const levels = options.levels && options.levels.length > 0
+            ? options.levels
+            : Object.keys(LEVELS).filter(level => !LEVELS[level].includes(distinct));
+        const tolerance = options.tolerance === undefined || options.tolerance === null || options.tolerance === ''
+            ? HIT_TOLERANCE
+            : Number(options.tolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0) {
+            throw new ForecastError('tolerance must be a number of at least 0');
+        }
+        levels.forEach(level => resolveOptions({ level, measure }));
+
+        const known = seasonRange(seasons || rows.map(row => row.year));
+        const hidden = known.length > 0 ? known[known.length - 1] : null;
+        const earlier = known.slice(0, -1);
+        const result = { measure, season: null, label: null, seasons: [], confidence, reconcile, tolerance, results: [], best: {} };
+        if (earlier.length === 0) return result;
+
+        const training = rows.filter(row => Number(row.year) < hidden);
+        levels.forEach(level => {
+            const actuals = new Map(run(rows, { level, measure, reconcile }, known).forecasts
+                .map(f => [f.key, f.history[f.history.length - 1]]));
+
+            const scores = Object.keys(METHODS).map(method => {
+                const forecast = run(training, { level, measure, method, confidence, reconcile, params, succession: options.succession }, earlier);
+                const forecasts = new Map(forecast.forecasts.map(f => [f.key, f]));
+                return { level, method, label: METHODS[method].label, ...score(forecasts, actuals, tolerance) };
+            });
+            result.results.push(...scores);
+
+            const ranked = scores.filter(entry => entry.mape !== null)
+                .sort((a, b) => a.mape - b.mape || Math.abs(a.bias) - Math.abs(b.bias));
+            if (ranked.length > 0) result.best[level] = ranked[0].method;
+        });
+
+        result.season = hidden;
+        result.label = Seasons.label(hidden);
+        result.seasons = earlier;
+        return result;
+    }
+
+    /**
+     * Forecast rows from transaction records, for forecasting without the
+     * server. Records need a date or a year (season); filters narrow them
+     * like the API's product, hybrid, crop_line and grower_id parameters
+     * (comma-separated or arrays).
+     */
+    function rowsFromRecords(records, filters = {}) {
+        const lists = {};
+        ['product', 'hybrid', 'crop_line', 'grower_id'].forEach(field => {
+            const value = filters[field];
+            if (value === undefined || value === null || value === '') return;
+            lists[field] = [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+        });
+
+        return records
+            .filter(record => Object.entries(lists).every(([field, values]) => values.includes(String(record[field] || ''))))
+            .map(record => ({
+                year: record.year !== undefined ? Number(record.year) : Seasons.seasonOf(record.date),
+                grower_key: Growers.growerKey(record),
+                grower_id: record.grower_id ? String(record.grower_id) : null,
+                grower_name: record.grower_name,
+                product: record.product,
+                hybrid: record.hybrid || null,
+                crop_line: record.crop_line || null,
+                revenue: record.amount || 0,
+                quantity: record.quantity || 0,
+                bags: record.bags || 0,
+                seed_units: record.seed_units || 0,
+                orders: 1
+            }));
+    }
+
+    /**
+     * Forecast straight from transaction records; options as for run()
+     * plus the rowsFromRecords filters. Like the API, a filtered forecast
+     * spans every season with sales.
+     */
+    function forecastRecords(records, options = {}) {
+        const seasons = rowsFromRecords(records).map(row => row.year);
+        return run(rowsFromRecords(records, options), options, seasons);
+    }
+
+    /**
+     * Backtest straight from transaction records; options as for
+     * backtest() plus the rowsFromRecords filters
+     */
+    function backtestRecords(records, options = {}) {
+        const seasons = rowsFromRecords(records).map(row => row.year);
+        return backtest(rowsFromRecords(records, options), options, seasons);
+    }
+
+    /**
+     * Levels, measures, reconciliations and methods with their parameter
+     * defaults
+     */
+    const describe = () => ({
+        levels: Object.keys(LEVELS),
+        measures: Object.keys(MEASURES),
+        default_confidence: DEFAULT_CONFIDENCE,
+        reconciliations: Object.entries(RECONCILIATIONS).map(([name, label]) => ({ name, label })),
+        methods: Object.entries(METHODS).map(([name, method]) => ({ name, label: method.label, params: { ...method.params } }))
+    });
+
+    return {
+        ForecastError,
+        LEVELS,
+        MEASURES,
+        METHODS,
+        RECONCILIATIONS,
+        DEFAULT_CONFIDENCE,
+        resolveOptions,
+        run,
+        rowsFromRecords,
+        forecastRecords,
+        successionFrom,
+        backtest,
+        backtestRecords,
+        describe
+    };
+}));
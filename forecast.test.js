@@ -0,0 +1,401 @@
+/**
+ * Forecast tests: methods, levels and options of the shared engine,
+ * prediction intervals, backtests, reconciliation across levels and
+ * hybrid succession
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('./forecast');
+
+/**
+ * Forecast rows, one per season and value: series('A', [100, 200]) is A
+ * selling 100 in 2023 and 200 in 2024
+ */
+function series(hybrid, values, { grower = 'Garms', product = 'Corn Seed', from = 2023 } = {}) {
+    return values.map((value, i) => ({
+        year: from + i,
+        grower_key: `name:${grower.toLowerCase()}`,
+        grower_id: null,
+        grower_name: grower,
+        product,
+        hybrid,
+        revenue: value,
+        quantity: value,
+        bags: value,
+        seed_units: value,
+        orders: 1
+    })).filter(row => row.revenue !== null);
+}
+
+const totalOf = (rows, options) => Forecast.run(rows, options).forecasts[0].value;
+
+test('each method projects the season after the history', () => {
+    const rows = series('P1185', [100, 200, 300]);
+    const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+    approx(totalOf(rows, { method: 'linear' }), 400);
+    approx(totalOf(rows, { method: 'growth' }), 525);
+    approx(totalOf(rows, { method: 'weighted' }), 245);
+    approx(totalOf(rows, { method: 'damped' }), 337.5);
+    approx(totalOf(rows, { method: 'damped', params: { damping: '1' } }), 375);
+});
+
+test('the damped rule expects lapsed growers back with less', () => {
+    assert.equal(totalOf(series('P1185', [200, 0]), { method: 'damped' }), 160);
+    assert.equal(totalOf(series('P1185', [100, 200, 0]), { method: 'damped' }), 160);
+    assert.equal(totalOf(series('P1185', [400, 200, 0]), { method: 'damped' }), 100);
+});
+
+test('run groups rows into one series per group at the level', () => {
+    const rows = [
+        ...series('P1185', [100, 200, 300]),
+        ...series('P1197', [50, 50, 50], { grower: 'Ridge' }),
+        ...series('S20', [10, null, 30], { product: 'Soybean Seed' })
+    ];
+    const result = Forecast.run(rows, { level: 'product' });
+
+    assert.equal(result.season, 2026);
+    assert.deepEqual(result.seasons, [2023, 2024, 2025]);
+    assert.deepEqual(result.forecasts.map(f => [f.product, f.history]), [
+        ['Corn Seed', [150, 250, 350]],
+        ['Soybean Seed', [10, 0, 30]]
+    ]);
+    assert.deepEqual(Forecast.run(rows, { level: 'grower' }).forecasts.map(f => f.grower_name), ['Garms', 'Ridge']);
+});
+
+test('run never forecasts below zero and counts whole units', () => {
+    assert.equal(totalOf(series('P1185', [300, 100]), {}), 0);
+    assert.equal(totalOf(series('P1185', [10, 15, 21]), { measure: 'bags', method: 'weighted' }), 18);
+});
+
+test('run counts distinct growers above the grower level', () => {
+    const rows = [...series('P1185', [1, 1, 1]), ...series('P1185', [0, 1, 1], { grower: 'Ridge' })];
+    const result = Forecast.run(rows.filter(row => row.revenue > 0), { measure: 'growers' });
+    assert.deepEqual(result.forecasts[0].history, [1, 2, 2]);
+});
+
+test('resolveOptions fills in defaults and rejects bad options', () => {
+    const resolved = Forecast.resolveOptions({ method: 'weighted', params: { trend_up: '1.1' } });
+    assert.deepEqual(resolved, {
+        level: 'total',
+        measure: 'revenue',
+        method: 'weighted',
+        confidence: Forecast.DEFAULT_CONFIDENCE,
+        reconcile: 'none',
+        params: { trend_up: 1.1, trend_down: 0.95 }
+    });
+
+    const rejects = (options, message) => assert.throws(
+        () => Forecast.resolveOptions(options),
+        error => error instanceof Forecast.ForecastError && message.test(error.message)
+    );
+    rejects({ level: 'county' }, /level must be one of/);
+    rejects({ measure: 'acres' }, /measure must be one of/);
+    rejects({ measure: 'growers', level: 'grower' }, /cannot be forecast per grower/);
+    rejects({ method: 'magic' }, /method must be one of/);
+    rejects({ confidence: 1.5 }, /confidence must be between 0 and 1/);
+    rejects({ method: 'holt', params: { alpha: 'high' } }, /alpha must be a number/);
+});
+
+test('forecastRecords groups a grower\'s spellings and spans every season', () => {
+    const records = [
+        { date: '2023-03-01', grower_name: 'Garms Inc', product: 'Corn Seed', hybrid: 'P1185', amount: 100 },
+        { date: '2024-03-01', grower_name: 'GARMS, INC.', product: 'Corn Seed', hybrid: 'P1185', amount: 200 },
+        { date: '2025-03-01', grower_name: 'Garms Inc', product: 'Corn Seed', hybrid: 'P1185', amount: 300 },
+        { date: '2025-04-01', grower_name: 'Ridge Farms', product: 'Soybean Seed', amount: 80 }
+    ];
+
+    const byGrower = Forecast.forecastRecords(records, { level: 'grower' });
+    assert.deepEqual(byGrower.forecasts.map(f => [f.grower_name, f.history]), [
+        ['Garms Inc', [100, 200, 300]],
+        ['Ridge Farms', [0, 0, 80]]
+    ]);
+
+    const soy = Forecast.forecastRecords(records, { product: 'Soybean Seed' });
+    assert.deepEqual(soy.seasons, [2023, 2024, 2025]);
+    assert.deepEqual(soy.forecasts[0].history, [0, 0, 80]);
+});
+
+test('describe lists every method with its parameter defaults', () => {
+    const { methods, levels, reconciliations } = Forecast.describe();
+    assert.deepEqual(methods.map(m => m.name), Object.keys(Forecast.METHODS));
+    assert.deepEqual(methods.find(m => m.name === 'weighted').params, { trend_up: 1.05, trend_down: 0.95 });
+    assert.deepEqual(levels, Object.keys(Forecast.LEVELS));
+    assert.ok(reconciliations.some(r => r.name === 'none'));
+});
+
+test('backtest hides the latest season and scores every method against it', () => {
+    const rows = [...series('P1185', [100, 200, 300, 400]), ...series('P1197', [80, 80, 80, 80], { grower: 'Ridge' })];
+    const result = Forecast.backtest(rows, { levels: ['total', 'grower'] });
+
+    assert.equal(result.season, 2026);
+    assert.deepEqual(result.seasons, [2023, 2024, 2025]);
+    assert.equal(result.results.length, 2 * Object.keys(Forecast.METHODS).length);
+
+    const linear = result.results.find(r => r.level === 'grower' && r.method === 'linear');
+    assert.equal(linear.series, 2);
+    assert.equal(linear.mape, 0);
+    assert.equal(linear.bias, 0);
+    assert.equal(linear.hit_rate, 1);
+    assert.equal(result.best.grower, 'linear');
+});
+
+test('backtest scores bias and misses against what was sold', () => {
+    const rows = series('P1185', [100, 100, 100, 50]);
+    const { results } = Forecast.backtest(rows, { levels: ['total'] });
+    const linear = results.find(r => r.method === 'linear');
+
+    assert.equal(linear.mape, 1);
+    assert.equal(linear.bias, 1);
+    assert.equal(linear.hit_rate, 0);
+    assert.equal(Forecast.backtest(rows, { levels: ['total'], tolerance: 1 }).results.find(r => r.method === 'linear').hit_rate, 1);
+});
+
+test('backtest counts series sold only in the hidden season as misses', () => {
+    const rows = [...series('P1185', [100, 100, 100, 100]), ...series('P1197', [null, null, null, 50], { grower: 'Ridge' })];
+    const linear = Forecast.backtest(rows, { levels: ['grower'] }).results.find(r => r.method === 'linear');
+
+    assert.equal(linear.series, 2);
+    assert.equal(linear.hit_rate, 0.5);
+    assert.equal(linear.mape, 0.5);
+});
+
+test('backtest needs two seasons and a valid tolerance', () => {
+    const result = Forecast.backtest(series('P1185', [100]));
+    assert.equal(result.season, null);
+    assert.deepEqual(result.results, []);
+
+    assert.throws(() => Forecast.backtest(series('P1185', [100, 200]), { tolerance: -1 }), Forecast.ForecastError);
+    assert.throws(() => Forecast.backtest(series('P1185', [100, 200]), { levels: ['grower'], measure: 'growers' }), Forecast.ForecastError);
+});
+
+test('backtest skips grower levels for grower counts by default', () => {
+    const { results } = Forecast.backtest(series('P1185', [1, 1, 1]), { measure: 'growers' });
+    assert.deepEqual([...new Set(results.map(r => r.level))], ['total', 'product', 'hybrid']);
+});
+
+// Student's t 0.95 quantiles for 1 and 2 degrees of freedom
+const T95 = { 1: 6.313751514675, 2: 2.919985580354 };
+
+test('linear intervals come from the residuals around the line', () => {
+    const [forecast] = Forecast.run(series('P1185', [1000, 1200, 1300]), { method: 'linear' }).forecasts;
+
+    // s = sqrt(SSE / (n - 2)); the target is two seasons past the mean
+    const margin = T95[1] * Math.sqrt(1666.6667) * Math.sqrt(1 + 1 / 3 + 4 / 2);
+    assert.deepEqual(forecast.interval, { method: 'residual', df: 1 });
+    assert.ok(Math.abs(forecast.value - 1466.6667) < 1e-3);
+    assert.ok(Math.abs(forecast.low - (forecast.value - margin)) < 1e-3);
+    assert.ok(Math.abs(forecast.high - (forecast.value + margin)) < 1e-3);
+});
+
+test('other methods take intervals from their past forecast errors', () => {
+    const [forecast] = Forecast.run(series('P1185', [100, 200]), { method: 'growth' }).forecasts;
+
+    // Forecasting the second season from the first misses by 100
+    assert.deepEqual(forecast.interval, { method: 'errors', df: 1 });
+    assert.equal(forecast.value, 400);
+    assert.equal(forecast.low, 0);
+    assert.ok(Math.abs(forecast.high - (400 + T95[1] * 100)) < 1e-6);
+});
+
+test('intervals are read from error quantiles once there are enough errors', () => {
+    const values = [100, 120, 90, 130, 110, 140, 100, 150, 120, 160, 130, 170];
+    const [weighted] = Forecast.run(series('P1185', values), { method: 'weighted' }).forecasts;
+    const [linear] = Forecast.run(series('P1185', values), { method: 'linear' }).forecasts;
+
+    assert.deepEqual(weighted.interval, { method: 'quantile', df: null });
+    assert.ok(weighted.low <= weighted.value && weighted.value <= weighted.high);
+    assert.deepEqual(linear.interval, { method: 'residual', df: 10 });
+});
+
+test('intervals widen with the confidence level and need history', () => {
+    const rows = series('P1185', [100, 130, 110, 150]);
+    const width = (confidence) => {
+        const [forecast] = Forecast.run(rows, { method: 'holt', confidence }).forecasts;
+        return forecast.high - forecast.low;
+    };
+    assert.ok(width(0.95) > width(0.8));
+
+    const [single] = Forecast.run(series('P1185', [100]), { method: 'linear' }).forecasts;
+    assert.equal(single.value, 100);
+    assert.equal(single.low, null);
+    assert.equal(single.interval, null);
+});
+
+test('interval bounds are whole and never below zero for counts', () => {
+    const [forecast] = Forecast.run(series('P1185', [3, 9, 4]), { measure: 'bags', method: 'weighted' }).forecasts;
+    // Past errors 6.15 and -3.35 around an unrounded forecast of 5.225
+    assert.deepEqual(forecast.interval, { method: 'errors', df: 2 });
+    assert.equal(forecast.value, 5);
+    assert.equal(forecast.low, 0);
+    assert.equal(forecast.high, Math.round(5.225 + T95[2] * Math.sqrt((6.15 * 6.15 + 3.35 * 3.35) / 2)));
+});
+
+test('backtest coverage is the share of actuals inside their intervals', () => {
+    const rows = [...series('P1185', [100, 200, 300, 400]), ...series('P1197', [100, 200, 300, 100], { grower: 'Ridge' })];
+    const linear = Forecast.backtest(rows, { levels: ['grower'] }).results.find(r => r.method === 'linear');
+    assert.equal(linear.coverage, 0.5);
+});
+
+test('Holt smoothing follows the level and trend', () => {
+    assert.equal(totalOf(series('P1185', [100, 200, 300]), { method: 'holt' }), 400);
+    assert.equal(totalOf(series('P1185', [100, 150, 300]), { method: 'holt', params: { alpha: 1, beta: 1 } }), 450);
+    assert.equal(totalOf(series('P1185', [100]), { method: 'holt' }), 100);
+});
+
+test('Croston forecasts intermittent buyers per season', () => {
+    assert.equal(totalOf(series('P1185', [10, 0, 0, 10]), { method: 'croston' }), 6.25);
+    assert.equal(totalOf(series('P1185', [10, 10, 10]), { method: 'croston' }), 10);
+    assert.equal(totalOf(series('P1185', [0, 0]), { method: 'croston' }), 0);
+});
+
+// Two growers, two hybrids and a soybean line without a hybrid
+const HIERARCHY = [
+    ...series('P1185', [300, 340, 420]),
+    ...series('P1197', [200, 180, 150]),
+    ...series('P1185', [120, 150, 150], { grower: 'Ridge' }),
+    ...series('P1197', [90, 60, 80], { grower: 'Ridge' }),
+    ...series('', [500, 500, 500], { product: 'Soybean Seed' })
+];
+
+const totalAt = (options, level) => Forecast.run(HIERARCHY, { ...options, level }).forecasts
+    .reduce((total, forecast) => total + forecast.value, 0);
+
+test('reconciled forecasts add up across every level', () => {
+    ['bottom_up', 'top_down', 'ols'].forEach(reconcile => {
+        ['linear', 'holt', 'damped'].forEach(method => {
+            const total = totalAt({ reconcile, method }, 'total');
+            Object.keys(Forecast.LEVELS).forEach(level => {
+                const sum = totalAt({ reconcile, method }, level);
+                assert.ok(Math.abs(sum - total) < 1e-6, `${reconcile} ${method} ${level}: ${sum} != ${total}`);
+            });
+        });
+    });
+});
+
+test('reconciliation only forecasts sales with a hybrid', () => {
+    const [total] = Forecast.run(HIERARCHY, { reconcile: 'bottom_up' }).forecasts;
+    assert.deepEqual(total.history, [710, 730, 800]);
+});
+
+test('bottom-up and top-down keep the grower x hybrid and total forecasts', () => {
+    const hybrids = HIERARCHY.filter(row => row.hybrid);
+    const own = (level) => Forecast.run(hybrids, { level }).forecasts;
+
+    const bottomUp = Forecast.run(HIERARCHY, { level: 'grower_hybrid', reconcile: 'bottom_up' }).forecasts;
+    assert.deepEqual(bottomUp.map(f => [f.key, f.value]), own('grower_hybrid').map(f => [f.key, f.value]));
+
+    const [topDown] = Forecast.run(HIERARCHY, { reconcile: 'top_down' }).forecasts;
+    const [total] = own('total');
+    assert.ok(Math.abs(topDown.value - total.value) < 1e-6);
+    assert.ok(Math.abs((topDown.high - topDown.low) - (total.high - total.low)) < 1e-6);
+});
+
+test('least squares reconciliation cuts negative forecasts to zero without changing the total', () => {
+    // Garms' line trends below zero; the total is flat at 383.33
+    const rows = [...series('P1185', [300, 150, 100]), ...series('P1197', [100, 200, 300], { grower: 'Ridge' })];
+    const at = (reconcile, level) => Forecast.run(rows, { reconcile, level }).forecasts;
+
+    const ols = at('ols', 'grower_hybrid');
+    assert.deepEqual(ols.map(f => f.grower_name), ['Ridge', 'Garms']);
+    assert.ok(Math.abs(ols[0].value - 2733.3333 / 7) < 1e-3);
+    assert.equal(ols[1].value, 0);
+
+    assert.equal(at('bottom_up', 'total')[0].value, 400);
+    assert.ok(Math.abs(at('top_down', 'total')[0].value - 383.3333) < 1e-3);
+    assert.ok(Math.abs(at('ols', 'total')[0].value - 2733.3333 / 7) < 1e-3);
+});
+
+test('reconciled counts stay whole and add up', () => {
+    ['bottom_up', 'top_down', 'ols'].forEach(reconcile => {
+        const leaves = Forecast.run(HIERARCHY, { measure: 'bags', reconcile, level: 'grower_hybrid' }).forecasts;
+        const [total] = Forecast.run(HIERARCHY, { measure: 'bags', reconcile }).forecasts;
+        assert.ok(leaves.every(f => Number.isInteger(f.value) && f.value >= 0), reconcile);
+        assert.equal(leaves.reduce((sum, f) => sum + f.value, 0), total.value, reconcile);
+    });
+});
+
+test('distinct counts cannot be reconciled', () => {
+    assert.throws(() => Forecast.run(HIERARCHY, { measure: 'growers', reconcile: 'ols' }), /cannot be reconciled/);
+});
+
+const successor = (code, share) => ({ code, share });
+
+test('successionFrom maps discontinued catalog hybrids to their successors', () => {
+    const succession = Forecast.successionFrom([
+        { kind: 'hybrid', code: 'P1185', discontinue_year: '2026', successors: [successor('P1197', '60'), successor('P0924', 40)] },
+        { kind: 'hybrid', code: 'P1197', launch_year: 2024 },
+        { kind: 'hybrid', code: 'P0924', discontinue_year: 2027, successors: [] },
+        { kind: 'trait', code: 'AML', discontinue_year: 2026, successors: [successor('Q', 100)] }
+    ]);
+
+    assert.deepEqual(succession, {
+        P1185: { discontinue_year: 2026, successors: [successor('P1197', 60), successor('P0924', 40)] }
+    });
+});
+
+test('a retiring hybrid hands its forecast to its successors by share', () => {
+    const rows = [...series('P1185', [100, 100, 100]), ...series('P1197', [50, 50, 50])];
+    const succession = { P1185: { discontinue_year: 2026, successors: [successor('P1197', 60), successor('P0924', 40)] } };
+    const result = Forecast.run(rows, { level: 'hybrid', succession });
+    const byHybrid = Object.fromEntries(result.forecasts.map(f => [f.hybrid, f]));
+
+    assert.deepEqual(result.succession, [{ hybrid: 'P1185', successors: succession.P1185.successors }]);
+    assert.equal(byHybrid.P1185.value, 0);
+    assert.deepEqual(byHybrid.P1185.transferred_to, [{ hybrid: 'P1197', value: 60 }, { hybrid: 'P0924', value: 40 }]);
+    assert.equal(byHybrid.P1197.value, 110);
+    assert.deepEqual(byHybrid.P1197.transferred_from, [{ hybrid: 'P1185', value: 60 }]);
+    assert.equal(byHybrid.P0924.value, 40);
+    assert.deepEqual(byHybrid.P0924.history, [0, 0, 0]);
+    assert.equal(byHybrid.P0924.interval, null);
+
+    assert.equal(Forecast.run(rows, { succession }).forecasts[0].value, 150);
+});
+
+test('succession waits for the discontinue season', () => {
+    const rows = series('P1185', [100, 100, 100]);
+    const result = Forecast.run(rows, { level: 'hybrid', succession: { P1185: { discontinue_year: 2027, successors: [successor('P1197', 100)] } } });
+
+    assert.deepEqual(result.succession, []);
+    assert.deepEqual(result.forecasts.map(f => [f.hybrid, f.value]), [['P1185', 100]]);
+});
+
+test('succession follows chains of retired hybrids and stops at loops', () => {
+    const rows = series('P1185', [100, 100, 100]);
+    const run = (succession) => Forecast.run(rows, { level: 'hybrid', succession }).forecasts
+        .filter(f => f.value > 0).map(f => [f.hybrid, f.value]);
+
+    assert.deepEqual(run({
+        P1185: { discontinue_year: 2025, successors: [successor('P1197', 100)] },
+        P1197: { discontinue_year: 2026, successors: [successor('P0924', 100)] }
+    }), [['P0924', 100]]);
+    assert.deepEqual(run({
+        P1185: { discontinue_year: 2026, successors: [successor('P1197', 100)] },
+        P1197: { discontinue_year: 2026, successors: [successor('P1185', 100)] }
+    }), [['P1185', 100]]);
+});
+
+test('succession moves volume within each grower and keeps counts whole', () => {
+    const rows = [...series('P1185', [7, 7, 7]), ...series('P1185', [3, 3, 3], { grower: 'Ridge' })];
+    const succession = { P1185: { discontinue_year: 2026, successors: [successor('P1197', 50), successor('P0924', 50)] } };
+    const forecasts = Forecast.run(rows, { level: 'grower_hybrid', measure: 'bags', succession }).forecasts
+        .filter(f => f.value > 0);
+
+    assert.deepEqual(forecasts.map(f => [f.grower_name, f.hybrid, f.value]), [
+        ['Garms', 'P1197', 4],
+        ['Garms', 'P0924', 3],
+        ['Ridge', 'P1197', 2],
+        ['Ridge', 'P0924', 1]
+    ]);
+});
+
+test('reconciled forecasts still add up after succession', () => {
+    const succession = { P1197: { discontinue_year: 2026, successors: [successor('P0924', 100)] } };
+    const total = Forecast.run(HIERARCHY, { reconcile: 'ols', succession }).forecasts[0].value;
+    const hybrids = Forecast.run(HIERARCHY, { reconcile: 'ols', level: 'hybrid', succession }).forecasts;
+
+    assert.ok(Math.abs(hybrids.reduce((sum, f) => sum + f.value, 0) - total) < 1e-6);
+    assert.equal(hybrids.find(f => f.hybrid === 'P1197').value, 0);
+    assert.ok(hybrids.find(f => f.hybrid === 'P0924').value > 0);
+});
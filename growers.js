@@ -0,0 +1,48 @@
+/**
+ * Pioneer Analytics - Grower Names
+ * How grower names are compared, shared by the browser (window.Growers)
+ * and the server (require('../growers')). The server matches transactions
+ * to grower records with it, and the rollups, the forecast engine and the
+ * pages group sales without a grower_id by it, so a grower spelled two
+ * ways is grouped the same way everywhere.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Growers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Normalized form of a grower name used for matching: without case,
+     * punctuation or extra spacing, "&" read as "and" and initials run
+     * together, so "Garms Inc" and "Garms, Inc." match, as do "L.L.C."
+     * and "LLC"
+     */
+    function normalizeName(name) {
+        return String(name == null ? '' : name)
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/\b[a-z](?: [a-z]\b)+/g, letters => letters.replace(/ /g, ''));
+    }
+
+    /**
+     * Key of a sale's grower: the grower_id the server linked, otherwise
+     * the normalized name
+     */
+    function growerKey(record) {
+        return record.grower_id
+            ? String(record.grower_id)
+            : `name:${normalizeName(record.grower_name)}`;
+    }
+
+    return {
+        normalizeName,
+        growerKey
+    };
+}));
@@ -0,0 +1,29 @@
+/**
+ * Grower Names tests: name normalization and grouping keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Growers = require('./growers');
+
+test('normalizeName ignores case, punctuation and spacing', () => {
+    assert.equal(Growers.normalizeName('  Garms,  Inc. '), 'garms inc');
+    assert.equal(Growers.normalizeName('GARMS INC'), Growers.normalizeName('Garms, Inc.'));
+    assert.equal(Growers.normalizeName('Smith & Sons'), 'smith and sons');
+});
+
+test('normalizeName runs initials together', () => {
+    assert.equal(Growers.normalizeName('Ridge Farms L.L.C.'), 'ridge farms llc');
+    assert.equal(Growers.normalizeName('J. R. Miller'), 'jr miller');
+});
+
+test('normalizeName reads missing names as blank', () => {
+    assert.equal(Growers.normalizeName(null), '');
+    assert.equal(Growers.normalizeName(undefined), '');
+});
+
+test('growerKey prefers the linked grower_id over the name', () => {
+    assert.equal(Growers.growerKey({ grower_id: 42, grower_name: 'Garms Inc' }), '42');
+    assert.equal(Growers.growerKey({ grower_name: 'Garms, Inc.' }), Growers.growerKey({ grower_name: 'garms inc' }));
+    assert.equal(Growers.growerKey({ grower_name: 'Garms Inc' }), 'name:garms inc');
+});
@@ -0,0 +1,169 @@
+/**
+ * Pioneer Analytics - Pricing
+ * Price book lookups shared by the browser (window.Pricing) and the server
+ * (require('../pricing')). A price book is a list of entries, each giving
+ * a season's list price for a product, optionally narrowed to one hybrid
+ * or trait, an effective date range and volume tiers. Seasons follow the
+ * sales-year calendar in seasons.js and dates are calendar days as in
+ * dates.js; pages load both first.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./seasons'), require('./dates'));
+    } else {
+        root.Pricing = factory(root.Seasons, root.Dates);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Seasons, Dates) {
+    'use strict';
+
+    // Marks an amount priced from the book rather than taken from an invoice
+    const PRICE_BOOK = 'price_book';
+
+    const normalize = (value) => String(value == null ? '' : value).trim().toLowerCase();
+
+    const toTime = (value) => {
+        const day = Dates.toDay(value);
+        return day === null ? null : day.getTime();
+    };
+
+    /**
+     * Season a date falls in (see seasons.js)
+     */
+    function seasonOf(date) {
+        return toTime(date) === null ? null : Seasons.seasonOf(date);
+    }
+
+    /**
+     * Whether an entry applies to a sale. Entries without a hybrid or
+     * trait apply to every hybrid or trait of their product; entries with
+     * an effective range only apply to sales dated inside it (both days
+     * included).
+     */
+    function appliesTo(entry, { product, hybrid, trait, year, time }) {
+        if (normalize(entry.product) !== normalize(product)) return false;
+        if (Number(entry.year) !== year) return false;
+        if (entry.hybrid && normalize(entry.hybrid) !== normalize(hybrid)) return false;
+        if (entry.trait && normalize(entry.trait) !== normalize(trait)) return false;
+        const from = toTime(entry.effective_from);
+        const to = toTime(entry.effective_to);
+        if (time === null) {
+            // Undated sales only take prices that hold all season
+            return from === null && to === null;
+        }
+        if (from !== null && time < from) return false;
+        if (to !== null && time >= to + Dates.DAY_MS) return false;
+        return true;
+    }
+
+    // Hybrid prices beat trait prices, which beat product prices
+    const specificity = (entry) => (entry.hybrid ? 2 : 0) + (entry.trait ? 1 : 0);
+
+    /**
+     * The entry that prices a sale: the most specific one that applies,
+     * and of those the most recently effective. sale holds product,
+     * hybrid, trait and date (or year). Returns null when none applies.
+     */
+    function findPrice(entries, sale) {
+        const time = toTime(sale.date);
+        const year = sale.year !== undefined && sale.year !== null ? Number(sale.year) : seasonOf(sale.date);
+        if (!year) return null;
+
+        let best = null;
+        (entries || []).forEach(entry => {
+            if (!appliesTo(entry, { ...sale, year, time })) return;
+            if (!best) {
+                best = entry;
+                return;
+            }
+            const rank = specificity(entry) - specificity(best) ||
+                (toTime(entry.effective_from) || 0) - (toTime(best.effective_from) || 0);
+            if (rank > 0) best = entry;
+        });
+        return best;
+    }
+
+    /**
+     * Unit price for a quantity: the highest volume tier the quantity
+     * reaches, or the list price
+     */
+    function unitPrice(entry, quantity = 0) {
+        let price = Number(entry.list_price) || 0;
+        let reached = -Infinity;
+        (entry.tiers || []).forEach(tier => {
+            const min = Number(tier.min_quantity) || 0;
+            if (quantity >= min && min > reached) {
+                reached = min;
+                price = Number(tier.price) || 0;
+            }
+        });
+        return price;
+    }
+
+    const roundCents = (value) => Math.round(value * 100) / 100;
+
+    // Sale field counted by each price unit; other units bill quantity
+    const UNIT_FIELDS = { bag: 'bags', unit: 'seed_units' };
+
+    const isBlank = (value) => value === undefined || value === null || value === '';
+
+    /**
+     * Quantity a sale is billed on in the entry's unit: bags for a 'bag'
+     * price, seed units for a 'unit' price and quantity otherwise. Sales
+     * that do not give the unit's field are billed on quantity.
+     */
+    function billableQuantity(entry, sale) {
+        const field = UNIT_FIELDS[entry.unit || 'bag'];
+        const value = field && !isBlank(sale[field]) ? sale[field] : sale.quantity;
+        return Math.max(0, Number(value) || 0);
+    }
+
+    /**
+     * Price a sale. Returns { entry, quantity, unit_price, amount }, where
+     * quantity is the billable quantity, or null when the book has no
+     * price for it.
+     */
+    function quote(entries, sale) {
+        const entry = findPrice(entries, sale);
+        if (!entry) return null;
+        const quantity = billableQuantity(entry, sale);
+        const price = unitPrice(entry, quantity);
+        return { entry, quantity, unit_price: price, amount: roundCents(price * quantity) };
+    }
+
+    /**
+     * Whether a record's amount should come from the book: it has no
+     * invoice amount, or it was priced from the book before
+     */
+    function needsPrice(record) {
+        return record.price_source === PRICE_BOOK || !(Number(record.amount) > 0);
+    }
+
+    /**
+     * Copy of record with its amount priced from the book when it needs
+     * one (see needsPrice). Records the book cannot price are returned
+     * unchanged. Records with nothing billable are left unpriced, clearing
+     * any earlier book price, rather than booked at $0.
+     */
+    function priceRecord(record, entries) {
+        if (!needsPrice(record)) return record;
+        const priced = quote(entries, record);
+        if (!priced) return record;
+        if (!(priced.quantity > 0)) {
+            if (record.price_source !== PRICE_BOOK) return record;
+            return { ...record, unit_price: null, amount: 0, price_source: null };
+        }
+        return { ...record, unit_price: priced.unit_price, amount: priced.amount, price_source: PRICE_BOOK };
+    }
+
+    return {
+        PRICE_BOOK,
+        seasonOf,
+        findPrice,
+        unitPrice,
+        billableQuantity,
+        quote,
+        needsPrice,
+        priceRecord
+    };
+}));
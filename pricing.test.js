@@ -0,0 +1,93 @@
+/**
+ * Pricing tests: price book lookups, volume tiers and record pricing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Pricing = require('./pricing');
+
+const BOOK = [
+    { product: 'Corn Seed', year: 2026, unit: 'bag', list_price: 300, tiers: [{ min_quantity: 50, price: 282 }] },
+    { product: 'Corn Seed', year: 2026, unit: 'bag', trait: 'AML', list_price: 310 },
+    { product: 'Corn Seed', year: 2026, unit: 'bag', hybrid: 'P1185', list_price: 320 },
+    { product: 'Corn Seed', year: 2026, unit: 'bag', hybrid: 'P1185', list_price: 290, effective_from: '2026-03-01', effective_to: '2026-03-31' },
+    { product: 'Corn Seed', year: 2025, unit: 'bag', list_price: 280 },
+    { product: 'Soybean Seed', year: 2026, unit: 'unit', list_price: 60 },
+    { product: 'Herbicide', year: 2026, unit: 'gallon', list_price: 40 }
+];
+
+test('findPrice prefers hybrid prices over trait prices over product prices', () => {
+    const sale = { product: 'corn seed', date: '2026-05-01' };
+    assert.equal(Pricing.findPrice(BOOK, sale).list_price, 300);
+    assert.equal(Pricing.findPrice(BOOK, { ...sale, trait: 'aml' }).list_price, 310);
+    assert.equal(Pricing.findPrice(BOOK, { ...sale, trait: 'AML', hybrid: 'P1185' }).list_price, 320);
+});
+
+test('findPrice takes the season from the date and honours effective ranges', () => {
+    const sale = { product: 'Corn Seed', hybrid: 'P1185' };
+    assert.equal(Pricing.findPrice(BOOK, { ...sale, date: '2026-03-01' }).list_price, 290);
+    assert.equal(Pricing.findPrice(BOOK, { ...sale, date: '2026-03-31' }).list_price, 290);
+    assert.equal(Pricing.findPrice(BOOK, { ...sale, date: '2026-04-01' }).list_price, 320);
+    assert.equal(Pricing.findPrice(BOOK, { product: 'Corn Seed', date: '2025-06-01' }).list_price, 280);
+    assert.equal(Pricing.findPrice(BOOK, { product: 'Corn Seed', date: '2024-06-01' }), null);
+});
+
+test('findPrice only gives undated sales prices that hold all season', () => {
+    assert.equal(Pricing.findPrice(BOOK, { product: 'Corn Seed', hybrid: 'P1185', year: 2026 }).list_price, 320);
+    assert.equal(Pricing.findPrice(BOOK, { product: 'Corn Seed' }), null);
+});
+
+test('unitPrice uses the highest volume tier the quantity reaches', () => {
+    const entry = { list_price: 300, tiers: [{ min_quantity: 100, price: 270 }, { min_quantity: 50, price: 282 }] };
+    assert.equal(Pricing.unitPrice(entry, 49), 300);
+    assert.equal(Pricing.unitPrice(entry, 50), 282);
+    assert.equal(Pricing.unitPrice(entry, 120), 270);
+});
+
+test('billableQuantity counts the field of the entry\'s unit', () => {
+    const sale = { quantity: 60, bags: 10, seed_units: 25 };
+    assert.equal(Pricing.billableQuantity({ unit: 'bag' }, sale), 10);
+    assert.equal(Pricing.billableQuantity({ unit: 'unit' }, sale), 25);
+    assert.equal(Pricing.billableQuantity({ unit: 'gallon' }, sale), 60);
+    assert.equal(Pricing.billableQuantity({}, sale), 10);
+    assert.equal(Pricing.billableQuantity({ unit: 'bag' }, { quantity: 60, bags: '' }), 60);
+    assert.equal(Pricing.billableQuantity({ unit: 'bag' }, { quantity: -4 }), 0);
+});
+
+test('quote prices the billable quantity at its tier', () => {
+    const sale = { product: 'Corn Seed', date: '2026-05-01' };
+    const { entry, ...priced } = Pricing.quote(BOOK, { ...sale, quantity: 60, bags: 10 });
+    assert.equal(entry, BOOK[0]);
+    assert.deepEqual(priced, { quantity: 10, unit_price: 300, amount: 3000 });
+    assert.equal(Pricing.quote(BOOK, { ...sale, quantity: 60 }).amount, 16920);
+    assert.equal(Pricing.quote(BOOK, { product: 'Soybean Seed', date: '2026-05-01', quantity: 3, seed_units: 40 }).amount, 2400);
+    assert.equal(Pricing.quote(BOOK, { product: 'Alfalfa', date: '2026-05-01', quantity: 3 }), null);
+});
+
+test('priceRecord fills in missing amounts and keeps invoice amounts', () => {
+    const record = { product: 'Corn Seed', date: '2026-05-01', quantity: 10, amount: 0 };
+    assert.deepEqual(Pricing.priceRecord(record, BOOK), {
+        ...record, unit_price: 300, amount: 3000, price_source: Pricing.PRICE_BOOK
+    });
+
+    const invoiced = { ...record, amount: 2500 };
+    assert.equal(Pricing.priceRecord(invoiced, BOOK), invoiced);
+});
+
+test('priceRecord reprices book-priced records and leaves unpriceable ones alone', () => {
+    const booked = { product: 'Corn Seed', date: '2026-05-01', quantity: 10, amount: 2800, unit_price: 280, price_source: Pricing.PRICE_BOOK };
+    assert.equal(Pricing.priceRecord(booked, BOOK).amount, 3000);
+
+    const unknown = { product: 'Alfalfa', date: '2026-05-01', quantity: 10, amount: 0 };
+    assert.equal(Pricing.priceRecord(unknown, BOOK), unknown);
+});
+
+test('priceRecord leaves records with nothing billable unpriced', () => {
+    const empty = { product: 'Corn Seed', date: '2026-05-01', quantity: 0, amount: 0 };
+    assert.equal(Pricing.priceRecord(empty, BOOK), empty);
+
+    const booked = { ...empty, amount: 3000, unit_price: 300, price_source: Pricing.PRICE_BOOK };
+    assert.deepEqual(Pricing.priceRecord(booked, BOOK), {
+        ...empty, unit_price: null, amount: 0, price_source: null
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Pioneer Analytics - Seasons
+ * The sales-year calendar, shared by the browser (window.Seasons) and the
+ * server (require('../seasons')). A season starts on a configurable month
+ * and day and is named for the calendar year it ends in, so with a
+ * September 1 start, September 2026 through August 2027 is the 2027
+ * season. The default start, January 1, makes seasons calendar years.
+ *
+ * Every year filter, retention figure, forecast and export goes through
+ * seasonOf/range, so changing the start moves all of them together.
+ * Dates are calendar days (see dates.js), so a sale belongs to the season
+ * of the day it was made in the agency's time zone.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dates'));
+    } else {
+        root.Seasons = factory(root.Dates);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Dates) {
+    'use strict';
+
+    const DEFAULT_SEASON = { start_month: 1, start_day: 1, label: '{year}' };
+
+    // Days per month in a common year; a season cannot start on Feb 29
+    const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+    let definition = { ...DEFAULT_SEASON };
+
+    /**
+     * Check a season definition, returning a list of problems (empty when valid)
+     */
+    function validateDefinition({ start_month, start_day, label } = {}) {
+        const errors = [];
+        if (!Number.isInteger(start_month) || start_month < 1 || start_month > 12) {
+            errors.push('Season start month must be 1-12');
+        } else if (!Number.isInteger(start_day) || start_day < 1 || start_day > MONTH_DAYS[start_month - 1]) {
+            errors.push(`Season start day must be 1-${MONTH_DAYS[start_month - 1]}`);
+        }
+        if (label !== undefined && (typeof label !== 'string' || !label.includes('{year}'))) {
+            errors.push('Season label must contain {year}');
+        }
+        return errors;
+    }
+
+    /**
+     * Set the season definition. Accepts { start: 'MM-DD', label } or
+     * { start_month, start_day, label }; missing parts keep their default.
+     * Throws when the definition is invalid.
+     */
+    function configure(options = {}) {
+        let { start_month: startMonth = DEFAULT_SEASON.start_month, start_day: startDay = DEFAULT_SEASON.start_day } = options;
+        if (options.start) {
+            const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(options.start).trim());
+            if (!match) throw new Error('Season start must be MM-DD');
+            startMonth = parseInt(match[1], 10);
+            startDay = parseInt(match[2], 10);
+        }
+
+        const next = {
+            start_month: Number(startMonth),
+            start_day: Number(startDay),
+            label: options.label || DEFAULT_SEASON.label
+        };
+        const errors = validateDefinition(next);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        definition = next;
+        return getDefinition();
+    }
+
+    const getDefinition = () => ({ ...definition });
+
+    // Whether seasons span two calendar years
+    const crossesYear = () => definition.start_month !== 1 || definition.start_day !== 1;
+
+    /**
+     * Key identifying the season boundaries (the label does not affect them)
+     */
+    const boundaryKey = () => `${definition.start_month}-${definition.start_day}`;
+
+    /**
+     * First instant of a season
+     */
+    function startOf(season) {
+        const year = crossesYear() ? season - 1 : season;
+        return new Date(Date.UTC(year, definition.start_month - 1, definition.start_day));
+    }
+
+    /**
+     * A season's dates: start inclusive, end exclusive
+     */
+    function range(season) {
+        return { start: startOf(Number(season)), end: startOf(Number(season) + 1) };
+    }
+
+    /**
+     * Season a date falls in, or null for a missing or invalid date
+     */
+    function seasonOf(date) {
+        const day = Dates.toDay(date);
+        if (day === null) return null;
+        const year = day.getUTCFullYear();
+        const startThisYear = Date.UTC(year, definition.start_month - 1, definition.start_day);
+        return crossesYear() && day.getTime() >= startThisYear ? year + 1 : year;
+    }
+
+    /**
+     * Display name of a season, e.g. "2027 season". {start_year} is the
+     * calendar year the season starts in.
+     */
+    function label(season) {
+        if (season === null || season === undefined || season === 'all') return 'All seasons';
+        return definition.label
+            .replace(/\{year\}/g, season)
+            .replace(/\{start_year\}/g, crossesYear() ? Number(season) - 1 : season);
+    }
+
+    /**
+     * The season in progress in the agency's time zone
+     */
+    const current = (now = new Date()) => seasonOf(Dates.today(now));
+
+    /**
+     * Seasons with at least one record, oldest first
+     */
+    function seasonsOf(records, field = 'date') {
+        const seasons = new Set();
+        records.forEach(record => {
+            const season = seasonOf(record[field]);
+            if (season !== null) seasons.add(season);
+        });
+        return [...seasons].sort((a, b) => a - b);
+    }
+
+    /**
+     * Calendar months (1-12) in season order, starting with the start month
+     */
+    function months() {
+        return Array.from({ length: 12 }, (_, i) => ((definition.start_month - 1 + i) % 12) + 1);
+    }
+
+    /**
+     * Position of a calendar month (1-12) within the season, 0-11
+     */
+    const monthIndex = (month) => (month - definition.start_month + 12) % 12;
+
+    /**
+     * The date with a month and day that falls inside a season
+     */
+    function dateIn(season, month, day) {
+        const { start, end } = range(season);
+        const candidates = [season, season - 1].map(year => new Date(Date.UTC(year, month - 1, day)));
+        return candidates.find(date => date >= start && date < end) || candidates[0];
+    }
+
+    return {
+        DEFAULT_SEASON,
+        validateDefinition,
+        configure,
+        getDefinition,
+        boundaryKey,
+        range,
+        seasonOf,
+        label,
+        current,
+        seasonsOf,
+        months,
+        monthIndex,
+        dateIn
+    };
+}));
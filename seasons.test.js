@@ -0,0 +1,61 @@
+/**
+ * Seasons tests: season boundaries, labels and configuration
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Seasons = require('./seasons');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+test.afterEach(() => Seasons.configure({}));
+
+test('the default season is the calendar year', () => {
+    assert.equal(Seasons.seasonOf('2026-01-01'), 2026);
+    assert.equal(Seasons.seasonOf('2026-12-31'), 2026);
+    assert.deepEqual(Seasons.range(2026), { start: day('2026-01-01'), end: day('2027-01-01') });
+    assert.equal(Seasons.label(2026), '2026');
+});
+
+test('a season crossing the new year is named for the year it ends in', () => {
+    Seasons.configure({ start: '09-01', label: '{start_year}/{year} season' });
+
+    assert.equal(Seasons.seasonOf('2026-08-31'), 2026);
+    assert.equal(Seasons.seasonOf('2026-09-01'), 2027);
+    assert.equal(Seasons.seasonOf('2027-08-31'), 2027);
+    assert.deepEqual(Seasons.range(2027), { start: day('2026-09-01'), end: day('2027-09-01') });
+    assert.equal(Seasons.label(2027), '2026/2027 season');
+    assert.equal(Seasons.label('all'), 'All seasons');
+});
+
+test('seasonOf reads missing and invalid dates as no season', () => {
+    assert.equal(Seasons.seasonOf(null), null);
+    assert.equal(Seasons.seasonOf('2026-02-30'), null);
+    assert.equal(Seasons.seasonOf('not a date'), null);
+});
+
+test('seasonsOf lists the seasons with records, oldest first', () => {
+    Seasons.configure({ start: '09-01' });
+    const records = [{ date: '2026-09-15' }, { date: '2025-03-01' }, { date: '2026-02-01' }, { date: null }];
+    assert.deepEqual(Seasons.seasonsOf(records), [2025, 2026, 2027]);
+});
+
+test('months and dateIn follow the season order', () => {
+    Seasons.configure({ start_month: 9, start_day: 1 });
+
+    assert.deepEqual(Seasons.months().slice(0, 5), [9, 10, 11, 12, 1]);
+    assert.equal(Seasons.monthIndex(9), 0);
+    assert.equal(Seasons.monthIndex(8), 11);
+    assert.deepEqual(Seasons.dateIn(2027, 10, 15), day('2026-10-15'));
+    assert.deepEqual(Seasons.dateIn(2027, 3, 15), day('2027-03-15'));
+});
+
+test('configure rejects invalid definitions and keeps the current one', () => {
+    Seasons.configure({ start: '09-01' });
+
+    assert.throws(() => Seasons.configure({ start: '02-29' }), /start day must be 1-28/);
+    assert.throws(() => Seasons.configure({ start_month: 13 }), /start month must be 1-12/);
+    assert.throws(() => Seasons.configure({ label: 'Season' }), /must contain \{year\}/);
+    assert.throws(() => Seasons.configure({ start: 'September' }), /must be MM-DD/);
+    assert.equal(Seasons.boundaryKey(), '9-1');
+});
@@ -0,0 +1,16 @@
+/**
+ * Season Configuration
+ * Sets the sales-year calendar (see ../../seasons.js) from the environment:
+ * SEASON_START is the month and day seasons begin (MM-DD, default 01-01,
+ * i.e. calendar years) and SEASON_LABEL how they are named (default
+ * "{year}", e.g. "{year} season").
+ */
+
+const Seasons = require('../../seasons');
+
+const configureSeasons = () => Seasons.configure({
+    start: process.env.SEASON_START || undefined,
+    label: process.env.SEASON_LABEL || undefined
+});
+
+module.exports = configureSeasons;
@@ -0,0 +1,15 @@
+/**
+ * Time Zone Configuration
+ * Sets the agency time zone (see ../../dates.js) from AGENCY_TIME_ZONE, an
+ * IANA name such as "America/Chicago" (default UTC). Timestamps are placed
+ * on the day they fall on there, and date filters on timestamps such as
+ * the audit log cover that zone's days.
+ */
+
+const Dates = require('../../dates');
+
+const configureTimeZone = () => Dates.configure({
+    timeZone: process.env.AGENCY_TIME_ZONE || undefined
+});
+
+module.exports = configureTimeZone;
@@ -0,0 +1,44 @@
+/**
+ * Authentication Middleware
+ * Resolves the bearer session token and enforces role-based access
+ */
+
+const { resolveSession } = require('../services/auth');
+
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token.trim() : null;
+};
+
+/**
+ * Require a valid session. With roles given, also require the user to hold
+ * one of them, e.g. authenticate('admin', 'sales_rep').
+ */
+const authenticate = (...roles) => async (req, res, next) => {
+    try {
+        const token = getBearerToken(req);
+        const resolved = await resolveSession(token);
+
+        if (!resolved) {
+            return res.status(401).json({ error: 'Unauthorized: Please sign in' });
+        }
+
+        req.user = resolved.user;
+        req.sessionToken = token;
+
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Forbidden: Your role cannot perform this action' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+};
+
+module.exports = {
+    authenticate,
+    getBearerToken
+};
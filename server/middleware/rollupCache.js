@@ -0,0 +1,41 @@
+/**
+ * Rollup Cache Validation
+ * Responses built from rollups only change when the rollup version does,
+ * so they carry an ETag made of that version and what the response
+ * depends on (URL and territory scope). A client that sends the ETag
+ * back in If-None-Match gets a 304 without the totals being read again.
+ */
+
+const crypto = require('crypto');
+const { getRollupVersion } = require('../services/rollups');
+const { getScope } = require('./territory');
+
+/**
+ * Set the ETag for a rollup-backed GET and answer 304 when the client's
+ * copy is current. Use after authenticate() so the scope is known.
+ * dependsOn, when given, resolves to a string for anything else the
+ * response is built from.
+ */
+const rollupETag = (dependsOn = null) => async (req, res, next) => {
+    try {
+        const scope = getScope(req);
+        const extra = dependsOn ? await dependsOn(req) : '';
+        const hash = crypto.createHash('sha1')
+            .update(`${req.originalUrl}|${scope.territory || ''}|${extra}`)
+            .digest('base64url')
+            .slice(0, 16);
+
+        res.set('ETag', `W/"r${await getRollupVersion()}-${hash}"`);
+        res.set('Cache-Control', 'private, no-cache');
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        next();
+    } catch (error) {
+        console.error('Rollup version error:', error);
+        res.status(500).json({ error: 'Failed to calculate analytics' });
+    }
+};
+
+module.exports = { rollupETag };
@@ -0,0 +1,43 @@
+/**
+ * Territory Scoping
+ * Users assigned to a territory (every sales rep, optionally viewers) only
+ * see and write records in that territory. Users without one (admins,
+ * managers, agency-wide viewers) see every territory and can narrow a
+ * request to one with ?territory=.
+ */
+
+/**
+ * The territory filter for this request, as a query fragment
+ */
+const getScope = (req) => {
+    const own = req.user && req.user.territory;
+    if (own) {
+        return { territory: own };
+    }
+    if (req.query.territory) {
+        return { territory: String(req.query.territory) };
+    }
+    return {};
+};
+
+/**
+ * Merge the request's territory scope into a store query
+ */
+const scopeQuery = (req, query = {}) => ({ ...query, ...getScope(req) });
+
+/**
+ * Territory to stamp on a record written by this user. Scoped users always
+ * write to their own territory; others may set it explicitly.
+ */
+const territoryFor = (req, requested) => {
+    if (req.user && req.user.territory) {
+        return req.user.territory;
+    }
+    return requested ? String(requested).trim() : undefined;
+};
+
+module.exports = {
+    getScope,
+    scopeQuery,
+    territoryFor
+};
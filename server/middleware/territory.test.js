@@ -0,0 +1,34 @@
+/**
+ * Territory Scoping tests: scoped users are held to their own territory
+ * whatever the request asks for
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getScope, scopeQuery, territoryFor } = require('./territory');
+
+const request = (user, query = {}) => ({ user, query });
+const rep = { role: 'sales_rep', territory: 'east' };
+const admin = { role: 'admin' };
+
+test('getScope holds a scoped user to their territory', () => {
+    assert.deepEqual(getScope(request(rep)), { territory: 'east' });
+    assert.deepEqual(getScope(request(rep, { territory: 'west' })), { territory: 'east' });
+});
+
+test('getScope lets unscoped users narrow to one territory', () => {
+    assert.deepEqual(getScope(request(admin)), {});
+    assert.deepEqual(getScope(request(admin, { territory: 'west' })), { territory: 'west' });
+});
+
+test('scopeQuery overrides a territory in the query itself', () => {
+    assert.deepEqual(scopeQuery(request(rep), { grower_name: 'Garms Inc', territory: 'west' }), { grower_name: 'Garms Inc', territory: 'east' });
+    assert.deepEqual(scopeQuery(request(admin), { grower_name: 'Garms Inc' }), { grower_name: 'Garms Inc' });
+});
+
+test('territoryFor ignores the territory a scoped user asks for', () => {
+    assert.equal(territoryFor(request(rep), 'west'), 'east');
+    assert.equal(territoryFor(request(rep)), 'east');
+    assert.equal(territoryFor(request(admin), ' west '), 'west');
+    assert.equal(territoryFor(request(admin), ''), undefined);
+});
@@ -0,0 +1,62 @@
+/**
+ * Audit Entry Model
+ * Mongoose schema for the audit trail. Each entry records one change to
+ * one record; entries from the same request share an operation_id.
+ */
+
+const mongoose = require('mongoose');
+
+const AuditEntrySchema = new mongoose.Schema({
+    operation_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'delete', 'import', 'restore', 'purge', 'merge'],
+        index: true
+    },
+    entity: {
+        type: String,
+        required: true,
+        default: 'transaction'
+    },
+    record_id: {
+        type: String,
+        index: true
+    },
+    endpoint: {
+        type: String
+    },
+    actor_id: {
+        type: String
+    },
+    actor_email: {
+        type: String,
+        index: true
+    },
+    actor_role: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'audit_log'
+});
+
+AuditEntrySchema.index({ created_at: -1 });
+
+AuditEntrySchema.set('toJSON', { virtuals: true });
+AuditEntrySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
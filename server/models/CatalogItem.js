@@ -0,0 +1,119 @@
+/**
+ * Catalog Item Model
+ * Mongoose schema for the product and hybrid catalog: crops, product
+ * categories, trait packages and hybrids/varieties. A season's lineup is
+ * described by launch_year and discontinue_year, so adding next year's
+ * hybrids is a data update. A discontinued hybrid names the successors
+ * its volume moves to in forecasts.
+ */
+
+const mongoose = require('mongoose');
+
+const KINDS = ['crop', 'product', 'trait', 'hybrid'];
+
+const CatalogItemSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        required: true,
+        enum: KINDS,
+        index: true
+    },
+    // Identifier shown in data and on invoices (e.g. Corn, Corn Seed,
+    // NR58, P1244AM). Unique within a kind.
+    code: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    // Crop code the item belongs to (products, traits and hybrids)
+    crop: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    // Hybrids: genetic family (e.g. P1244 for P1244AM) and trait package
+    family: {
+        type: String,
+        trim: true
+    },
+    trait: {
+        type: String,
+        trim: true
+    },
+    // Comparative relative maturity, in days
+    crm: {
+        type: Number,
+        min: 0
+    },
+    // First season the item is sold and first season it is not
+    launch_year: {
+        type: Number,
+        min: 1900
+    },
+    discontinue_year: {
+        type: Number,
+        min: 1900
+    },
+    // Hybrids: where growers go once discontinued, with the percentage of
+    // the forecast volume each takes (adding up to 100)
+    successors: {
+        type: [{
+            _id: false,
+            code: { type: String, required: true, trim: true },
+            share: { type: Number, required: true, min: 0, max: 100 }
+        }],
+        default: undefined
+    },
+    // Demand plan unit limits (null for no limit)
+    min_units: {
+        type: Number,
+        min: 0
+    },
+    max_units: {
+        type: Number,
+        min: 0
+    },
+    // Planning programs the item appears in (demand_plan, portfolio, cactus)
+    tags: {
+        type: [String],
+        default: []
+    },
+    notes: {
+        type: String
+    },
+    // Agronomic ratings and program details (drought, hi_yield, ...)
+    attributes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    sort_order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'catalog_items'
+});
+
+CatalogItemSchema.index({ kind: 1, code: 1 }, { unique: true });
+
+CatalogItemSchema.path('discontinue_year').validate(function(value) {
+    return value == null || this.launch_year == null || value > this.launch_year;
+}, 'Discontinue year must be after the launch year');
+
+CatalogItemSchema.path('successors').validate(function(value) {
+    if (!value || value.length === 0) return true;
+    const total = value.reduce((sum, successor) => sum + (successor.share || 0), 0);
+    return this.kind === 'hybrid' && Math.abs(total - 100) < 0.01 &&
+        value.every(successor => successor.code !== this.code);
+}, 'Successors are for hybrids, must not include the hybrid itself, and their shares must add up to 100');
+
+CatalogItemSchema.set('toJSON', { virtuals: true });
+CatalogItemSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('CatalogItem', CatalogItemSchema);
+module.exports.KINDS = KINDS;
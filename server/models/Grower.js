@@ -0,0 +1,127 @@
+/**
+ * Grower Model
+ * Mongoose schema for grower master records. Transactions reference a
+ * grower by id; the names, aliases and account numbers here are how
+ * incoming rows are matched to it.
+ */
+
+const mongoose = require('mongoose');
+
+const ContactSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    role: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    primary: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const AddressSchema = new mongoose.Schema({
+    // e.g. Mailing, Farm, Shop
+    label: {
+        type: String,
+        trim: true
+    },
+    line1: {
+        type: String,
+        trim: true
+    },
+    line2: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    postal_code: {
+        type: String,
+        trim: true
+    },
+    county: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+const GrowerSchema = new mongoose.Schema({
+    // Name shown on reports and written to grower_name on transactions
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    legal_name: {
+        type: String,
+        trim: true
+    },
+    operation_name: {
+        type: String,
+        trim: true
+    },
+    // Other spellings seen on invoices and imports
+    aliases: {
+        type: [String],
+        default: []
+    },
+    // Seed company and dealer account numbers
+    account_numbers: {
+        type: [String],
+        default: []
+    },
+    contacts: {
+        type: [ContactSchema],
+        default: []
+    },
+    addresses: {
+        type: [AddressSchema],
+        default: []
+    },
+    total_acres: {
+        type: Number,
+        min: 0
+    },
+    territory: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    notes: {
+        type: String
+    },
+    // Normalized names and aliases, maintained by services/growers.js
+    match_keys: {
+        type: [String],
+        default: [],
+        index: true
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'growers'
+});
+
+GrowerSchema.index({ account_numbers: 1 });
+
+GrowerSchema.set('toJSON', { virtuals: true });
+GrowerSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Grower', GrowerSchema);
@@ -4,12 +4,36 @@
  */
 
 const mongoose = require('mongoose');
+const Seasons = require('../../seasons');
+const Dates = require('../../dates');
+
+// Product categories used until the catalog is loaded (see
+// services/catalog.js, which replaces them with the catalog's products)
+const DEFAULT_PRODUCTS = [
+    'Corn Seed',
+    'Soybean Seed',
+    'Sorghum',
+    'Alfalfa',
+    'Herbicide',
+    'Fungicide',
+    'Insecticide',
+    'Fertilizer',
+    'Equipment',
+    'Other'
+];
+let productCategories = DEFAULT_PRODUCTS;
+
+// Where seed on an order stands: yet to deliver, staged at the dealer,
+// delivered to the grower, or returned
+const DELIVERY_STATUSES = ['pending', 'staged', 'delivered', 'returned'];
 
 const GrowerTransactionSchema = new mongoose.Schema({
+    // A calendar day, stored as midnight UTC (see dates.js)
     date: {
         type: Date,
         required: true,
-        index: true
+        index: true,
+        set: value => Dates.toDay(value) || value
     },
     invoice_number: {
         type: String,
@@ -22,22 +46,24 @@ const GrowerTransactionSchema = new mongoose.Schema({
         trim: true,
         index: true
     },
+    // Grower master record (see Grower.js); grower_name holds its name
+    grower_id: {
+        type: String,
+        index: true
+    },
+    // Grower's account number as given on the source row
+    account_number: {
+        type: String,
+        trim: true
+    },
     product: {
         type: String,
         required: true,
         trim: true,
-        enum: [
-            'Corn Seed',
-            'Soybean Seed',
-            'Sorghum',
-            'Alfalfa',
-            'Herbicide',
-            'Fungicide',
-            'Insecticide',
-            'Fertilizer',
-            'Equipment',
-            'Other'
-        ],
+        validate: {
+            validator: value => productCategories.includes(value),
+            message: '`{VALUE}` is not a product in the catalog'
+        },
         index: true
     },
     quantity: {
@@ -50,6 +76,75 @@ const GrowerTransactionSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Set when the amount was priced from the price book rather than
+    // taken from an invoice; such amounts are re-priced when the book
+    // changes
+    unit_price: {
+        type: Number,
+        min: 0
+    },
+    price_source: {
+        type: String,
+        enum: ['price_book', null]
+    },
+    // Seed detail: hybrid or variety code (e.g. P0157AM), trait package
+    // (e.g. NR58) and crop line (Corn, Soybean, ...)
+    hybrid: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    trait: {
+        type: String,
+        trim: true
+    },
+    crop_line: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    bags: {
+        type: Number,
+        min: 0
+    },
+    seed_units: {
+        type: Number,
+        min: 0
+    },
+    delivery_status: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        enum: [...DELIVERY_STATUSES, null]
+    },
+    territory: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    // Import batch that created the record
+    import_id: {
+        type: String,
+        index: true
+    },
+    // Soft delete: set when the record is moved to the trash
+    deleted_at: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    deleted_by: {
+        type: String
+    },
+    // Records removed by the same request share a deletion_id
+    deletion_id: {
+        type: String,
+        index: true
+    },
+    deletion_kind: {
+        type: String,
+        enum: ['record', 'clear', 'import', null]
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -67,35 +162,58 @@ const GrowerTransactionSchema = new mongoose.Schema({
 GrowerTransactionSchema.index({ date: 1, grower_name: 1 });
 GrowerTransactionSchema.index({ date: 1, product: 1 });
 GrowerTransactionSchema.index({ grower_name: 1, product: 1 });
+GrowerTransactionSchema.index({ territory: 1, date: 1 });
+GrowerTransactionSchema.index({ invoice_number: 1, grower_name: 1, product: 1 });
+GrowerTransactionSchema.index({ hybrid: 1, date: 1 });
 
-// Virtual for year extraction
+// Virtual for the season the sale falls in (see seasons.js)
 GrowerTransactionSchema.virtual('year').get(function() {
-    return this.date ? new Date(this.date).getFullYear() : null;
+    return this.date ? Seasons.seasonOf(this.date) : null;
 });
 
-// Virtual for month extraction
+// Virtual for the calendar month of the sale
 GrowerTransactionSchema.virtual('month').get(function() {
-    return this.date ? new Date(this.date).getMonth() + 1 : null;
+    return this.date ? this.date.getUTCMonth() + 1 : null;
 });
 
-// Static method to get summary by year
-GrowerTransactionSchema.statics.getSummaryByYear = async function(year) {
-    const startDate = new Date(`${year}-01-01`);
-    const endDate = new Date(`${year}-12-31`);
+// Each static accepts an optional extra match (e.g. a territory scope)
+
+/**
+ * Match for one season's transactions (all seasons when year is null)
+ */
+const yearMatch = (year, scope = {}) => {
+    if (!year) return { ...scope };
+    const { start, end } = Seasons.range(year);
+    return { ...scope, date: { $gte: start, $lt: end } };
+};
+
+/**
+ * Season of $date, computed in the pipeline: the calendar year, plus one
+ * from the season start on when seasons span two years
+ */
+const seasonExpression = () => {
+    const { start_month: month, start_day: day } = Seasons.getDefinition();
+    if (month === 1 && day === 1) return { $year: '$date' };
+    const monthDay = { $add: [{ $multiply: [{ $month: '$date' }, 100] }, { $dayOfMonth: '$date' }] };
+    return { $add: [{ $year: '$date' }, { $cond: [{ $gte: [monthDay, month * 100 + day] }, 1, 0] }] };
+};
+
+// Growers are counted by id, or by name for records not yet linked
+const GROWER_KEY = { $ifNull: ['$grower_id', '$grower_name'] };
 
+// Static method to get totals for a year (or all years when year is null)
+GrowerTransactionSchema.statics.getSummaryByYear = async function(year = null, scope = {}) {
     const result = await this.aggregate([
-        {
-            $match: {
-                date: { $gte: startDate, $lte: endDate }
-            }
-        },
+        { $match: yearMatch(year, scope) },
         {
             $group: {
                 _id: null,
                 totalRevenue: { $sum: '$amount' },
                 totalQuantity: { $sum: '$quantity' },
+                totalBags: { $sum: '$bags' },
+                totalSeedUnits: { $sum: '$seed_units' },
                 totalOrders: { $sum: 1 },
-                uniqueGrowers: { $addToSet: '$grower_name' }
+                uniqueGrowers: { $addToSet: GROWER_KEY }
             }
         },
         {
@@ -103,31 +221,28 @@ GrowerTransactionSchema.statics.getSummaryByYear = async function(year) {
                 _id: 0,
                 totalRevenue: 1,
                 totalQuantity: 1,
+                totalBags: 1,
+                totalSeedUnits: 1,
                 totalOrders: 1,
                 uniqueGrowers: { $size: '$uniqueGrowers' }
             }
         }
     ]);
 
-    return result[0] || { totalRevenue: 0, totalQuantity: 0, totalOrders: 0, uniqueGrowers: 0 };
+    return result[0] || { totalRevenue: 0, totalQuantity: 0, totalBags: 0, totalSeedUnits: 0, totalOrders: 0, uniqueGrowers: 0 };
 };
 
 // Static method to get product breakdown
-GrowerTransactionSchema.statics.getProductBreakdown = async function(year = null) {
-    const match = year ? {
-        date: {
-            $gte: new Date(`${year}-01-01`),
-            $lte: new Date(`${year}-12-31`)
-        }
-    } : {};
-
+GrowerTransactionSchema.statics.getProductBreakdown = async function(year = null, scope = {}) {
     return this.aggregate([
-        { $match: match },
+        { $match: yearMatch(year, scope) },
         {
             $group: {
                 _id: '$product',
                 totalRevenue: { $sum: '$amount' },
                 totalQuantity: { $sum: '$quantity' },
+                totalBags: { $sum: '$bags' },
+                totalSeedUnits: { $sum: '$seed_units' },
                 orderCount: { $sum: 1 }
             }
         },
@@ -137,6 +252,8 @@ GrowerTransactionSchema.statics.getProductBreakdown = async function(year = null
                 _id: 0,
                 totalRevenue: 1,
                 totalQuantity: 1,
+                totalBags: 1,
+                totalSeedUnits: 1,
                 orderCount: 1,
                 avgOrderValue: { $divide: ['$totalRevenue', '$orderCount'] }
             }
@@ -146,19 +263,14 @@ GrowerTransactionSchema.statics.getProductBreakdown = async function(year = null
 };
 
 // Static method to get grower summary
-GrowerTransactionSchema.statics.getGrowerSummary = async function(year = null) {
-    const match = year ? {
-        date: {
-            $gte: new Date(`${year}-01-01`),
-            $lte: new Date(`${year}-12-31`)
-        }
-    } : {};
-
+GrowerTransactionSchema.statics.getGrowerSummary = async function(year = null, scope = {}) {
     return this.aggregate([
-        { $match: match },
+        { $match: yearMatch(year, scope) },
         {
             $group: {
-                _id: '$grower_name',
+                _id: GROWER_KEY,
+                grower_id: { $first: '$grower_id' },
+                grower_name: { $first: '$grower_name' },
                 totalRevenue: { $sum: '$amount' },
                 orderCount: { $sum: 1 },
                 products: { $addToSet: '$product' },
@@ -168,7 +280,8 @@ GrowerTransactionSchema.statics.getGrowerSummary = async function(year = null) {
         },
         {
             $project: {
-                grower_name: '$_id',
+                grower_id: 1,
+                grower_name: 1,
                 _id: 0,
                 totalRevenue: 1,
                 orderCount: 1,
@@ -183,16 +296,9 @@ GrowerTransactionSchema.statics.getGrowerSummary = async function(year = null) {
 };
 
 // Static method to get monthly trends
-GrowerTransactionSchema.statics.getMonthlyTrends = async function(year) {
-    const startDate = new Date(`${year}-01-01`);
-    const endDate = new Date(`${year}-12-31`);
-
-    return this.aggregate([
-        {
-            $match: {
-                date: { $gte: startDate, $lte: endDate }
-            }
-        },
+GrowerTransactionSchema.statics.getMonthlyTrends = async function(year, scope = {}) {
+    const months = await this.aggregate([
+        { $match: yearMatch(year, scope) },
         {
             $group: {
                 _id: { $month: '$date' },
@@ -209,8 +315,87 @@ GrowerTransactionSchema.statics.getMonthlyTrends = async function(year) {
                 totalQuantity: 1,
                 orderCount: 1
             }
+        }
+    ]);
+
+    // Months in season order
+    return months.sort((a, b) => Seasons.monthIndex(a.month) - Seasons.monthIndex(b.month));
+};
+
+/**
+ * Seed sales grouped by hybrid or trait. Records without a value for the
+ * field are left out. Bags (or quantity when bags are unknown) are also
+ * split by delivery status.
+ */
+GrowerTransactionSchema.statics.getSeedSales = async function(year = null, scope = {}, field = 'hybrid') {
+    const union = (list) => ({ $reduce: { input: list, initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } });
+
+    return this.aggregate([
+        { $match: { ...yearMatch(year, scope), [field]: { $nin: [null, ''] } } },
+        // One group per value and delivery status, then fold the statuses
+        {
+            $group: {
+                _id: { key: `$${field}`, status: { $ifNull: ['$delivery_status', 'unknown'] } },
+                revenue: { $sum: '$amount' },
+                quantity: { $sum: '$quantity' },
+                bags: { $sum: '$bags' },
+                seedUnits: { $sum: '$seed_units' },
+                orders: { $sum: 1 },
+                delivered: { $sum: { $ifNull: [{ $cond: [{ $gt: ['$bags', 0] }, '$bags', null] }, '$quantity'] } },
+                cropLines: { $addToSet: '$crop_line' },
+                traits: { $addToSet: '$trait' },
+                hybrids: { $addToSet: '$hybrid' },
+                growers: { $addToSet: GROWER_KEY }
+            }
         },
-        { $sort: { month: 1 } }
+        {
+            $group: {
+                _id: '$_id.key',
+                revenue: { $sum: '$revenue' },
+                quantity: { $sum: '$quantity' },
+                bags: { $sum: '$bags' },
+                seedUnits: { $sum: '$seedUnits' },
+                orders: { $sum: '$orders' },
+                delivery: { $push: { k: '$_id.status', v: '$delivered' } },
+                cropLines: { $push: '$cropLines' },
+                traits: { $push: '$traits' },
+                hybrids: { $push: '$hybrids' },
+                growers: { $push: '$growers' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                key: '$_id',
+                revenue: 1,
+                quantity: 1,
+                bags: 1,
+                seedUnits: 1,
+                orders: 1,
+                delivery: { $arrayToObject: '$delivery' },
+                cropLines: { $setDifference: [union('$cropLines'), [null, '']] },
+                traits: { $setDifference: [union('$traits'), [null, '']] },
+                hybrids: { $setDifference: [union('$hybrids'), [null, '']] },
+                growers: { $size: union('$growers') }
+            }
+        },
+        { $sort: { key: 1 } }
+    ]);
+};
+
+/**
+ * The seasons each grower bought in, among the given seasons
+ */
+GrowerTransactionSchema.statics.getGrowerYears = async function(years, scope = {}) {
+    const first = Seasons.range(Math.min(...years)).start;
+    const last = Seasons.range(Math.max(...years)).end;
+
+    return this.aggregate([
+        { $match: { ...scope, date: { $gte: first, $lt: last } } },
+        { $group: { _id: { grower: GROWER_KEY, year: seasonExpression() } } },
+        { $match: { '_id.year': { $in: years } } },
+        { $group: { _id: '$_id.grower', years: { $addToSet: '$_id.year' } } },
+        { $project: { _id: 0, grower: '$_id', years: 1 } }
     ]);
 };
 
@@ -219,3 +404,12 @@ GrowerTransactionSchema.set('toJSON', { virtuals: true });
 GrowerTransactionSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('GrowerTransaction', GrowerTransactionSchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.DEFAULT_PRODUCTS = DEFAULT_PRODUCTS;
+
+/**
+ * Replace the product categories transactions are validated against
+ */
+module.exports.setProductCategories = (names) => {
+    productCategories = names.length > 0 ? [...names] : DEFAULT_PRODUCTS;
+};
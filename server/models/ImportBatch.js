@@ -0,0 +1,101 @@
+/**
+ * Import Batch Model
+ * Mongoose schema for staged imports. A batch holds the parsed rows,
+ * row-level errors and a diff against existing data until it is
+ * committed; committed records carry the batch id as import_id so the
+ * whole batch can be rolled back.
+ */
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['staged', 'committed', 'rolled_back', 'discarded'];
+
+const ImportBatchSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: STATUSES,
+        default: 'staged',
+        index: true
+    },
+    // Where the rows came from: upload, csv, bulk or pioneer
+    source: {
+        type: String,
+        default: 'upload'
+    },
+    filename: {
+        type: String
+    },
+    territory: {
+        type: String,
+        index: true
+    },
+    created_by: {
+        type: String
+    },
+    total_rows: {
+        type: Number,
+        default: 0
+    },
+    valid_rows: {
+        type: Number,
+        default: 0
+    },
+    // Valid rows waiting to be committed (cleared once committed)
+    rows: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // [{ row, errors: [message] }] for rows that will not be imported
+    row_errors: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    diff: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Records inserted by the commit
+    record_count: {
+        type: Number,
+        default: 0
+    },
+    // { inserted, merged: [{ row, record_id }], skipped: [{ row, record_id, reason }] }
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // [{ record_id, fields }]: values the commit overwrote on merged
+    // records, put back on rollback
+    merged_before: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    operation_id: {
+        type: String
+    },
+    committed_at: {
+        type: Date
+    },
+    committed_by: {
+        type: String
+    },
+    rolled_back_at: {
+        type: Date
+    },
+    rolled_back_by: {
+        type: String
+    },
+    deletion_id: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'import_batches'
+});
+
+ImportBatchSchema.index({ created_at: -1 });
+
+ImportBatchSchema.set('toJSON', { virtuals: true });
+ImportBatchSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ImportBatch', ImportBatchSchema);
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,91 @@
+/**
+ * Price Entry Model
+ * Mongoose schema for the price book: a season's list price for a
+ * product, optionally for one hybrid or trait package, with an effective
+ * date range and volume tiers. See pricing.js for how a sale is priced.
+ */
+
+const mongoose = require('mongoose');
+
+// Units a price is quoted in
+const PRICE_UNITS = ['bag', 'unit', 'each'];
+
+const PriceTierSchema = new mongoose.Schema({
+    // Smallest line quantity the tier price applies to
+    min_quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const PriceEntrySchema = new mongoose.Schema({
+    // Product category code from the catalog (e.g. Corn Seed)
+    product: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    },
+    // Narrow the price to one hybrid or trait package; blank applies to
+    // the whole product
+    hybrid: {
+        type: String,
+        trim: true
+    },
+    trait: {
+        type: String,
+        trim: true
+    },
+    // Season the price is for
+    year: {
+        type: Number,
+        required: true,
+        min: 1900,
+        index: true
+    },
+    unit: {
+        type: String,
+        enum: PRICE_UNITS,
+        default: 'bag'
+    },
+    list_price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // First and last day the price applies (open-ended when unset)
+    effective_from: {
+        type: Date
+    },
+    effective_to: {
+        type: Date
+    },
+    tiers: {
+        type: [PriceTierSchema],
+        default: []
+    },
+    notes: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'price_entries'
+});
+
+PriceEntrySchema.index({ product: 1, year: 1 });
+
+PriceEntrySchema.path('effective_to').validate(function(value) {
+    return value == null || this.effective_from == null || value >= this.effective_from;
+}, 'Effective to must not be before effective from');
+
+PriceEntrySchema.set('toJSON', { virtuals: true });
+PriceEntrySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PriceEntry', PriceEntrySchema);
+module.exports.PRICE_UNITS = PRICE_UNITS;
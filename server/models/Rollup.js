@@ -0,0 +1,125 @@
+/**
+ * Rollup Model
+ * Mongoose schema for precomputed sales totals, maintained by
+ * services/rollups.js as transactions change. Each document is one cell
+ * of a rollup, identified by key:
+ *
+ *   grower_year     a grower's sales in a season (territory, grower, year)
+ *   product_month   a product's sales in a month (territory, product, season, month)
+ *   seed_year       seed sales in a season (territory, hybrid, trait, crop line, year)
+ *   grower_product_year
+ *                   a grower's sales of a product and hybrid in a season
+ *                   (territory, grower, product, hybrid, crop line, year)
+ *   meta            the rollup version, bumped on every change
+ */
+
+const mongoose = require('mongoose');
+
+const ROLLUP_KINDS = ['grower_year', 'product_month', 'seed_year', 'grower_product_year', 'meta'];
+
+const RollupSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        required: true,
+        enum: ROLLUP_KINDS,
+        index: true
+    },
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    territory: {
+        type: String,
+        default: null
+    },
+    year: {
+        type: Number,
+        index: true
+    },
+    month: {
+        type: Number
+    },
+    // grower_year, grower_product_year: grower id, or normalized name for
+    // unlinked records
+    grower_key: {
+        type: String
+    },
+    grower_id: {
+        type: String
+    },
+    grower_name: {
+        type: String
+    },
+    product: {
+        type: String
+    },
+    hybrid: {
+        type: String
+    },
+    trait: {
+        type: String
+    },
+    crop_line: {
+        type: String
+    },
+    revenue: {
+        type: Number,
+        default: 0
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    },
+    bags: {
+        type: Number,
+        default: 0
+    },
+    seed_units: {
+        type: Number,
+        default: 0
+    },
+    orders: {
+        type: Number,
+        default: 0
+    },
+    first_purchase: {
+        type: Date
+    },
+    last_purchase: {
+        type: Date
+    },
+    // Counts by name: orders by product (grower_year), orders by grower
+    // and bags by delivery status (seed_year)
+    products: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    growers: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    delivery: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // meta: version served as the analytics ETag, the rollup layout and
+    // the season boundaries the cells were built for
+    version: {
+        type: Number
+    },
+    schema_version: {
+        type: Number
+    },
+    season: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'rollups'
+});
+
+RollupSchema.index({ kind: 1, territory: 1, year: 1 });
+
+RollupSchema.set('toJSON', { virtuals: true });
+RollupSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Rollup', RollupSchema);
+module.exports.ROLLUP_KINDS = ROLLUP_KINDS;
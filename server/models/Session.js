@@ -0,0 +1,34 @@
+/**
+ * Session Model
+ * Mongoose schema for login sessions. Only a hash of the session token
+ * is stored; expired sessions are removed by a TTL index.
+ */
+
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user_id: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'sessions'
+});
+
+SessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.set('toJSON', { virtuals: true });
+SessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Session', SessionSchema);
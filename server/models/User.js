@@ -0,0 +1,56 @@
+/**
+ * User Model
+ * Mongoose schema for dashboard accounts
+ */
+
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'manager', 'sales_rep', 'viewer'];
+
+const UserSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    role: {
+        type: String,
+        required: true,
+        enum: ROLES,
+        default: 'viewer'
+    },
+    password_hash: {
+        type: String,
+        required: true
+    },
+    password_salt: {
+        type: String,
+        required: true
+    },
+    territory: {
+        type: String,
+        trim: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    last_login_at: {
+        type: Date
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'users'
+});
+
+UserSchema.set('toJSON', { virtuals: true });
+UserSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,69 @@
+/**
+ * Audit Routes
+ * Query the audit trail of data mutations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('../storage');
+const Dates = require('../../dates');
+
+const MAX_LIMIT = 1000;
+
+/**
+ * GET /api/audit
+ * Filter by actor, action, entity, record_id, operation_id, endpoint and
+ * from/to dates; newest first, paginated with limit and page
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { actor, action, entity, record_id, operation_id, endpoint, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const query = {};
+        if (actor) query.actor_email = String(actor).toLowerCase();
+        if (action) query.action = action;
+        if (entity) query.entity = entity;
+        if (record_id) query.record_id = record_id;
+        if (operation_id) query.operation_id = operation_id;
+        if (endpoint) query.endpoint = endpoint;
+        if (from || to) {
+            // A date covers that whole day in the agency time zone; a
+            // timestamp is used as given
+            query.created_at = {};
+            if (from) query.created_at.$gte = Dates.isDateOnly(from) ? Dates.startOfDay(from) : new Date(from);
+            if (to) {
+                if (Dates.isDateOnly(to)) query.created_at.$lt = Dates.startOfDay(Dates.addDays(to, 1));
+                else query.created_at.$lte = new Date(to);
+            }
+            if (Object.values(query.created_at).some(d => isNaN(d))) {
+                return res.status(400).json({ error: 'Invalid from/to date' });
+            }
+        }
+
+        const store = getStore('audit');
+        const entries = await store.find(query, {
+            sort: { created_at: -1 },
+            skip: (page - 1) * limit,
+            limit
+        });
+        const total = await store.count(query);
+
+        res.json({
+            success: true,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            entries
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Auth Routes
+ * Sign in, sign out and the current session
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { getStore } = require('../storage');
+const authService = require('../services/auth');
+const { recordAudit } = require('../services/audit');
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for a session token
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ success: false, error: 'Email and password are required' });
+        }
+
+        const result = await authService.login(email, password);
+
+        if (!result) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            expiresAt: result.expiresAt,
+            user: result.user
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', authenticate(), async (req, res) => {
+    try {
+        await authService.logout(req.sessionToken);
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', authenticate(), (req, res) => {
+    res.json({ success: true, user: authService.toPublicUser(req.user) });
+});
+
+/**
+ * POST /api/auth/password
+ * Change the signed-in user's password; ends their other sessions
+ */
+router.post('/password', authenticate(), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!(await authService.verifyPassword(currentPassword || '', req.user))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const invalid = authService.validatePassword(newPassword);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const updated = await getStore('users').updateById(req.user.id, await authService.hashPassword(newPassword));
+        await authService.revokeUserSessions(req.user.id);
+        await recordAudit(req, { action: 'update', entity: 'user', changes: [{ before: req.user, after: updated }] });
+
+        const result = await authService.login(req.user.email, newPassword);
+        res.json({ success: true, token: result.token, expiresAt: result.expiresAt });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+/**
+ * Catalog Routes
+ * Crops, product categories, trait packages and hybrids. Everyone signed
+ * in can read the catalog; admins and managers maintain it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('../storage');
+const { authenticate } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const {
+    CATALOG_SORT,
+    pickCatalogFields,
+    validateCatalogItem,
+    availableInQuery,
+    lineupFor,
+    refreshProductCategories
+} = require('../services/catalog');
+
+const EDIT_ROLES = ['admin', 'manager'];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filters shared by the list and lineup endpoints
+ */
+function catalogQuery(req) {
+    const query = {};
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.query.crop) query.crop = req.query.crop;
+    if (req.query.tag) query.tags = req.query.tag;
+    if (req.query.q) query.code = { $regex: escapeRegex(req.query.q), $options: 'i' };
+    return query;
+}
+
+/**
+ * Product categories drive transaction validation; reload them after a
+ * product changes
+ */
+async function afterChange(item) {
+    if (item && item.kind === 'product') {
+        await refreshProductCategories();
+    }
+}
+
+/**
+ * GET /api/catalog
+ * List items. Filter with ?kind=, ?crop=, ?tag=, ?q= (code search) and
+ * ?year= (sold that season).
+ */
+router.get('/', async (req, res) => {
+    try {
+        const query = catalogQuery(req);
+        if (req.query.year) {
+            Object.assign(query, availableInQuery(parseInt(req.query.year)));
+        }
+
+        const items = await getStore('catalog').find(query, { sort: CATALOG_SORT });
+
+        res.json({ success: true, count: items.length, items });
+    } catch (error) {
+        console.error('Error fetching catalog:', error);
+        res.status(500).json({ error: 'Failed to fetch catalog' });
+    }
+});
+
+/**
+ * GET /api/catalog/lineup/:year
+ * Hybrids new, continuing and discontinued in a season (?crop=, ?tag=)
+ */
+router.get('/lineup/:year', async (req, res) => {
+    try {
+        const year = parseInt(req.params.year);
+        if (isNaN(year)) {
+            return res.status(400).json({ error: 'Invalid year' });
+        }
+
+        const lineup = await lineupFor(year, catalogQuery(req));
+
+        res.json({ success: true, ...lineup });
+    } catch (error) {
+        console.error('Error fetching lineup:', error);
+        res.status(500).json({ error: 'Failed to fetch lineup' });
+    }
+});
+
+/**
+ * GET /api/catalog/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const item = await getStore('catalog').findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: 'Catalog item not found' });
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        console.error('Error fetching catalog item:', error);
+        res.status(500).json({ error: 'Failed to fetch catalog item' });
+    }
+});
+
+/**
+ * POST /api/catalog
+ * Add an item. kind and code are required; code is unique per kind.
+ */
+router.post('/', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const item = { tags: [], attributes: {}, ...pickCatalogFields(req.body) };
+
+        const errors = validateCatalogItem(item);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const catalog = getStore('catalog');
+        if (await catalog.findOne({ kind: item.kind, code: item.code })) {
+            return res.status(409).json({ error: `A ${item.kind} with code ${item.code} already exists` });
+        }
+
+        const created = await catalog.create(item);
+        await recordAudit(req, { action: 'create', entity: 'catalog', changes: [{ before: null, after: created }] });
+        await afterChange(created);
+
+        res.status(201).json({ success: true, item: created });
+    } catch (error) {
+        console.error('Error creating catalog item:', error);
+        res.status(500).json({ error: 'Failed to create catalog item' });
+    }
+});
+
+/**
+ * Apply validated changes to an item and audit the update
+ */
+async function updateItem(req, res, changes) {
+    const catalog = getStore('catalog');
+    const existing = await catalog.findById(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Catalog item not found' });
+    }
+
+    const merged = { ...pickCatalogFields(existing), ...changes };
+    const errors = validateCatalogItem(merged);
+    if (errors) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    if (merged.kind !== existing.kind || merged.code !== existing.code) {
+        const clash = await catalog.findOne({ kind: merged.kind, code: merged.code });
+        if (clash && String(clash.id) !== String(existing.id)) {
+            return res.status(409).json({ error: `A ${merged.kind} with code ${merged.code} already exists` });
+        }
+    }
+
+    const updated = await catalog.updateById(req.params.id, changes);
+    await recordAudit(req, { action: 'update', entity: 'catalog', changes: [{ before: existing, after: updated }] });
+    await afterChange(existing);
+    await afterChange(updated);
+
+    res.json({ success: true, item: updated });
+}
+
+/**
+ * PUT /api/catalog/:id
+ * Replace an item's editable fields
+ */
+router.put('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        await updateItem(req, res, pickCatalogFields(req.body));
+    } catch (error) {
+        console.error('Error updating catalog item:', error);
+        res.status(500).json({ error: 'Failed to update catalog item' });
+    }
+});
+
+/**
+ * PATCH /api/catalog/:id
+ * Update only the fields given
+ */
+router.patch('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const changes = pickCatalogFields(req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
+        }
+        await updateItem(req, res, changes);
+    } catch (error) {
+        console.error('Error updating catalog item:', error);
+        res.status(500).json({ error: 'Failed to update catalog item' });
+    }
+});
+
+/**
+ * DELETE /api/catalog/:id
+ * Remove an item. Products still used by transactions cannot be removed;
+ * set a discontinue year on hybrids instead of deleting them.
+ */
+router.delete('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const catalog = getStore('catalog');
+        const existing = await catalog.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Catalog item not found' });
+        }
+
+        if (existing.kind === 'product') {
+            const used = await getStore().count({ product: existing.code });
+            if (used > 0) {
+                return res.status(409).json({ error: `${existing.code} is used by ${used} transactions` });
+            }
+        }
+
+        await catalog.deleteById(req.params.id);
+        await recordAudit(req, { action: 'delete', entity: 'catalog', changes: [{ before: existing, after: null }] });
+        await afterChange(existing);
+
+        res.json({ success: true, message: 'Catalog item deleted' });
+    } catch (error) {
+        console.error('Error deleting catalog item:', error);
+        res.status(500).json({ error: 'Failed to delete catalog item' });
+    }
+});
+
+module.exports = router;
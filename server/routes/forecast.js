@@ -0,0 +1,71 @@
+/**
+ * Forecast Routes
+ * Next-season forecasts at any level, the single source every page uses
+ * for projections. Responses are built from the rollups and the catalog's
+ * hybrid succession, and revalidate with their ETag like the analytics
+ * endpoints.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Forecast = require('../../forecast');
+const { getScope } = require('../middleware/territory');
+const { rollupETag } = require('../middleware/rollupCache');
+const { getForecast, getBacktest, successionTag } = require('../services/forecast');
+
+/**
+ * GET /api/forecast
+ * Forecast the season after the last with sales. ?level= (total,
+ * product, hybrid, grower, grower_hybrid), ?measure=, ?method=,
+ * ?confidence=, ?reconcile= (none, bottom_up, top_down, ols) and the
+ * method's parameters; narrow with ?product=, ?hybrid=, ?crop_line= and
+ * ?grower_id= (comma-separated). Discontinued hybrids' volume goes to
+ * their catalog successors (transferred_to / transferred_from).
+ */
+router.get('/', rollupETag(successionTag), async (req, res) => {
+    try {
+        const forecast = await getForecast(getScope(req), req.query);
+
+        res.json({ success: true, ...forecast });
+    } catch (error) {
+        if (error instanceof Forecast.ForecastError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Forecast error:', error);
+        res.status(500).json({ error: 'Failed to calculate forecast' });
+    }
+});
+
+/**
+ * GET /api/forecast/backtest
+ * Score every method by hiding the latest season and forecasting it from
+ * the seasons before: MAPE, bias, hit rate and interval coverage per
+ * method and level, and the best method at each level. ?measure=,
+ * ?level= (comma-separated), ?confidence=, ?reconcile=, ?tolerance=
+ * (hit rate, default 0.2), method parameters and the same filters as
+ * GET /api/forecast.
+ */
+router.get('/backtest', rollupETag(successionTag), async (req, res) => {
+    try {
+        const backtest = await getBacktest(getScope(req), req.query);
+
+        res.json({ success: true, ...backtest });
+    } catch (error) {
+        if (error instanceof Forecast.ForecastError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Backtest error:', error);
+        res.status(500).json({ error: 'Failed to backtest forecasts' });
+    }
+});
+
+/**
+ * GET /api/forecast/methods
+ * Levels, measures, the default confidence, reconciliations and methods
+ * with their parameter defaults
+ */
+router.get('/methods', (req, res) => {
+    res.json({ success: true, ...Forecast.describe() });
+});
+
+module.exports = router;
@@ -1,37 +1,89 @@
 /**
  * Grower Routes
- * API endpoints for grower-related operations
+ * API endpoints for grower master records and grower analytics. Growers
+ * are addressed by id; transactions reference them by grower_id.
  */
 
 const express = require('express');
 const router = express.Router();
 
-// Get Grower model (may not be available if MongoDB not connected)
-const getModel = () => {
-    try {
-        return require('../models/GrowerTransaction');
-    } catch (error) {
-        return null;
-    }
+const { getStore, yearRange } = require('../storage');
+const { authenticate } = require('../middleware/auth');
+const { getScope, scopeQuery, territoryFor } = require('../middleware/territory');
+const { recordAudit, snapshot } = require('../services/audit');
+const { inScope } = require('../services/transactions');
+const { rollupGrowerSummary, rollupGrowerYears, rollupSeasons } = require('../services/rollups');
+const Seasons = require('../../seasons');
+const Dates = require('../../dates');
+const { rollupETag } = require('../middleware/rollupCache');
+const {
+    normalizeGrowerName,
+    withMatchKeys,
+    pickGrowerFields,
+    validateGrower,
+    findConflict,
+    findDuplicates,
+    suggestMatches,
+    mergeGrowers
+} = require('../services/growers');
+
+const EDIT_ROLES = ['admin', 'manager', 'sales_rep'];
+const MERGE_ROLES = ['admin', 'manager'];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const EMPTY_SUMMARY = {
+    totalRevenue: 0,
+    orderCount: 0,
+    products: [],
+    productCount: 0,
+    firstPurchase: null,
+    lastPurchase: null
 };
 
+/**
+ * Growers in the caller's territory with their sales summary, highest
+ * revenue first. With a year, only growers who bought that year.
+ */
+async function growerSummaries(req, { year = null, q } = {}) {
+    const scope = getScope(req);
+    const query = { ...scope };
+    if (q) query.match_keys = { $regex: escapeRegex(normalizeGrowerName(q)) };
+
+    const growers = await getStore('growers').find(query, { sort: { name: 1 } });
+    const summaries = await rollupGrowerSummary(scope, year);
+    const byId = new Map(summaries.map(summary => [String(summary.grower_id), summary]));
+
+    return growers
+        .map(grower => ({
+            ...snapshot(grower),
+            ...EMPTY_SUMMARY,
+            ...byId.get(String(grower.id)),
+            grower_id: String(grower.id),
+            grower_name: grower.name
+        }))
+        .filter(grower => !year || grower.orderCount > 0)
+        .sort((a, b) => b.totalRevenue - a.totalRevenue);
+}
+
+/**
+ * Find a grower by id, treating growers outside the caller's territory as
+ * not found
+ */
+async function findScopedGrower(req) {
+    const grower = await getStore('growers').findById(req.params.id);
+    return grower && inScope(grower, getScope(req)) ? grower : null;
+}
+
 /**
  * GET /api/growers
- * Get all unique growers with their summary statistics
+ * Grower master records with their sales summary. Filter with ?year=
+ * (growers who bought that year) and ?q= (name or alias search).
  */
 router.get('/', async (req, res) => {
     try {
-        const GrowerTransaction = getModel();
-
-        if (!GrowerTransaction) {
-            return res.status(503).json({
-                error: 'Database not available',
-                message: 'MongoDB connection required for this endpoint'
-            });
-        }
-
         const year = req.query.year ? parseInt(req.query.year) : null;
-        const growers = await GrowerTransaction.getGrowerSummary(year);
+        const growers = await growerSummaries(req, { year, q: req.query.q });
 
         res.json({
             success: true,
@@ -46,48 +98,111 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/growers/:name
- * Get detailed information for a specific grower
+ * POST /api/growers
+ * Add a grower. The name is required; names, aliases and account numbers
+ * may not match another grower's.
  */
-router.get('/:name', async (req, res) => {
+router.post('/', authenticate(...EDIT_ROLES), async (req, res) => {
     try {
-        const GrowerTransaction = getModel();
+        const fields = pickGrowerFields(req.body);
+        const grower = withMatchKeys({ aliases: [], account_numbers: [], contacts: [], addresses: [], ...fields });
+        grower.territory = territoryFor(req, fields.territory);
 
-        if (!GrowerTransaction) {
-            return res.status(503).json({
-                error: 'Database not available',
-                message: 'MongoDB connection required for this endpoint'
-            });
+        const errors = validateGrower(grower);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
         }
 
-        const growerName = decodeURIComponent(req.params.name);
-        const transactions = await GrowerTransaction.find({ grower_name: growerName })
-            .sort({ date: -1 });
+        const conflict = await findConflict(grower);
+        if (conflict) {
+            return res.status(409).json({ error: `${conflict.name} already has that name, alias or account number`, grower_id: String(conflict.id) });
+        }
 
-        if (transactions.length === 0) {
-            return res.status(404).json({
-                error: 'Grower not found',
-                message: `No records found for grower: ${growerName}`
-            });
+        const created = await getStore('growers').create(grower);
+        await recordAudit(req, { action: 'create', entity: 'grower', changes: [{ before: null, after: created }] });
+
+        res.status(201).json({ success: true, grower: created });
+    } catch (error) {
+        console.error('Error creating grower:', error);
+        res.status(500).json({ error: 'Failed to create grower' });
+    }
+});
+
+/**
+ * GET /api/growers/duplicates
+ * Pairs of growers that are probably the same operation: shared account
+ * numbers, or names alike after dropping suffixes and allowing typos.
+ * ?threshold= (0-1, default 0.8) sets how alike names must be.
+ */
+router.get('/duplicates', async (req, res) => {
+    try {
+        const threshold = parseFloat(req.query.threshold);
+        const growers = await getStore('growers').find(getScope(req), { sort: { name: 1 } });
+        const duplicates = findDuplicates(growers, isNaN(threshold) ? {} : { threshold });
+
+        res.json({ success: true, count: duplicates.length, duplicates });
+    } catch (error) {
+        console.error('Error finding duplicate growers:', error);
+        res.status(500).json({ error: 'Failed to find duplicate growers' });
+    }
+});
+
+/**
+ * GET /api/growers/match
+ * Growers a ?name= and/or ?account= probably belong to, most likely first
+ */
+router.get('/match', async (req, res) => {
+    try {
+        const { name, account } = req.query;
+        if (!name && !account) {
+            return res.status(400).json({ error: 'name or account is required' });
+        }
+
+        const threshold = parseFloat(req.query.threshold);
+        const growers = await getStore('growers').find(getScope(req));
+        const matches = suggestMatches(
+            { name, account_number: account, territory: getScope(req).territory },
+            growers,
+            isNaN(threshold) ? {} : { threshold }
+        );
+
+        res.json({ success: true, count: matches.length, matches });
+    } catch (error) {
+        console.error('Error matching grower:', error);
+        res.status(500).json({ error: 'Failed to match grower' });
+    }
+});
+
+/**
+ * GET /api/growers/:id
+ * Get a grower with its sales summary and transactions
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const grower = await findScopedGrower(req);
+        if (!grower) {
+            return res.status(404).json({ error: 'Grower not found' });
         }
 
+        const transactions = await getStore().find(scopeQuery(req, { grower_id: String(grower.id) }), { sort: { date: -1 } });
+
         // Calculate summary
         const totalRevenue = transactions.reduce((sum, t) => sum + t.amount, 0);
         const totalQuantity = transactions.reduce((sum, t) => sum + t.quantity, 0);
         const products = [...new Set(transactions.map(t => t.product))];
-        const years = [...new Set(transactions.map(t => new Date(t.date).getFullYear()))];
+        const years = Seasons.seasonsOf(transactions);
 
         res.json({
             success: true,
             grower: {
-                name: growerName,
+                ...snapshot(grower),
                 totalRevenue,
                 totalQuantity,
                 totalOrders: transactions.length,
                 products,
-                yearsActive: years.sort(),
-                firstPurchase: transactions[transactions.length - 1].date,
-                lastPurchase: transactions[0].date,
+                yearsActive: years,
+                firstPurchase: transactions.length > 0 ? transactions[transactions.length - 1].date : null,
+                lastPurchase: transactions.length > 0 ? transactions[0].date : null,
                 transactions
             }
         });
@@ -98,30 +213,34 @@ router.get('/:name', async (req, res) => {
 });
 
 /**
- * GET /api/growers/:name/transactions
- * Get all transactions for a specific grower
+ * GET /api/growers/:id/transactions
+ * Get all transactions for a specific grower. Filter with ?year= (a
+ * season), ?from= and ?to= (days, both included) and ?product=.
  */
-router.get('/:name/transactions', async (req, res) => {
+router.get('/:id/transactions', async (req, res) => {
     try {
-        const GrowerTransaction = getModel();
-
-        if (!GrowerTransaction) {
-            return res.status(503).json({
-                error: 'Database not available',
-                message: 'MongoDB connection required for this endpoint'
-            });
+        const grower = await findScopedGrower(req);
+        if (!grower) {
+            return res.status(404).json({ error: 'Grower not found' });
         }
 
-        const growerName = decodeURIComponent(req.params.name);
-        const { year, product, limit = 100, page = 1 } = req.query;
+        const store = getStore();
+        const { year, from, to, product, limit = 100, page = 1 } = req.query;
 
-        const query = { grower_name: growerName };
+        const query = scopeQuery(req, { grower_id: String(grower.id) });
 
+        const dateRanges = [];
         if (year) {
-            query.date = {
-                $gte: new Date(`${year}-01-01`),
-                $lte: new Date(`${year}-12-31`)
-            };
+            dateRanges.push({ date: yearRange(year) });
+        }
+        if (from || to) {
+            if ([from, to].some(value => value && Dates.toDay(value) === null)) {
+                return res.status(400).json({ error: 'Invalid from/to date' });
+            }
+            dateRanges.push({ date: Dates.dayRange(from, to) });
+        }
+        if (dateRanges.length > 0) {
+            query.$and = dateRanges;
         }
 
         if (product) {
@@ -129,16 +248,18 @@ router.get('/:name/transactions', async (req, res) => {
         }
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
-        const transactions = await GrowerTransaction.find(query)
-            .sort({ date: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+        const transactions = await store.find(query, {
+            sort: { date: -1 },
+            skip,
+            limit: parseInt(limit)
+        });
 
-        const total = await GrowerTransaction.countDocuments(query);
+        const total = await store.count(query);
 
         res.json({
             success: true,
-            grower: growerName,
+            grower: grower.name,
+            grower_id: String(grower.id),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -154,44 +275,176 @@ router.get('/:name/transactions', async (req, res) => {
 });
 
 /**
- * GET /api/growers/retention/analysis
- * Get retention analysis data
+ * Apply validated changes to a grower and audit the update. A renamed
+ * grower keeps its old name as an alias, and its transactions take the
+ * new name.
  */
-router.get('/retention/analysis', async (req, res) => {
+async function updateGrower(req, res, changes) {
+    const growers = getStore('growers');
+    const existing = await findScopedGrower(req);
+    if (!existing) {
+        return res.status(404).json({ error: 'Grower not found' });
+    }
+
+    if (changes.territory !== undefined) {
+        changes.territory = territoryFor(req, changes.territory);
+    }
+
+    const merged = { ...pickGrowerFields(existing), ...changes };
+    const renamed = merged.name !== existing.name;
+    if (renamed && !(merged.aliases || []).includes(existing.name)) {
+        merged.aliases = [...(merged.aliases || []), existing.name];
+    }
+
+    const errors = validateGrower(merged);
+    if (errors) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const conflict = await findConflict(merged, existing.id);
+    if (conflict) {
+        return res.status(409).json({ error: `${conflict.name} already has that name, alias or account number`, grower_id: String(conflict.id) });
+    }
+
+    const updated = await growers.updateById(req.params.id, withMatchKeys(merged));
+    if (renamed) {
+        await getStore().updateMany({ grower_id: String(existing.id) }, { grower_name: updated.name });
+    }
+    await recordAudit(req, { action: 'update', entity: 'grower', changes: [{ before: existing, after: updated }] });
+
+    res.json({ success: true, grower: updated });
+}
+
+/**
+ * PUT /api/growers/:id
+ * Replace a grower's editable fields
+ */
+router.put('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
     try {
-        const GrowerTransaction = getModel();
+        const changes = { aliases: [], account_numbers: [], contacts: [], addresses: [], ...pickGrowerFields(req.body) };
+        ['legal_name', 'operation_name', 'total_acres', 'notes'].forEach(field => {
+            if (changes[field] === undefined) changes[field] = null;
+        });
+        await updateGrower(req, res, changes);
+    } catch (error) {
+        console.error('Error updating grower:', error);
+        res.status(500).json({ error: 'Failed to update grower' });
+    }
+});
 
-        if (!GrowerTransaction) {
-            return res.status(503).json({
-                error: 'Database not available',
-                message: 'MongoDB connection required for this endpoint'
-            });
+/**
+ * PATCH /api/growers/:id
+ * Update only the fields given
+ */
+router.patch('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const changes = pickGrowerFields(req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
         }
+        await updateGrower(req, res, changes);
+    } catch (error) {
+        console.error('Error updating grower:', error);
+        res.status(500).json({ error: 'Failed to update grower' });
+    }
+});
 
-        const years = [2022, 2023, 2024, 2025, 2026];
+/**
+ * POST /api/growers/:id/merge
+ * Merge the growers listed in { from: [ids] } into this one. Their
+ * transactions move to it and their names become its aliases.
+ */
+router.post('/:id/merge', authenticate(...MERGE_ROLES), async (req, res) => {
+    try {
+        const target = await findScopedGrower(req);
+        if (!target) {
+            return res.status(404).json({ error: 'Grower not found' });
+        }
+
+        const ids = [...new Set([].concat(req.body.from || []).map(String))];
+        if (ids.length === 0) {
+            return res.status(400).json({ error: 'from must list the growers to merge' });
+        }
+        if (ids.includes(String(target.id))) {
+            return res.status(400).json({ error: 'A grower cannot be merged into itself' });
+        }
+
+        const scope = getScope(req);
+        const sources = [];
+        for (const id of ids) {
+            const source = await getStore('growers').findById(id);
+            if (!source || !inScope(source, scope)) {
+                return res.status(404).json({ error: `Grower ${id} not found` });
+            }
+            if (source.territory && target.territory && source.territory !== target.territory) {
+                return res.status(400).json({ error: `${source.name} is in another territory than ${target.name}` });
+            }
+            sources.push(source);
+        }
+
+        const result = await mergeGrowers(req, target, sources);
+
+        res.json({
+            success: true,
+            message: `Merged ${sources.length} growers into ${result.grower.name} (${result.transactions} transactions moved)`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error merging growers:', error);
+        res.status(500).json({ error: 'Failed to merge growers' });
+    }
+});
+
+/**
+ * DELETE /api/growers/:id
+ * Remove a grower that no transaction (live or in the trash) references
+ */
+router.delete('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const existing = await findScopedGrower(req);
+        if (!existing) {
+            return res.status(404).json({ error: 'Grower not found' });
+        }
+
+        const growerId = String(existing.id);
+        const used = await getStore().count({ grower_id: growerId }) +
+            await getStore().count({ grower_id: growerId, deleted_at: { $ne: null } });
+        if (used > 0) {
+            return res.status(409).json({ error: `${existing.name} is used by ${used} transactions` });
+        }
+
+        await getStore('growers').deleteById(req.params.id);
+        await recordAudit(req, { action: 'delete', entity: 'grower', changes: [{ before: existing, after: null }] });
+
+        res.json({ success: true, message: 'Grower deleted' });
+    } catch (error) {
+        console.error('Error deleting grower:', error);
+        res.status(500).json({ error: 'Failed to delete grower' });
+    }
+});
+
+/**
+ * GET /api/growers/retention/analysis
+ * Get retention analysis data
+ */
+router.get('/retention/analysis', rollupETag(), async (req, res) => {
+    try {
+        // Seasons with sales, oldest first
+        const years = await rollupSeasons(getScope(req));
         const retentionData = [];
 
+        // Every grower's buying seasons, from the grower x season rollup
+        const growerYears = years.length > 0 ? await rollupGrowerYears(years, getScope(req)) : [];
+        const boughtIn = (year) => new Set(growerYears.filter(g => g.years.includes(year)).map(g => String(g.grower)));
+
         for (let i = 1; i < years.length; i++) {
             const currentYear = years[i];
             const previousYear = years[i - 1];
 
-            // Get growers for each year
-            const currentGrowers = await GrowerTransaction.distinct('grower_name', {
-                date: {
-                    $gte: new Date(`${currentYear}-01-01`),
-                    $lte: new Date(`${currentYear}-12-31`)
-                }
-            });
-
-            const previousGrowers = await GrowerTransaction.distinct('grower_name', {
-                date: {
-                    $gte: new Date(`${previousYear}-01-01`),
-                    $lte: new Date(`${previousYear}-12-31`)
-                }
-            });
-
-            const previousSet = new Set(previousGrowers);
-            const currentSet = new Set(currentGrowers);
+            const currentSet = boughtIn(currentYear);
+            const previousSet = boughtIn(previousYear);
+            const currentGrowers = [...currentSet];
+            const previousGrowers = [...previousSet];
 
             const returning = currentGrowers.filter(g => previousSet.has(g));
             const newGrowers = currentGrowers.filter(g => !previousSet.has(g));
@@ -225,20 +478,11 @@ router.get('/retention/analysis', async (req, res) => {
  */
 router.get('/top/:count', async (req, res) => {
     try {
-        const GrowerTransaction = getModel();
-
-        if (!GrowerTransaction) {
-            return res.status(503).json({
-                error: 'Database not available',
-                message: 'MongoDB connection required for this endpoint'
-            });
-        }
-
         const count = parseInt(req.params.count) || 10;
         const year = req.query.year ? parseInt(req.query.year) : null;
 
-        const growers = await GrowerTransaction.getGrowerSummary(year);
-        const topGrowers = growers.slice(0, count);
+        const growers = await growerSummaries(req, { year });
+        const topGrowers = growers.filter(grower => grower.orderCount > 0).slice(0, count);
 
         res.json({
             success: true,
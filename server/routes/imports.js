@@ -0,0 +1,186 @@
+/**
+ * Import Routes
+ * Stage an import, review its errors and diff, then commit or roll it back
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { getStore } = require('../storage');
+const { getScope, territoryFor } = require('../middleware/territory');
+const { inScope } = require('../services/transactions');
+const {
+    stageImport,
+    commitImport,
+    rollbackImport,
+    commitSummary,
+    toBatchSummary
+} = require('../services/imports');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const MAX_LIMIT = 200;
+
+/**
+ * Find a batch by id, treating batches outside the caller's territory as
+ * not found
+ */
+async function findScopedBatch(req) {
+    const batch = await getStore('imports').findById(req.params.id);
+    return batch && inScope(batch, getScope(req)) ? batch : null;
+}
+
+/**
+ * GET /api/imports
+ * List batches, newest first. Filter with ?status=
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+        const query = { ...getScope(req) };
+        if (req.query.status) query.status = req.query.status;
+
+        const batches = await getStore('imports').find(query, { sort: { created_at: -1 }, limit });
+
+        res.json({
+            success: true,
+            count: batches.length,
+            batches: batches.map(toBatchSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching imports:', error);
+        res.status(500).json({ error: 'Failed to fetch imports' });
+    }
+});
+
+/**
+ * POST /api/imports
+ * Stage a batch from a CSV file (multipart "file"), CSV text ({ text }) or
+ * parsed rows ({ records }). Nothing is written to the data until commit.
+ */
+router.post('/', upload.single('file'), async (req, res) => {
+    try {
+        const { records, source, filename } = req.body;
+        const text = req.file ? req.file.buffer.toString('utf-8') : req.body.text;
+
+        if (!text && !Array.isArray(records)) {
+            return res.status(400).json({ error: 'Provide a CSV file, text or records to import' });
+        }
+
+        const batch = await stageImport(req, {
+            text,
+            records: req.file ? null : records,
+            source: source || (req.file ? 'upload' : 'api'),
+            filename: req.file ? req.file.originalname : filename,
+            territory: territoryFor(req, req.body.territory)
+        });
+
+        res.status(201).json({ success: true, batch: toBatchSummary(batch) });
+    } catch (error) {
+        console.error('Error staging import:', error);
+        res.status(500).json({ error: 'Failed to stage import' });
+    }
+});
+
+/**
+ * GET /api/imports/:id
+ * Batch detail with row errors, diff and a preview of staged rows
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const batch = await findScopedBatch(req);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        res.json({ success: true, batch: toBatchSummary(batch) });
+    } catch (error) {
+        console.error('Error fetching import:', error);
+        res.status(500).json({ error: 'Failed to fetch import' });
+    }
+});
+
+/**
+ * POST /api/imports/:id/commit
+ * Upsert the batch's valid rows, reporting merged and skipped duplicates
+ */
+router.post('/:id/commit', async (req, res) => {
+    try {
+        const batch = await findScopedBatch(req);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        if (batch.status !== 'staged') {
+            return res.status(409).json({ error: `Import is already ${batch.status.replace('_', ' ')}` });
+        }
+
+        const result = await commitImport(req, batch);
+
+        res.json({
+            success: true,
+            ...commitSummary(result.batch),
+            operationId: result.operationId,
+            batch: toBatchSummary(result.batch)
+        });
+    } catch (error) {
+        console.error('Error committing import:', error);
+        res.status(500).json({ error: 'Failed to commit import' });
+    }
+});
+
+/**
+ * POST /api/imports/:id/rollback
+ * Move every record from a committed batch to the trash and restore the
+ * records it updated
+ */
+router.post('/:id/rollback', async (req, res) => {
+    try {
+        const batch = await findScopedBatch(req);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        if (batch.status !== 'committed') {
+            return res.status(409).json({ error: 'Only committed imports can be rolled back' });
+        }
+
+        const result = await rollbackImport(req, batch, getScope(req));
+        let message = `Rolled back ${result.count} records`;
+        if (result.restored > 0) message += `, restored ${result.restored} updated records`;
+
+        res.json({
+            success: true,
+            message,
+            count: result.count,
+            restored: result.restored,
+            operationId: result.operationId,
+            batch: toBatchSummary(result.batch)
+        });
+    } catch (error) {
+        console.error('Error rolling back import:', error);
+        res.status(500).json({ error: 'Failed to roll back import' });
+    }
+});
+
+/**
+ * DELETE /api/imports/:id
+ * Discard a staged batch without importing it
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const batch = await findScopedBatch(req);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        if (batch.status !== 'staged') {
+            return res.status(409).json({ error: 'Only staged imports can be discarded' });
+        }
+
+        const updated = await getStore('imports').updateById(String(batch.id), { status: 'discarded', rows: [] });
+
+        res.json({ success: true, message: 'Import discarded', batch: toBatchSummary(updated) });
+    } catch (error) {
+        console.error('Error discarding import:', error);
+        res.status(500).json({ error: 'Failed to discard import' });
+    }
+});
+
+module.exports = router;
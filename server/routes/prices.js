@@ -0,0 +1,225 @@
+/**
+ * Price Book Routes
+ * List prices by product, hybrid, trait and season. Everyone signed in
+ * can read and quote prices; admins and managers maintain the book.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Pricing = require('../../pricing');
+const { getStore } = require('../storage');
+const { authenticate } = require('../middleware/auth');
+const { getScope } = require('../middleware/territory');
+const { recordAudit } = require('../services/audit');
+const {
+    PRICE_SORT,
+    pickPriceFields,
+    validatePriceEntry,
+    refreshPriceBook,
+    getPriceBook,
+    repriceTransactions
+} = require('../services/prices');
+
+const EDIT_ROLES = ['admin', 'manager'];
+
+/**
+ * Schema errors for an entry, plus an error when its product is not in
+ * the catalog. Returns null when valid.
+ */
+async function entryErrors(entry) {
+    const errors = validatePriceEntry(entry) || [];
+    if (entry.product && !(await getStore('catalog').findOne({ kind: 'product', code: entry.product }))) {
+        errors.push(`\`${entry.product}\` is not a product in the catalog`);
+    }
+    return errors.length > 0 ? errors : null;
+}
+
+/**
+ * GET /api/prices
+ * List price entries. Filter with ?product=, ?year=, ?hybrid= and ?trait=.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.product) query.product = req.query.product;
+        if (req.query.year) query.year = parseInt(req.query.year);
+        if (req.query.hybrid) query.hybrid = req.query.hybrid;
+        if (req.query.trait) query.trait = req.query.trait;
+
+        const prices = await getStore('prices').find(query, { sort: PRICE_SORT });
+
+        res.json({ success: true, count: prices.length, prices });
+    } catch (error) {
+        console.error('Error fetching prices:', error);
+        res.status(500).json({ error: 'Failed to fetch prices' });
+    }
+});
+
+/**
+ * GET /api/prices/quote
+ * Price a sale: ?product= and ?quantity= (or ?bags= / ?seed_units=, for
+ * prices by the bag or unit), with ?hybrid=, ?trait= and ?date= (or
+ * ?year=)
+ */
+router.get('/quote', async (req, res) => {
+    try {
+        const { product, hybrid, trait, date, year } = req.query;
+        if (!product || (!date && !year)) {
+            return res.status(400).json({ error: 'product and date or year are required' });
+        }
+
+        const quote = Pricing.quote(getPriceBook(), {
+            product,
+            hybrid,
+            trait,
+            date,
+            year: year ? parseInt(year) : undefined,
+            quantity: parseFloat(req.query.quantity) || 0,
+            bags: req.query.bags,
+            seed_units: req.query.seed_units
+        });
+        if (!quote) {
+            return res.status(404).json({ error: `No price for ${product} in ${year || Pricing.seasonOf(date)}` });
+        }
+
+        res.json({ success: true, ...quote });
+    } catch (error) {
+        console.error('Error quoting price:', error);
+        res.status(500).json({ error: 'Failed to quote price' });
+    }
+});
+
+/**
+ * POST /api/prices/reprice
+ * Re-price transactions priced from the book, and unpriced ones, with the
+ * current book (?year= or { year } limits it to one season)
+ */
+router.post('/reprice', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const year = parseInt(req.body.year || req.query.year) || null;
+        const result = await repriceTransactions(req, { year, scope: getScope(req) });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error repricing transactions:', error);
+        res.status(500).json({ error: 'Failed to reprice transactions' });
+    }
+});
+
+/**
+ * GET /api/prices/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const price = await getStore('prices').findById(req.params.id);
+        if (!price) {
+            return res.status(404).json({ error: 'Price not found' });
+        }
+        res.json({ success: true, price });
+    } catch (error) {
+        console.error('Error fetching price:', error);
+        res.status(500).json({ error: 'Failed to fetch price' });
+    }
+});
+
+/**
+ * POST /api/prices
+ * Add a price entry. product, year and list_price are required.
+ */
+router.post('/', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const entry = { tiers: [], ...pickPriceFields(req.body) };
+
+        const errors = await entryErrors(entry);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const created = await getStore('prices').create(entry);
+        await recordAudit(req, { action: 'create', entity: 'price', changes: [{ before: null, after: created }] });
+        await refreshPriceBook();
+
+        res.status(201).json({ success: true, price: created });
+    } catch (error) {
+        console.error('Error creating price:', error);
+        res.status(500).json({ error: 'Failed to create price' });
+    }
+});
+
+/**
+ * Apply validated changes to a price entry and audit the update
+ */
+async function updatePrice(req, res, changes) {
+    const prices = getStore('prices');
+    const existing = await prices.findById(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Price not found' });
+    }
+
+    const errors = await entryErrors({ ...pickPriceFields(existing), ...changes });
+    if (errors) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await prices.updateById(req.params.id, changes);
+    await recordAudit(req, { action: 'update', entity: 'price', changes: [{ before: existing, after: updated }] });
+    await refreshPriceBook();
+
+    res.json({ success: true, price: updated });
+}
+
+/**
+ * PUT /api/prices/:id
+ * Replace a price entry's editable fields
+ */
+router.put('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        await updatePrice(req, res, { tiers: [], ...pickPriceFields(req.body) });
+    } catch (error) {
+        console.error('Error updating price:', error);
+        res.status(500).json({ error: 'Failed to update price' });
+    }
+});
+
+/**
+ * PATCH /api/prices/:id
+ * Update only the fields given
+ */
+router.patch('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const changes = pickPriceFields(req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No editable fields provided' });
+        }
+        await updatePrice(req, res, changes);
+    } catch (error) {
+        console.error('Error updating price:', error);
+        res.status(500).json({ error: 'Failed to update price' });
+    }
+});
+
+/**
+ * DELETE /api/prices/:id
+ * Remove a price entry. Transactions keep the amounts they were priced
+ * at until they are re-priced.
+ */
+router.delete('/:id', authenticate(...EDIT_ROLES), async (req, res) => {
+    try {
+        const prices = getStore('prices');
+        const existing = await prices.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Price not found' });
+        }
+
+        await prices.deleteById(req.params.id);
+        await recordAudit(req, { action: 'delete', entity: 'price', changes: [{ before: existing, after: null }] });
+        await refreshPriceBook();
+
+        res.json({ success: true, message: 'Price deleted' });
+    } catch (error) {
+        console.error('Error deleting price:', error);
+        res.status(500).json({ error: 'Failed to delete price' });
+    }
+});
+
+module.exports = router;
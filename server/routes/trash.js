@@ -0,0 +1,117 @@
+/**
+ * Trash Routes
+ * Browse, restore and permanently purge soft-deleted transactions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('../storage');
+const { authenticate } = require('../middleware/auth');
+const { getScope } = require('../middleware/territory');
+const { recordAudit } = require('../services/audit');
+const { TRASH_RETENTION_DAYS, listTrash, restoreRecords, restoreSummary } = require('../services/trash');
+
+/**
+ * Deleted records from one deletion that the caller may see
+ */
+const deletionQuery = (req) => ({
+    ...getScope(req),
+    deletion_id: req.params.deletionId,
+    deleted_at: { $ne: null }
+});
+
+/**
+ * GET /api/trash
+ * List deletions still inside the retention window
+ */
+router.get('/', async (req, res) => {
+    try {
+        const batches = await listTrash(getScope(req));
+
+        res.json({
+            success: true,
+            retentionDays: TRASH_RETENTION_DAYS,
+            count: batches.length,
+            batches
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+/**
+ * GET /api/trash/:deletionId
+ * List the records removed by one deletion
+ */
+router.get('/:deletionId', async (req, res) => {
+    try {
+        const records = await getStore().find(deletionQuery(req), { sort: { date: -1 } });
+        if (records.length === 0) {
+            return res.status(404).json({ error: 'Deletion not found in trash' });
+        }
+
+        res.json({ success: true, count: records.length, records });
+    } catch (error) {
+        console.error('Error fetching trash batch:', error);
+        res.status(500).json({ error: 'Failed to fetch trash batch' });
+    }
+});
+
+/**
+ * POST /api/trash/:deletionId/restore
+ * Restore every record removed by one deletion, merging records added
+ * again since into the live copies
+ */
+router.post('/:deletionId/restore', async (req, res) => {
+    try {
+        const query = deletionQuery(req);
+        const records = await getStore().find(query);
+        if (records.length === 0) {
+            return res.status(404).json({ error: 'Deletion not found in trash' });
+        }
+
+        const result = await restoreRecords(req, records, getScope(req));
+
+        res.json({
+            success: true,
+            ...restoreSummary(result),
+            operationId: result.operationId
+        });
+    } catch (error) {
+        console.error('Error restoring trash batch:', error);
+        res.status(500).json({ error: 'Failed to restore records' });
+    }
+});
+
+/**
+ * DELETE /api/trash/:deletionId
+ * Permanently remove one deletion's records before the retention window ends
+ */
+router.delete('/:deletionId', authenticate('admin'), async (req, res) => {
+    try {
+        const query = deletionQuery(req);
+        const records = await getStore().find(query);
+        if (records.length === 0) {
+            return res.status(404).json({ error: 'Deletion not found in trash' });
+        }
+
+        await getStore().purgeDeleted(new Date(), query);
+        const operationId = await recordAudit(req, {
+            action: 'purge',
+            changes: records.map(before => ({ before, after: null }))
+        });
+
+        res.json({
+            success: true,
+            message: `Permanently deleted ${records.length} records`,
+            count: records.length,
+            operationId
+        });
+    } catch (error) {
+        console.error('Error purging trash batch:', error);
+        res.status(500).json({ error: 'Failed to purge records' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * User Routes
+ * Account management (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('../storage');
+const authService = require('../services/auth');
+const { recordAudit } = require('../services/audit');
+
+const validateRole = (role) => authService.ROLES.includes(role);
+
+// Sales reps only ever work inside a territory
+const validateTerritory = (role, territory) => (
+    role === 'sales_rep' && !territory ? 'Sales reps must be assigned a territory' : null
+);
+
+/**
+ * GET /api/users
+ * List all accounts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const users = await getStore('users').find({}, { sort: { email: 1 } });
+        res.json({
+            success: true,
+            count: users.length,
+            users: users.map(authService.toPublicUser)
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+/**
+ * POST /api/users
+ * Create an account
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { email, name, role = 'viewer', territory, password } = req.body;
+        const users = getStore('users');
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        if (!validateRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${authService.ROLES.join(', ')}` });
+        }
+        const invalidTerritory = validateTerritory(role, territory);
+        if (invalidTerritory) {
+            return res.status(400).json({ error: invalidTerritory });
+        }
+        const invalid = authService.validatePassword(password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const normalizedEmail = String(email).trim().toLowerCase();
+        if (await users.findOne({ email: normalizedEmail })) {
+            return res.status(409).json({ error: 'A user with that email already exists' });
+        }
+
+        const user = await users.create({
+            email: normalizedEmail,
+            name,
+            role,
+            territory: territory ? String(territory).trim() : undefined,
+            active: true,
+            ...(await authService.hashPassword(password))
+        });
+
+        await recordAudit(req, { action: 'create', entity: 'user', changes: [{ before: null, after: user }] });
+
+        res.status(201).json({ success: true, user: authService.toPublicUser(user) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Update name, role, territory, active flag or password. Changing access,
+ * deactivating or resetting the password signs the user out everywhere.
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { name, role, territory, active, password } = req.body;
+        const users = getStore('users');
+        const user = await users.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const changes = {};
+        if (name !== undefined) changes.name = name;
+        if (role !== undefined) {
+            if (!validateRole(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${authService.ROLES.join(', ')}` });
+            }
+            changes.role = role;
+        }
+        if (territory !== undefined) changes.territory = territory ? String(territory).trim() : null;
+        if (active !== undefined) changes.active = Boolean(active);
+
+        const invalidTerritory = validateTerritory(
+            changes.role || user.role,
+            changes.territory !== undefined ? changes.territory : user.territory
+        );
+        if (invalidTerritory) {
+            return res.status(400).json({ error: invalidTerritory });
+        }
+        if (password !== undefined) {
+            const invalid = authService.validatePassword(password);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            Object.assign(changes, await authService.hashPassword(password));
+        }
+
+        const isSelf = String(user.id) === String(req.user.id);
+        if (isSelf && (changes.role && changes.role !== 'admin' || changes.active === false)) {
+            return res.status(400).json({ error: 'You cannot remove your own admin access' });
+        }
+
+        const updated = await users.updateById(user.id, changes);
+        await recordAudit(req, { action: 'update', entity: 'user', changes: [{ before: user, after: updated }] });
+
+        if (changes.role || changes.territory !== undefined || changes.active === false || changes.password_hash) {
+            await authService.revokeUserSessions(user.id);
+        }
+
+        res.json({ success: true, user: authService.toPublicUser(updated) });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Remove an account and its sessions
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const users = getStore('users');
+        const user = await users.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (String(user.id) === String(req.user.id)) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        await users.deleteById(user.id);
+        await authService.revokeUserSessions(user.id);
+        await recordAudit(req, { action: 'delete', entity: 'user', changes: [{ before: user, after: null }] });
+
+        res.json({ success: true, message: 'User deleted' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+module.exports = router;
@@ -6,25 +6,104 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 
+// CSV reader and writer shared with the dashboard
+const CSV = require('../csv');
+
 // Import routes
 const growerRoutes = require('./routes/growers');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const importRoutes = require('./routes/imports');
+const catalogRoutes = require('./routes/catalog');
+const priceRoutes = require('./routes/prices');
+const forecastRoutes = require('./routes/forecast');
 
 // Import database connection (optional)
 const connectDB = require('./config/db');
 
+// Agency time zone and sales-year calendar
+const configureTimeZone = require('./config/timezone');
+const configureSeasons = require('./config/season');
+const Seasons = require('../seasons');
+const Dates = require('../dates');
+
+// Import storage layer (MongoDB or in-memory)
+const { initStore, getStore, yearRange } = require('./storage');
+
+// Import authentication (sessions and roles)
+const { authenticate } = require('./middleware/auth');
+const { getScope, scopeQuery, territoryFor } = require('./middleware/territory');
+const { ensureAdminUser } = require('./services/auth');
+
+// Import audit trail
+const { createOperationId, recordAudit } = require('./services/audit');
+
+// Import trash retention
+const { TRASH_RETENTION_DAYS, startTrashPurge, restoreRecords, restoreSummary } = require('./services/trash');
+
+// Import batches
+const { stageImport, commitImport, commitSummary } = require('./services/imports');
+
+// Product and hybrid catalog
+const { ensureCatalog } = require('./services/catalog');
+
+// Price book
+const { ensurePriceBook, priceRecord } = require('./services/prices');
+
+// Grower master records
+const { resolveGrowers, ensureGrowers } = require('./services/growers');
+
+// Natural-key deduplication
+const { planUpsert, applyUpsert } = require('./services/dedup');
+
+// Import transaction validation
+const {
+    EDITABLE_FIELDS,
+    validateTransaction,
+    pickEditableFields,
+    inScope
+} = require('./services/transactions');
+
+// Transaction filters, sorting and paging
+const { queryTransactions, QueryError } = require('./services/query');
+
+// Precomputed analytics totals
+const {
+    ensureRollups,
+    rebuildRollups,
+    rollupSummary,
+    rollupMonthlyTrends,
+    rollupProductBreakdown,
+    rollupGrowerSummary,
+    rollupSeedSales,
+    rollupSeasons
+} = require('./services/rollups');
+const { rollupETag } = require('./middleware/rollupCache');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// ETag is exposed so the client can revalidate cached analytics
+app.use(cors({ exposedHeaders: ['ETag'] }));
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from parent directory
-app.use(express.static(path.join(__dirname, '..')));
+// Serve only the dashboard's own files from the parent directory: its
+// pages, scripts and stylesheet, and the public seed data in data/.
+// Everything else there (the server, its .env and data journal) is never
+// served, however the path is encoded.
+const PUBLIC_ROOT = path.join(__dirname, '..');
+const PUBLIC_FILES = fs.readdirSync(PUBLIC_ROOT)
+    .filter(name => /\.(html|js|css)$/.test(name) && !name.endsWith('.test.js'));
+app.get(['/', ...PUBLIC_FILES.map(name => `/${name}`)], express.static(PUBLIC_ROOT));
+app.use('/data', express.static(path.join(PUBLIC_ROOT, 'data')));
 
 // File upload configuration
 const storage = multer.memoryStorage();
@@ -40,67 +119,61 @@ const upload = multer({
     }
 });
 
-// In-memory data store (fallback when MongoDB is not available)
-let inMemoryData = [];
-
-// Authentication middleware
-const authenticate = (req, res, next) => {
-    const accessCode = req.headers['x-access-code'];
-    if (accessCode === process.env.ACCESS_CODE || accessCode === 'pioneer2024') {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized: Invalid access code' });
-    }
-};
+// Roles allowed to change transaction data; viewers are read-only
+const EDITOR_ROLES = ['admin', 'manager', 'sales_rep'];
 
 // API Routes
-app.use('/api/growers', authenticate, growerRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticate('admin'), userRoutes);
+app.use('/api/growers', authenticate(), growerRoutes);
+app.use('/api/audit', authenticate('admin', 'manager'), auditRoutes);
+app.use('/api/trash', authenticate(...EDITOR_ROLES), trashRoutes);
+app.use('/api/imports', authenticate(...EDITOR_ROLES), importRoutes);
+app.use('/api/catalog', authenticate(), catalogRoutes);
+app.use('/api/prices', authenticate(), priceRoutes);
+app.use('/api/forecast', authenticate(), forecastRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        mongodb: process.env.MONGODB_URI ? 'configured' : 'not configured'
+        mongodb: process.env.MONGODB_URI ? 'configured' : 'not configured',
+        storage: getStore().type
     });
 });
 
-// Authentication endpoint
-app.post('/api/auth', (req, res) => {
-    const { accessCode } = req.body;
-    if (accessCode === process.env.ACCESS_CODE || accessCode === 'pioneer2024') {
-        res.json({ success: true, message: 'Authentication successful' });
-    } else {
-        res.status(401).json({ success: false, error: 'Invalid access code' });
-    }
-});
-
-// CSV Upload endpoint
-app.post('/api/upload', authenticate, upload.single('file'), async (req, res) => {
+// CSV Upload endpoint: stages and commits in one step. The response's
+// importId can be rolled back with POST /api/imports/:id/rollback.
+app.post('/api/upload', authenticate(...EDITOR_ROLES), upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const csvData = req.file.buffer.toString('utf-8');
-        const records = parseCSV(csvData);
+        const batch = await stageImport(req, {
+            text: req.file.buffer.toString('utf-8'),
+            source: 'upload',
+            filename: req.file.originalname,
+            territory: territoryFor(req, req.body.territory)
+        });
 
-        if (records.length === 0) {
-            return res.status(400).json({ error: 'No valid records found in CSV' });
+        if (batch.valid_rows === 0) {
+            await getStore('imports').updateById(String(batch.id), { status: 'discarded' });
+            return res.status(400).json({
+                error: 'No valid records found in CSV',
+                rowErrors: batch.row_errors
+            });
         }
 
-        // Save to database or in-memory store
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            await GrowerTransaction.insertMany(records);
-        } else {
-            inMemoryData.push(...records);
-        }
+        const result = await commitImport(req, batch);
 
         res.json({
             success: true,
-            message: `Successfully imported ${records.length} records`,
-            count: records.length
+            ...commitSummary(result.batch),
+            importId: String(result.batch.id),
+            operationId: result.operationId,
+            rowErrors: result.batch.row_errors
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -108,140 +181,368 @@ app.post('/api/upload', authenticate, upload.single('file'), async (req, res) =>
     }
 });
 
-// Get all data endpoint
-app.get('/api/data', authenticate, async (req, res) => {
+// Query transactions: filters, sort, cursor paging and field projection
+// (see services/query.js). Without ?limit= every matching record is returned.
+app.get('/api/data', authenticate(), async (req, res) => {
     try {
-        let data;
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            data = await GrowerTransaction.find().sort({ date: -1 });
-        } else {
-            data = inMemoryData;
-        }
+        const result = await queryTransactions(getStore(), req.query, getScope(req));
 
         res.json({
             success: true,
-            count: data.length,
-            data: data
+            count: result.data.length,
+            total: result.total,
+            next_cursor: result.next_cursor,
+            data: result.data
         });
     } catch (error) {
+        if (error instanceof QueryError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Data fetch error:', error);
         res.status(500).json({ error: 'Failed to fetch data' });
     }
 });
 
 // Add single record endpoint
-app.post('/api/data', authenticate, async (req, res) => {
+app.post('/api/data', authenticate(...EDITOR_ROLES), async (req, res) => {
     try {
-        const { date, invoice_number, grower_name, product, quantity, amount } = req.body;
+        const { date, grower_name, product } = req.body;
 
         if (!date || !grower_name || !product) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const record = {
-            date,
-            invoice_number,
-            grower_name,
-            product,
-            quantity: parseFloat(quantity) || 0,
-            amount: parseFloat(amount) || 0,
+        const record = priceRecord({
+            quantity: 0,
+            amount: 0,
+            ...pickEditableFields(req.body),
+            territory: territoryFor(req, req.body.territory),
             created_at: new Date()
-        };
+        });
 
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            const saved = await GrowerTransaction.create(record);
-            res.json({ success: true, data: saved });
-        } else {
-            record.id = Date.now().toString(36) + Math.random().toString(36).substr(2);
-            inMemoryData.push(record);
-            res.json({ success: true, data: record });
+        const errors = validateTransaction(record);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
         }
+        await resolveGrowers([record], { create: true });
+
+        // Upsert on the natural key: an identical record is returned as a
+        // duplicate, a changed one is updated in place
+        const plan = await planUpsert([record], { scope: getScope(req) });
+        const { inserted, updates } = await applyUpsert(plan);
+
+        if (updates.length > 0) {
+            await recordAudit(req, { action: 'update', changes: updates });
+            return res.json({ success: true, merged: true, data: updates[0].after });
+        }
+        if (inserted.length === 0) {
+            const existing = await getStore().findById(plan.skipped[0].record_id);
+            return res.json({ success: true, duplicate: true, data: existing });
+        }
+
+        await recordAudit(req, { action: 'create', changes: [{ before: null, after: inserted[0] }] });
+
+        res.json({ success: true, data: inserted[0] });
     } catch (error) {
         console.error('Add record error:', error);
         res.status(500).json({ error: 'Failed to add record' });
     }
 });
 
-// Delete all data endpoint
-app.delete('/api/data', authenticate, async (req, res) => {
+// Sync endpoint: adds client records the server does not have yet. Records
+// matching an existing or trashed record on the natural key are skipped,
+// so a stale client never overwrites or resurrects server data.
+app.post('/api/data/sync', authenticate(...EDITOR_ROLES), async (req, res) => {
     try {
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            await GrowerTransaction.deleteMany({});
-        } else {
-            inMemoryData = [];
+        if (!Array.isArray(req.body.records)) {
+            return res.status(400).json({ error: 'records must be an array' });
+        }
+
+        const records = [];
+        const rejected = [];
+        req.body.records.forEach((body, index) => {
+            const record = priceRecord({
+                ...pickEditableFields(body),
+                territory: territoryFor(req, body.territory),
+                created_at: new Date()
+            });
+            const errors = validateTransaction(record);
+            if (errors) {
+                rejected.push({ index, errors });
+            } else {
+                records.push(record);
+            }
+        });
+
+        await resolveGrowers(records, { create: true });
+        const plan = await planUpsert(records, { scope: getScope(req), mode: 'skip', includeDeleted: true });
+        const { inserted } = await applyUpsert(plan);
+        await recordAudit(req, {
+            action: 'create',
+            changes: inserted.map(after => ({ before: null, after }))
+        });
+
+        res.json({
+            success: true,
+            synced: inserted.length,
+            skipped: plan.skipped.length,
+            rejected,
+            total: req.body.records.length
+        });
+    } catch (error) {
+        console.error('Sync error:', error);
+        res.status(500).json({ error: 'Failed to sync records' });
+    }
+});
+
+/**
+ * Find a transaction by id, treating records outside the caller's
+ * territory as not found
+ */
+async function findScopedRecord(req) {
+    const record = await getStore().findById(req.params.id);
+    return record && inScope(record, getScope(req)) ? record : null;
+}
+
+/**
+ * Apply validated changes to a transaction and audit the update
+ */
+async function updateRecord(req, res, existing, changes) {
+    if (changes.territory !== undefined) {
+        changes.territory = territoryFor(req, changes.territory);
+    }
+
+    // A new amount without a price source is an invoice amount
+    if (changes.amount !== undefined && changes.amount !== existing.amount && changes.price_source === undefined) {
+        changes.price_source = null;
+        if (changes.unit_price === undefined) changes.unit_price = null;
+    }
+
+    const merged = pickEditableFields(existing);
+    Object.assign(merged, changes);
+
+    const priced = priceRecord(merged);
+    if (priced !== merged) {
+        Object.assign(merged, priced);
+        Object.assign(changes, {
+            amount: priced.amount,
+            unit_price: priced.unit_price,
+            price_source: priced.price_source
+        });
+    }
+
+    const errors = validateTransaction(merged);
+    if (errors) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    // Re-link the record when its grower changes; a new name is matched
+    // afresh rather than renaming the current grower
+    if (['grower_name', 'grower_id', 'account_number'].some(field => changes[field] !== undefined)) {
+        const linked = { ...merged, territory: merged.territory || existing.territory };
+        if (!changes.grower_id) delete linked.grower_id;
+        await resolveGrowers([linked], { create: true });
+        changes.grower_id = linked.grower_id;
+        changes.grower_name = linked.grower_name;
+    }
+
+    const updated = await getStore().updateById(req.params.id, changes);
+    await recordAudit(req, { action: 'update', changes: [{ before: existing, after: updated }] });
+
+    res.json({ success: true, data: updated });
+}
+
+// Get single record endpoint
+app.get('/api/data/:id', authenticate(), async (req, res) => {
+    try {
+        const record = await findScopedRecord(req);
+        if (!record) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        res.json({ success: true, data: record });
+    } catch (error) {
+        console.error('Record fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch record' });
+    }
+});
+
+// Replace single record endpoint (omitted optional fields are cleared)
+app.put('/api/data/:id', authenticate(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const existing = await findScopedRecord(req);
+        if (!existing) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+
+        const changes = pickEditableFields(req.body);
+        EDITABLE_FIELDS.forEach(field => {
+            if (changes[field] === undefined) {
+                changes[field] = field === 'quantity' || field === 'amount' ? 0 : null;
+            }
+        });
+        if (!req.body.territory) {
+            changes.territory = existing.territory || null;
+        }
+
+        await updateRecord(req, res, existing, changes);
+    } catch (error) {
+        console.error('Replace record error:', error);
+        res.status(500).json({ error: 'Failed to update record' });
+    }
+});
+
+// Update single record endpoint (only the given fields change)
+app.patch('/api/data/:id', authenticate(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const existing = await findScopedRecord(req);
+        if (!existing) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+
+        const changes = pickEditableFields(req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: `No editable fields given (${EDITABLE_FIELDS.join(', ')})` });
+        }
+
+        await updateRecord(req, res, existing, changes);
+    } catch (error) {
+        console.error('Update record error:', error);
+        res.status(500).json({ error: 'Failed to update record' });
+    }
+});
+
+// Delete single record endpoint
+app.delete('/api/data/:id', authenticate(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const existing = await findScopedRecord(req);
+        if (!existing) {
+            return res.status(404).json({ error: 'Record not found' });
+        }
+
+        const operationId = createOperationId();
+        await getStore().softDeleteById(req.params.id, {
+            deletion_id: operationId,
+            deletion_kind: 'record',
+            deleted_by: req.user.email
+        });
+        await recordAudit(req, { action: 'delete', operationId, changes: [{ before: existing, after: null }] });
+
+        res.json({
+            success: true,
+            message: `Record moved to trash for ${TRASH_RETENTION_DAYS} days`,
+            data: existing,
+            operationId
+        });
+    } catch (error) {
+        console.error('Delete record error:', error);
+        res.status(500).json({ error: 'Failed to delete record' });
+    }
+});
+
+// Restore a deleted record from the trash. If it was added again since,
+// it is merged into the live record, which is returned instead.
+app.post('/api/data/:id/restore', authenticate(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const existing = await getStore().findById(req.params.id, { withDeleted: true });
+        if (!existing || !existing.deleted_at || !inScope(existing, getScope(req))) {
+            return res.status(404).json({ error: 'Record not found in trash' });
         }
 
-        res.json({ success: true, message: 'All data deleted' });
+        const result = await restoreRecords(req, [existing], getScope(req));
+        const [match] = [...result.merged, ...result.skipped];
+        const data = match ? await getStore().findById(match.record_id) : result.restored[0];
+
+        res.json({ success: true, ...restoreSummary(result), data, operationId: result.operationId });
+    } catch (error) {
+        console.error('Restore record error:', error);
+        res.status(500).json({ error: 'Failed to restore record' });
+    }
+});
+
+// Delete all data endpoint. Records move to the trash and can be restored
+// until the retention window passes.
+app.delete('/api/data', authenticate('admin'), async (req, res) => {
+    try {
+        // ?territory= clears a single territory; otherwise everything
+        const scope = scopeQuery(req);
+
+        const operationId = createOperationId();
+        const removed = await getStore().find(scope);
+        await getStore().softDeleteMany(scope, {
+            deletion_id: operationId,
+            deletion_kind: 'clear',
+            deleted_by: req.user.email
+        });
+        await recordAudit(req, {
+            action: 'delete',
+            operationId,
+            changes: removed.map(before => ({ before, after: null }))
+        });
+
+        res.json({
+            success: true,
+            count: removed.length,
+            operationId,
+            retentionDays: TRASH_RETENTION_DAYS,
+            message: scope.territory ? `All data for territory ${scope.territory} moved to trash` : 'All data moved to trash'
+        });
     } catch (error) {
         console.error('Delete error:', error);
         res.status(500).json({ error: 'Failed to delete data' });
     }
 });
 
-// Analytics endpoints
-app.get('/api/analytics/summary', authenticate, async (req, res) => {
+// Analytics endpoints. Totals are read from the rollups (see
+// services/rollups.js), which are kept up to date as transactions change,
+// and responses carry the rollup version as their ETag.
+app.get('/api/analytics/summary', authenticate(), rollupETag(), async (req, res) => {
     try {
-        let data;
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            data = await GrowerTransaction.find();
-        } else {
-            data = inMemoryData;
-        }
+        const totals = await rollupSummary(getScope(req));
 
-        const summary = calculateSummary(data);
-        res.json({ success: true, summary });
+        res.json({ success: true, summary: summaryFromTotals(totals) });
     } catch (error) {
         console.error('Analytics error:', error);
         res.status(500).json({ error: 'Failed to calculate analytics' });
     }
 });
 
-app.get('/api/analytics/by-year/:year', authenticate, async (req, res) => {
+app.get('/api/analytics/by-year/:year', authenticate(), rollupETag(), async (req, res) => {
     try {
         const year = parseInt(req.params.year);
-        let data;
-
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            const startDate = new Date(`${year}-01-01`);
-            const endDate = new Date(`${year}-12-31`);
-            data = await GrowerTransaction.find({
-                date: { $gte: startDate, $lte: endDate }
-            });
-        } else {
-            data = inMemoryData.filter(d => new Date(d.date).getFullYear() === year);
-        }
+        const totals = await rollupSummary(getScope(req), year);
 
-        const summary = calculateSummary(data);
-        res.json({ success: true, year, summary });
+        res.json({ success: true, year, summary: summaryFromTotals(totals) });
     } catch (error) {
         console.error('Analytics error:', error);
         res.status(500).json({ error: 'Failed to calculate analytics' });
     }
 });
 
-app.get('/api/analytics/by-product', authenticate, async (req, res) => {
+app.get('/api/analytics/monthly/:year', authenticate(), rollupETag(), async (req, res) => {
     try {
-        let data;
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            data = await GrowerTransaction.find();
-        } else {
-            data = inMemoryData;
-        }
+        const year = parseInt(req.params.year);
+        const months = await rollupMonthlyTrends(getScope(req), year);
+
+        res.json({ success: true, year, months });
+    } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).json({ error: 'Failed to calculate analytics' });
+    }
+});
+
+app.get('/api/analytics/by-product', authenticate(), rollupETag(), async (req, res) => {
+    try {
+        const breakdown = await rollupProductBreakdown(getScope(req), analyticsYear(req));
 
         const byProduct = {};
-        data.forEach(d => {
-            if (!byProduct[d.product]) {
-                byProduct[d.product] = { revenue: 0, quantity: 0, orders: 0 };
-            }
-            byProduct[d.product].revenue += d.amount;
-            byProduct[d.product].quantity += d.quantity;
-            byProduct[d.product].orders++;
+        breakdown.forEach(p => {
+            byProduct[p.product] = {
+                revenue: p.totalRevenue,
+                quantity: p.totalQuantity,
+                bags: p.totalBags,
+                seedUnits: p.totalSeedUnits,
+                orders: p.orderCount
+            };
         });
 
         res.json({ success: true, products: byProduct });
@@ -251,38 +552,20 @@ app.get('/api/analytics/by-product', authenticate, async (req, res) => {
     }
 });
 
-app.get('/api/analytics/by-grower', authenticate, async (req, res) => {
+app.get('/api/analytics/by-grower', authenticate(), rollupETag(), async (req, res) => {
     try {
-        let data;
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            data = await GrowerTransaction.find();
-        } else {
-            data = inMemoryData;
-        }
+        const summaries = await rollupGrowerSummary(getScope(req), analyticsYear(req));
 
         const byGrower = {};
-        data.forEach(d => {
-            if (!byGrower[d.grower_name]) {
-                byGrower[d.grower_name] = {
-                    revenue: 0,
-                    orders: 0,
-                    products: new Set(),
-                    firstPurchase: d.date,
-                    lastPurchase: d.date
-                };
-            }
-            const grower = byGrower[d.grower_name];
-            grower.revenue += d.amount;
-            grower.orders++;
-            grower.products.add(d.product);
-            if (new Date(d.date) < new Date(grower.firstPurchase)) grower.firstPurchase = d.date;
-            if (new Date(d.date) > new Date(grower.lastPurchase)) grower.lastPurchase = d.date;
-        });
-
-        // Convert Sets to arrays for JSON serialization
-        Object.values(byGrower).forEach(g => {
-            g.products = Array.from(g.products);
+        summaries.forEach(g => {
+            byGrower[g.grower_name] = {
+                grower_id: g.grower_id || null,
+                revenue: g.totalRevenue,
+                orders: g.orderCount,
+                products: g.products,
+                firstPurchase: g.firstPurchase,
+                lastPurchase: g.lastPurchase
+            };
         });
 
         res.json({ success: true, growers: byGrower });
@@ -292,127 +575,162 @@ app.get('/api/analytics/by-grower', authenticate, async (req, res) => {
     }
 });
 
-// CSV Export endpoint
-app.get('/api/export', authenticate, async (req, res) => {
-    try {
-        const year = req.query.year;
-        let data;
-
-        if (process.env.MONGODB_URI) {
-            const GrowerTransaction = require('./models/GrowerTransaction');
-            if (year && year !== 'all') {
-                const startDate = new Date(`${year}-01-01`);
-                const endDate = new Date(`${year}-12-31`);
-                data = await GrowerTransaction.find({
-                    date: { $gte: startDate, $lte: endDate }
-                });
-            } else {
-                data = await GrowerTransaction.find();
-            }
-        } else {
-            if (year && year !== 'all') {
-                data = inMemoryData.filter(d => new Date(d.date).getFullYear() === parseInt(year));
-            } else {
-                data = inMemoryData;
-            }
-        }
+/**
+ * ?year= for analytics that cover all years by default
+ */
+function analyticsYear(req) {
+    return req.query.year && req.query.year !== 'all' ? parseInt(req.query.year) : null;
+}
 
-        const csv = generateCSV(data);
+/**
+ * Seed sales by hybrid or trait, keyed by the hybrid or trait. Narrow
+ * with ?year= and ?crop_line=.
+ */
+async function seedSales(req, field) {
+    const groups = await rollupSeedSales(getScope(req), {
+        year: analyticsYear(req),
+        cropLine: req.query.crop_line
+    }, field);
+    return Object.fromEntries(groups.map(({ key, ...group }) => [key, group]));
+}
 
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename=pioneer_data_${year || 'all'}.csv`);
-        res.send(csv);
+app.get('/api/analytics/by-hybrid', authenticate(), rollupETag(), async (req, res) => {
+    try {
+        res.json({ success: true, hybrids: await seedSales(req, 'hybrid') });
     } catch (error) {
-        console.error('Export error:', error);
-        res.status(500).json({ error: 'Failed to export data' });
+        console.error('Analytics error:', error);
+        res.status(500).json({ error: 'Failed to calculate analytics' });
     }
 });
 
-// Helper Functions
-function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    const records = [];
-
-    // Check for header row
-    const firstLine = lines[0].toLowerCase();
-    const startIndex = firstLine.includes('date') || firstLine.includes('invoice') ? 1 : 0;
-
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = line.includes('\t') ? line.split('\t') : parseCSVLine(line);
-
-        if (values.length >= 6) {
-            records.push({
-                date: values[0].trim(),
-                invoice_number: values[1].trim(),
-                grower_name: values[2].trim(),
-                product: values[3].trim(),
-                quantity: parseFloat(values[4]) || 0,
-                amount: parseFloat(values[5].replace(/[$,]/g, '')) || 0,
-                created_at: new Date()
-            });
-        }
+app.get('/api/analytics/by-trait', authenticate(), rollupETag(), async (req, res) => {
+    try {
+        res.json({ success: true, traits: await seedSales(req, 'trait') });
+    } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).json({ error: 'Failed to calculate analytics' });
     }
+});
 
-    return records;
-}
+// Season definition, agency time zone and the seasons with sales, oldest
+// first. Every ?year= parameter names a season.
+app.get('/api/seasons', authenticate(), rollupETag(), async (req, res) => {
+    try {
+        const years = await rollupSeasons(getScope(req));
+        const seasons = years.map(year => ({ year, label: Seasons.label(year), ...Seasons.range(year) }));
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
+        res.json({
+            success: true,
+            definition: Seasons.getDefinition(),
+            time_zone: Dates.getTimeZone(),
+            current: Seasons.current(),
+            seasons
+        });
+    } catch (error) {
+        console.error('Seasons error:', error);
+        res.status(500).json({ error: 'Failed to list seasons' });
     }
-    result.push(current);
+});
 
-    return result;
-}
+// Recompute the rollups from the transactions (admins only), e.g. after
+// editing the data files by hand
+app.post('/api/analytics/rollups/rebuild', authenticate('admin'), async (req, res) => {
+    try {
+        const { cells, version } = await rebuildRollups();
+        res.json({ success: true, cells, version });
+    } catch (error) {
+        console.error('Rollup rebuild error:', error);
+        res.status(500).json({ error: 'Failed to rebuild rollups' });
+    }
+});
 
-function calculateSummary(data) {
-    const totalRevenue = data.reduce((sum, d) => sum + (d.amount || 0), 0);
-    const totalOrders = data.length;
-    const uniqueGrowers = new Set(data.map(d => d.grower_name)).size;
-    const totalUnits = data.reduce((sum, d) => sum + (d.quantity || 0), 0);
+// CSV Export endpoint
+app.get('/api/export', authenticate(), async (req, res) => {
+    try {
+        const year = req.query.year;
+        const query = year && year !== 'all' ? { date: yearRange(parseInt(year)) } : {};
+        const data = await getStore().find(scopeQuery(req, query));
 
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=pioneer_data_${year || 'all'}.csv`);
+        writeCSV(res, data);
+        res.end();
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+});
+
+// Helper Functions
+/**
+ * Analytics summary from a store's totals
+ */
+function summaryFromTotals(totals) {
     return {
-        totalRevenue,
-        totalOrders,
-        uniqueGrowers,
-        totalUnits,
-        avgOrderValue: totalOrders ? totalRevenue / totalOrders : 0
+        totalRevenue: totals.totalRevenue,
+        totalOrders: totals.totalOrders,
+        uniqueGrowers: totals.uniqueGrowers,
+        totalUnits: totals.totalQuantity,
+        totalBags: totals.totalBags,
+        totalSeedUnits: totals.totalSeedUnits,
+        avgOrderValue: totals.totalOrders ? totals.totalRevenue / totals.totalOrders : 0
     };
 }
 
-function generateCSV(data) {
-    const headers = ['date', 'invoice_number', 'grower_name', 'product', 'quantity', 'amount'];
-    const rows = data.map(d => headers.map(h => d[h] || '').join(','));
-    return [headers.join(','), ...rows].join('\n');
+/**
+ * Stream transactions as RFC 4180 CSV, one record per write, in the
+ * column layout the importer reads back
+ */
+function writeCSV(res, data) {
+    const writer = CSV.createWriter({ write: chunk => res.write(chunk) });
+    writer.writeRow(CSV.TRANSACTION_HEADER);
+    data.forEach(record => writer.writeRow(CSV.transactionRow(record)));
 }
 
 // Connect to MongoDB if configured, then start server
 async function startServer() {
+    try {
+        const timeZone = configureTimeZone();
+        const season = configureSeasons();
+        console.log(`Dates are in ${timeZone}; seasons start on ${season.start_month}/${season.start_day} and the current season is "${Seasons.label(Seasons.current())}"`);
+    } catch (error) {
+        console.error('Invalid calendar configuration:', error.message);
+        process.exit(1);
+    }
+
+    let useMongo = false;
     if (process.env.MONGODB_URI) {
         try {
             await connectDB();
+            useMongo = true;
             console.log('MongoDB connected successfully');
         } catch (error) {
-            console.warn('MongoDB connection failed, using in-memory storage:', error.message);
+            console.warn('MongoDB connection failed, using local storage:', error.message);
         }
     } else {
-        console.log('No MongoDB URI configured, using in-memory storage');
+        console.log('No MongoDB URI configured, using local storage');
+    }
+
+    const store = await initStore({
+        useMongo,
+        persist: process.env.PERSIST_DATA !== 'false',
+        dataFile: process.env.DATA_FILE || undefined
+    });
+    if (store.type === 'file') {
+        const count = await store.count();
+        console.log(`Loaded ${count} records from ${store.filePath}`);
+    } else if (store.type === 'memory') {
+        console.log('Data persistence disabled, records will be lost on restart');
     }
 
+    // Rollups first, so later startup writes update them
+    await ensureRollups();
+    await ensureAdminUser();
+    await ensureCatalog();
+    await ensurePriceBook();
+    await ensureGrowers();
+    startTrashPurge();
+
     app.listen(PORT, () => {
         console.log(`
 ╔══════════════════════════════════════════════════╗
@@ -421,7 +739,7 @@ async function startServer() {
 ║                                                   ║
 ║     API Endpoints:                                ║
 ║     - GET  /api/health     - Health check         ║
-║     - POST /api/auth       - Authenticate         ║
+║     - POST /api/auth/login - Sign in              ║
 ║     - GET  /api/data       - Get all data         ║
 ║     - POST /api/data       - Add record           ║
 ║     - POST /api/upload     - Upload CSV           ║
@@ -432,6 +750,9 @@ async function startServer() {
     });
 }
 
-startServer();
+// Start only when run directly, so tests can load the app
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,301 @@
+/**
+ * Server tests: the HTTP API run against the in-memory store, signed in
+ * as an agency-wide admin and as a sales rep scoped to one territory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const app = require('./server');
+const { initStore, getStore } = require('./storage');
+const { hashPassword, login } = require('./services/auth');
+const { refreshPriceBook } = require('./services/prices');
+const { resolveGrowers } = require('./services/growers');
+const { ensureRollups, rebuildRollups } = require('./services/rollups');
+
+const SALES = [
+    { date: '2026-03-02', invoice_number: 'INV-1', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', quantity: 10, amount: 2900 },
+    { date: '2026-03-04', invoice_number: 'INV-2', grower_name: 'Lone Oak', territory: 'east', product: 'Soybean Seed', quantity: 4, amount: 880 },
+    { date: '2026-03-06', invoice_number: 'INV-3', grower_name: 'Ridge Farms', territory: 'west', product: 'Corn Seed', quantity: 20, amount: 5800 }
+];
+
+let server;
+let base;
+const tokens = {};
+
+/**
+ * Call the API as one of the signed-in users; body is sent as JSON
+ * unless it is FormData
+ */
+const api = async (user, method, url, body) => {
+    const headers = { Authorization: `Bearer ${tokens[user]}` };
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+    const res = await fetch(base + url, {
+        method,
+        headers,
+        body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+};
+
+const signIn = async (name, fields) => {
+    await getStore('users').create({ email: `${name}@example.com`, active: true, ...fields, ...(await hashPassword('correct horse')) });
+    tokens[name] = (await login(`${name}@example.com`, 'correct horse')).token;
+};
+
+const csvUpload = (text, fields = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/csv' }), 'sales.csv');
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    return form;
+};
+
+// Listen for writes once; built first so ensureRollups has nothing to rebuild
+test.before(async () => {
+    await initStore({ persist: false });
+    await rebuildRollups();
+    await ensureRollups();
+    server = app.listen(0);
+    await once(server, 'listening');
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test.beforeEach(async () => {
+    await initStore({ persist: false });
+    await rebuildRollups();
+    await signIn('admin', { role: 'admin' });
+    await signIn('rep', { role: 'sales_rep', territory: 'east' });
+    const sales = SALES.map(sale => ({ ...sale }));
+    await resolveGrowers(sales, { create: true });
+    await getStore().insertMany(sales);
+    await refreshPriceBook();
+});
+
+test('a sales rep only reads their own territory', async () => {
+    const { body } = await api('rep', 'GET', '/api/data?territory=west');
+
+    assert.deepEqual(body.data.map(r => r.invoice_number).sort(), ['INV-1', 'INV-2']);
+});
+
+test('an admin reads every territory and can narrow to one', async () => {
+    assert.equal((await api('admin', 'GET', '/api/data')).body.data.length, 3);
+    assert.deepEqual((await api('admin', 'GET', '/api/data?territory=west')).body.data.map(r => r.invoice_number), ['INV-3']);
+});
+
+test('a sales rep\'s analytics only count their own territory', async () => {
+    const { body } = await api('rep', 'GET', '/api/analytics/summary?territory=west');
+
+    assert.equal(body.summary.totalRevenue, 3780);
+    assert.equal(body.summary.totalOrders, 2);
+});
+
+test('a sales rep only sees growers in their territory', async () => {
+    const list = await api('rep', 'GET', '/api/growers');
+    const ridge = await getStore('growers').findOne({ name: 'Ridge Farms' });
+    const other = await api('rep', 'GET', `/api/growers/${ridge.id}`);
+
+    assert.deepEqual(list.body.growers.map(g => g.grower_name).sort(), ['Garms Inc', 'Lone Oak']);
+    assert.equal(other.status, 404);
+});
+
+test('records a sales rep adds land in their territory whatever they ask for', async () => {
+    const added = await api('rep', 'POST', '/api/data', { date: '2026-03-08', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 1, amount: 290, territory: 'west' });
+    const uploaded = await api('rep', 'POST', '/api/upload', csvUpload('2026-03-09,INV-9,Lone Oak,Corn Seed,2,580', { territory: 'west' }));
+
+    assert.equal(added.body.data.territory, 'east');
+    assert.equal(uploaded.status, 200);
+    assert.equal(await getStore().count({ territory: 'west' }), 1);
+    assert.equal(await getStore().count({ territory: 'east' }), 4);
+});
+
+test('a sales rep imports into their own territory and only sees its batches', async () => {
+    const staged = await api('rep', 'POST', '/api/imports', csvUpload('2026-03-09,INV-9,Lone Oak,Corn Seed,2,580', { territory: 'west' }));
+    const committed = await api('rep', 'POST', `/api/imports/${staged.body.batch.id}/commit`);
+    const other = await api('admin', 'POST', '/api/imports', { text: '2026-03-10,INV-10,Ridge Farms,Corn Seed,1,290', territory: 'west' });
+
+    assert.equal(staged.body.batch.territory, 'east');
+    assert.equal(committed.status, 200);
+    assert.equal((await getStore().findOne({ invoice_number: 'INV-9' })).territory, 'east');
+    assert.equal((await api('rep', 'GET', `/api/imports/${other.body.batch.id}`)).status, 404);
+    assert.equal((await api('rep', 'POST', `/api/imports/${other.body.batch.id}/commit`)).status, 404);
+    assert.deepEqual((await api('rep', 'GET', '/api/imports')).body.batches.map(batch => batch.id), [staged.body.batch.id]);
+});
+
+const idOf = async (invoice) => (await getStore().findOne({ invoice_number: invoice })).id;
+
+test('PUT replaces a record and clears the fields it leaves out', async () => {
+    const id = await idOf('INV-1');
+    const { status, body } = await api('admin', 'PUT', `/api/data/${id}`, { date: '2026-03-02', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 12 });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.quantity, 12);
+    assert.equal(body.data.amount, 0);
+    assert.equal(body.data.invoice_number, null);
+    assert.equal(body.data.territory, 'east');
+});
+
+test('PATCH changes only the given fields and needs at least one', async () => {
+    const id = await idOf('INV-1');
+    const patched = await api('rep', 'PATCH', `/api/data/${id}`, { amount: 3000, territory: 'west' });
+    const empty = await api('rep', 'PATCH', `/api/data/${id}`, { notes: 'called ahead' });
+    const invalid = await api('rep', 'PATCH', `/api/data/${id}`, { product: 'Lime' });
+
+    assert.equal(patched.body.data.amount, 3000);
+    assert.equal(patched.body.data.invoice_number, 'INV-1');
+    assert.equal(patched.body.data.territory, 'east');
+    assert.equal(empty.status, 400);
+    assert.match(empty.body.error, /No editable fields given/);
+    assert.equal(invalid.status, 400);
+    assert.equal((await getStore().findById(id)).product, 'Corn Seed');
+});
+
+test('records outside the caller\'s territory and unknown ids are not found', async () => {
+    const west = await idOf('INV-3');
+
+    for (const method of ['GET', 'PUT', 'PATCH', 'DELETE']) {
+        assert.equal((await api('rep', method, `/api/data/${west}`, method === 'GET' || method === 'DELETE' ? undefined : { amount: 1 })).status, 404, method);
+    }
+    assert.equal((await api('admin', 'GET', '/api/data/missing')).status, 404);
+    assert.equal((await getStore().findById(west)).amount, 5800);
+});
+
+test('DELETE moves one record to the trash and audits it', async () => {
+    const id = await idOf('INV-2');
+    const { status } = await api('rep', 'DELETE', `/api/data/${id}`);
+
+    assert.equal(status, 200);
+    assert.equal(await getStore().findById(id), null);
+    assert.equal(await getStore().count(), 2);
+    assert.ok((await getStore().findById(id, { withDeleted: true })).deleted_at);
+    assert.deepEqual((await api('rep', 'GET', '/api/trash')).body.batches.map(batch => batch.count), [1]);
+    const [entry] = await getStore('audit').find({ record_id: id });
+    assert.equal(entry.action, 'delete');
+    assert.equal(entry.actor_email, 'rep@example.com');
+});
+
+test('restoring a clear after the same file was uploaded again does not double revenue', async () => {
+    const FILE = 'date,invoice_number,grower_name,product,quantity,amount\n2026-03-09,INV-9,Lone Oak,Corn Seed,2,580';
+    await api('admin', 'POST', '/api/upload', csvUpload(FILE, { territory: 'east' }));
+    const { body: cleared } = await api('admin', 'DELETE', '/api/data');
+    await api('admin', 'POST', '/api/upload', csvUpload(FILE, { territory: 'east' }));
+
+    const { status, body } = await api('admin', 'POST', `/api/trash/${cleared.operationId}/restore`);
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.equal(body.skipped.length, 1);
+    assert.equal(await getStore().count(), 4);
+    assert.equal((await getStore().getSummaryByYear(2026)).totalRevenue, 10160);
+});
+
+test('restoring a record added again since returns the live record', async () => {
+    const id = await idOf('INV-2');
+    await api('rep', 'DELETE', `/api/data/${id}`);
+    const { body: added } = await api('rep', 'POST', '/api/data', { ...SALES[1], quantity: 5 });
+
+    const { status, body } = await api('rep', 'POST', `/api/data/${id}/restore`);
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 0);
+    assert.equal(body.merged.length, 1);
+    assert.equal(String(body.data.id), String(added.data.id));
+    assert.equal(body.data.quantity, 4);
+    assert.equal(await getStore().count(), 3);
+});
+
+const SEED_SALES = [
+    { date: '2026-03-10', invoice_number: 'INV-4', grower_name: 'Garms Inc', product: 'Corn Seed', hybrid: 'P0157AM', trait: 'AM', crop_line: 'Corn', bags: 10, seed_units: 10, quantity: 10, amount: 2900, delivery_status: 'delivered' },
+    { date: '2026-03-11', invoice_number: 'INV-5', grower_name: 'Lone Oak', product: 'Corn Seed', hybrid: 'P0157AM', trait: 'AM', crop_line: 'Corn', bags: 6, seed_units: 6, quantity: 6, amount: 1740, delivery_status: 'pending' },
+    { date: '2026-03-12', invoice_number: 'INV-6', grower_name: 'Garms Inc', product: 'Soybean Seed', hybrid: 'P28A42X', trait: 'E3', crop_line: 'Soybean', bags: 20, seed_units: 40, quantity: 20, amount: 1200, delivery_status: 'staged' }
+];
+
+test('records with bad seed fields are rejected', async () => {
+    const { status, body } = await api('rep', 'POST', '/api/data', { ...SEED_SALES[0], delivery_status: 'lost' });
+
+    assert.equal(status, 400);
+    assert.match(body.details.join(' '), /delivery_status/);
+});
+
+test('seed fields survive a CSV export and import', async () => {
+    for (const sale of SEED_SALES) assert.equal((await api('admin', 'POST', '/api/data', sale)).status, 200);
+    const exported = await api('admin', 'GET', '/api/export');
+
+    await getStore().deleteMany({});
+    const imported = await api('admin', 'POST', '/api/upload', csvUpload(exported.body));
+    const record = await getStore().findOne({ invoice_number: 'INV-6' });
+
+    assert.equal(imported.status, 200);
+    assert.equal(await getStore().count(), 6);
+    assert.deepEqual(
+        [record.hybrid, record.trait, record.crop_line, record.bags, record.seed_units, record.delivery_status],
+        ['P28A42X', 'E3', 'Soybean', 20, 40, 'staged']
+    );
+    assert.equal((await getStore().findOne({ invoice_number: 'INV-1' })).hybrid, undefined);
+});
+
+test('analytics by hybrid total bags, units and delivery per hybrid', async () => {
+    await getStore().insertMany(SEED_SALES);
+    const { body } = await api('admin', 'GET', '/api/analytics/by-hybrid?year=2026&crop_line=Corn');
+    const corn = body.hybrids.P0157AM;
+
+    assert.deepEqual(Object.keys(body.hybrids), ['P0157AM']);
+    assert.equal(corn.revenue, 4640);
+    assert.equal(corn.bags, 16);
+    assert.equal(corn.seedUnits, 16);
+    assert.equal(corn.orders, 2);
+    assert.equal(corn.growers, 2);
+    assert.deepEqual(corn.traits, ['AM']);
+    assert.deepEqual(corn.delivery, { delivered: 10, pending: 6 });
+});
+
+test('changing the quantity or product of a book-priced record re-prices it', async () => {
+    await getStore('prices').insertMany([
+        { product: 'Corn Seed', year: 2026, unit: 'bag', list_price: 300 },
+        { product: 'Soybean Seed', year: 2026, unit: 'bag', list_price: 60 }
+    ]);
+    await refreshPriceBook();
+    const added = await api('rep', 'POST', '/api/data', { date: '2026-05-01', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 10 });
+    const id = added.body.data.id;
+
+    assert.equal(added.body.data.amount, 3000);
+    assert.equal((await api('rep', 'PATCH', `/api/data/${id}`, { quantity: 12 })).body.data.amount, 3600);
+    const moved = await api('rep', 'PATCH', `/api/data/${id}`, { product: 'Soybean Seed' });
+    assert.equal(moved.body.data.amount, 720);
+    assert.equal(moved.body.data.unit_price, 60);
+    assert.equal((await api('rep', 'PATCH', `/api/data/${id}`, { amount: 500, quantity: 20 })).body.data.amount, 500);
+});
+
+test('changing the grower name re-links the record to that grower', async () => {
+    const id = await idOf('INV-1');
+    const lone = await getStore('growers').findOne({ name: 'Lone Oak' });
+
+    const moved = await api('rep', 'PATCH', `/api/data/${id}`, { grower_name: 'lone oak' });
+    const added = await api('rep', 'PATCH', `/api/data/${id}`, { grower_name: 'Prairie Acres' });
+
+    assert.equal(moved.body.data.grower_id, String(lone.id));
+    assert.equal(moved.body.data.grower_name, 'Lone Oak');
+    const prairie = await getStore('growers').findOne({ name: 'Prairie Acres' });
+    assert.equal(added.body.data.grower_id, String(prairie.id));
+    assert.equal(prairie.territory, 'east');
+});
+
+test('only the dashboard\'s public files are served, however the path is encoded', async () => {
+    const status = async (url) => (await fetch(base + url)).status;
+
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/index.html'), 200);
+    assert.equal(await status('/api-client.js'), 200);
+    assert.equal(await status('/data/catalog.json'), 200);
+    for (const url of [
+        '/server/package.json', '/%73erver/package.json', '/server%2fpackage.json', '/%73erver%2fdata%2ftransactions.jsonl',
+        '/server/data/users.jsonl', '/data/%2e%2e/server/package.json', '/requests.jsonl', '/csv.test.js'
+    ]) {
+        assert.equal(await status(url), 404, url);
+    }
+});
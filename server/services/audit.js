@@ -0,0 +1,75 @@
+/**
+ * Audit Service
+ * Records who changed what, when and through which endpoint, with
+ * before/after snapshots so changes can be reconstructed later.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+// Fields never copied into an audit snapshot
+const REDACTED_FIELDS = ['password_hash', 'password_salt'];
+
+/**
+ * Plain-object copy of a record (Mongoose document or memory record)
+ */
+function snapshot(record) {
+    if (!record) return null;
+    const plain = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+    REDACTED_FIELDS.forEach(field => delete plain[field]);
+    delete plain._id;
+    delete plain.__v;
+    return plain;
+}
+
+const createOperationId = () => crypto.randomUUID();
+
+/**
+ * Record one operation. changes is a list of { before, after } pairs, one
+ * per affected record. Pass operationId when the records were already
+ * stamped with it (imports, deletions). Returns the operation id shared
+ * by the entries. Failures are logged rather than thrown: the mutation has
+ * already happened.
+ */
+async function recordAudit(req, { action, entity = 'transaction', changes, operationId = createOperationId() }) {
+
+    if (!changes || changes.length === 0) return operationId;
+
+    const user = req.user || {};
+    const base = {
+        operation_id: operationId,
+        action,
+        entity,
+        endpoint: `${req.method} ${req.originalUrl.split('?')[0]}`,
+        actor_id: user.id ? String(user.id) : null,
+        actor_email: user.email || null,
+        actor_role: user.role || null,
+        ip: req.ip
+    };
+
+    const entries = changes.map(({ before, after }) => {
+        const beforeSnapshot = snapshot(before);
+        const afterSnapshot = snapshot(after);
+        const source = afterSnapshot || beforeSnapshot || {};
+        return {
+            ...base,
+            record_id: source.id ? String(source.id) : null,
+            before: beforeSnapshot,
+            after: afterSnapshot
+        };
+    });
+
+    try {
+        await getStore('audit').insertMany(entries);
+    } catch (error) {
+        console.error(`Failed to write audit log for ${base.endpoint}:`, error);
+    }
+
+    return operationId;
+}
+
+module.exports = {
+    createOperationId,
+    recordAudit,
+    snapshot
+};
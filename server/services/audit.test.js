@@ -0,0 +1,64 @@
+/**
+ * Audit Service tests: one entry per changed record, with the actor,
+ * endpoint and redacted before/after snapshots
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { recordAudit, snapshot } = require('./audit');
+
+const REQUEST = {
+    method: 'PUT',
+    originalUrl: '/api/transactions/t1?include=growers',
+    ip: '10.0.0.7',
+    user: { id: 'u1', email: 'ana@example.com', role: 'sales_rep' }
+};
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test('recordAudit writes one entry per change under one operation id', async () => {
+    const operationId = await recordAudit(REQUEST, {
+        action: 'update',
+        changes: [
+            { before: { id: 't1', amount: 2900 }, after: { id: 't1', amount: 3000 } },
+            { before: { id: 't2', amount: 880 }, after: null }
+        ]
+    });
+    const entries = await getStore('audit').find({ operation_id: operationId }, { sort: { record_id: 1 } });
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].endpoint, 'PUT /api/transactions/t1');
+    assert.equal(entries[0].entity, 'transaction');
+    assert.equal(entries[0].actor_email, 'ana@example.com');
+    assert.equal(entries[0].actor_role, 'sales_rep');
+    assert.equal(entries[0].ip, '10.0.0.7');
+    assert.deepEqual([entries[0].before.amount, entries[0].after.amount], [2900, 3000]);
+    assert.equal(entries[1].record_id, 't2');
+    assert.equal(entries[1].after, null);
+});
+
+test('recordAudit keeps a given operation id and skips empty changes', async () => {
+    assert.equal(await recordAudit(REQUEST, { action: 'delete', operationId: 'del-1', changes: [{ before: { id: 't1' } }] }), 'del-1');
+    assert.ok(await recordAudit(REQUEST, { action: 'delete', changes: [] }));
+
+    assert.equal(await getStore('audit').count(), 1);
+    assert.equal((await getStore('audit').findOne({})).operation_id, 'del-1');
+});
+
+test('recordAudit logs a failed write instead of throwing', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    t.mock.method(getStore('audit'), 'insertMany', async () => { throw new Error('disk full'); });
+
+    assert.equal(await recordAudit(REQUEST, { action: 'create', operationId: 'op-1', changes: [{ after: { id: 't1' } }] }), 'op-1');
+    assert.match(error.mock.calls[0].arguments[0], /Failed to write audit log for PUT \/api\/transactions\/t1/);
+});
+
+test('snapshot copies a record without credentials or Mongo internals', () => {
+    const user = { id: 'u1', email: 'ana@example.com', password_hash: 'x', password_salt: 'y', _id: 'u1', __v: 0 };
+
+    assert.deepEqual(snapshot(user), { id: 'u1', email: 'ana@example.com' });
+    assert.deepEqual(snapshot({ toJSON: () => ({ id: 't1', amount: 5 }) }), { id: 't1', amount: 5 });
+    assert.equal(snapshot(null), null);
+    assert.equal(user.password_hash, 'x');
+});
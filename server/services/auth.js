@@ -0,0 +1,159 @@
+/**
+ * Authentication Service
+ * Password hashing, session tokens and the bootstrap admin account.
+ * Works against whichever storage backend is active.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+const { ROLES } = require('../models/User');
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+// Checked against when no account matches, so an unknown email takes as
+// long to refuse as a wrong password
+const DUMMY_CREDENTIALS = { password_hash: '00'.repeat(64), password_salt: '00'.repeat(16) };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Hash a password with a fresh random salt
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return { password_hash: key.toString('hex'), password_salt: salt };
+}
+
+async function verifyPassword(password, user) {
+    if (!user || !user.password_hash || !user.password_salt) return false;
+    const expected = Buffer.from(user.password_hash, 'hex');
+    const actual = await scrypt(password, user.password_salt);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Strip credentials before sending a user to the client
+ */
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name || '',
+        role: user.role,
+        territory: user.territory || null,
+        active: user.active !== false,
+        last_login_at: user.last_login_at || null,
+        created_at: user.created_at
+    };
+}
+
+/**
+ * Check credentials and issue a session token. Returns null on failure.
+ */
+async function login(email, password) {
+    const users = getStore('users');
+    const user = await users.findOne({ email: String(email || '').trim().toLowerCase() });
+
+    const verified = await verifyPassword(password || '', user || DUMMY_CREDENTIALS);
+    if (!user || user.active === false || !verified) {
+        return null;
+    }
+
+    const sessions = getStore('sessions');
+    const now = new Date();
+    await sessions.deleteMany({ expires_at: { $lte: now } });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    await sessions.create({
+        token_hash: hashToken(token),
+        user_id: String(user.id),
+        expires_at: expiresAt
+    });
+
+    const updated = await users.updateById(user.id, { last_login_at: now });
+
+    return { token, expiresAt, user: toPublicUser(updated || user) };
+}
+
+/**
+ * Resolve a bearer token to its active user, or null if invalid/expired
+ */
+async function resolveSession(token) {
+    if (!token) return null;
+
+    const session = await getStore('sessions').findOne({
+        token_hash: hashToken(token),
+        expires_at: { $gt: new Date() }
+    });
+    if (!session) return null;
+
+    const user = await getStore('users').findById(session.user_id);
+    if (!user || user.active === false) return null;
+
+    return { session, user };
+}
+
+async function logout(token) {
+    if (!token) return;
+    await getStore('sessions').deleteMany({ token_hash: hashToken(token) });
+}
+
+async function revokeUserSessions(userId) {
+    await getStore('sessions').deleteMany({ user_id: String(userId) });
+}
+
+/**
+ * Create the first admin account if no users exist. Uses ADMIN_EMAIL and
+ * ADMIN_PASSWORD when set, otherwise generates a password and logs it once.
+ */
+async function ensureAdminUser() {
+    const users = getStore('users');
+    if (await users.count() > 0) return;
+
+    const email = (process.env.ADMIN_EMAIL || 'admin@localhost').trim().toLowerCase();
+    let password = process.env.ADMIN_PASSWORD;
+    const generated = !password;
+    if (generated) {
+        password = crypto.randomBytes(9).toString('base64');
+    }
+
+    await users.create({
+        email,
+        name: 'Administrator',
+        role: 'admin',
+        active: true,
+        ...(await hashPassword(password))
+    });
+
+    console.log(`Created initial admin account: ${email}`);
+    if (generated) {
+        console.log(`Generated admin password: ${password} (change it after signing in)`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    validatePassword,
+    toPublicUser,
+    login,
+    logout,
+    resolveSession,
+    revokeUserSessions,
+    ensureAdminUser
+};
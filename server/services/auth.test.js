@@ -0,0 +1,108 @@
+/**
+ * Authentication Service tests: passwords, sessions and the bootstrap
+ * admin account
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { initStore, getStore } = require('../storage');
+const {
+    hashPassword, verifyPassword, validatePassword, toPublicUser,
+    login, logout, resolveSession, revokeUserSessions, ensureAdminUser
+} = require('./auth');
+
+const addUser = async (fields = {}) => getStore('users').create({
+    email: 'ana@example.com', name: 'Ana', role: 'sales_rep', active: true,
+    ...(await hashPassword('correct horse')), ...fields
+});
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test('passwords are salted and verified', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    assert.notEqual(first.password_hash, second.password_hash);
+    assert.ok(await verifyPassword('correct horse', first));
+    assert.ok(!(await verifyPassword('wrong horse', first)));
+    assert.ok(!(await verifyPassword('correct horse', {})));
+    assert.match(validatePassword('short'), /at least 8 characters/);
+    assert.equal(validatePassword('long enough'), null);
+});
+
+test('login issues a session that resolves to its user', async () => {
+    const user = await addUser();
+    const result = await login(' Ana@Example.com ', 'correct horse');
+
+    assert.equal(result.user.email, 'ana@example.com');
+    assert.ok(result.user.last_login_at instanceof Date);
+    assert.equal(result.user.password_hash, undefined);
+    assert.ok(result.expiresAt > new Date());
+
+    const { session, user: resolved } = await resolveSession(result.token);
+    assert.equal(resolved.id, user.id);
+    assert.notEqual(session.token_hash, result.token);
+});
+
+test('login refuses wrong passwords and inactive users', async () => {
+    await addUser();
+    await addUser({ email: 'old@example.com', active: false });
+
+    assert.equal(await login('ana@example.com', 'wrong horse'), null);
+    assert.equal(await login('nobody@example.com', 'correct horse'), null);
+    assert.equal(await login('old@example.com', 'correct horse'), null);
+});
+
+test('login hashes the password whether or not the email has an account', async (t) => {
+    await addUser();
+    const scrypt = t.mock.method(crypto, 'scrypt');
+
+    assert.equal(await login('nobody@example.com', 'correct horse'), null);
+    assert.equal(await login('ana@example.com', 'wrong horse'), null);
+    assert.equal(scrypt.mock.callCount(), 2);
+});
+
+test('sessions end on logout, revocation, expiry or deactivation', async () => {
+    const user = await addUser();
+    const sessions = getStore('sessions');
+
+    const first = await login('ana@example.com', 'correct horse');
+    await logout(first.token);
+    assert.equal(await resolveSession(first.token), null);
+
+    const second = await login('ana@example.com', 'correct horse');
+    await revokeUserSessions(user.id);
+    assert.equal(await resolveSession(second.token), null);
+
+    const third = await login('ana@example.com', 'correct horse');
+    await sessions.updateMany({}, { expires_at: new Date(Date.now() - 1000) });
+    assert.equal(await resolveSession(third.token), null);
+
+    const fourth = await login('ana@example.com', 'correct horse');
+    await getStore('users').updateById(user.id, { active: false });
+    assert.equal(await resolveSession(fourth.token), null);
+    assert.equal(await resolveSession(''), null);
+});
+
+test('ensureAdminUser creates one admin with a generated password', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    delete process.env.ADMIN_PASSWORD;
+
+    await ensureAdminUser();
+    await ensureAdminUser();
+
+    assert.equal(await getStore('users').count(), 1);
+    const password = log.mock.calls.map(call => call.arguments[0])
+        .map(line => (line.match(/^Generated admin password: (\S+)/) || [])[1])
+        .find(Boolean);
+    const result = await login(process.env.ADMIN_EMAIL || 'admin@localhost', password);
+    assert.equal(result.user.role, 'admin');
+});
+
+test('toPublicUser leaves out credentials', async () => {
+    const user = await addUser();
+
+    assert.deepEqual(Object.keys(toPublicUser(user)).sort(),
+        ['active', 'created_at', 'email', 'id', 'last_login_at', 'name', 'role', 'territory']);
+});
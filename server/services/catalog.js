@@ -0,0 +1,148 @@
+/**
+ * Catalog Service
+ * Field handling, lineup queries and seeding for the product and hybrid
+ * catalog. Transactions are validated against the catalog's products.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('../storage');
+const CatalogItem = require('../models/CatalogItem');
+const GrowerTransaction = require('../models/GrowerTransaction');
+
+const SEED_FILE = path.join(__dirname, '..', '..', 'data', 'catalog.json');
+
+// Fields a client may set on a catalog item
+const CATALOG_FIELDS = [
+    'kind', 'code', 'name', 'crop', 'family', 'trait', 'crm',
+    'launch_year', 'discontinue_year', 'successors', 'min_units', 'max_units',
+    'tags', 'notes', 'attributes', 'sort_order'
+];
+
+const NUMBER_FIELDS = ['crm', 'launch_year', 'discontinue_year', 'min_units', 'max_units', 'sort_order'];
+
+// Catalog listing order
+const CATALOG_SORT = { kind: 1, sort_order: 1, code: 1 };
+
+/**
+ * Pick the catalog fields present in a request body. Blank numbers become
+ * null so a limit or year can be cleared. Successors may be given as
+ * text, e.g. "P0185AM:60, P0890AM:40".
+ */
+function pickCatalogFields(body) {
+    const fields = {};
+    CATALOG_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    NUMBER_FIELDS.forEach(field => {
+        if (fields[field] === undefined) return;
+        const value = parseFloat(fields[field]);
+        fields[field] = isNaN(value) ? null : value;
+    });
+    if (typeof fields.tags === 'string') {
+        fields.tags = fields.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (typeof fields.successors === 'string') {
+        fields.successors = fields.successors.split(',').map(entry => entry.trim()).filter(Boolean)
+            .map(entry => {
+                const [code, share] = entry.split(':');
+                return { code: code.trim(), share: parseFloat(share) };
+            });
+    }
+    if (typeof fields.code === 'string') fields.code = fields.code.trim();
+    return fields;
+}
+
+/**
+ * Validate a complete catalog item against the schema.
+ * Returns a list of error messages, or null when valid.
+ */
+function validateCatalogItem(item) {
+    const error = new CatalogItem(item).validateSync();
+    if (!error) return null;
+    return Object.values(error.errors).map(e => e.message);
+}
+
+/**
+ * Whether an item is sold in a season: launched by then and not yet
+ * discontinued
+ */
+function isAvailableIn(item, year) {
+    return (item.launch_year == null || item.launch_year <= year) &&
+        (item.discontinue_year == null || item.discontinue_year > year);
+}
+
+/**
+ * Query for items sold in a season
+ */
+function availableInQuery(year) {
+    return {
+        $and: [
+            { $or: [{ launch_year: null }, { launch_year: { $lte: year } }] },
+            { $or: [{ discontinue_year: null }, { discontinue_year: { $gt: year } }] }
+        ]
+    };
+}
+
+/**
+ * A season's hybrid lineup: hybrids new that year, continuing from the
+ * year before, and discontinued as of that year
+ */
+async function lineupFor(year, query = {}) {
+    const hybrids = await getStore('catalog').find({ ...query, kind: 'hybrid' }, { sort: { crm: 1, code: 1 } });
+
+    const lineup = { year, new: [], continuing: [], discontinued: [] };
+    hybrids.forEach(item => {
+        if (item.discontinue_year === year) {
+            lineup.discontinued.push(item);
+        } else if (item.launch_year === year) {
+            lineup.new.push(item);
+        } else if (isAvailableIn(item, year)) {
+            lineup.continuing.push(item);
+        }
+    });
+    return lineup;
+}
+
+/**
+ * Validate transactions against the catalog's product categories
+ * (built-in defaults while the catalog has none)
+ */
+async function refreshProductCategories() {
+    const products = await getStore('catalog').find({ kind: 'product' }, { sort: CATALOG_SORT });
+    GrowerTransaction.setProductCategories(products.map(item => item.code));
+}
+
+/**
+ * Fill an empty catalog from data/catalog.json, then load the product
+ * categories
+ */
+async function ensureCatalog() {
+    const catalog = getStore('catalog');
+
+    if (await catalog.count() === 0 && fs.existsSync(SEED_FILE)) {
+        const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf-8'));
+        const items = [];
+        CatalogItem.KINDS.forEach(kind => {
+            (seed[kind] || []).forEach(item => items.push({ tags: [], attributes: {}, ...item, kind }));
+        });
+        await catalog.insertMany(items);
+        console.log(`Seeded catalog with ${items.length} items`);
+    }
+
+    await refreshProductCategories();
+}
+
+module.exports = {
+    CATALOG_FIELDS,
+    CATALOG_SORT,
+    pickCatalogFields,
+    validateCatalogItem,
+    isAvailableIn,
+    availableInQuery,
+    lineupFor,
+    refreshProductCategories,
+    ensureCatalog
+};
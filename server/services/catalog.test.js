@@ -0,0 +1,96 @@
+/**
+ * Catalog Service tests: request fields, item validation, season lineups
+ * and the product categories transactions are checked against
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { matchesQuery } = require('../storage/memoryStore');
+const GrowerTransaction = require('../models/GrowerTransaction');
+const {
+    pickCatalogFields, validateCatalogItem, isAvailableIn, availableInQuery,
+    lineupFor, refreshProductCategories, ensureCatalog
+} = require('./catalog');
+
+const HYBRIDS = [
+    { kind: 'hybrid', code: 'P1185', crm: 111, launch_year: 2022, discontinue_year: 2026 },
+    { kind: 'hybrid', code: 'P1197', crm: 111, launch_year: 2024 },
+    { kind: 'hybrid', code: 'P0924', crm: 109 },
+    { kind: 'hybrid', code: 'P1366', crm: 113, launch_year: 2026 },
+    { kind: 'hybrid', code: 'P1464', crm: 114, launch_year: 2027 }
+];
+
+const productError = (product) => {
+    const error = new GrowerTransaction({ date: new Date(), grower_name: 'Garms Inc', product, quantity: 1, amount: 1 }).validateSync();
+    return error && error.errors.product;
+};
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test.afterEach(() => GrowerTransaction.setProductCategories([]));
+
+test('pickCatalogFields keeps known fields and reads numbers, tags and successors', () => {
+    const fields = pickCatalogFields({
+        kind: 'hybrid', code: ' P1185 ', crm: '111', launch_year: '', tags: 'demand_plan, portfolio',
+        successors: 'P1197:60, P1366:40', owner: 'someone'
+    });
+
+    assert.deepEqual(fields, {
+        kind: 'hybrid',
+        code: 'P1185',
+        crm: 111,
+        launch_year: null,
+        tags: ['demand_plan', 'portfolio'],
+        successors: [{ code: 'P1197', share: 60 }, { code: 'P1366', share: 40 }]
+    });
+});
+
+test('validateCatalogItem checks years and successor shares', () => {
+    assert.equal(validateCatalogItem({ kind: 'hybrid', code: 'P1185', successors: [{ code: 'P1197', share: 100 }] }), null);
+    assert.deepEqual(validateCatalogItem({ kind: 'hybrid', code: 'P1185', launch_year: 2026, discontinue_year: 2025 }),
+        ['Discontinue year must be after the launch year']);
+    assert.match(validateCatalogItem({ kind: 'hybrid', code: 'P1185', successors: [{ code: 'P1197', share: 60 }] })[0], /add up to 100/);
+    assert.match(validateCatalogItem({ kind: 'product', code: 'Corn Seed', successors: [{ code: 'P1197', share: 100 }] })[0], /for hybrids/);
+    assert.ok(validateCatalogItem({ kind: 'bundle', code: 'X' }).length > 0);
+});
+
+test('availableInQuery selects the items isAvailableIn accepts', () => {
+    [2023, 2025, 2026, 2027].forEach(year => {
+        assert.deepEqual(
+            HYBRIDS.filter(item => matchesQuery(item, availableInQuery(year))).map(item => item.code),
+            HYBRIDS.filter(item => isAvailableIn(item, year)).map(item => item.code),
+            String(year)
+        );
+    });
+});
+
+test('lineupFor splits a season\'s hybrids into new, continuing and discontinued', async () => {
+    await getStore('catalog').insertMany(HYBRIDS);
+    const lineup = await lineupFor(2026);
+    const codes = (items) => items.map(item => item.code);
+
+    assert.deepEqual(codes(lineup.new), ['P1366']);
+    assert.deepEqual(codes(lineup.continuing), ['P0924', 'P1197']);
+    assert.deepEqual(codes(lineup.discontinued), ['P1185']);
+});
+
+test('transactions are validated against the catalog\'s products', async () => {
+    assert.ok(productError('Lime'));
+
+    await getStore('catalog').insertMany([{ kind: 'product', code: 'Lime' }, { kind: 'product', code: 'Corn Seed' }]);
+    await refreshProductCategories();
+    assert.equal(productError('Lime'), undefined);
+    assert.ok(productError('Soybean Seed'));
+});
+
+test('ensureCatalog seeds an empty catalog once', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    await ensureCatalog();
+    const seeded = await getStore('catalog').count();
+
+    assert.ok(seeded > 0);
+    assert.ok(await getStore('catalog').findOne({ kind: 'product', code: 'Corn Seed' }));
+    await ensureCatalog();
+    assert.equal(await getStore('catalog').count(), seeded);
+});
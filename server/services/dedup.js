@@ -0,0 +1,161 @@
+/**
+ * Deduplication Service
+ * Matches incoming transactions to existing ones on a natural key so
+ * repeated uploads, syncs and seed loads do not double revenue.
+ *
+ * The key is invoice number + grower + product + hybrid. Records without
+ * an invoice number fall back to an exact match on date, grower, product,
+ * hybrid, quantity and amount.
+ */
+
+const { getStore } = require('../storage');
+const { EDITABLE_FIELDS } = require('./transactions');
+const Dates = require('../../dates');
+
+// Fields copied onto an existing record when an incoming one is merged
+const MERGE_FIELDS = EDITABLE_FIELDS.filter(field => field !== 'territory');
+
+const normalizeText = (value) => String(value == null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const dayKey = (date) => Dates.format(date);
+
+const NUMBER_FIELDS = ['quantity', 'amount', 'bags', 'seed_units', 'unit_price'];
+
+const normalizeField = (field, value) => {
+    if (field === 'date') return dayKey(value);
+    if (NUMBER_FIELDS.includes(field)) return Number(value) || 0;
+    return normalizeText(value);
+};
+
+/**
+ * Natural key for a transaction (see module comment)
+ */
+function naturalKey(record) {
+    const invoice = normalizeText(record.invoice_number);
+    const parts = [record.grower_name, record.product, record.hybrid].map(normalizeText);
+
+    if (invoice) {
+        return ['invoice', invoice, ...parts].join('|');
+    }
+    return ['exact', dayKey(record.date), ...parts, Number(record.quantity) || 0, Number(record.amount) || 0].join('|');
+}
+
+/**
+ * Whether merging incoming into existing would change anything. pending
+ * holds changes already planned for existing.
+ */
+function isSameTransaction(existing, incoming, pending = {}) {
+    return MERGE_FIELDS.every(field => {
+        if (incoming[field] === undefined) return true;
+        const current = pending[field] !== undefined ? pending[field] : existing[field];
+        return normalizeField(field, current) === normalizeField(field, incoming[field]);
+    });
+}
+
+/**
+ * Load existing records that could share a key with the incoming ones,
+ * keyed by natural key. includeDeleted also matches records in the trash.
+ */
+async function findExistingByKey(records, { scope = {}, includeDeleted = false } = {}) {
+    const invoices = [...new Set(records.map(r => String(r.invoice_number || '').trim()).filter(Boolean))];
+    const times = records.filter(r => !String(r.invoice_number || '').trim())
+        .map(r => new Date(r.date).getTime())
+        .filter(t => !isNaN(t));
+
+    const conditions = [];
+    if (invoices.length > 0) {
+        conditions.push({ invoice_number: { $in: invoices } });
+    }
+    if (times.length > 0) {
+        conditions.push({ date: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) } });
+    }
+
+    const existing = new Map();
+    if (conditions.length === 0) return existing;
+
+    const query = { ...scope, $or: conditions };
+    const live = await getStore().find(query);
+    const trashed = includeDeleted ? await getStore().find({ ...query, deleted_at: { $ne: null } }) : [];
+
+    // Live records win over trashed ones with the same key
+    [...trashed, ...live].forEach(record => existing.set(naturalKey(record), record));
+    return existing;
+}
+
+/**
+ * Sort incoming records into inserts, merges and skips without writing.
+ * mode 'merge' updates existing records that differ; mode 'skip' leaves
+ * every existing record alone. Later rows with the same key as an earlier
+ * incoming row replace it (merge) or are dropped (skip).
+ */
+async function planUpsert(records, { scope = {}, mode = 'merge', includeDeleted = false } = {}) {
+    const existing = await findExistingByKey(records, { scope, includeDeleted });
+    const inserts = new Map();
+    const merges = new Map();
+    const plan = { inserts: [], merges: [], skipped: [], merged: [] };
+
+    records.forEach((record, index) => {
+        const key = naturalKey(record);
+        const match = existing.get(key);
+
+        if (match) {
+            const merge = merges.get(key);
+            if (mode === 'skip' || match.deleted_at || isSameTransaction(match, record, merge && merge.record)) {
+                plan.skipped.push({ index, record_id: String(match.id), reason: 'duplicate' });
+            } else {
+                // Several rows for one existing record fold into a single update
+                merges.set(key, { index, record: merge ? { ...merge.record, ...record } : record, existing: match });
+                plan.merged.push({ index, record_id: String(match.id) });
+            }
+            return;
+        }
+
+        const earlier = inserts.get(key);
+        if (earlier) {
+            if (mode === 'skip' || isSameTransaction(earlier.record, record)) {
+                plan.skipped.push({ index, record_id: null, reason: `duplicate of row ${earlier.index + 1}` });
+            } else {
+                earlier.record = { ...earlier.record, ...record };
+                plan.merged.push({ index, record_id: null, reason: `merged into row ${earlier.index + 1}` });
+            }
+            return;
+        }
+
+        inserts.set(key, { index, record });
+    });
+
+    plan.inserts = [...inserts.values()];
+    plan.merges = [...merges.values()];
+    return plan;
+}
+
+/**
+ * Apply a plan from planUpsert. Returns the inserted records and a
+ * { before, after, changes } entry per merged record, ready for the audit
+ * log; changes holds the fields written.
+ */
+async function applyUpsert(plan) {
+    const store = getStore();
+    const inserted = plan.inserts.length > 0
+        ? await store.insertMany(plan.inserts.map(i => i.record))
+        : [];
+
+    const updates = [];
+    for (const { record, existing } of plan.merges) {
+        const changes = {};
+        MERGE_FIELDS.forEach(field => {
+            if (record[field] !== undefined) changes[field] = record[field];
+        });
+        const after = await store.updateById(String(existing.id), changes);
+        updates.push({ before: existing, after, changes });
+    }
+
+    return { inserted, updates };
+}
+
+module.exports = {
+    naturalKey,
+    isSameTransaction,
+    planUpsert,
+    applyUpsert
+};
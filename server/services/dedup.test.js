@@ -0,0 +1,105 @@
+/**
+ * Deduplication Service tests: natural keys and upsert planning
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { naturalKey, isSameTransaction, planUpsert, applyUpsert } = require('./dedup');
+
+const sale = (fields = {}) => ({
+    date: new Date('2026-03-02'),
+    invoice_number: 'INV-1',
+    grower_name: 'Garms Inc',
+    product: 'Corn Seed',
+    hybrid: 'P1185',
+    quantity: 10,
+    amount: 2900,
+    ...fields
+});
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test('naturalKey keys invoiced sales on invoice, grower, product and hybrid', () => {
+    assert.equal(
+        naturalKey(sale({ invoice_number: ' inv-1 ', grower_name: 'GARMS  INC' })),
+        naturalKey(sale({ quantity: 12, amount: 3480, date: new Date('2026-04-01') }))
+    );
+    assert.notEqual(naturalKey(sale()), naturalKey(sale({ hybrid: 'P1197' })));
+});
+
+test('naturalKey keys sales without an invoice on every identifying field', () => {
+    const base = sale({ invoice_number: '' });
+    assert.equal(naturalKey(base), naturalKey({ ...base, date: '2026-03-02' }));
+    assert.notEqual(naturalKey(base), naturalKey({ ...base, quantity: 11 }));
+    assert.notEqual(naturalKey(base), naturalKey({ ...base, date: '2026-03-03' }));
+});
+
+test('isSameTransaction ignores case, spacing and fields the incoming row omits', () => {
+    const existing = sale();
+    assert.ok(isSameTransaction(existing, { grower_name: 'garms inc', quantity: '10' }));
+    assert.ok(!isSameTransaction(existing, { quantity: 12 }));
+    assert.ok(isSameTransaction(existing, { quantity: 12 }, { quantity: 12 }));
+});
+
+test('planUpsert sorts rows into inserts, merges and duplicate skips', async () => {
+    const [existing] = await getStore().insertMany([sale()]);
+
+    const plan = await planUpsert([
+        sale(),
+        sale({ quantity: 12, amount: 3480 }),
+        sale({ invoice_number: 'INV-2' }),
+        sale({ invoice_number: 'INV-2' })
+    ]);
+
+    assert.deepEqual(plan.skipped.map(s => [s.index, s.reason]), [[0, 'duplicate'], [3, 'duplicate of row 3']]);
+    assert.deepEqual(plan.merged, [{ index: 1, record_id: String(existing.id) }]);
+    assert.deepEqual(plan.inserts.map(i => i.index), [2]);
+});
+
+test('planUpsert in skip mode leaves differing existing records alone', async () => {
+    await getStore().insertMany([sale()]);
+
+    const plan = await planUpsert([sale({ quantity: 12 })], { mode: 'skip' });
+
+    assert.equal(plan.merges.length, 0);
+    assert.equal(plan.skipped.length, 1);
+});
+
+test('planUpsert only matches trashed records when asked to', async () => {
+    const [trashed] = await getStore().insertMany([sale()]);
+    await getStore().softDeleteById(String(trashed.id), { deletion_id: 'op-1' });
+
+    assert.equal((await planUpsert([sale()])).inserts.length, 1);
+    const plan = await planUpsert([sale()], { includeDeleted: true });
+    assert.equal(plan.inserts.length, 0);
+    assert.equal(plan.skipped[0].record_id, String(trashed.id));
+});
+
+test('planUpsert only matches records inside the scope', async () => {
+    await getStore().insertMany([sale({ territory: 'north' })]);
+
+    assert.equal((await planUpsert([sale()], { scope: { territory: 'south' } })).inserts.length, 1);
+    assert.equal((await planUpsert([sale()], { scope: { territory: 'north' } })).inserts.length, 0);
+});
+
+test('applyUpsert inserts new rows and updates merged records once', async () => {
+    const [existing] = await getStore().insertMany([sale()]);
+    const { quantity, ...amountOnly } = sale({ amount: 3480 });
+    const plan = await planUpsert([
+        sale({ quantity: 12 }),
+        amountOnly,
+        sale({ invoice_number: 'INV-2' })
+    ]);
+
+    const { inserted, updates } = await applyUpsert(plan);
+
+    assert.equal(inserted.length, 1);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].before.quantity, 10);
+    assert.equal(updates[0].changes.quantity, 12);
+    const merged = await getStore().findById(String(existing.id));
+    assert.equal(merged.quantity, 12);
+    assert.equal(merged.amount, 3480);
+    assert.equal(await getStore().count(), 2);
+});
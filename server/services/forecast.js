@@ -0,0 +1,126 @@
+/**
+ * Forecast Service
+ * Season forecasts for GET /api/forecast. Sales history is read from the
+ * grower x product x hybrid rollup and projected by the shared engine in
+ * ../../forecast.js, the same code the pages fall back to offline.
+ * Discontinued hybrids hand their volume to the successors named in the
+ * catalog.
+ */
+
+const Forecast = require('../../forecast');
+const { getStore } = require('../storage');
+const { rollupGrowerProducts, rollupSeasons } = require('./rollups');
+
+// Query parameters that narrow the sales forecast, each comma-separated
+const FILTER_FIELDS = ['product', 'hybrid', 'crop_line', 'grower_id'];
+
+// Comma-separated values as a list
+const listOf = (value) => [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Method parameters given in the query, for the named methods. They are
+ * named after the methods' own (see GET /api/forecast/methods).
+ */
+function paramsFrom(query, methods) {
+    const params = {};
+    methods.filter(method => Forecast.METHODS[method]).forEach(method => {
+        Object.keys(Forecast.METHODS[method].params).forEach(name => {
+            if (query[name] !== undefined) params[name] = query[name];
+        });
+    });
+    return params;
+}
+
+// Filters given in the query, each as a list
+function filtersFrom(query) {
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+        if (query[field]) filters[field] = listOf(query[field]);
+    });
+    return filters;
+}
+
+/**
+ * Succession map from the catalog's discontinued hybrids (see
+ * Forecast.successionFrom)
+ */
+async function loadSuccession() {
+    const hybrids = await getStore('catalog').find({ kind: 'hybrid' });
+    return Forecast.successionFrom(hybrids);
+}
+
+/**
+ * What forecasts depend on besides the rollups, for their ETag: a
+ * catalog succession change must not be answered with a stale 304
+ */
+async function successionTag() {
+    return JSON.stringify(await loadSuccession());
+}
+
+/**
+ * Forecast options and filters from query parameters
+ */
+function parseForecastQuery(query = {}) {
+    const method = query.method || undefined;
+    return {
+        options: {
+            level: query.level || undefined,
+            measure: query.measure || undefined,
+            method,
+            confidence: query.confidence || undefined,
+            reconcile: query.reconcile || undefined,
+            params: paramsFrom(query, [method])
+        },
+        filters: filtersFrom(query)
+    };
+}
+
+/**
+ * Forecast the next season within a territory scope. Throws a
+ * Forecast.ForecastError for bad options.
+ */
+async function getForecast(scope, query) {
+    const { options, filters } = parseForecastQuery(query);
+    Forecast.resolveOptions(options);
+
+    const [cells, seasons, succession] = await Promise.all([
+        rollupGrowerProducts(scope, filters),
+        rollupSeasons(scope),
+        loadSuccession()
+    ]);
+    return { ...Forecast.run(cells, { ...options, succession }, seasons), filters };
+}
+
+/**
+ * Backtest every method within a territory scope: ?measure=, ?level=
+ * (comma-separated, default every level), ?confidence=, ?reconcile=,
+ * ?tolerance=, any method's parameters and the forecast filters. Throws a
+ * Forecast.ForecastError for bad options.
+ */
+async function getBacktest(scope, query = {}) {
+    const filters = filtersFrom(query);
+    const options = {
+        measure: query.measure || undefined,
+        levels: query.level ? listOf(query.level) : undefined,
+        confidence: query.confidence || undefined,
+        reconcile: query.reconcile || undefined,
+        tolerance: query.tolerance,
+        params: paramsFrom(query, Object.keys(Forecast.METHODS))
+    };
+
+    const [cells, seasons, succession] = await Promise.all([
+        rollupGrowerProducts(scope, filters),
+        rollupSeasons(scope),
+        loadSuccession()
+    ]);
+    return { ...Forecast.backtest(cells, { ...options, succession }, seasons), filters };
+}
+
+module.exports = {
+    FILTER_FIELDS,
+    parseForecastQuery,
+    loadSuccession,
+    successionTag,
+    getForecast,
+    getBacktest
+};
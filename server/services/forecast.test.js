@@ -0,0 +1,100 @@
+/**
+ * Forecast Service tests: forecasts served from the rollups match the
+ * shared engine run on the transactions themselves, and follow the
+ * catalog's hybrid successions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecast = require('../../forecast');
+const { initStore, getStore } = require('../storage');
+const { rebuildRollups } = require('./rollups');
+const { parseForecastQuery, loadSuccession, successionTag, getForecast } = require('./forecast');
+
+const GROWERS = ['Garms Inc', 'Ridge Farms', 'Lone Oak'];
+const HYBRIDS = ['P1185', 'P1197', 'P0924'];
+
+// Five seasons of sales across growers, products, hybrids and territories
+const RECORDS = Array.from({ length: 90 }, (_, i) => ({
+    date: new Date(Date.UTC(2021 + (i % 5), i % 12, 1 + (i % 27))),
+    grower_name: GROWERS[i % 3],
+    territory: i % 4 ? 'east' : 'west',
+    product: i % 5 ? 'Corn Seed' : 'Soybean Seed',
+    hybrid: i % 5 ? HYBRIDS[i % 3] : '',
+    quantity: 10 + (i % 7),
+    bags: 5 + (i % 4),
+    seed_units: 2 + (i % 3),
+    amount: 1000 + 37 * i
+}));
+
+// Forecasts without float noise, in key order
+const comparable = (result) => result.forecasts
+    .map(forecast => JSON.parse(JSON.stringify(forecast, (key, value) =>
+        (typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value))))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+test.beforeEach(async () => {
+    await initStore({ persist: false });
+    await getStore().insertMany(RECORDS);
+    await rebuildRollups();
+});
+
+test('getForecast matches the engine run on the records', async () => {
+    const records = await getStore().find({});
+    const queries = [
+        {},
+        { level: 'grower_hybrid', measure: 'bags', method: 'damped' },
+        { level: 'product', measure: 'orders', method: 'holt' },
+        { level: 'hybrid', measure: 'growers', method: 'weighted' },
+        { level: 'grower', product: 'Corn Seed', method: 'growth' },
+        { level: 'hybrid', reconcile: 'ols', measure: 'seed_units' }
+    ];
+
+    for (const query of queries) {
+        const served = await getForecast({}, query);
+        const local = Forecast.forecastRecords(records, query);
+        assert.ok(served.forecasts.length > 0, JSON.stringify(query));
+        assert.deepEqual(served.seasons, local.seasons, JSON.stringify(query));
+        assert.deepEqual(comparable(served), comparable(local), JSON.stringify(query));
+    }
+});
+
+test('getForecast only forecasts sales in the scope', async () => {
+    const west = await getStore().find({ territory: 'west' });
+    const served = await getForecast({ territory: 'west' }, { level: 'grower' });
+
+    assert.deepEqual(comparable(served), comparable(Forecast.forecastRecords(west, { level: 'grower' })));
+});
+
+test('parseForecastQuery reads filters and only the chosen method\'s parameters', () => {
+    const { options, filters } = parseForecastQuery({
+        method: 'holt', alpha: '0.4', trend_up: '2', product: 'Corn Seed, Soybean Seed', hybrid: 'P1185'
+    });
+
+    assert.deepEqual(options.params, { alpha: '0.4' });
+    assert.deepEqual(filters, { product: ['Corn Seed', 'Soybean Seed'], hybrid: ['P1185'] });
+});
+
+test('getForecast rejects bad options with a ForecastError', async () => {
+    await assert.rejects(getForecast({}, { level: 'county' }), Forecast.ForecastError);
+});
+
+test('getForecast moves discontinued hybrids\' volume to their catalog successors', async () => {
+    const before = await successionTag();
+    await getStore('catalog').insertMany([
+        { kind: 'hybrid', code: 'P1185', discontinue_year: 2026, successors: [{ code: 'P1197', share: 100 }] },
+        { kind: 'hybrid', code: 'P1197', launch_year: 2024 }
+    ]);
+
+    assert.deepEqual(await loadSuccession(), {
+        P1185: { discontinue_year: 2026, successors: [{ code: 'P1197', share: 100 }] }
+    });
+    assert.notEqual(await successionTag(), before);
+
+    const served = await getForecast({}, { level: 'hybrid', method: 'linear' });
+    const local = Forecast.forecastRecords(await getStore().find({}), { level: 'hybrid', method: 'linear', succession: await loadSuccession() });
+    const retired = served.forecasts.find(f => f.hybrid === 'P1185');
+    assert.equal(retired.value, 0);
+    assert.equal(retired.transferred_to[0].hybrid, 'P1197');
+    assert.deepEqual(comparable(served), comparable(local));
+});
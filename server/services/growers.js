@@ -0,0 +1,461 @@
+/**
+ * Grower Service
+ * Field handling for grower master records, and matching of transactions
+ * to growers by account number, name or alias. Names are compared after
+ * normalizing case, punctuation and spacing, so "Garms Inc" and
+ * "Garms, Inc." are the same grower.
+ */
+
+const { getStore } = require('../storage');
+const { createOperationId, recordAudit, snapshot } = require('./audit');
+const Grower = require('../models/Grower');
+const Growers = require('../../growers');
+
+// Fields a client may set on a grower
+const GROWER_FIELDS = [
+    'name', 'legal_name', 'operation_name', 'aliases', 'account_numbers',
+    'contacts', 'addresses', 'total_acres', 'territory', 'notes'
+];
+
+const LIST_FIELDS = ['aliases', 'account_numbers'];
+
+// Words that say what kind of business a name is rather than which one
+const NAME_STOPWORDS = new Set([
+    'the', 'and', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'co', 'corp',
+    'corporation', 'company', 'partnership', 'ptnr', 'ptnrs'
+]);
+
+// Score at or above which two growers are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Normalized form of a grower name used for matching (see ../../growers.js,
+ * which the pages and the forecast engine share)
+ */
+const normalizeGrowerName = Growers.normalizeName;
+
+const normalizeAccount = (account) => String(account == null ? '' : account).replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Match keys for a grower: its normalized names and aliases
+ */
+function matchKeysFor(grower) {
+    const names = [grower.name, grower.legal_name, grower.operation_name, ...(grower.aliases || [])];
+    return [...new Set(names.map(normalizeGrowerName).filter(Boolean))];
+}
+
+/**
+ * Copy of a grower with match keys and account numbers brought up to date
+ */
+const withMatchKeys = (grower) => ({
+    ...grower,
+    account_numbers: [...new Set((grower.account_numbers || []).map(normalizeAccount).filter(Boolean))],
+    match_keys: matchKeysFor(grower)
+});
+
+/**
+ * Pick the grower fields present in a request body. Aliases and account
+ * numbers may be given as comma-separated strings.
+ */
+function pickGrowerFields(body) {
+    const fields = {};
+    GROWER_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    LIST_FIELDS.forEach(field => {
+        if (typeof fields[field] === 'string') {
+            fields[field] = fields[field].split(',');
+        }
+        if (fields[field] !== undefined) {
+            fields[field] = (fields[field] || []).map(value => String(value).trim()).filter(Boolean);
+        }
+    });
+    if (fields.total_acres !== undefined) {
+        const acres = parseFloat(fields.total_acres);
+        fields.total_acres = isNaN(acres) ? null : acres;
+    }
+    if (typeof fields.name === 'string') fields.name = fields.name.trim();
+    return fields;
+}
+
+/**
+ * Distinguishing words of a name: normalized, without business suffixes
+ * and with plurals folded ("Garms Farms, Inc." -> garms farm)
+ */
+const nameTokens = (name) => normalizeGrowerName(name)
+    .split(' ')
+    .filter(token => token && !NAME_STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * letters as one edit
+ */
+function editDistance(a, b) {
+    const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(
+                rows[i - 1][j] + 1,
+                row[j - 1] + 1,
+                rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+            }
+        }
+        rows.push(row);
+    }
+    return rows[a.length][b.length];
+}
+
+// Tokens are the same word when at most one edit apart (two for long words)
+const sameToken = (a, b) => a === b ||
+    (Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= (Math.min(a.length, b.length) >= 8 ? 2 : 1));
+
+/**
+ * How alike two names are, from 0 to 1: the better of the share of
+ * tokens they have in common and the edit distance between their token
+ * strings. A token matched only with a typo counts as 0.9 of a match, so
+ * only identical tokens score 1.
+ */
+function nameSimilarity(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const joinedA = tokensA.join(' ');
+    const joinedB = tokensB.join(' ');
+    if (joinedA === joinedB) return 1;
+
+    const unmatched = [...tokensB];
+    let matched = 0;
+    let typos = 0;
+    tokensA.forEach(token => {
+        let at = unmatched.indexOf(token);
+        if (at !== -1) {
+            matched++;
+        } else {
+            at = unmatched.findIndex(other => sameToken(token, other));
+            if (at !== -1) typos++;
+        }
+        if (at !== -1) unmatched.splice(at, 1);
+    });
+    const shared = matched + typos;
+    const overlap = (matched + 0.9 * typos) / (tokensA.length + tokensB.length - shared);
+    const spelling = 1 - editDistance(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+    return Math.max(overlap, spelling);
+}
+
+const namesOf = (grower) => [grower.name, grower.legal_name, grower.operation_name, ...(grower.aliases || [])]
+    .filter(name => normalizeGrowerName(name));
+
+const sameTerritory = (a, b) => !a.territory || !b.territory || a.territory === b.territory;
+
+/**
+ * Score how likely two growers (or a grower and an incoming name and
+ * account) are the same operation, with the reasons. A shared account
+ * number is a certain match.
+ */
+function compareGrowers(a, b) {
+    const accountsB = new Set((b.account_numbers || []).map(normalizeAccount).filter(Boolean));
+    const sharedAccount = (a.account_numbers || []).map(normalizeAccount).find(account => account && accountsB.has(account));
+    if (sharedAccount) {
+        return { score: 1, reasons: [`Shared account number ${sharedAccount}`] };
+    }
+
+    let best = { score: 0, reasons: [] };
+    namesOf(a).forEach(nameA => namesOf(b).forEach(nameB => {
+        const score = nameSimilarity(nameA, nameB);
+        if (score > best.score) {
+            best = { score, reasons: [score === 1 ? `Same name: "${nameA}" / "${nameB}"` : `Similar names: "${nameA}" / "${nameB}"`] };
+        }
+    }));
+    best.score = Math.round(best.score * 100) / 100;
+    return best;
+}
+
+/**
+ * Pairs of growers in the same territory that are likely the same
+ * operation, most likely first
+ */
+function findDuplicates(growers, { threshold = DUPLICATE_THRESHOLD } = {}) {
+    const pairs = [];
+    for (let i = 0; i < growers.length; i++) {
+        for (let j = i + 1; j < growers.length; j++) {
+            if (!sameTerritory(growers[i], growers[j])) continue;
+            const { score, reasons } = compareGrowers(growers[i], growers[j]);
+            if (score >= threshold) {
+                pairs.push({ score, reasons, growers: [snapshot(growers[i]), snapshot(growers[j])] });
+            }
+        }
+    }
+    return pairs.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Growers an incoming name and account number probably belong to, most
+ * likely first
+ */
+function suggestMatches({ name, account_number: account, territory }, growers, { threshold = DUPLICATE_THRESHOLD, limit = 3 } = {}) {
+    const incoming = { name, account_numbers: account ? [account] : [], territory };
+    return growers
+        .filter(grower => sameTerritory(incoming, grower))
+        .map(grower => ({ grower_id: String(grower.id), name: grower.name, ...compareGrowers(incoming, grower) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Validate a complete grower against the schema.
+ * Returns a list of error messages, or null when valid.
+ */
+function validateGrower(grower) {
+    const error = new Grower(grower).validateSync();
+    if (!error) return null;
+    return Object.values(error.errors).map(e => e.message);
+}
+
+/**
+ * Another grower sharing a name, alias or account number with this one,
+ * or null
+ */
+async function findConflict(grower, excludeId = null) {
+    const { match_keys: keys, account_numbers: accounts } = withMatchKeys(grower);
+    const conditions = [{ match_keys: { $in: keys } }];
+    if (accounts.length > 0) conditions.push({ account_numbers: { $in: accounts } });
+
+    const matches = await getStore('growers').find({ $or: conditions });
+    return matches.find(match =>
+        String(match.id) !== String(excludeId) &&
+        (!grower.territory || !match.territory || match.territory === grower.territory)) || null;
+}
+
+/**
+ * Lookup tables over a list of growers
+ */
+function buildIndex(growers) {
+    const index = { byId: new Map(), byKey: new Map(), byAccount: new Map() };
+    growers.forEach(grower => addToIndex(index, grower));
+    return index;
+}
+
+/**
+ * Add a grower to the index, replacing an older copy of it
+ */
+function addToIndex(index, grower) {
+    const id = String(grower.id);
+    const push = (map, key) => {
+        if (!map.has(key)) map.set(key, []);
+        const list = map.get(key);
+        const at = list.findIndex(other => String(other.id) === id);
+        if (at === -1) list.push(grower);
+        else list[at] = grower;
+    };
+    index.byId.set(id, grower);
+    (grower.match_keys || []).forEach(key => push(index.byKey, key));
+    (grower.account_numbers || []).forEach(account => push(index.byAccount, account));
+}
+
+/**
+ * The grower a record belongs to: by grower_id, then account number, then
+ * name. Growers in another territory than the record's are skipped.
+ */
+function findInIndex(index, record) {
+    const inTerritory = grower => !record.territory || !grower.territory || grower.territory === record.territory;
+
+    if (record.grower_id && index.byId.has(String(record.grower_id))) {
+        return index.byId.get(String(record.grower_id));
+    }
+    const account = normalizeAccount(record.account_number);
+    const byAccount = account ? (index.byAccount.get(account) || []).find(inTerritory) : null;
+    if (byAccount) return byAccount;
+    return (index.byKey.get(normalizeGrowerName(record.grower_name)) || []).find(inTerritory) || null;
+}
+
+/**
+ * Link transactions to growers, setting grower_id and the grower's name
+ * on each record in place. With create, a grower is added for every name
+ * that matches none; otherwise unmatched records are left as they are.
+ * A matched grower learns new account numbers and, when matched by
+ * account, the record's spelling of its name as an alias.
+ * Returns the growers created and the names left unmatched.
+ */
+async function resolveGrowers(records, { create = false, territory } = {}) {
+    const growers = getStore('growers');
+    const index = buildIndex(await growers.find({}));
+    const created = [];
+    const unmatched = new Set();
+
+    for (const record of records) {
+        const scoped = { ...record, territory: record.territory !== undefined ? record.territory : territory };
+        let grower = findInIndex(index, scoped);
+
+        if (!grower) {
+            if (!create || !normalizeGrowerName(record.grower_name)) {
+                unmatched.add(String(record.grower_name || '').trim());
+                continue;
+            }
+            grower = await growers.create(withMatchKeys({
+                name: String(record.grower_name).trim(),
+                aliases: [],
+                account_numbers: record.account_number ? [record.account_number] : [],
+                contacts: [],
+                addresses: [],
+                territory: scoped.territory || undefined
+            }));
+            created.push(grower);
+            addToIndex(index, grower);
+        } else if (create) {
+            grower = await learnFromRecord(grower, record, index);
+        }
+
+        record.grower_id = String(grower.id);
+        record.grower_name = grower.name;
+    }
+
+    return { created, unmatched: [...unmatched] };
+}
+
+/**
+ * Add a record's account number, and its name spelling when new, to the
+ * grower it matched
+ */
+async function learnFromRecord(grower, record, index) {
+    const account = normalizeAccount(record.account_number);
+    const key = normalizeGrowerName(record.grower_name);
+    const newAccount = account && !(grower.account_numbers || []).includes(account);
+    const newAlias = key && !(grower.match_keys || []).includes(key);
+    if (!newAccount && !newAlias) return grower;
+
+    const updated = await getStore('growers').updateById(String(grower.id), withMatchKeys({
+        ...pickGrowerFields(grower),
+        aliases: newAlias ? [...(grower.aliases || []), String(record.grower_name).trim()] : grower.aliases,
+        account_numbers: newAccount ? [...(grower.account_numbers || []), account] : grower.account_numbers
+    }));
+    addToIndex(index, updated);
+    return updated;
+}
+
+/**
+ * Merge duplicate growers into one. The survivor takes the others' names
+ * as aliases along with their account numbers, contacts, addresses and
+ * notes, so later imports match it; their transactions (including those
+ * in the trash) are re-pointed to it and the duplicates are removed. The
+ * grower and transaction changes are audited as one operation.
+ */
+async function mergeGrowers(req, target, sources) {
+    const growers = getStore('growers');
+    const store = getStore();
+    const operationId = createOperationId();
+    const sourceIds = sources.map(source => String(source.id));
+
+    const unique = (values, key = value => value) => {
+        const seen = new Set();
+        return values.filter(value => {
+            const k = key(value);
+            if (seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        });
+    };
+    const targetKey = normalizeGrowerName(target.name);
+    const all = [target, ...sources];
+
+    const merged = withMatchKeys({
+        ...pickGrowerFields(target),
+        aliases: unique(
+            all.flatMap(grower => grower === target ? grower.aliases || [] : namesOf(grower)),
+            normalizeGrowerName
+        ).filter(alias => normalizeGrowerName(alias) !== targetKey),
+        account_numbers: all.flatMap(grower => grower.account_numbers || []),
+        contacts: unique(all.flatMap(grower => (snapshot(grower).contacts || [])
+            .map(contact => (grower === target ? contact : { ...contact, primary: false }))), contact =>
+            `${(contact.name || '').toLowerCase()}|${(contact.email || '').toLowerCase()}|${contact.phone || ''}`),
+        addresses: unique(all.flatMap(grower => snapshot(grower).addresses || []), address =>
+            normalizeGrowerName(`${address.line1 || ''} ${address.city || ''} ${address.postal_code || ''}`)),
+        total_acres: target.total_acres != null ? target.total_acres
+            : sources.map(source => source.total_acres).find(acres => acres != null),
+        notes: unique(all.map(grower => grower.notes).filter(Boolean)).join('\n\n') || target.notes
+    });
+
+    const linked = [
+        ...await store.find({ grower_id: { $in: sourceIds } }),
+        ...await store.find({ grower_id: { $in: sourceIds }, deleted_at: { $ne: null } })
+    ];
+    const transactionChanges = [];
+    for (const record of linked) {
+        const after = await store.updateById(String(record.id), { grower_id: String(target.id), grower_name: merged.name });
+        transactionChanges.push({ before: record, after });
+    }
+
+    for (const id of sourceIds) {
+        await growers.deleteById(id);
+    }
+    const updated = await growers.updateById(String(target.id), merged);
+
+    await recordAudit(req, {
+        action: 'merge',
+        entity: 'grower',
+        operationId,
+        changes: [
+            { before: target, after: updated },
+            ...sources.map(source => ({ before: source, after: null }))
+        ]
+    });
+    await recordAudit(req, { action: 'merge', operationId, changes: transactionChanges });
+
+    return {
+        grower: updated,
+        merged: sources.map(source => ({ id: String(source.id), name: source.name })),
+        transactions: transactionChanges.length,
+        operationId
+    };
+}
+
+/**
+ * Link transactions saved before grower records existed (or by an older
+ * version) to growers, creating them as needed
+ */
+async function ensureGrowers() {
+    const store = getStore();
+    const unlinked = [
+        ...await store.find({ grower_id: null }),
+        ...await store.find({ grower_id: null, deleted_at: { $ne: null } })
+    ];
+    if (unlinked.length === 0) return;
+
+    const records = unlinked.map(record => ({
+        id: String(record.id),
+        grower_name: record.grower_name,
+        account_number: record.account_number,
+        territory: record.territory
+    }));
+    const { created } = await resolveGrowers(records, { create: true });
+    for (const record of records) {
+        await store.updateById(record.id, { grower_id: record.grower_id, grower_name: record.grower_name });
+    }
+    console.log(`Linked ${records.length} transactions to growers (${created.length} new)`);
+}
+
+module.exports = {
+    GROWER_FIELDS,
+    normalizeGrowerName,
+    matchKeysFor,
+    withMatchKeys,
+    pickGrowerFields,
+    validateGrower,
+    findConflict,
+    nameSimilarity,
+    compareGrowers,
+    findDuplicates,
+    suggestMatches,
+    resolveGrowers,
+    mergeGrowers,
+    ensureGrowers
+};
@@ -0,0 +1,169 @@
+/**
+ * Grower Service tests: linking transactions to grower records, and
+ * finding and merging duplicate growers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const {
+    withMatchKeys, resolveGrowers, findConflict,
+    nameSimilarity, compareGrowers, findDuplicates, suggestMatches, mergeGrowers
+} = require('./growers');
+
+const req = {
+    method: 'POST',
+    originalUrl: '/api/growers/merge',
+    ip: '127.0.0.1',
+    user: { id: 'u1', email: 'admin@example.com', role: 'admin' }
+};
+
+const addGrower = (fields) => getStore('growers').create(withMatchKeys({
+    aliases: [], account_numbers: [], contacts: [], addresses: [], ...fields
+}));
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test('resolveGrowers links records by grower_id, account number, then name', async () => {
+    const garms = await addGrower({ name: 'Garms Inc', account_numbers: ['A-100'] });
+    const ridge = await addGrower({ name: 'Ridge Farms', aliases: ['Ridge Farm Partnership'] });
+
+    const records = [
+        { grower_name: 'Someone Else', grower_id: String(garms.id) },
+        { grower_name: 'G. Garms', account_number: 'a-100' },
+        { grower_name: 'garms, inc.' },
+        { grower_name: 'Ridge Farm Partnership' }
+    ];
+    const { created, unmatched } = await resolveGrowers(records);
+
+    assert.deepEqual(records.map(r => r.grower_id), [garms.id, garms.id, garms.id, ridge.id].map(String));
+    assert.deepEqual(records.map(r => r.grower_name), ['Garms Inc', 'Garms Inc', 'Garms Inc', 'Ridge Farms']);
+    assert.equal(created.length, 0);
+    assert.deepEqual(unmatched, []);
+});
+
+test('resolveGrowers reports unmatched names and only creates growers when asked', async () => {
+    const records = [{ grower_name: 'New Acres' }, { grower_name: 'new acres' }];
+
+    const { unmatched } = await resolveGrowers(records);
+    assert.deepEqual(unmatched, ['New Acres', 'new acres']);
+    assert.equal(records[0].grower_id, undefined);
+
+    const { created } = await resolveGrowers(records, { create: true });
+    assert.equal(created.length, 1);
+    assert.equal(records[1].grower_id, String(created[0].id));
+    assert.equal(await getStore('growers').count(), 1);
+});
+
+test('resolveGrowers keeps growers to their territory', async () => {
+    const north = await addGrower({ name: 'Garms Inc', territory: 'north' });
+
+    const records = [{ grower_name: 'Garms Inc', territory: 'south' }, { grower_name: 'Garms Inc', territory: 'north' }];
+    await resolveGrowers(records, { create: true });
+
+    assert.notEqual(records[0].grower_id, String(north.id));
+    assert.equal(records[1].grower_id, String(north.id));
+});
+
+test('resolveGrowers teaches a grower matched by account its new spelling', async () => {
+    const garms = await addGrower({ name: 'Garms Inc', account_numbers: ['A-100'] });
+
+    await resolveGrowers([{ grower_name: 'Garms Family Farms', account_number: 'A-100' }], { create: true });
+    await resolveGrowers([{ grower_name: 'Garms Family Farms', account_number: 'A-200' }], { create: true });
+
+    const updated = await getStore('growers').findById(String(garms.id));
+    assert.deepEqual(updated.aliases, ['Garms Family Farms']);
+    assert.deepEqual(updated.account_numbers, ['A-100', 'A-200']);
+});
+
+test('findConflict finds another grower with the same name, alias or account', async () => {
+    const garms = await addGrower({ name: 'Garms Inc', aliases: ['Garms Farms'], account_numbers: ['A-100'] });
+
+    assert.equal(String((await findConflict({ name: 'GARMS FARMS' })).id), String(garms.id));
+    assert.equal(String((await findConflict({ name: 'Other', account_numbers: ['a-100'] })).id), String(garms.id));
+    assert.equal(await findConflict({ name: 'Garms Inc' }, garms.id), null);
+    assert.equal(await findConflict({ name: 'Ridge Farms' }), null);
+});
+
+test('nameSimilarity scores typos and business words below identical names', () => {
+    assert.equal(nameSimilarity('Garms Inc', 'GARMS, INC.'), 1);
+    assert.equal(nameSimilarity('Garms Inc', 'Garms'), 1);
+    const typo = nameSimilarity('Garms Farms', 'Grams Farms');
+    assert.ok(typo >= 0.8 && typo < 1, `typo scored ${typo}`);
+    assert.ok(nameSimilarity('Garms Farms', 'Ridge Farms') < 0.8);
+});
+
+test('compareGrowers treats a shared account number as a certain match', () => {
+    const { score, reasons } = compareGrowers(
+        { name: 'Garms Inc', account_numbers: ['A-100'] },
+        { name: 'Ridge Farms', account_numbers: [' a-100 '] }
+    );
+    assert.equal(score, 1);
+    assert.match(reasons[0], /Shared account number A-100/);
+});
+
+test('findDuplicates pairs likely duplicates within a territory, most likely first', () => {
+    const growers = [
+        { id: 1, name: 'Garms Farms', territory: 'north' },
+        { id: 2, name: 'Grams Farms', territory: 'north' },
+        { id: 3, name: 'Garms Farms', territory: 'south' },
+        { id: 4, name: 'Garms Farms' }
+    ];
+    const pairs = findDuplicates(growers);
+
+    assert.deepEqual(pairs.map(pair => pair.growers.map(g => g.id)), [[1, 4], [3, 4], [1, 2], [2, 4]]);
+    assert.ok(pairs[0].score > pairs[2].score);
+});
+
+test('suggestMatches ranks existing growers for an incoming name', () => {
+    const growers = [{ id: 1, name: 'Garms Farms' }, { id: 2, name: 'Grams Farm' }, { id: 3, name: 'Ridge Farms' }];
+    const matches = suggestMatches({ name: 'Garms Farm' }, growers);
+
+    assert.deepEqual(matches.map(match => match.grower_id), ['1', '2']);
+    assert.deepEqual(suggestMatches({ name: 'Lone Oak' }, growers), []);
+});
+
+test('mergeGrowers folds duplicates into the survivor and moves their sales', async () => {
+    const target = await addGrower({
+        name: 'Garms Inc', account_numbers: ['A-100'],
+        contacts: [{ name: 'Ann Garms', email: 'ann@garms.example', primary: true }]
+    });
+    const source = await addGrower({
+        name: 'Grams Inc', aliases: ['Garms Incorporated'], account_numbers: ['A-200'], total_acres: 1200,
+        contacts: [{ name: 'Bob Garms', primary: true }, { name: 'Ann Garms', email: 'ann@garms.example' }]
+    });
+    const [live, trashed] = await getStore().insertMany([
+        { date: new Date('2026-03-02'), grower_id: String(source.id), grower_name: 'Grams Inc', product: 'Corn Seed', quantity: 10, amount: 2900 },
+        { date: new Date('2026-03-03'), grower_id: String(source.id), grower_name: 'Grams Inc', product: 'Corn Seed', quantity: 5, amount: 1450 }
+    ]);
+    await getStore().softDeleteById(String(trashed.id), { deletion_id: 'op-1' });
+
+    const result = await mergeGrowers(req, target, [source]);
+
+    assert.equal(result.transactions, 2);
+    assert.deepEqual(result.grower.aliases, ['Grams Inc', 'Garms Incorporated']);
+    assert.deepEqual(result.grower.account_numbers, ['A-100', 'A-200']);
+    assert.deepEqual(result.grower.contacts.map(c => [c.name, c.primary]), [['Ann Garms', true], ['Bob Garms', false]]);
+    assert.equal(result.grower.total_acres, 1200);
+    assert.equal(await getStore('growers').findById(String(source.id)), null);
+
+    const moved = await getStore().findById(String(live.id));
+    assert.equal(moved.grower_id, String(target.id));
+    assert.equal(moved.grower_name, 'Garms Inc');
+    assert.equal((await getStore().findById(String(trashed.id), { withDeleted: true })).grower_id, String(target.id));
+
+    const audit = await getStore('audit').find({ operation_id: result.operationId });
+    assert.equal(audit.length, 4);
+});
+
+test('merged growers match later imports under their old names', async () => {
+    const target = await addGrower({ name: 'Garms Inc' });
+    const source = await addGrower({ name: 'Grams Inc' });
+    await mergeGrowers(req, target, [source]);
+
+    const records = [{ grower_name: 'grams inc' }];
+    await resolveGrowers(records, { create: true });
+
+    assert.equal(records[0].grower_id, String(target.id));
+    assert.equal(await getStore('growers').count(), 1);
+});
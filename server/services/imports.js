@@ -0,0 +1,270 @@
+/**
+ * Import Service
+ * Stages uploaded rows as an import batch, reporting row-level errors and
+ * a diff against existing data, then commits or rolls the batch back.
+ * Committed records carry the batch id as import_id.
+ */
+
+const CSV = require('../../csv');
+const { getStore } = require('../storage');
+const { createOperationId, recordAudit } = require('./audit');
+const { validateTransaction, pickEditableFields, inScope } = require('./transactions');
+const { planUpsert, applyUpsert } = require('./dedup');
+const { priceRecord } = require('./prices');
+const { resolveGrowers, suggestMatches } = require('./growers');
+
+const PREVIEW_ROWS = 20;
+const MAX_LISTED_ROWS = 100;
+
+/**
+ * Parse delimited transaction text (see csv.js). Columns are matched by
+ * header name; files without a header use the export column order.
+ * Returns the candidate rows and errors for rows that could not be read,
+ * numbered by file line.
+ */
+function parseTransactionCSV(text) {
+    const rows = [];
+    const errors = [];
+
+    let parsed;
+    try {
+        parsed = CSV.readTransactions(text || '');
+    } catch (error) {
+        if (!(error instanceof CSV.CSVError)) throw error;
+        return { rows, errors: [{ row: error.line, errors: [error.message] }] };
+    }
+
+    parsed.rows.forEach(({ line, record, missing }) => {
+        if (missing.length > 0) {
+            errors.push({ row: line, errors: [`Missing columns: ${missing.join(', ')}`] });
+        } else {
+            rows.push({ row: line, record: pickEditableFields(record) });
+        }
+    });
+
+    return { rows, errors };
+}
+
+/**
+ * Records sent as JSON (already parsed by the client), numbered from 1
+ */
+function rowsFromRecords(records) {
+    return records.map((record, index) => {
+        const fields = pickEditableFields(record);
+        delete fields.territory;
+        return {
+            row: index + 1,
+            record: {
+                ...fields,
+                invoice_number: fields.invoice_number || '',
+                quantity: fields.quantity || 0,
+                amount: fields.amount || 0
+            }
+        };
+    });
+}
+
+/**
+ * Map plan entries (indexes into rows) back to file row numbers
+ */
+const toRowRefs = (entries, rows) => entries.map(({ index, ...rest }) => ({ row: rows[index].row, ...rest }));
+
+/**
+ * Preview what committing the rows would do: how many are new, how many
+ * update an existing record with the same natural key, and how many are
+ * duplicates that will be skipped
+ */
+async function diffAgainstExisting(rows, scope) {
+    const incoming = {
+        quantity: rows.reduce((sum, r) => sum + r.record.quantity, 0),
+        amount: rows.reduce((sum, r) => sum + r.record.amount, 0)
+    };
+
+    const plan = await planUpsert(rows.map(r => r.record), { scope });
+
+    return {
+        new_rows: plan.inserts.length,
+        merge_rows: plan.merged.length,
+        duplicate_rows: plan.skipped.length,
+        merged: toRowRefs(plan.merged, rows).slice(0, MAX_LISTED_ROWS),
+        duplicates: toRowRefs(plan.skipped, rows).slice(0, MAX_LISTED_ROWS),
+        incoming
+    };
+}
+
+/**
+ * Validate candidate rows and save them as a staged batch. Pass either
+ * text (CSV/TSV) or records (parsed JSON rows).
+ */
+async function stageImport(req, { text, records, source = 'upload', filename, territory }) {
+    const parsed = records ? { rows: rowsFromRecords(records), errors: [] } : parseTransactionCSV(text);
+
+    const rows = [];
+    const rowErrors = [...parsed.errors];
+    parsed.rows.forEach(({ row, record }) => {
+        // Rows without an invoice amount are priced from the price book
+        const priced = priceRecord(record);
+        const errors = validateTransaction(priced);
+        if (errors) {
+            rowErrors.push({ row, errors });
+        } else {
+            rows.push({ row, record: priced });
+        }
+    });
+    rowErrors.sort((a, b) => a.row - b.row);
+
+    // Link rows to existing growers; new growers are added on commit
+    const { unmatched } = await resolveGrowers(rows.map(r => r.record), { territory });
+
+    // Likely existing growers for each new name, so misspellings can be
+    // merged instead of imported as new growers
+    const scope = territory ? { territory } : {};
+    const growers = unmatched.length > 0 ? await getStore('growers').find(scope) : [];
+    const growerSuggestions = unmatched
+        .map(name => ({ name, matches: suggestMatches({ name, territory }, growers) }))
+        .filter(suggestion => suggestion.matches.length > 0);
+
+    return getStore('imports').create({
+        status: 'staged',
+        source,
+        filename,
+        territory,
+        created_by: req.user.email,
+        total_rows: rows.length + rowErrors.length,
+        valid_rows: rows.length,
+        record_count: 0,
+        rows,
+        row_errors: rowErrors,
+        diff: { ...await diffAgainstExisting(rows, scope), new_growers: unmatched, grower_suggestions: growerSuggestions }
+    });
+}
+
+/**
+ * Upsert a staged batch's valid rows on the natural key and audit them as
+ * one operation. New rows are inserted with the batch id as import_id;
+ * rows matching an existing record update it, and exact duplicates are
+ * skipped. The merged and skipped rows are kept on the batch, along with
+ * the previous values of every field the merges changed.
+ */
+async function commitImport(req, batch) {
+    const batchId = String(batch.id);
+    const operationId = createOperationId();
+    const now = new Date();
+    const rows = batch.rows;
+
+    const records = rows.map(({ record }) => ({
+        ...record,
+        territory: batch.territory,
+        import_id: batchId,
+        created_at: now
+    }));
+    await resolveGrowers(records, { create: true });
+
+    const plan = await planUpsert(records, { scope: batch.territory ? { territory: batch.territory } : {} });
+    const { inserted, updates } = await applyUpsert(plan);
+
+    await recordAudit(req, {
+        action: 'import',
+        operationId,
+        changes: inserted.map(after => ({ before: null, after }))
+    });
+    await recordAudit(req, { action: 'update', operationId, changes: updates });
+
+    const updated = await getStore('imports').updateById(batchId, {
+        status: 'committed',
+        rows: [],
+        record_count: inserted.length,
+        result: {
+            inserted: inserted.length,
+            merged: toRowRefs(plan.merged, rows),
+            skipped: toRowRefs(plan.skipped, rows)
+        },
+        merged_before: updates.map(({ before, changes }) => ({
+            record_id: String(before.id),
+            fields: Object.fromEntries(Object.keys(changes).map(field => [field, before[field] === undefined ? null : before[field]]))
+        })),
+        operation_id: operationId,
+        committed_at: now,
+        committed_by: req.user.email
+    });
+
+    return { batch: updated, operationId };
+}
+
+/**
+ * Move every live record the batch inserted to the trash and put the
+ * fields it changed on existing records back to their previous values.
+ * Merged records since deleted or outside the scope are left alone.
+ */
+async function rollbackImport(req, batch, scope = {}) {
+    const batchId = String(batch.id);
+    const query = { ...scope, import_id: batchId };
+    const operationId = createOperationId();
+
+    const removed = await getStore().find(query);
+    await getStore().softDeleteMany(query, {
+        deletion_id: operationId,
+        deletion_kind: 'import',
+        deleted_by: req.user.email
+    });
+    await recordAudit(req, {
+        action: 'delete',
+        operationId,
+        changes: removed.map(before => ({ before, after: null }))
+    });
+
+    const restored = [];
+    for (const { record_id, fields } of batch.merged_before || []) {
+        const before = await getStore().findById(record_id);
+        if (!before || !inScope(before, scope)) continue;
+        restored.push({ before, after: await getStore().updateById(record_id, fields) });
+    }
+    await recordAudit(req, { action: 'update', operationId, changes: restored });
+
+    const updated = await getStore('imports').updateById(batchId, {
+        status: 'rolled_back',
+        rolled_back_at: new Date(),
+        rolled_back_by: req.user.email,
+        deletion_id: operationId
+    });
+
+    return { batch: updated, count: removed.length, restored: restored.length, operationId };
+}
+
+/**
+ * Commit outcome for API responses: counts plus the merged and skipped rows
+ */
+function commitSummary(batch) {
+    const result = batch.result || { inserted: batch.record_count, merged: [], skipped: [] };
+    let message = `Successfully imported ${result.inserted} records`;
+    if (result.merged.length > 0) message += `, updated ${result.merged.length} existing`;
+    if (result.skipped.length > 0) message += `, skipped ${result.skipped.length} duplicates`;
+
+    return {
+        message,
+        count: result.inserted,
+        merged: result.merged,
+        skipped: result.skipped
+    };
+}
+
+/**
+ * Batch as sent to clients: the staged rows are replaced by a preview
+ */
+function toBatchSummary(batch) {
+    const plain = typeof batch.toJSON === 'function' ? batch.toJSON() : { ...batch };
+    const rows = plain.rows || [];
+    delete plain.rows;
+    delete plain._id;
+    delete plain.__v;
+    return { ...plain, preview: rows.slice(0, PREVIEW_ROWS) };
+}
+
+module.exports = {
+    parseTransactionCSV,
+    stageImport,
+    commitImport,
+    rollbackImport,
+    commitSummary,
+    toBatchSummary
+};
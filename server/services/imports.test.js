@@ -0,0 +1,121 @@
+/**
+ * Import Service tests: staging, commit and rollback against the
+ * in-memory store
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { stageImport, commitImport, rollbackImport, commitSummary, parseTransactionCSV } = require('./imports');
+
+const req = {
+    method: 'POST',
+    originalUrl: '/api/imports',
+    ip: '127.0.0.1',
+    user: { id: 'u1', email: 'admin@example.com', role: 'admin' }
+};
+
+const CSV_TEXT = [
+    'date,invoice_number,grower_name,product,quantity,amount',
+    '2026-03-02,INV-1,Garms Inc,Corn Seed,10,2900',
+    '2026-03-04,INV-2,Ridge Farms,Soybean Seed,20,1200',
+    '2026-03-05,INV-3,Ridge Farms,Lime,5,400',
+    '2026-03-06,INV-4,Ridge Farms,Corn Seed'
+].join('\n');
+
+test.beforeEach(() => initStore({ persist: false }));
+
+test('parseTransactionCSV reports rows with missing columns by file line', () => {
+    const { rows, errors } = parseTransactionCSV(CSV_TEXT);
+    assert.equal(rows.length, 3);
+    assert.deepEqual(errors.map(e => e.row), [5]);
+    assert.match(errors[0].errors[0], /Missing columns: quantity, amount/);
+});
+
+test('stageImport saves a staged batch without writing transactions', async () => {
+    const batch = await stageImport(req, { text: CSV_TEXT, filename: 'sales.csv' });
+
+    assert.equal(batch.status, 'staged');
+    assert.equal(batch.total_rows, 4);
+    assert.equal(batch.valid_rows, 2);
+    assert.deepEqual(batch.row_errors.map(e => e.row), [4, 5]);
+    assert.equal(batch.diff.new_rows, 2);
+    assert.equal(batch.diff.incoming.amount, 4100);
+    assert.deepEqual(batch.diff.new_growers.sort(), ['Garms Inc', 'Ridge Farms']);
+    assert.equal(await getStore().count(), 0);
+});
+
+test('stageImport previews rows matching existing records as duplicates or merges', async () => {
+    await getStore().insertMany([
+        { date: new Date('2026-03-02'), invoice_number: 'INV-1', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 10, amount: 2900 },
+        { date: new Date('2026-03-04'), invoice_number: 'INV-2', grower_name: 'Ridge Farms', product: 'Soybean Seed', quantity: 15, amount: 900 }
+    ]);
+
+    const batch = await stageImport(req, { text: CSV_TEXT });
+
+    assert.equal(batch.diff.new_rows, 0);
+    assert.deepEqual(batch.diff.duplicates.map(d => d.row), [2]);
+    assert.deepEqual(batch.diff.merged.map(m => m.row), [3]);
+});
+
+test('commitImport inserts the batch rows tagged with its id, links growers and audits them as one operation', async () => {
+    const staged = await stageImport(req, { text: CSV_TEXT, territory: 'east' });
+    const { batch, operationId } = await commitImport(req, staged);
+
+    assert.equal(batch.status, 'committed');
+    assert.equal(batch.record_count, 2);
+    assert.equal(commitSummary(batch).message, 'Successfully imported 2 records');
+
+    const records = await getStore().find({ import_id: String(staged.id) });
+    assert.equal(records.length, 2);
+    assert.ok(records.every(record => record.territory === 'east'));
+    assert.ok(records.every(record => record.grower_id));
+    assert.equal(await getStore('growers').count(), 2);
+    assert.equal(await getStore('audit').count({ operation_id: operationId, action: 'import' }), 2);
+});
+
+test('committing the same file twice adds nothing the second time', async () => {
+    await commitImport(req, await stageImport(req, { text: CSV_TEXT }));
+    const { batch } = await commitImport(req, await stageImport(req, { text: CSV_TEXT }));
+
+    assert.equal(batch.record_count, 0);
+    assert.equal(batch.result.skipped.length, 2);
+    assert.equal(await getStore().count(), 2);
+});
+
+test('rollbackImport trashes only the records the batch inserted', async () => {
+    const [kept] = await getStore().insertMany([
+        { date: new Date('2026-02-01'), invoice_number: 'INV-0', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 8, amount: 2320 }
+    ]);
+    const { batch } = await commitImport(req, await stageImport(req, { text: CSV_TEXT }));
+
+    const { batch: rolledBack, count } = await rollbackImport(req, batch);
+
+    assert.equal(rolledBack.status, 'rolled_back');
+    assert.equal(count, 2);
+    const live = await getStore().find({});
+    assert.deepEqual(live.map(record => String(record.id)), [String(kept.id)]);
+    assert.equal(await getStore().count({ deleted_at: { $ne: null } }), 2);
+});
+
+test('rollbackImport puts records the batch merged into back as they were', async () => {
+    const [merged] = await getStore().insertMany([
+        { date: new Date('2026-03-04'), invoice_number: 'INV-2', grower_name: 'Ridge Farms', product: 'Soybean Seed', quantity: 15, amount: 900 }
+    ]);
+    const { batch } = await commitImport(req, await stageImport(req, { text: CSV_TEXT }));
+    assert.equal((await getStore().findById(String(merged.id))).quantity, 20);
+
+    const { count, restored, operationId } = await rollbackImport(req, batch);
+
+    assert.deepEqual([count, restored], [1, 1]);
+    const record = await getStore().findById(String(merged.id));
+    assert.deepEqual([record.quantity, record.amount], [15, 900]);
+    assert.equal(await getStore('audit').count({ operation_id: operationId, action: 'update' }), 1);
+});
+
+test('rollbackImport leaves records outside the scope alone', async () => {
+    const { batch } = await commitImport(req, await stageImport(req, { text: CSV_TEXT, territory: 'east' }));
+
+    assert.equal((await rollbackImport(req, batch, { territory: 'west' })).count, 0);
+    assert.equal(await getStore().count(), 2);
+});
@@ -0,0 +1,155 @@
+/**
+ * Price Book Service
+ * Field handling, seeding and record pricing for the price book. Prices
+ * are cached in memory and reloaded after every change, so pricing a
+ * record needs no query.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Pricing = require('../../pricing');
+const Dates = require('../../dates');
+const { getStore, yearRange } = require('../storage');
+const { createOperationId, recordAudit } = require('./audit');
+const PriceEntry = require('../models/PriceEntry');
+
+const SEED_FILE = path.join(__dirname, '..', '..', 'data', 'price_book.json');
+
+// Fields a client may set on a price entry
+const PRICE_FIELDS = [
+    'product', 'hybrid', 'trait', 'year', 'unit', 'list_price',
+    'effective_from', 'effective_to', 'tiers', 'notes'
+];
+
+// Price book listing order
+const PRICE_SORT = { product: 1, year: -1, hybrid: 1, trait: 1, effective_from: 1 };
+
+let priceBook = [];
+
+const toNumberOrNull = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Pick the price fields present in a request body. Blank hybrids, traits
+ * and dates become null so a narrowing can be cleared; effective dates
+ * are read as calendar days (see dates.js).
+ */
+function pickPriceFields(body) {
+    const fields = {};
+    PRICE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    ['year', 'list_price'].forEach(field => {
+        if (fields[field] !== undefined) fields[field] = toNumberOrNull(fields[field]);
+    });
+    ['hybrid', 'trait', 'effective_from', 'effective_to'].forEach(field => {
+        if (fields[field] === undefined) return;
+        fields[field] = String(fields[field] || '').trim() || null;
+    });
+    ['effective_from', 'effective_to'].forEach(field => {
+        if (fields[field]) fields[field] = Dates.toDay(fields[field]) || fields[field];
+    });
+    if (fields.tiers !== undefined) {
+        fields.tiers = (Array.isArray(fields.tiers) ? fields.tiers : [])
+            .map(tier => ({ min_quantity: toNumberOrNull(tier.min_quantity), price: toNumberOrNull(tier.price) }))
+            .sort((a, b) => a.min_quantity - b.min_quantity);
+    }
+    return fields;
+}
+
+/**
+ * Validate a complete price entry against the schema.
+ * Returns a list of error messages, or null when valid.
+ */
+function validatePriceEntry(entry) {
+    const error = new PriceEntry(entry).validateSync();
+    const messages = error ? Object.values(error.errors).map(e => e.message) : [];
+    ['effective_from', 'effective_to'].forEach(field => {
+        if (entry[field] && !(error && error.errors[field]) && Dates.toDay(entry[field]) === null) {
+            messages.push(`${field} must be a calendar date (YYYY-MM-DD)`);
+        }
+    });
+    return messages.length > 0 ? messages : null;
+}
+
+/**
+ * Reload the cached price book after a change
+ */
+async function refreshPriceBook() {
+    priceBook = await getStore('prices').find({}, { sort: PRICE_SORT });
+}
+
+/**
+ * The cached price book
+ */
+const getPriceBook = () => priceBook;
+
+/**
+ * Price a transaction from the book when it has no invoice amount or was
+ * priced from the book before (see pricing.js)
+ */
+const priceRecord = (record) => Pricing.priceRecord(record, priceBook);
+
+/**
+ * Re-price book-priced and unpriced transactions after the book changes,
+ * optionally for one year, and audit the changes as one operation
+ */
+async function repriceTransactions(req, { year, scope = {} } = {}) {
+    const query = {
+        ...scope,
+        $or: [{ price_source: Pricing.PRICE_BOOK }, { amount: 0 }]
+    };
+    if (year) query.date = yearRange(year);
+
+    const records = await getStore().find(query);
+    const operationId = createOperationId();
+    const changes = [];
+
+    for (const record of records) {
+        const priced = priceRecord(record);
+        if (priced.amount === record.amount && priced.unit_price === record.unit_price) continue;
+
+        const after = await getStore().updateById(record.id, {
+            amount: priced.amount,
+            unit_price: priced.unit_price,
+            price_source: priced.price_source
+        });
+        changes.push({ before: record, after });
+    }
+
+    await recordAudit(req, { action: 'update', operationId, changes });
+
+    return { checked: records.length, repriced: changes.length, operationId };
+}
+
+/**
+ * Fill an empty price book from data/price_book.json, then load it
+ */
+async function ensurePriceBook() {
+    const prices = getStore('prices');
+
+    if (await prices.count() === 0 && fs.existsSync(SEED_FILE)) {
+        const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf-8'));
+        const entries = (seed.prices || []).map(entry => ({ tiers: [], ...entry }));
+        await prices.insertMany(entries);
+        console.log(`Seeded price book with ${entries.length} prices`);
+    }
+
+    await refreshPriceBook();
+}
+
+module.exports = {
+    PRICE_FIELDS,
+    PRICE_SORT,
+    pickPriceFields,
+    validatePriceEntry,
+    refreshPriceBook,
+    getPriceBook,
+    priceRecord,
+    repriceTransactions,
+    ensurePriceBook
+};
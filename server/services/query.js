@@ -0,0 +1,230 @@
+/**
+ * Transaction Query Service
+ * Turns GET /api/data query parameters into a store query, sort and page.
+ * Everything is expressed as plain Mongo-style conditions on fields the
+ * memory and Mongo stores both support, so results are the same on
+ * either backend.
+ *
+ * Pages use a cursor rather than an offset: the cursor holds the sort
+ * value and id of the last record returned, and the next page starts
+ * after it, so records added while paging are neither skipped nor
+ * repeated.
+ */
+
+const { EDITABLE_FIELDS } = require('./transactions');
+const Dates = require('../../dates');
+
+// Fields results can be sorted on. Only fields every record has, so a
+// cursor never has to compare against a missing value.
+const SORT_FIELDS = ['date', 'amount', 'quantity', 'grower_name', 'product', 'created_at', 'updated_at'];
+
+const DATE_SORT_FIELDS = ['date', 'created_at', 'updated_at'];
+
+// Fields searched by ?q=
+const SEARCH_FIELDS = ['grower_name', 'invoice_number', 'product', 'hybrid', 'trait', 'crop_line', 'account_number'];
+
+// Fields a projection may name
+const PROJECTABLE_FIELDS = [...EDITABLE_FIELDS, 'territory', 'import_id', 'created_at', 'updated_at'];
+
+const DEFAULT_SORT = '-date';
+const MAX_LIMIT = 5000;
+
+/**
+ * Error for a query parameter the caller got wrong (reported as a 400)
+ */
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated values as a list
+const listOf = (value) => [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Condition matching any of a comma-separated list of values, ignoring case
+ */
+function anyOf(value) {
+    const values = listOf(value);
+    if (values.length === 0) return undefined;
+    const patterns = values.map(v => `^${escapeRegex(v)}$`);
+    return { $regex: patterns.length === 1 ? patterns[0] : `(${patterns.join('|')})`, $options: 'i' };
+}
+
+// Transaction dates are calendar days (see dates.js)
+function parseDate(value, name) {
+    const day = Dates.toDay(value);
+    if (day === null) throw new QueryError(`${name} must be a date`);
+    return day;
+}
+
+function parseNumber(value, name) {
+    const number = parseFloat(value);
+    if (isNaN(number)) throw new QueryError(`${name} must be a number`);
+    return number;
+}
+
+/**
+ * Store conditions for the filter parameters:
+ *   from, to          days, both included (timestamps count as their
+ *                     day in the agency time zone)
+ *   grower            grower name(s), comma-separated, ignoring case
+ *   grower_id         grower id(s), comma-separated
+ *   product, hybrid, trait, crop_line   comma-separated, ignoring case
+ *   min_amount, max_amount              amount range
+ *   q                 text anywhere in the name, invoice, product, hybrid,
+ *                     trait, crop line or account number
+ */
+function buildFilters(params) {
+    const conditions = [];
+
+    if (params.from || params.to) {
+        const from = params.from ? parseDate(params.from, 'from') : null;
+        const to = params.to ? parseDate(params.to, 'to') : null;
+        conditions.push({ date: Dates.dayRange(from, to) });
+    }
+
+    if (params.grower) conditions.push({ grower_name: anyOf(params.grower) });
+    if (params.grower_id) conditions.push({ grower_id: { $in: listOf(params.grower_id) } });
+
+    ['product', 'hybrid', 'trait', 'crop_line'].forEach(field => {
+        const condition = params[field] ? anyOf(params[field]) : undefined;
+        if (condition) conditions.push({ [field]: condition });
+    });
+
+    if (params.min_amount !== undefined || params.max_amount !== undefined) {
+        const amount = {};
+        if (params.min_amount !== undefined) amount.$gte = parseNumber(params.min_amount, 'min_amount');
+        if (params.max_amount !== undefined) amount.$lte = parseNumber(params.max_amount, 'max_amount');
+        conditions.push({ amount });
+    }
+
+    if (params.q && String(params.q).trim()) {
+        const pattern = { $regex: escapeRegex(String(params.q).trim()), $options: 'i' };
+        conditions.push({ $or: SEARCH_FIELDS.map(field => ({ [field]: pattern })) });
+    }
+
+    return conditions.filter(condition => Object.values(condition).every(value => value !== undefined));
+}
+
+/**
+ * Parse ?sort= ("date", "-amount", ...) into a field and direction
+ */
+function parseSort(value = DEFAULT_SORT) {
+    const descending = String(value).startsWith('-');
+    const field = String(value).replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(field)) {
+        throw new QueryError(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix - for descending)`);
+    }
+    return { field, direction: descending ? -1 : 1 };
+}
+
+const encodeCursor = (sort, record) => Buffer.from(JSON.stringify({
+    s: `${sort.direction < 0 ? '-' : ''}${sort.field}`,
+    v: record[sort.field] instanceof Date ? record[sort.field].toISOString() : record[sort.field],
+    id: String(record.id)
+})).toString('base64url');
+
+/**
+ * The sort value and id a cursor continues after. A cursor only works
+ * with the sort it was issued for.
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    } catch (error) {
+        throw new QueryError('cursor is not valid');
+    }
+    if (!decoded || !decoded.id || decoded.s !== `${sort.direction < 0 ? '-' : ''}${sort.field}`) {
+        throw new QueryError('cursor is not valid for this sort');
+    }
+    const value = DATE_SORT_FIELDS.includes(sort.field) ? new Date(decoded.v) : decoded.v;
+    return { value, id: decoded.id };
+}
+
+/**
+ * Condition for the records after a cursor in sort order (ties broken by id)
+ */
+function afterCursor(sort, { value, id }) {
+    const op = sort.direction < 0 ? '$lt' : '$gt';
+    return {
+        $or: [
+            { [sort.field]: { [op]: value } },
+            { [sort.field]: value, id: { [op]: id } }
+        ]
+    };
+}
+
+/**
+ * Parse ?fields= into the list of fields to return, or null for all
+ */
+function parseFields(value) {
+    if (!value) return null;
+    const fields = listOf(value);
+    const unknown = fields.filter(field => !PROJECTABLE_FIELDS.includes(field) && field !== 'id');
+    if (unknown.length > 0) {
+        throw new QueryError(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return fields.filter(field => field !== 'id');
+}
+
+/**
+ * Run a transaction query for request parameters within a scope (see
+ * middleware/territory.js). Without ?limit= every matching record is
+ * returned, as before paging existed.
+ * Returns { data, total, limit, next_cursor }.
+ */
+async function queryTransactions(store, params, scope = {}) {
+    const sort = parseSort(params.sort || DEFAULT_SORT);
+    const select = parseFields(params.fields);
+    const limit = params.limit !== undefined ? Math.floor(parseNumber(params.limit, 'limit')) : null;
+    if (limit !== null && (limit < 1 || limit > MAX_LIMIT)) {
+        throw new QueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const filters = buildFilters(params);
+    const baseQuery = filters.length > 0 ? { ...scope, $and: filters } : { ...scope };
+    const query = params.cursor
+        ? { ...scope, $and: [...filters, afterCursor(sort, decodeCursor(params.cursor, sort))] }
+        : baseQuery;
+
+    // The sort field is fetched for the cursor even when not projected
+    const fetchFields = select && !select.includes(sort.field) ? [...select, sort.field] : select;
+    const records = await store.find(query, {
+        sort: { [sort.field]: sort.direction, id: sort.direction },
+        limit: limit ? limit + 1 : undefined,
+        select: fetchFields || undefined
+    });
+
+    const hasMore = limit !== null && records.length > limit;
+    const data = hasMore ? records.slice(0, limit) : records;
+    const last = data[data.length - 1];
+    const nextCursor = hasMore ? encodeCursor(sort, last) : null;
+
+    return {
+        data: fetchFields !== select ? data.map(record => withoutField(record, sort.field)) : data,
+        total: await store.count(baseQuery),
+        limit,
+        next_cursor: nextCursor
+    };
+}
+
+// Plain copy of a record without one field
+function withoutField(record, field) {
+    const plain = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+    delete plain[field];
+    return plain;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    SEARCH_FIELDS,
+    MAX_LIMIT,
+    QueryError,
+    buildFilters,
+    queryTransactions
+};
@@ -0,0 +1,105 @@
+/**
+ * Transaction Query Service tests: filters, sorting, field selection and
+ * cursor paging against the in-memory store
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { QueryError, queryTransactions } = require('./query');
+
+const SALES = [
+    { date: '2026-01-05', invoice_number: 'INV-1', grower_name: 'Garms Inc', product: 'Corn Seed', hybrid: 'P1185', quantity: 10, amount: 2900 },
+    { date: '2026-01-05', invoice_number: 'INV-2', grower_name: 'Ridge Farms', product: 'Soybean Seed', quantity: 20, amount: 1200 },
+    { date: '2026-02-10', invoice_number: 'INV-3', grower_name: 'Garms Inc', product: 'Herbicide', quantity: 4, amount: 160 },
+    { date: '2026-03-15', invoice_number: 'INV-4', grower_name: 'Lone Oak', product: 'Corn Seed', hybrid: 'P1197', quantity: 30, amount: 8700, territory: 'north' },
+    { date: '2026-03-31', invoice_number: 'INV-5', grower_name: 'Ridge Farms', product: 'Corn Seed', hybrid: 'P1185', quantity: 5, amount: 1450 }
+];
+
+const query = (params, scope) => queryTransactions(getStore(), params, scope);
+const invoices = ({ data }) => data.map(record => record.invoice_number);
+
+test.beforeEach(async () => {
+    await initStore({ persist: false });
+    await getStore().insertMany(SALES.map(sale => ({ ...sale, date: new Date(sale.date) })));
+});
+
+test('queryTransactions returns every record newest first by default', async () => {
+    const result = await query({});
+    // INV-1 and INV-2 share a day, so their order is up to their ids
+    assert.deepEqual(invoices(result).slice(0, 3), ['INV-5', 'INV-4', 'INV-3']);
+    assert.deepEqual(invoices(result).slice(3).sort(), ['INV-1', 'INV-2']);
+    assert.equal(result.total, 5);
+    assert.equal(result.next_cursor, null);
+});
+
+test('date filters include both end days', async () => {
+    assert.deepEqual(invoices(await query({ from: '2026-01-05', to: '2026-03-15', sort: 'date' })).sort(), ['INV-1', 'INV-2', 'INV-3', 'INV-4']);
+    assert.deepEqual(invoices(await query({ from: '2026-03-31' })), ['INV-5']);
+});
+
+test('list filters match any value ignoring case', async () => {
+    assert.deepEqual(invoices(await query({ grower: 'garms inc,LONE OAK', sort: 'amount' })), ['INV-3', 'INV-1', 'INV-4']);
+    assert.deepEqual(invoices(await query({ product: 'corn seed', hybrid: 'p1185', sort: 'amount' })), ['INV-5', 'INV-1']);
+});
+
+test('amount ranges and text search narrow the results', async () => {
+    assert.deepEqual(invoices(await query({ min_amount: '1200', max_amount: '2900', sort: 'amount' })), ['INV-2', 'INV-5', 'INV-1']);
+    assert.deepEqual(invoices(await query({ q: 'p119' })), ['INV-4']);
+    assert.deepEqual(invoices(await query({ q: 'ridge', sort: 'date' })), ['INV-2', 'INV-5']);
+});
+
+test('the scope limits results and totals', async () => {
+    const result = await query({}, { territory: 'north' });
+    assert.deepEqual(invoices(result), ['INV-4']);
+    assert.equal(result.total, 1);
+});
+
+test('cursor paging visits every record once in sort order', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const page = await query({ sort: 'date', limit: '2', cursor });
+        assert.equal(page.total, 5);
+        assert.ok(page.data.length <= 2);
+        seen.push(...invoices(page));
+        cursor = page.next_cursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, invoices(await query({ sort: 'date' })));
+    assert.equal(new Set(seen).size, 5);
+});
+
+test('cursor paging neither skips nor repeats records added between pages', async () => {
+    const all = invoices(await query({ sort: '-date' }));
+    const first = await query({ sort: '-date', limit: '2' });
+    await getStore().insertMany([
+        { date: new Date('2026-04-01'), invoice_number: 'INV-6', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 1, amount: 290 }
+    ]);
+    const rest = await query({ sort: '-date', limit: '10', cursor: first.next_cursor });
+
+    assert.deepEqual(invoices(first), ['INV-5', 'INV-4']);
+    assert.deepEqual(invoices(rest), all.slice(2));
+});
+
+test('fields limits the returned fields without breaking the cursor', async () => {
+    const page = await query({ sort: 'amount', limit: '2', fields: 'invoice_number,id' });
+
+    assert.deepEqual(page.data.map(record => Object.keys(record).sort()), [['id', 'invoice_number'], ['id', 'invoice_number']]);
+    const next = await query({ sort: 'amount', limit: '2', fields: 'invoice_number', cursor: page.next_cursor });
+    assert.deepEqual(invoices(next), ['INV-5', 'INV-1']);
+});
+
+test('bad parameters raise a QueryError', async () => {
+    const rejects = (params, message) => assert.rejects(query(params), error => error instanceof QueryError && message.test(error.message));
+
+    await rejects({ sort: 'hybrid' }, /sort must be one of/);
+    await rejects({ limit: '0' }, /limit must be between/);
+    await rejects({ from: 'soon' }, /from must be a date/);
+    await rejects({ min_amount: 'lots' }, /min_amount must be a number/);
+    await rejects({ fields: 'password' }, /Unknown fields: password/);
+    await rejects({ cursor: 'nonsense' }, /cursor is not valid/);
+
+    const { next_cursor: cursor } = await query({ sort: 'date', limit: '1' });
+    await rejects({ sort: '-amount', cursor }, /not valid for this sort/);
+});
@@ -0,0 +1,486 @@
+/**
+ * Rollup Service
+ * Precomputed sales totals that the analytics endpoints read instead of
+ * raw transactions. Four rollups are kept (see models/Rollup.js):
+ * grower x year, product x month, seed sales by hybrid, trait and crop
+ * line x year, and grower x product x hybrid x year for forecasts, each
+ * per territory.
+ *
+ * Years are seasons (see seasons.js); months are calendar months.
+ *
+ * Rollups are updated incrementally: every write to the transactions
+ * store reports the records it changed (storage/changes.js), and the
+ * cells those records fall in are adjusted by the difference. Deleted
+ * records count as removed. Every change bumps the rollup version, which
+ * analytics responses use as their ETag.
+ */
+
+const { getStore, onChange, yearRange } = require('../storage');
+const Growers = require('../../growers');
+const Seasons = require('../../seasons');
+const Dates = require('../../dates');
+
+// Bump when the cell layout changes; rollups are rebuilt at startup when
+// the stored layout or the season start differs
+const SCHEMA_VERSION = 2;
+
+const META_KEY = 'meta';
+const TOTAL_FIELDS = ['revenue', 'quantity', 'bags', 'seed_units', 'orders'];
+const COUNT_FIELDS = ['products', 'growers', 'delivery'];
+const REBUILD_PAGE = 5000;
+
+let ready = false;
+let queue = Promise.resolve();
+
+/**
+ * Run rollup work one task at a time, so concurrent writes never read
+ * and rewrite the same cell at once
+ */
+function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+}
+
+// Sums are rounded so repeated adding and subtracting does not drift
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * The rollup cells a live transaction adds to, with its contribution
+ */
+function cellsFor(record) {
+    if (!record || record.deleted_at || !record.date) return [];
+    const date = Dates.toDay(record.date);
+    if (date === null) return [];
+
+    const territory = record.territory || null;
+    const year = Seasons.seasonOf(date);
+    const month = date.getUTCMonth() + 1;
+    const growerKey = Growers.growerKey(record);
+    const totals = {
+        revenue: record.amount || 0,
+        quantity: record.quantity || 0,
+        bags: record.bags || 0,
+        seed_units: record.seed_units || 0,
+        orders: 1
+    };
+    const place = territory || '';
+    const hybrid = record.hybrid || null;
+    const cropLine = record.crop_line || null;
+
+    const cells = [
+        {
+            kind: 'grower_year',
+            key: `grower_year|${place}|${growerKey}|${year}`,
+            identity: { territory, year, grower_key: growerKey, grower_id: record.grower_id ? String(record.grower_id) : null, grower_name: record.grower_name },
+            totals,
+            counts: { products: { [record.product]: 1 } },
+            date
+        },
+        {
+            kind: 'product_month',
+            key: `product_month|${place}|${record.product}|${year}|${month}`,
+            identity: { territory, year, month, product: record.product },
+            totals
+        },
+        {
+            kind: 'grower_product_year',
+            key: `grower_product_year|${place}|${growerKey}|${record.product}|${hybrid || ''}|${cropLine || ''}|${year}`,
+            identity: {
+                territory, year, grower_key: growerKey, grower_id: record.grower_id ? String(record.grower_id) : null,
+                grower_name: record.grower_name, product: record.product, hybrid, crop_line: cropLine
+            },
+            totals
+        }
+    ];
+
+    if (record.hybrid || record.trait) {
+        const trait = record.trait || null;
+        cells.push({
+            kind: 'seed_year',
+            key: `seed_year|${place}|${hybrid || ''}|${trait || ''}|${cropLine || ''}|${year}`,
+            identity: { territory, year, hybrid, trait, crop_line: cropLine },
+            totals,
+            counts: {
+                growers: { [growerKey]: 1 },
+                delivery: { [record.delivery_status || 'unknown']: record.bags || record.quantity || 0 }
+            }
+        });
+    }
+
+    return cells;
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) a record's contribution to the pending
+ * cell changes
+ */
+function accumulate(deltas, record, sign) {
+    cellsFor(record).forEach(cell => {
+        let delta = deltas.get(cell.key);
+        if (!delta) {
+            delta = { kind: cell.kind, key: cell.key, identity: cell.identity, totals: {}, counts: {}, added: [], removed: [] };
+            TOTAL_FIELDS.forEach(field => { delta.totals[field] = 0; });
+            deltas.set(cell.key, delta);
+        }
+        // The record as it is now names the cell (e.g. a renamed grower)
+        if (sign > 0) delta.identity = cell.identity;
+
+        TOTAL_FIELDS.forEach(field => { delta.totals[field] += sign * cell.totals[field]; });
+        Object.entries(cell.counts || {}).forEach(([field, counts]) => {
+            delta.counts[field] = delta.counts[field] || {};
+            Object.entries(counts).forEach(([name, value]) => {
+                delta.counts[field][name] = (delta.counts[field][name] || 0) + sign * value;
+            });
+        });
+        if (cell.date) (sign > 0 ? delta.added : delta.removed).push(cell.date.getTime());
+    });
+}
+
+/**
+ * Add count changes to a cell's counts, dropping names that reach zero
+ */
+function applyCounts(current = {}, changes = {}) {
+    const counts = { ...current };
+    Object.entries(changes).forEach(([name, value]) => {
+        const next = round((counts[name] || 0) + value);
+        if (next > 0) counts[name] = next;
+        else delete counts[name];
+    });
+    return counts;
+}
+
+/**
+ * First and last purchase dates of a grower_year cell, read from the
+ * transactions when a boundary record was removed
+ */
+async function purchaseRange(cell) {
+    const query = {
+        territory: cell.territory || null,
+        date: yearRange(cell.year)
+    };
+    if (cell.grower_id) query.grower_id = cell.grower_id;
+    else query.grower_id = null;
+
+    const dates = (await getStore().find(query))
+        .filter(record => Growers.growerKey(record) === cell.grower_key)
+        .map(record => new Date(record.date).getTime());
+    return dates.length > 0
+        ? { first_purchase: new Date(Math.min(...dates)), last_purchase: new Date(Math.max(...dates)) }
+        : { first_purchase: null, last_purchase: null };
+}
+
+/**
+ * Write pending cell changes. Returns whether any cell changed.
+ */
+async function applyDeltas(deltas) {
+    const rollups = getStore('rollups');
+    let changed = false;
+
+    for (const delta of deltas.values()) {
+        const existing = await rollups.findOne({ key: delta.key });
+        const isNoop = TOTAL_FIELDS.every(field => delta.totals[field] === 0) &&
+            Object.values(delta.counts).every(counts => Object.values(counts).every(value => value === 0)) &&
+            delta.added.length === delta.removed.length &&
+            delta.added.every(time => delta.removed.includes(time)) &&
+            existing && Object.entries(delta.identity).every(([field, value]) => (existing[field] ?? null) === (value ?? null));
+        if (isNoop) continue;
+        changed = true;
+
+        const cell = { kind: delta.kind, key: delta.key, ...delta.identity };
+        TOTAL_FIELDS.forEach(field => {
+            cell[field] = round(((existing && existing[field]) || 0) + delta.totals[field]);
+        });
+        COUNT_FIELDS.forEach(field => {
+            if (delta.counts[field]) cell[field] = applyCounts(existing && existing[field], delta.counts[field]);
+        });
+
+        if (cell.orders <= 0) {
+            if (existing) await rollups.deleteById(String(existing.id));
+            continue;
+        }
+
+        if (delta.kind === 'grower_year') {
+            const first = existing && existing.first_purchase ? new Date(existing.first_purchase).getTime() : null;
+            const last = existing && existing.last_purchase ? new Date(existing.last_purchase).getTime() : null;
+            if (delta.removed.some(time => time === first || time === last)) {
+                Object.assign(cell, await purchaseRange(cell));
+            } else {
+                const times = [...delta.added, first, last].filter(time => time !== null);
+                cell.first_purchase = new Date(Math.min(...times));
+                cell.last_purchase = new Date(Math.max(...times));
+            }
+        }
+
+        if (existing) await rollups.updateById(String(existing.id), cell);
+        else await rollups.create(cell);
+    }
+
+    return changed;
+}
+
+/**
+ * The meta document holding the rollup version
+ */
+async function getMeta() {
+    return getStore('rollups').findOne({ key: META_KEY });
+}
+
+/**
+ * Current rollup version (0 before the first build)
+ */
+async function getRollupVersion() {
+    const meta = await getMeta();
+    return meta ? meta.version : 0;
+}
+
+async function bumpVersion(fields = {}) {
+    const rollups = getStore('rollups');
+    const meta = await getMeta();
+    if (meta) {
+        return rollups.updateById(String(meta.id), { ...fields, version: (meta.version || 0) + 1 });
+    }
+    return rollups.create({ kind: 'meta', key: META_KEY, version: 1, ...fields });
+}
+
+/**
+ * Update the rollups for records changed by one write
+ */
+async function handleChange(before, after) {
+    if (!ready) return;
+    await serialize(async () => {
+        const deltas = new Map();
+        before.forEach(record => accumulate(deltas, record, -1));
+        after.forEach(record => accumulate(deltas, record, 1));
+        if (deltas.size > 0 && await applyDeltas(deltas)) {
+            await bumpVersion();
+        }
+    });
+}
+
+/**
+ * Recompute every rollup from the live transactions, a page at a time
+ */
+async function rebuildRollups() {
+    return serialize(async () => {
+        const rollups = getStore('rollups');
+        const store = getStore();
+        await rollups.deleteMany({ kind: { $ne: 'meta' } });
+
+        const deltas = new Map();
+        let lastId = null;
+        for (;;) {
+            const page = await store.find(lastId ? { id: { $gt: lastId } } : {}, { sort: { id: 1 }, limit: REBUILD_PAGE });
+            page.forEach(record => accumulate(deltas, record, 1));
+            if (page.length < REBUILD_PAGE) break;
+            lastId = String(page[page.length - 1].id);
+        }
+
+        const cells = [...deltas.values()].map(delta => {
+            const cell = { kind: delta.kind, key: delta.key, ...delta.identity };
+            TOTAL_FIELDS.forEach(field => { cell[field] = round(delta.totals[field]); });
+            COUNT_FIELDS.forEach(field => {
+                if (delta.counts[field]) cell[field] = applyCounts({}, delta.counts[field]);
+            });
+            if (delta.kind === 'grower_year') {
+                cell.first_purchase = new Date(Math.min(...delta.added));
+                cell.last_purchase = new Date(Math.max(...delta.added));
+            }
+            return cell;
+        });
+        if (cells.length > 0) await rollups.insertMany(cells);
+
+        const meta = await bumpVersion({ schema_version: SCHEMA_VERSION, season: Seasons.boundaryKey() });
+        return { cells: cells.length, version: meta.version };
+    });
+}
+
+/**
+ * Build the rollups at startup if they are missing, from an older layout
+ * or for other season boundaries, then keep them up to date with every
+ * transaction write
+ */
+async function ensureRollups() {
+    onChange('transactions', handleChange);
+
+    const meta = await getMeta();
+    if (!meta || meta.schema_version !== SCHEMA_VERSION || meta.season !== Seasons.boundaryKey()) {
+        const { cells } = await rebuildRollups();
+        console.log(`Built ${cells} rollup cells`);
+    }
+    ready = true;
+}
+
+// Reading
+
+const scopeOf = (scope = {}) => (scope.territory ? { territory: scope.territory } : {});
+
+/**
+ * Rollup cells of a kind within a scope, optionally for one year
+ */
+function findCells(kind, scope, year = null, extra = {}) {
+    const query = { kind, ...scopeOf(scope), ...extra };
+    if (year) query.year = year;
+    return getStore('rollups').find(query);
+}
+
+const sumOf = (cells, field) => round(cells.reduce((total, cell) => total + (cell[field] || 0), 0));
+
+/**
+ * Group cells by a key, summing their totals
+ */
+function groupCells(cells, keyOf, start = () => ({})) {
+    const groups = new Map();
+    cells.forEach(cell => {
+        const key = keyOf(cell);
+        if (!groups.has(key)) {
+            groups.set(key, { ...start(cell), revenue: 0, quantity: 0, bags: 0, seed_units: 0, orders: 0, cells: [] });
+        }
+        const group = groups.get(key);
+        TOTAL_FIELDS.forEach(field => { group[field] = round(group[field] + (cell[field] || 0)); });
+        group.cells.push(cell);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Totals for a year (all years when year is null), in the shape of the
+ * store's getSummaryByYear
+ */
+async function rollupSummary(scope, year = null) {
+    const products = await findCells('product_month', scope, year);
+    const growers = await findCells('grower_year', scope, year);
+    return {
+        totalRevenue: sumOf(products, 'revenue'),
+        totalQuantity: sumOf(products, 'quantity'),
+        totalBags: sumOf(products, 'bags'),
+        totalSeedUnits: sumOf(products, 'seed_units'),
+        totalOrders: sumOf(products, 'orders'),
+        uniqueGrowers: new Set(growers.map(cell => cell.grower_key)).size
+    };
+}
+
+/**
+ * Revenue, quantity and orders by month, in the shape of getMonthlyTrends
+ */
+async function rollupMonthlyTrends(scope, year) {
+    const cells = await findCells('product_month', scope, year);
+    return groupCells(cells, cell => cell.month, cell => ({ month: cell.month }))
+        .map(group => ({ month: group.month, totalRevenue: group.revenue, totalQuantity: group.quantity, orderCount: group.orders }))
+        .sort((a, b) => Seasons.monthIndex(a.month) - Seasons.monthIndex(b.month));
+}
+
+/**
+ * Totals by product, in the shape of getProductBreakdown
+ */
+async function rollupProductBreakdown(scope, year = null) {
+    const cells = await findCells('product_month', scope, year);
+    return groupCells(cells, cell => cell.product, cell => ({ product: cell.product }))
+        .map(group => ({
+            product: group.product,
+            totalRevenue: group.revenue,
+            totalQuantity: group.quantity,
+            totalBags: group.bags,
+            totalSeedUnits: group.seed_units,
+            orderCount: group.orders,
+            avgOrderValue: group.revenue / group.orders
+        }))
+        .sort((a, b) => b.totalRevenue - a.totalRevenue);
+}
+
+/**
+ * Totals by grower, in the shape of getGrowerSummary
+ */
+async function rollupGrowerSummary(scope, year = null) {
+    const cells = await findCells('grower_year', scope, year);
+    return groupCells(cells, cell => cell.grower_key)
+        .map(group => {
+            const latest = group.cells.reduce((a, b) => (b.year > a.year ? b : a));
+            const products = Object.keys(group.cells.reduce((all, cell) => applyCounts(all, cell.products), {}));
+            const firsts = group.cells.map(cell => new Date(cell.first_purchase).getTime());
+            const lasts = group.cells.map(cell => new Date(cell.last_purchase).getTime());
+            return {
+                grower_id: latest.grower_id || null,
+                grower_name: latest.grower_name,
+                totalRevenue: group.revenue,
+                orderCount: group.orders,
+                products,
+                productCount: products.length,
+                firstPurchase: new Date(Math.min(...firsts)),
+                lastPurchase: new Date(Math.max(...lasts))
+            };
+        })
+        .sort((a, b) => b.totalRevenue - a.totalRevenue || String(a.grower_name).localeCompare(String(b.grower_name)));
+}
+
+/**
+ * Seed sales grouped by hybrid or trait, in the shape of getSeedSales.
+ * Narrow with cropLine.
+ */
+async function rollupSeedSales(scope, { year = null, cropLine } = {}, field = 'hybrid') {
+    const cells = (await findCells('seed_year', scope, year, cropLine ? { crop_line: cropLine } : {}))
+        .filter(cell => cell[field]);
+    const distinct = (group, name) => [...new Set(group.cells.map(cell => cell[name]).filter(Boolean))];
+
+    return groupCells(cells, cell => cell[field], cell => ({ key: cell[field] }))
+        .map(group => ({
+            key: group.key,
+            revenue: group.revenue,
+            quantity: group.quantity,
+            bags: group.bags,
+            seedUnits: group.seed_units,
+            orders: group.orders,
+            delivery: group.cells.reduce((all, cell) => applyCounts(all, cell.delivery), {}),
+            cropLines: distinct(group, 'crop_line'),
+            traits: distinct(group, 'trait'),
+            hybrids: distinct(group, 'hybrid'),
+            growers: Object.keys(group.cells.reduce((all, cell) => applyCounts(all, cell.growers), {})).length
+        }))
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+/**
+ * Each grower's sales by product, hybrid and season, the finest rollup,
+ * for forecasts at any level (see ../../forecast.js). filters narrow the
+ * cells by product, hybrid, crop_line or grower_id, each a list.
+ */
+async function rollupGrowerProducts(scope, filters = {}) {
+    const extra = {};
+    Object.entries(filters).forEach(([field, values]) => {
+        if (values && values.length > 0) extra[field] = { $in: values };
+    });
+    return findCells('grower_product_year', scope, null, extra);
+}
+
+/**
+ * Seasons with sales within a scope, oldest first
+ */
+async function rollupSeasons(scope) {
+    const years = await getStore('rollups').distinct('year', { kind: 'grower_year', ...scopeOf(scope) });
+    return years.filter(year => year !== null && year !== undefined).sort((a, b) => a - b);
+}
+
+/**
+ * The years each grower bought in, among the given years, in the shape
+ * of getGrowerYears
+ */
+async function rollupGrowerYears(years, scope) {
+    const cells = await findCells('grower_year', scope, null, { year: { $in: years } });
+    return groupCells(cells, cell => cell.grower_key, cell => ({ grower: cell.grower_key }))
+        .map(group => ({ grower: group.grower, years: [...new Set(group.cells.map(cell => cell.year))] }));
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    getRollupVersion,
+    rebuildRollups,
+    ensureRollups,
+    rollupSummary,
+    rollupMonthlyTrends,
+    rollupProductBreakdown,
+    rollupGrowerSummary,
+    rollupSeedSales,
+    rollupGrowerProducts,
+    rollupSeasons,
+    rollupGrowerYears
+};
@@ -0,0 +1,93 @@
+/**
+ * Rollup Service tests: cells kept up to date write by write match a
+ * rebuild from the transactions, and the readers match the store's own
+ * aggregations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const {
+    ensureRollups, rebuildRollups, getRollupVersion,
+    rollupSummary, rollupProductBreakdown, rollupGrowerSummary, rollupSeedSales
+} = require('./rollups');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+const SALES = [
+    { date: '2025-03-02', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', hybrid: 'P1185', quantity: 10, bags: 10, amount: 2900 },
+    { date: '2025-04-10', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', hybrid: 'P1197', trait: 'AML', quantity: 4, bags: 4, amount: 1240 },
+    { date: '2025-05-20', grower_name: 'Ridge Farms', territory: 'west', product: 'Soybean Seed', quantity: 20, seed_units: 20, amount: 1100 },
+    { date: '2026-02-14', grower_name: 'Lone Oak', territory: 'east', product: 'Corn Seed', hybrid: 'P1185', quantity: 6, bags: 6, amount: 1740, delivery_status: 'delivered' },
+    { date: '2026-03-01', grower_name: 'Ridge Farms', territory: 'west', product: 'Fertilizer', quantity: 2, amount: 300 }
+];
+
+// Rollup cells without ids or timestamps, in key order
+const cells = async () => (await getStore('rollups').find({ kind: { $ne: 'meta' } }))
+    .map(({ id, created_at, updated_at, ...cell }) => JSON.parse(JSON.stringify(cell)))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+// Listen for writes once; built first so ensureRollups has nothing to rebuild
+test.before(async () => {
+    await initStore({ persist: false });
+    await rebuildRollups();
+    await ensureRollups();
+});
+
+test.beforeEach(async () => {
+    await initStore({ persist: false });
+    await rebuildRollups();
+});
+
+test('incremental updates leave the same cells as a rebuild', async () => {
+    const store = getStore();
+    const saved = await store.insertMany(SALES);
+    await store.create({ date: '2026-03-05', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', hybrid: 'P1185', quantity: 3, bags: 3, amount: 870 });
+    await store.updateById(saved[0].id, { date: '2025-06-01', amount: 3000 });
+    await store.updateMany({ grower_name: 'Ridge Farms' }, { grower_name: 'Ridge Farms LLC' });
+    await store.softDeleteById(saved[1].id, { deletion_id: 'del-1' });
+    await store.softDeleteById(saved[3].id, { deletion_id: 'del-2' });
+    await store.restoreById(saved[3].id);
+    await store.deleteById(saved[4].id);
+
+    const incremental = await cells();
+    await rebuildRollups();
+    assert.deepEqual(incremental, await cells());
+});
+
+test('removing a grower\'s first purchase moves the first purchase date', async () => {
+    const [first] = await getStore().insertMany(SALES);
+    await getStore().softDeleteById(first.id, { deletion_id: 'del-1' });
+
+    const [garms] = (await rollupGrowerSummary({}, 2025)).filter(row => row.grower_name === 'Garms Inc');
+    assert.deepEqual(garms.firstPurchase, day('2025-04-10'));
+    assert.equal(garms.totalRevenue, 1240);
+});
+
+test('the readers match the store\'s aggregations', async () => {
+    const store = getStore();
+    await store.insertMany(SALES);
+
+    for (const [scope, year] of [[{}, null], [{}, 2025], [{ territory: 'east' }, null]]) {
+        assert.deepEqual(await rollupSummary(scope, year), await store.getSummaryByYear(year, scope));
+        assert.deepEqual(
+            (await rollupProductBreakdown(scope, year)).map(row => [row.product, row.totalRevenue, row.orderCount]),
+            (await store.getProductBreakdown(year, scope)).map(row => [row.product, row.totalRevenue, row.orderCount])
+        );
+    }
+
+    const hybrids = await rollupSeedSales({}, { year: 2026 });
+    assert.deepEqual(hybrids.map(row => [row.key, row.bags, row.growers]), [['P1185', 6, 1]]);
+    assert.deepEqual(hybrids[0].delivery, { delivered: 6 });
+});
+
+test('every write that changes a total bumps the version', async () => {
+    const store = getStore();
+    const before = await getRollupVersion();
+    const sale = await store.create(SALES[0]);
+    const afterCreate = await getRollupVersion();
+    await store.updateById(sale.id, { notes: 'called ahead' });
+
+    assert.equal(afterCreate, before + 1);
+    assert.equal(await getRollupVersion(), afterCreate);
+});
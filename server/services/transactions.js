@@ -0,0 +1,78 @@
+/**
+ * Transaction Service
+ * Validation and field handling for grower transactions, shared by the
+ * MongoDB and local stores. Validation runs the GrowerTransaction schema
+ * validators directly, so it needs no database connection.
+ */
+
+const GrowerTransaction = require('../models/GrowerTransaction');
+const Dates = require('../../dates');
+
+// Fields a client may set on a transaction
+const EDITABLE_FIELDS = [
+    'date', 'invoice_number', 'grower_name', 'grower_id', 'account_number',
+    'product', 'quantity', 'amount',
+    'hybrid', 'trait', 'crop_line', 'bags', 'seed_units', 'delivery_status',
+    'unit_price', 'price_source', 'territory'
+];
+
+// Optional numbers; blank values are left unset
+const OPTIONAL_NUMBER_FIELDS = ['bags', 'seed_units', 'unit_price'];
+
+/**
+ * Validate a complete transaction against the schema.
+ * Returns a list of error messages, or null when valid.
+ */
+function validateTransaction(record) {
+    const doc = new GrowerTransaction(record);
+    const error = doc.validateSync();
+    const messages = error ? Object.values(error.errors).map(e => e.message) : [];
+    // The schema would cast a date such as 2025-02-30 into March
+    if (record.date && !(error && error.errors.date) && Dates.toDay(record.date) === null) {
+        messages.push('Date must be a calendar date (YYYY-MM-DD)');
+    }
+    return messages.length > 0 ? messages : null;
+}
+
+/**
+ * Pick the editable fields present in a request body, casting numbers and
+ * reading the date as a calendar day (see dates.js). An unreadable date is
+ * kept as given for validateTransaction to reject.
+ */
+function pickEditableFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    if (fields.date !== undefined) fields.date = Dates.toDay(fields.date) || fields.date;
+    if (fields.quantity !== undefined) fields.quantity = parseFloat(fields.quantity) || 0;
+    if (fields.amount !== undefined) fields.amount = parseFloat(fields.amount) || 0;
+    OPTIONAL_NUMBER_FIELDS.forEach(field => {
+        if (fields[field] === undefined) return;
+        const value = parseFloat(fields[field]);
+        fields[field] = isNaN(value) ? null : value;
+    });
+    if (fields.delivery_status !== undefined) {
+        fields.delivery_status = String(fields.delivery_status || '').trim().toLowerCase() || null;
+    }
+    if (fields.price_source !== undefined) {
+        fields.price_source = fields.price_source || null;
+    }
+    return fields;
+}
+
+/**
+ * Whether a record falls inside a territory scope from getScope()
+ */
+function inScope(record, scope) {
+    return Object.entries(scope).every(([field, value]) => record[field] === value);
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    validateTransaction,
+    pickEditableFields,
+    inScope
+};
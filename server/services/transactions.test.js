@@ -0,0 +1,36 @@
+/**
+ * Transaction Service tests: schema validation and the editable fields a
+ * client may set
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTransaction, pickEditableFields } = require('./transactions');
+
+const SALE = { date: '2026-03-02', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 10, amount: 2900 };
+
+test('validateTransaction accepts the seed detail fields', () => {
+    const seed = { hybrid: 'P0157AM', trait: 'AM', crop_line: 'Corn', bags: 10, seed_units: 10, delivery_status: 'Staged' };
+
+    assert.equal(validateTransaction({ ...SALE, ...seed }), null);
+    assert.equal(validateTransaction(SALE), null);
+    assert.equal(validateTransaction({ ...SALE, delivery_status: null }), null);
+});
+
+test('validateTransaction rejects unknown delivery statuses and negative counts', () => {
+    const [status] = validateTransaction({ ...SALE, delivery_status: 'lost' });
+    const errors = validateTransaction({ ...SALE, bags: -1, seed_units: -2 });
+
+    assert.match(status, /delivery_status/);
+    assert.equal(errors.length, 2);
+});
+
+test('pickEditableFields casts seed counts and lowercases the delivery status', () => {
+    const fields = pickEditableFields({ ...SALE, bags: '12', seed_units: '', delivery_status: ' Delivered ', notes: 'x' });
+
+    assert.equal(fields.bags, 12);
+    assert.equal(fields.seed_units, null);
+    assert.equal(fields.delivery_status, 'delivered');
+    assert.equal(fields.notes, undefined);
+    assert.equal(pickEditableFields({ delivery_status: '' }).delivery_status, null);
+});
@@ -0,0 +1,126 @@
+/**
+ * Trash Service
+ * Lists soft-deleted transactions grouped by the request that removed
+ * them, restores them without duplicating live data, and purges them once
+ * the retention window has passed.
+ */
+
+const { getStore } = require('../storage');
+const { createOperationId, recordAudit } = require('./audit');
+const { planUpsert, applyUpsert } = require('./dedup');
+
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeDateFor = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Summarize the trash: one entry per deletion (a single record, a clear or
+ * an import batch), newest first. scope limits it to a territory.
+ */
+async function listTrash(scope = {}) {
+    const store = getStore();
+    const query = { ...scope, deleted_at: { $ne: null } };
+    const deletionIds = await store.distinct('deletion_id', query);
+
+    const batches = [];
+    for (const deletionId of deletionIds) {
+        const batchQuery = { ...query, deletion_id: deletionId };
+        const first = await store.findOne(batchQuery);
+        const count = await store.count(batchQuery);
+
+        batches.push({
+            deletion_id: deletionId,
+            kind: first.deletion_kind || 'record',
+            import_id: first.deletion_kind === 'import' ? first.import_id : null,
+            deleted_at: first.deleted_at,
+            deleted_by: first.deleted_by || null,
+            purge_at: purgeDateFor(first.deleted_at),
+            count,
+            record: count === 1 ? first : null
+        });
+    }
+
+    return batches.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+/**
+ * Restore deleted records and audit them as one operation. A record whose
+ * natural key matches a live record (re-uploaded since it was deleted) is
+ * merged into that record, or skipped when they agree, and stays in the
+ * trash, so restoring never counts a sale twice. scope limits the live
+ * records matched to a territory.
+ */
+async function restoreRecords(req, records, scope = {}) {
+    const operationId = createOperationId();
+    const plan = await planUpsert(records, { scope });
+
+    // Entries matched to a live record; rows matched to another deleted
+    // record were live side by side with it and are restored
+    const liveMatches = (entries) => entries
+        .filter(entry => entry.record_id)
+        .map(({ index, record_id }) => ({ id: String(records[index].id), record_id }));
+    const merged = liveMatches(plan.merged);
+    const skipped = liveMatches(plan.skipped);
+    const kept = new Set([...merged, ...skipped].map(match => match.id));
+
+    const restored = [];
+    for (const before of records.filter(record => !kept.has(String(record.id)))) {
+        restored.push({ before, after: await getStore().restoreById(String(before.id)) });
+    }
+    const { updates } = await applyUpsert({ inserts: [], merges: plan.merges });
+
+    await recordAudit(req, { action: 'restore', operationId, changes: restored });
+    await recordAudit(req, { action: 'update', operationId, changes: updates });
+
+    return { restored: restored.map(change => change.after), merged, skipped, operationId };
+}
+
+/**
+ * Restore outcome for API responses
+ */
+function restoreSummary({ restored, merged, skipped }) {
+    let message = `Restored ${restored.length} records`;
+    if (merged.length > 0) message += `, merged ${merged.length} into records added since`;
+    if (skipped.length > 0) message += `, skipped ${skipped.length} already in the data`;
+    return { message, count: restored.length, merged, skipped };
+}
+
+/**
+ * Permanently remove records deleted longer ago than the retention window
+ */
+async function purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+    const result = await getStore().purgeDeleted(cutoff);
+    return result.deletedCount || 0;
+}
+
+/**
+ * Purge expired trash now and then hourly for the life of the process
+ */
+function startTrashPurge() {
+    const run = async () => {
+        try {
+            const purged = await purgeExpired();
+            if (purged > 0) {
+                console.log(`Purged ${purged} records from the trash (older than ${TRASH_RETENTION_DAYS} days)`);
+            }
+        } catch (error) {
+            console.error('Trash purge failed:', error);
+        }
+    };
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeDateFor,
+    listTrash,
+    restoreRecords,
+    restoreSummary,
+    purgeExpired,
+    startTrashPurge
+};
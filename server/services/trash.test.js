@@ -0,0 +1,99 @@
+/**
+ * Trash Service tests: deletions listed one entry per operation, hidden
+ * from normal reads, restorable and purged after the retention window
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initStore, getStore } = require('../storage');
+const { TRASH_RETENTION_DAYS, purgeDateFor, listTrash, restoreRecords, restoreSummary, purgeExpired } = require('./trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const instant = (text) => new Date(`${text}T12:00:00Z`);
+
+const req = {
+    method: 'POST',
+    originalUrl: '/api/trash/imp-del/restore',
+    ip: '127.0.0.1',
+    user: { id: 'u1', email: 'admin@example.com', role: 'admin' }
+};
+
+const sale = (fields) => ({ date: '2026-03-02', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', quantity: 10, amount: 2900, ...fields });
+
+test.beforeEach(async () => {
+    await initStore({ persist: false });
+    await getStore().insertMany([
+        sale({ invoice_number: 'INV-1' }),
+        sale({ invoice_number: 'INV-2', deleted_at: instant('2026-03-01'), deletion_id: 'del-1', deletion_kind: 'record', deleted_by: 'ana@example.com' }),
+        sale({ invoice_number: 'INV-3', deleted_at: instant('2026-03-05'), deletion_id: 'imp-del', deletion_kind: 'import', import_id: 'imp-1' }),
+        sale({ invoice_number: 'INV-4', territory: 'west', deleted_at: instant('2026-03-05'), deletion_id: 'imp-del', deletion_kind: 'import', import_id: 'imp-1' })
+    ]);
+});
+
+test('deleted records are hidden from reads and aggregations', async () => {
+    const store = getStore();
+    const [trashed] = await store.find({ deleted_at: { $ne: null }, invoice_number: 'INV-2' });
+
+    assert.equal(await store.count(), 1);
+    assert.equal(await store.findById(trashed.id), null);
+    assert.equal((await store.findById(trashed.id, { withDeleted: true })).invoice_number, 'INV-2');
+    assert.equal((await store.getSummaryByYear(2026)).totalOrders, 1);
+});
+
+test('listTrash gives one entry per deletion, newest first', async () => {
+    const [batch, single] = await listTrash();
+
+    assert.equal(batch.deletion_id, 'imp-del');
+    assert.equal(batch.kind, 'import');
+    assert.equal(batch.import_id, 'imp-1');
+    assert.equal(batch.count, 2);
+    assert.equal(batch.record, null);
+
+    assert.equal(single.kind, 'record');
+    assert.equal(single.deleted_by, 'ana@example.com');
+    assert.equal(single.record.invoice_number, 'INV-2');
+    assert.deepEqual(single.purge_at, new Date(instant('2026-03-01').getTime() + TRASH_RETENTION_DAYS * DAY_MS));
+    assert.deepEqual(single.purge_at, purgeDateFor(single.deleted_at));
+});
+
+test('listTrash only counts deletions in the scope', async () => {
+    const trash = await listTrash({ territory: 'west' });
+
+    assert.deepEqual(trash.map(entry => [entry.deletion_id, entry.count]), [['imp-del', 1]]);
+    assert.equal(trash[0].record.invoice_number, 'INV-4');
+});
+
+test('restoring a deletion brings its records back', async () => {
+    const store = getStore();
+    await store.restoreMany({ deletion_id: 'imp-del' });
+
+    assert.equal(await store.count(), 3);
+    assert.deepEqual((await listTrash()).map(entry => entry.deletion_id), ['del-1']);
+    const [restored] = await store.find({ invoice_number: 'INV-3' });
+    assert.equal(restored.deletion_id, null);
+});
+
+test('restoreRecords merges or skips records added again since they were deleted', async () => {
+    const store = getStore();
+    await store.insertMany([sale({ invoice_number: 'INV-2', amount: 3000 }), sale({ invoice_number: 'INV-3' })]);
+    const trashed = await store.find({ deleted_at: { $ne: null } }, { sort: { invoice_number: 1 } });
+
+    const result = await restoreRecords(req, trashed);
+
+    assert.equal(restoreSummary(result).message, 'Restored 1 records, merged 1 into records added since, skipped 1 already in the data');
+    assert.deepEqual(result.restored.map(record => record.invoice_number), ['INV-4']);
+    assert.equal(await store.count(), 4);
+    assert.equal((await store.findOne({ invoice_number: 'INV-2' })).amount, 2900);
+    assert.equal(await store.count({ deleted_at: { $ne: null } }), 2);
+    assert.equal(await getStore('audit').count({ operation_id: result.operationId }), 2);
+});
+
+test('purgeExpired removes only deletions past the retention window', async () => {
+    const store = getStore();
+    const now = new Date(purgeDateFor(instant('2026-03-01')).getTime() + DAY_MS);
+
+    assert.equal(await purgeExpired(now), 1);
+    assert.equal(await store.count({ deleted_at: { $ne: null } }), 2);
+    assert.equal(await purgeExpired(now), 0);
+    assert.equal(await store.count(), 1);
+});
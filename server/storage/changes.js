@@ -0,0 +1,61 @@
+/**
+ * Change Tracking
+ * Wraps a store so every write reports the records it touched, as they
+ * were before and after, to a listener. Soft deletes and restores are
+ * updates underneath, so they are reported too. Used to keep derived
+ * data (see services/rollups.js) in step with transactions.
+ */
+
+/**
+ * Wrap a store. listener(before, after) receives two lists of records and
+ * is awaited, so the write returns once derived data is up to date.
+ */
+const withChanges = (store, listener) => {
+    const notify = (before, after) => listener(before.filter(Boolean), after.filter(Boolean));
+
+    return {
+        ...store,
+
+        async create(record) {
+            const saved = await store.create(record);
+            await notify([], [saved]);
+            return saved;
+        },
+
+        async insertMany(records) {
+            const saved = await store.insertMany(records);
+            await notify([], saved);
+            return saved;
+        },
+
+        async updateById(id, changes) {
+            const before = await store.findById(id);
+            const after = await store.updateById(id, changes);
+            await notify([before], [after]);
+            return after;
+        },
+
+        async updateMany(query, changes) {
+            const before = await store.find(query);
+            const result = await store.updateMany(query, changes);
+            const after = before.length > 0 ? await store.find({ id: { $in: before.map(r => String(r.id)) } }) : [];
+            await notify(before, after);
+            return result;
+        },
+
+        async deleteById(id) {
+            const removed = await store.deleteById(id);
+            await notify([removed], []);
+            return removed;
+        },
+
+        async deleteMany(query = {}) {
+            const removed = await store.find(query);
+            const result = await store.deleteMany(query);
+            await notify(removed, []);
+            return result;
+        }
+    };
+};
+
+module.exports = { withChanges };
@@ -0,0 +1,196 @@
+/**
+ * File-Backed Store
+ * Durable storage for installs without MongoDB. Records are held in memory
+ * and every mutation is appended to a JSON-lines journal:
+ *
+ *   {"op":"put","record":{...}}   insert or replace a record by id
+ *   {"op":"delete","id":"..."}    remove a record
+ *
+ * Each append is fsynced before the request returns. A crash mid-write can
+ * only leave a truncated final line, which is discarded on load. The journal
+ * is periodically compacted into one "put" line per live record by writing a
+ * temp file and renaming it over the original, so a crash during compaction
+ * leaves either the old or the new journal intact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Compact once the journal holds this many more lines than live records
+const COMPACT_SLACK = 1000;
+
+function readJournal(filePath) {
+    const records = new Map();
+    let lineCount = 0;
+
+    if (!fs.existsSync(filePath)) {
+        return { records, lineCount };
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            // Only the last line can be partial after a crash; anything else is corruption
+            const isLastLine = lines.slice(index + 1).every(l => !l.trim());
+            if (isLastLine) {
+                console.warn(`Discarding truncated journal entry at line ${index + 1} of ${filePath}`);
+                return;
+            }
+            throw new Error(`Corrupt journal entry at line ${index + 1} of ${filePath}`);
+        }
+
+        lineCount++;
+        if (entry.op === 'put') {
+            records.set(entry.record.id, entry.record);
+        } else if (entry.op === 'delete') {
+            records.delete(entry.id);
+        }
+    });
+
+    return { records, lineCount };
+}
+
+function writeFileDurable(filePath, contents) {
+    const fd = fs.openSync(filePath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function fsyncDirectory(dirPath) {
+    // Not supported on every platform (e.g. Windows); the rename is still atomic there
+    try {
+        const fd = fs.openSync(dirPath, 'r');
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+    } catch (error) {
+        // ignore
+    }
+}
+
+/**
+ * Wrap a memory collection so every mutation is journaled to filePath.
+ * createCollection receives the replayed records and returns the
+ * memory collection (or transaction store) to wrap.
+ */
+const createFileStore = (filePath, createCollection) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const { records, lineCount } = readJournal(filePath);
+    const memory = createCollection([...records.values()]);
+    let journalLines = lineCount;
+
+    const append = (entries) => {
+        if (entries.length === 0) return;
+
+        const payload = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+        const fd = fs.openSync(filePath, 'a');
+        try {
+            fs.writeSync(fd, payload);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        journalLines += entries.length;
+    };
+
+    const store = {
+        ...memory,
+        type: 'file',
+        filePath,
+
+        async create(record) {
+            const saved = await memory.create(record);
+            append([{ op: 'put', record: saved }]);
+            await this.compactIfNeeded();
+            return saved;
+        },
+
+        async insertMany(newRecords) {
+            const saved = await memory.insertMany(newRecords);
+            append(saved.map(record => ({ op: 'put', record })));
+            await this.compactIfNeeded();
+            return saved;
+        },
+
+        async updateById(id, changes) {
+            const saved = await memory.updateById(id, changes);
+            if (saved) {
+                append([{ op: 'put', record: saved }]);
+                await this.compactIfNeeded();
+            }
+            return saved;
+        },
+
+        async updateMany(query, changes) {
+            const ids = (await memory.find(query)).map(r => r.id);
+            const result = await memory.updateMany(query, changes);
+            const saved = await Promise.all(ids.map(id => memory.findById(id)));
+            append(saved.map(record => ({ op: 'put', record })));
+            await this.compactIfNeeded();
+            return result;
+        },
+
+        async deleteById(id) {
+            const removed = await memory.deleteById(id);
+            if (removed) {
+                append([{ op: 'delete', id }]);
+                await this.compactIfNeeded();
+            }
+            return removed;
+        },
+
+        async deleteMany(query = {}) {
+            const removed = await memory.find(query);
+            const result = await memory.deleteMany(query);
+            append(removed.map(r => ({ op: 'delete', id: r.id })));
+            await this.compactIfNeeded();
+            return result;
+        },
+
+        /**
+         * Rewrite the journal as a snapshot of live records
+         */
+        async compact() {
+            const live = await memory.find();
+            const tempPath = `${filePath}.tmp`;
+            const contents = live.map(record => JSON.stringify({ op: 'put', record })).join('\n');
+
+            writeFileDurable(tempPath, contents ? contents + '\n' : '');
+            fs.renameSync(tempPath, filePath);
+            fsyncDirectory(path.dirname(filePath));
+
+            journalLines = live.length;
+        },
+
+        async compactIfNeeded() {
+            const liveCount = await memory.count();
+            if (journalLines - liveCount > COMPACT_SLACK) {
+                await this.compact();
+            }
+        }
+    };
+
+    return store;
+};
+
+/**
+ * Open the journal at filePath, replaying it into memory and compacting
+ * away any superseded entries left from the previous run
+ */
+const openFileStore = async (filePath, createCollection) => {
+    const store = createFileStore(filePath, createCollection);
+    await store.compact();
+    return store;
+};
+
+module.exports = { openFileStore };
@@ -0,0 +1,78 @@
+/**
+ * File-Backed Store tests: the journal survives reopening, tolerates a
+ * torn last line and compacts to one line per live record
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openFileStore } = require('./fileStore');
+const { createMemoryCollection } = require('./memoryStore');
+
+let dir;
+let file;
+
+const open = () => openFileStore(file, records => createMemoryCollection(records));
+const journal = () => fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    file = path.join(dir, 'growers.jsonl');
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('records written before reopening are read back', async () => {
+    const store = await open();
+    const garms = await store.create({ name: 'Garms Inc' });
+    const [ridge, oak] = await store.insertMany([{ name: 'Ridge Farms' }, { name: 'Lone Oak' }]);
+    await store.updateById(ridge.id, { territory: 'east' });
+    await store.deleteById(oak.id);
+    await store.updateMany({ name: 'Garms Inc' }, { territory: 'west' });
+
+    const reopened = await open();
+    assert.equal(reopened.type, 'file');
+    assert.equal(await reopened.count(), 2);
+    assert.equal((await reopened.findById(garms.id)).territory, 'west');
+    assert.equal((await reopened.findById(ridge.id)).territory, 'east');
+    assert.equal(await reopened.findById(oak.id), null);
+});
+
+test('opening compacts the journal to one put per live record', async () => {
+    const store = await open();
+    const garms = await store.create({ name: 'Garms Inc' });
+    await store.updateById(garms.id, { name: 'Garms Inc.' });
+    await store.create({ name: 'Ridge Farms' });
+    await store.deleteMany({ name: 'Ridge Farms' });
+    assert.equal(journal().length, 4);
+
+    await open();
+    const entries = journal();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].op, 'put');
+    assert.equal(entries[0].record.name, 'Garms Inc.');
+    assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('a truncated last line is discarded with a warning', async (t) => {
+    const store = await open();
+    await store.create({ id: 'g1', name: 'Garms Inc' });
+    fs.appendFileSync(file, '{"op":"put","record":{"id":"g2","na');
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const reopened = await open();
+    assert.equal(await reopened.count(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Discarding truncated journal entry at line 2/);
+});
+
+test('a corrupt line before the end refuses to load', async () => {
+    fs.writeFileSync(file, [
+        '{"op":"put","record":{"id":"g1","name":"Garms Inc"}}',
+        '{"op":"put","rec',
+        '{"op":"delete","id":"g1"}'
+    ].join('\n') + '\n');
+
+    await assert.rejects(open(), /Corrupt journal entry at line 2/);
+});
@@ -0,0 +1,131 @@
+/**
+ * Storage Layer
+ * Selects the active backend (MongoDB, file-backed or in-memory) once at
+ * startup. Routes call getStore() instead of branching on MONGODB_URI.
+ */
+
+const path = require('path');
+const { createMemoryCollection, createMemoryStore, yearRange } = require('./memoryStore');
+const { createMongoCollection, createMongoStore } = require('./mongoStore');
+const { openFileStore } = require('./fileStore');
+const { withSoftDelete } = require('./softDelete');
+const { withChanges } = require('./changes');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'transactions.jsonl');
+
+// Every collection the server persists, with its memory and Mongo factories.
+// Soft-deleted collections keep removed records until they are purged.
+// Tracked collections report their writes to onChange listeners.
+const COLLECTIONS = {
+    transactions: {
+        memory: records => createMemoryStore(records),
+        mongo: () => createMongoStore(),
+        softDelete: true,
+        trackChanges: true
+    },
+    users: {
+        memory: records => createMemoryCollection(records, { dateFields: ['last_login_at'] }),
+        mongo: () => createMongoCollection(require('../models/User'))
+    },
+    sessions: {
+        memory: records => createMemoryCollection(records, { dateFields: ['expires_at'] }),
+        mongo: () => createMongoCollection(require('../models/Session'))
+    },
+    audit: {
+        memory: records => createMemoryCollection(records),
+        mongo: () => createMongoCollection(require('../models/AuditEntry'))
+    },
+    imports: {
+        memory: records => createMemoryCollection(records, { dateFields: ['committed_at', 'rolled_back_at'] }),
+        mongo: () => createMongoCollection(require('../models/ImportBatch'))
+    },
+    catalog: {
+        memory: records => createMemoryCollection(records),
+        mongo: () => createMongoCollection(require('../models/CatalogItem'))
+    },
+    growers: {
+        memory: records => createMemoryCollection(records),
+        mongo: () => createMongoCollection(require('../models/Grower'))
+    },
+    prices: {
+        memory: records => createMemoryCollection(records, { dateFields: ['effective_from', 'effective_to'] }),
+        mongo: () => createMongoCollection(require('../models/PriceEntry'))
+    },
+    rollups: {
+        memory: records => createMemoryCollection(records, { dateFields: ['first_purchase', 'last_purchase'] }),
+        mongo: () => createMongoCollection(require('../models/Rollup'))
+    }
+};
+
+const changeListeners = {};
+
+/**
+ * Call listener(before, after) after every write to a tracked collection
+ * (see changes.js)
+ */
+const onChange = (name, listener) => {
+    changeListeners[name] = [...(changeListeners[name] || []), listener];
+};
+
+const finishStore = (name, store, factories) => {
+    let finished = store;
+    if (factories.trackChanges) {
+        finished = withChanges(finished, async (before, after) => {
+            for (const listener of changeListeners[name] || []) {
+                await listener(before, after);
+            }
+        });
+    }
+    return factories.softDelete ? withSoftDelete(finished) : finished;
+};
+
+let activeStores = {};
+Object.entries(COLLECTIONS).forEach(([name, factories]) => {
+    activeStores[name] = finishStore(name, factories.memory([]), factories);
+});
+
+/**
+ * Choose the backend. Call after the MongoDB connection attempt so a
+ * failed connection falls back to local storage instead of erroring per
+ * request. Without MongoDB, transactions are journaled to dataFile and
+ * the other collections to sibling files, unless persist is false.
+ */
+const initStore = async ({ useMongo = false, persist = true, dataFile = DEFAULT_DATA_FILE } = {}) => {
+    const stores = {};
+
+    for (const [name, factories] of Object.entries(COLLECTIONS)) {
+        let store;
+        if (useMongo) {
+            store = factories.mongo();
+        } else if (persist) {
+            const filePath = name === 'transactions'
+                ? dataFile
+                : path.join(path.dirname(dataFile), `${name}.jsonl`);
+            store = await openFileStore(filePath, factories.memory);
+        } else {
+            store = factories.memory([]);
+        }
+        stores[name] = finishStore(name, store, factories);
+    }
+
+    activeStores = stores;
+    return activeStores.transactions;
+};
+
+/**
+ * Get a collection store by name (defaults to grower transactions)
+ */
+const getStore = (name = 'transactions') => {
+    const store = activeStores[name];
+    if (!store) {
+        throw new Error(`Unknown collection: ${name}`);
+    }
+    return store;
+};
+
+module.exports = {
+    initStore,
+    getStore,
+    onChange,
+    yearRange
+};
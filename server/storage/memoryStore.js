@@ -0,0 +1,456 @@
+/**
+ * In-Memory Store
+ * Fallback storage used when MongoDB is not configured or unreachable.
+ * Mirrors the query surface of the Mongo store, including the
+ * aggregation statics defined on the GrowerTransaction model.
+ */
+
+const Seasons = require('../../seasons');
+const Dates = require('../../dates');
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+// Operators that test each element of an array field
+const ELEMENT_OPERATORS = ['$eq', '$in', '$regex', '$options'];
+
+/**
+ * Test a single value against a Mongo-style condition
+ * Supports plain equality and the $eq/$ne/$gt/$gte/$lt/$lte/$in/$nin/$regex operators
+ */
+function matchesCondition(value, condition) {
+    const isOperatorObject = condition !== null && typeof condition === 'object' &&
+        !(condition instanceof Date) && !(condition instanceof RegExp) &&
+        Object.keys(condition).some(k => k.startsWith('$'));
+
+    // An array field matches when any element does, as in MongoDB
+    if (Array.isArray(value) && !Array.isArray(condition) &&
+        (!isOperatorObject || Object.keys(condition).every(op => ELEMENT_OPERATORS.includes(op)))) {
+        return value.some(element => matchesCondition(element, condition));
+    }
+
+    if (condition instanceof RegExp) {
+        return condition.test(value == null ? '' : String(value));
+    }
+
+    if (!isOperatorObject) {
+        return compareValues(value, condition) === 0;
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+        switch (op) {
+            case '$eq': return compareValues(value, operand) === 0;
+            case '$ne': return compareValues(value, operand) !== 0;
+            case '$gt': return value != null && compareValues(value, operand) > 0;
+            case '$gte': return value != null && compareValues(value, operand) >= 0;
+            case '$lt': return value != null && compareValues(value, operand) < 0;
+            case '$lte': return value != null && compareValues(value, operand) <= 0;
+            case '$in': return operand.some(o => compareValues(value, o) === 0);
+            case '$nin': return !operand.some(o => compareValues(value, o) === 0);
+            case '$regex': {
+                const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                return regex.test(value == null ? '' : String(value));
+            }
+            case '$options': return true;
+            case '$exists': return operand ? value !== undefined : value === undefined;
+            default:
+                throw new Error(`Unsupported query operator: ${op}`);
+        }
+    });
+}
+
+function compareValues(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        const at = a == null ? NaN : new Date(a).getTime();
+        const bt = b == null ? NaN : new Date(b).getTime();
+        if (isNaN(at) || isNaN(bt)) return isNaN(at) && isNaN(bt) ? 0 : (isNaN(at) ? -1 : 1);
+        return at - bt;
+    }
+    if (a == null && b == null) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Test a record against a Mongo-style query ($and/$or supported at any level)
+ */
+function matchesQuery(record, query = {}) {
+    return Object.entries(query).every(([field, condition]) => {
+        if (field === '$and') return condition.every(q => matchesQuery(record, q));
+        if (field === '$or') return condition.some(q => matchesQuery(record, q));
+        return matchesCondition(record[field], condition);
+    });
+}
+
+function sortRecords(records, sort) {
+    if (!sort) return records;
+    const keys = Object.entries(sort);
+    return records.sort((a, b) => {
+        for (const [field, direction] of keys) {
+            const cmp = compareValues(a[field], b[field]);
+            if (cmp !== 0) return direction < 0 ? -cmp : cmp;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Copy of a record with only the listed fields and its id
+ */
+function selectFields(record, fields) {
+    const selected = { id: record.id };
+    fields.forEach(field => {
+        if (record[field] !== undefined) selected[field] = record[field];
+    });
+    return selected;
+}
+
+/**
+ * Date condition for the season named year (see seasons.js)
+ */
+function yearRange(year) {
+    const { start, end } = Seasons.range(year);
+    return { $gte: start, $lt: end };
+}
+
+/**
+ * Normalize an incoming document: assign an id and timestamps, and turn
+ * any listed date fields into Date objects the way Mongoose casting would
+ */
+function normalizeDocument(doc, dateFields = []) {
+    const now = new Date();
+    const normalized = {
+        ...doc,
+        id: doc.id || generateId(),
+        created_at: doc.created_at ? new Date(doc.created_at) : now,
+        updated_at: doc.updated_at ? new Date(doc.updated_at) : now
+    };
+    dateFields.forEach(field => {
+        if (normalized[field] != null && !(normalized[field] instanceof Date)) {
+            normalized[field] = new Date(normalized[field]);
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Normalize an incoming transaction the way the GrowerTransaction schema would
+ */
+function normalizeTransaction(record) {
+    const date = Dates.toDay(record.date);
+    return {
+        ...normalizeDocument({ ...record, date: date || record.date }, ['date', 'deleted_at']),
+        quantity: parseFloat(record.quantity) || 0,
+        amount: parseFloat(record.amount) || 0
+    };
+}
+
+/**
+ * First position in records (sorted by field) whose field is at or after
+ * time, or strictly after it when after is set
+ */
+function bound(records, field, time, after = false) {
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        const value = records[mid][field].getTime();
+        if (value < time || (after && value === time)) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Generic in-memory collection with a subset of the Mongoose model API.
+ * With indexField, records are also kept sorted by that date field so
+ * range queries on it (e.g. one year) only scan the records in range.
+ */
+const createMemoryCollection = (initialRecords = [], { normalize, dateFields = [], indexField } = {}) => {
+    const normalizeRecord = normalize || (doc => normalizeDocument(doc, dateFields));
+    let records = initialRecords.map(normalizeRecord);
+
+    // Records sorted by indexField; rebuilt on the first range query after a change
+    let sortedIndex = null;
+    const changed = () => { sortedIndex = null; };
+
+    const isRange = (condition) => !!condition && typeof condition === 'object' && !(condition instanceof Date);
+
+    /**
+     * Records that can match a query: those in range when it (or one of
+     * its $and conditions) bounds the indexed field, otherwise all of them
+     */
+    const candidates = (query) => {
+        const bounded = indexField && [query, ...(query.$and || [])].find(part => isRange(part[indexField]));
+        if (!bounded) return records;
+        const range = bounded[indexField];
+        const lower = range.$gte !== undefined ? range.$gte : range.$gt;
+        const upper = range.$lte !== undefined ? range.$lte : range.$lt;
+        if (lower === undefined && upper === undefined) return records;
+
+        if (!sortedIndex) {
+            sortedIndex = records
+                .filter(r => r[indexField] instanceof Date && !isNaN(r[indexField]))
+                .sort((a, b) => a[indexField] - b[indexField]);
+        }
+        const from = lower !== undefined ? bound(sortedIndex, indexField, new Date(lower).getTime()) : 0;
+        const to = upper !== undefined ? bound(sortedIndex, indexField, new Date(upper).getTime(), true) : sortedIndex.length;
+        return sortedIndex.slice(from, to);
+    };
+
+    return {
+        type: 'memory',
+
+        /**
+         * select lists the fields to return; id is always included
+         */
+        async find(query = {}, { sort, skip = 0, limit, select } = {}) {
+            const matched = sortRecords(candidates(query).filter(r => matchesQuery(r, query)), sort);
+            const page = limit ? matched.slice(skip, skip + limit) : matched.slice(skip);
+            return select ? page.map(r => selectFields(r, select)) : page;
+        },
+
+        async findOne(query = {}) {
+            return records.find(r => matchesQuery(r, query)) || null;
+        },
+
+        async findById(id) {
+            return records.find(r => r.id === id) || null;
+        },
+
+        async count(query = {}) {
+            return candidates(query).filter(r => matchesQuery(r, query)).length;
+        },
+
+        async distinct(field, query = {}) {
+            const values = new Set();
+            candidates(query).forEach(r => {
+                if (matchesQuery(r, query)) values.add(r[field]);
+            });
+            return [...values];
+        },
+
+        async create(record) {
+            const saved = normalizeRecord(record);
+            records.push(saved);
+            changed();
+            return saved;
+        },
+
+        async insertMany(newRecords) {
+            const saved = newRecords.map(normalizeRecord);
+            records.push(...saved);
+            changed();
+            return saved;
+        },
+
+        async updateById(id, changes) {
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) return null;
+
+            records[index] = normalizeRecord({
+                ...records[index],
+                ...changes,
+                id,
+                created_at: records[index].created_at,
+                updated_at: new Date()
+            });
+            changed();
+            return records[index];
+        },
+
+        async updateMany(query, changes) {
+            let modifiedCount = 0;
+            const now = new Date();
+            records = records.map(r => {
+                if (!matchesQuery(r, query)) return r;
+                modifiedCount++;
+                return normalizeRecord({ ...r, ...changes, id: r.id, created_at: r.created_at, updated_at: now });
+            });
+            changed();
+            return { modifiedCount };
+        },
+
+        async deleteById(id) {
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) return null;
+            changed();
+            return records.splice(index, 1)[0];
+        },
+
+        async deleteMany(query = {}) {
+            const before = records.length;
+            records = records.filter(r => !matchesQuery(r, query));
+            changed();
+            return { deletedCount: before - records.length };
+        }
+    };
+};
+
+// Query for one year's transactions (all years when year is null)
+const yearQuery = (year, scope = {}) => (year ? { ...scope, date: yearRange(year) } : { ...scope });
+
+const sum = (records, field) => records.reduce((total, d) => total + (d[field] || 0), 0);
+
+// Growers are counted by id, or by name for records not yet linked
+const growerKey = (d) => d.grower_id || d.grower_name;
+
+/**
+ * Transaction store: a memory collection plus the aggregation statics
+ * defined on the GrowerTransaction model
+ */
+const createMemoryStore = (initialRecords = []) => {
+    const collection = createMemoryCollection(initialRecords, { normalize: normalizeTransaction, indexField: 'date' });
+
+    return {
+        ...collection,
+
+        async getSummaryByYear(year = null, scope = {}) {
+            const data = await this.find(yearQuery(year, scope));
+            return {
+                totalRevenue: sum(data, 'amount'),
+                totalQuantity: sum(data, 'quantity'),
+                totalBags: sum(data, 'bags'),
+                totalSeedUnits: sum(data, 'seed_units'),
+                totalOrders: data.length,
+                uniqueGrowers: new Set(data.map(growerKey)).size
+            };
+        },
+
+        async getProductBreakdown(year = null, scope = {}) {
+            const data = await this.find(yearQuery(year, scope));
+            const byProduct = {};
+            data.forEach(d => {
+                if (!byProduct[d.product]) {
+                    byProduct[d.product] = { product: d.product, totalRevenue: 0, totalQuantity: 0, totalBags: 0, totalSeedUnits: 0, orderCount: 0 };
+                }
+                byProduct[d.product].totalRevenue += d.amount;
+                byProduct[d.product].totalQuantity += d.quantity;
+                byProduct[d.product].totalBags += d.bags || 0;
+                byProduct[d.product].totalSeedUnits += d.seed_units || 0;
+                byProduct[d.product].orderCount++;
+            });
+
+            return Object.values(byProduct)
+                .map(p => ({ ...p, avgOrderValue: p.totalRevenue / p.orderCount }))
+                .sort((a, b) => b.totalRevenue - a.totalRevenue);
+        },
+
+        async getGrowerSummary(year = null, scope = {}) {
+            const data = await this.find(yearQuery(year, scope));
+            const byGrower = {};
+            data.forEach(d => {
+                const key = growerKey(d);
+                if (!byGrower[key]) {
+                    byGrower[key] = {
+                        grower_id: d.grower_id,
+                        grower_name: d.grower_name,
+                        totalRevenue: 0,
+                        orderCount: 0,
+                        products: new Set(),
+                        firstPurchase: d.date,
+                        lastPurchase: d.date
+                    };
+                }
+                const grower = byGrower[key];
+                grower.totalRevenue += d.amount;
+                grower.orderCount++;
+                grower.products.add(d.product);
+                if (d.date < grower.firstPurchase) grower.firstPurchase = d.date;
+                if (d.date > grower.lastPurchase) grower.lastPurchase = d.date;
+            });
+
+            return Object.values(byGrower)
+                .map(g => ({ ...g, products: [...g.products], productCount: g.products.size }))
+                .sort((a, b) => b.totalRevenue - a.totalRevenue);
+        },
+
+        async getMonthlyTrends(year, scope = {}) {
+            const data = await this.find(yearQuery(year, scope));
+            const byMonth = {};
+            data.forEach(d => {
+                const month = d.date.getUTCMonth() + 1;
+                if (!byMonth[month]) {
+                    byMonth[month] = { month, totalRevenue: 0, totalQuantity: 0, orderCount: 0 };
+                }
+                byMonth[month].totalRevenue += d.amount;
+                byMonth[month].totalQuantity += d.quantity;
+                byMonth[month].orderCount++;
+            });
+
+            return Object.values(byMonth).sort((a, b) => Seasons.monthIndex(a.month) - Seasons.monthIndex(b.month));
+        },
+
+        async getSeedSales(year = null, scope = {}, field = 'hybrid') {
+            const data = await this.find(yearQuery(year, scope));
+            const groups = {};
+            data.forEach(d => {
+                const key = d[field];
+                if (!key) return;
+                if (!groups[key]) {
+                    groups[key] = {
+                        key,
+                        revenue: 0,
+                        quantity: 0,
+                        bags: 0,
+                        seedUnits: 0,
+                        orders: 0,
+                        delivery: {},
+                        cropLines: new Set(),
+                        traits: new Set(),
+                        hybrids: new Set(),
+                        growers: new Set()
+                    };
+                }
+                const group = groups[key];
+                group.revenue += d.amount;
+                group.quantity += d.quantity;
+                group.bags += d.bags || 0;
+                group.seedUnits += d.seed_units || 0;
+                group.orders++;
+                const status = d.delivery_status || 'unknown';
+                group.delivery[status] = (group.delivery[status] || 0) + (d.bags || d.quantity || 0);
+                if (d.crop_line) group.cropLines.add(d.crop_line);
+                if (d.trait) group.traits.add(d.trait);
+                if (d.hybrid) group.hybrids.add(d.hybrid);
+                group.growers.add(growerKey(d));
+            });
+
+            return Object.values(groups)
+                .map(g => ({
+                    ...g,
+                    cropLines: [...g.cropLines],
+                    traits: [...g.traits],
+                    hybrids: [...g.hybrids],
+                    growers: g.growers.size
+                }))
+                .sort((a, b) => compareValues(a.key, b.key));
+        },
+
+        async getGrowerYears(years, scope = {}) {
+            const data = await this.find({
+                ...scope,
+                date: { $gte: yearRange(Math.min(...years)).$gte, $lt: yearRange(Math.max(...years)).$lt }
+            });
+            const byGrower = new Map();
+            data.forEach(d => {
+                const year = Seasons.seasonOf(d.date);
+                if (!years.includes(year)) return;
+                const key = growerKey(d);
+                if (!byGrower.has(key)) byGrower.set(key, new Set());
+                byGrower.get(key).add(year);
+            });
+
+            return [...byGrower].map(([grower, growerYears]) => ({ grower, years: [...growerYears] }));
+        }
+    };
+};
+
+module.exports = {
+    createMemoryCollection,
+    createMemoryStore,
+    matchesQuery,
+    sortRecords,
+    yearRange
+};
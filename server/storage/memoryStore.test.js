@@ -0,0 +1,114 @@
+/**
+ * In-Memory Store tests: Mongo-style queries, sorting, paging and the
+ * transaction aggregation statics
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCollection, createMemoryStore, matchesQuery } = require('./memoryStore');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+const SALES = [
+    { id: 'a', date: '2025-03-02', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 10, amount: 2900, bags: 5 },
+    { id: 'b', date: '2025-11-20', grower_name: 'Ridge Farms', grower_id: 'g2', product: 'Soybean Seed', quantity: '4', amount: '880' },
+    { id: 'c', date: '2026-01-15', grower_name: 'Garms Inc', product: 'Corn Seed', quantity: 6, amount: 1740, bags: 3 },
+    { id: 'd', date: '2026-04-01', grower_name: 'Lone Oak', product: 'Fertilizer', quantity: 2, amount: 300 }
+];
+
+test('matchesQuery supports comparison, set, regex and existence operators', () => {
+    const record = { name: 'Garms Inc', acres: 640, tags: ['corn', 'irrigated'], joined: day('2024-02-01') };
+
+    assert.ok(matchesQuery(record, { acres: { $gte: 640, $lt: 700 } }));
+    assert.ok(matchesQuery(record, { name: { $in: ['Ridge Farms', 'Garms Inc'] }, acres: { $ne: 0 } }));
+    assert.ok(matchesQuery(record, { name: { $regex: '^garms', $options: 'i' } }));
+    assert.ok(matchesQuery(record, { tags: 'corn', missing: { $exists: false } }));
+    assert.ok(matchesQuery(record, { joined: { $gt: '2024-01-31' } }));
+    assert.ok(!matchesQuery(record, { name: { $nin: ['Garms Inc'] } }));
+    assert.ok(!matchesQuery(record, { missing: { $gt: 0 } }));
+});
+
+test('matchesQuery nests $and and $or', () => {
+    const record = { product: 'Corn Seed', territory: 'east', amount: 500 };
+
+    assert.ok(matchesQuery(record, { $or: [{ territory: 'west' }, { $and: [{ product: 'Corn Seed' }, { amount: { $gt: 100 } }] }] }));
+    assert.ok(!matchesQuery(record, { $and: [{ territory: 'east' }, { $or: [{ amount: 1 }, { amount: 2 }] }] }));
+});
+
+test('matchesQuery rejects unknown operators', () => {
+    assert.throws(() => matchesQuery({ a: 1 }, { a: { $near: 1 } }), /Unsupported query operator: \$near/);
+});
+
+test('find sorts, pages and projects', async () => {
+    const store = createMemoryStore(SALES);
+
+    const page = await store.find({}, { sort: { amount: -1 }, skip: 1, limit: 2 });
+    assert.deepEqual(page.map(r => r.id), ['c', 'b']);
+    assert.deepEqual(await store.find({}, { sort: { amount: -1 }, limit: 1, select: ['grower_name', 'hybrid'] }), [{ id: 'a', grower_name: 'Garms Inc' }]);
+    assert.equal(await store.count({ amount: { $gt: 1000 } }), 2);
+    assert.deepEqual((await store.distinct('grower_name', { amount: { $lt: 2000 } })).sort(), ['Garms Inc', 'Lone Oak', 'Ridge Farms']);
+    assert.deepEqual(await store.deleteMany({ grower_name: 'Garms Inc' }), { deletedCount: 2 });
+    assert.equal(await store.count(), 2);
+});
+
+test('updates keep the id and creation time and refresh updated_at', async () => {
+    const collection = createMemoryCollection([], { dateFields: ['deleted_at'] });
+    const created = await collection.create({ name: 'Garms Inc', created_at: '2024-01-01T00:00:00Z' });
+
+    const updated = await collection.updateById(created.id, { id: 'other', name: 'Garms Inc.', deleted_at: '2026-03-02T00:00:00Z' });
+    assert.equal(updated.id, created.id);
+    assert.deepEqual(updated.created_at, new Date('2024-01-01T00:00:00Z'));
+    assert.ok(updated.updated_at >= created.updated_at);
+    assert.ok(updated.deleted_at instanceof Date);
+    assert.equal(await collection.updateById('missing', { name: 'x' }), null);
+
+    assert.deepEqual(await collection.updateMany({ name: 'Garms Inc.' }, { territory: 'east' }), { modifiedCount: 1 });
+    assert.deepEqual(await collection.deleteMany({ territory: 'east' }), { deletedCount: 1 });
+    assert.equal(await collection.count(), 0);
+});
+
+test('the transaction store reads dates as days and numbers as numbers', async () => {
+    const store = createMemoryStore(SALES);
+    const sale = await store.findById('b');
+
+    assert.deepEqual(sale.date, day('2025-11-20'));
+    assert.equal(sale.quantity, 4);
+    assert.equal(sale.amount, 880);
+});
+
+test('date range queries use the index and still see later changes', async () => {
+    const store = createMemoryStore(SALES);
+    const range = { $gte: day('2026-01-01'), $lt: day('2027-01-01') };
+
+    assert.deepEqual((await store.find({ date: range }, { sort: { date: 1 } })).map(r => r.id), ['c', 'd']);
+    await store.create({ id: 'e', date: '2026-06-01', grower_name: 'Ridge Farms', product: 'Corn Seed', quantity: 1, amount: 290 });
+    await store.updateById('a', { date: '2026-02-01' });
+    assert.deepEqual((await store.find({ $and: [{ date: range }, { product: 'Corn Seed' }] }, { sort: { date: 1 } })).map(r => r.id), ['c', 'a', 'e']);
+    assert.equal(await store.count({ date: { $lt: day('2026-01-01') } }), 1);
+});
+
+test('getSummaryByYear totals one season or all of them', async () => {
+    const store = createMemoryStore(SALES);
+
+    assert.deepEqual(await store.getSummaryByYear(2026), {
+        totalRevenue: 2040,
+        totalQuantity: 8,
+        totalBags: 3,
+        totalSeedUnits: 0,
+        totalOrders: 2,
+        uniqueGrowers: 2
+    });
+    const all = await store.getSummaryByYear(null, { product: 'Corn Seed' });
+    assert.equal(all.totalRevenue, 4640);
+    assert.equal(all.uniqueGrowers, 1);
+});
+
+test('getProductBreakdown totals bags per product', async () => {
+    const store = createMemoryStore(SALES);
+    const [corn, soybean] = await store.getProductBreakdown();
+
+    assert.equal(corn.product, 'Corn Seed');
+    assert.equal(corn.totalBags, 8);
+    assert.equal(corn.orderCount, 2);
+    assert.equal(soybean.totalBags, 0);
+});
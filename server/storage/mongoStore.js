@@ -0,0 +1,123 @@
+/**
+ * MongoDB Store
+ * Thin adapters over Mongoose models so routes can use the same
+ * interface regardless of which backend is active.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Rename id to _id in a query or sort, at any $and/$or level, so callers
+ * can filter and sort on id as they do with the local stores
+ */
+function toMongoKeys(object) {
+    if (!object || typeof object !== 'object') return object;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => {
+        if (key === '$and' || key === '$or') return [key, value.map(toMongoKeys)];
+        return [key === 'id' ? '_id' : key, value];
+    }));
+}
+
+/**
+ * Generic collection adapter for any Mongoose model
+ */
+const createMongoCollection = (Model) => ({
+    type: 'mongodb',
+
+    /**
+     * select lists the fields to return; id is always included
+     */
+    async find(query = {}, { sort, skip = 0, limit, select } = {}) {
+        let cursor = Model.find(toMongoKeys(query));
+        if (sort) cursor = cursor.sort(toMongoKeys(sort));
+        if (skip) cursor = cursor.skip(skip);
+        if (limit) cursor = cursor.limit(limit);
+        if (select) cursor = cursor.select(select.join(' '));
+        return cursor;
+    },
+
+    async findOne(query = {}) {
+        return Model.findOne(toMongoKeys(query));
+    },
+
+    async findById(id) {
+        // Ids from the local stores are not ObjectIds; treat them as not found
+        if (!mongoose.isValidObjectId(id)) return null;
+        return Model.findById(id);
+    },
+
+    async count(query = {}) {
+        return Model.countDocuments(toMongoKeys(query));
+    },
+
+    async distinct(field, query = {}) {
+        return Model.distinct(field, toMongoKeys(query));
+    },
+
+    async create(record) {
+        return Model.create(record);
+    },
+
+    async insertMany(records) {
+        return Model.insertMany(records);
+    },
+
+    async updateById(id, changes) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return Model.findByIdAndUpdate(id, changes, { new: true, runValidators: true });
+    },
+
+    async updateMany(query, changes) {
+        return Model.updateMany(toMongoKeys(query), changes, { runValidators: true });
+    },
+
+    async deleteById(id) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return Model.findByIdAndDelete(id);
+    },
+
+    async deleteMany(query = {}) {
+        return Model.deleteMany(toMongoKeys(query));
+    }
+});
+
+/**
+ * Transaction store: the generic adapter plus the GrowerTransaction
+ * aggregation statics
+ */
+const createMongoStore = () => {
+    const GrowerTransaction = require('../models/GrowerTransaction');
+
+    return {
+        ...createMongoCollection(GrowerTransaction),
+
+        async getSummaryByYear(year = null, scope = {}) {
+            return GrowerTransaction.getSummaryByYear(year, scope);
+        },
+
+        async getProductBreakdown(year = null, scope = {}) {
+            return GrowerTransaction.getProductBreakdown(year, scope);
+        },
+
+        async getGrowerSummary(year = null, scope = {}) {
+            return GrowerTransaction.getGrowerSummary(year, scope);
+        },
+
+        async getMonthlyTrends(year, scope = {}) {
+            return GrowerTransaction.getMonthlyTrends(year, scope);
+        },
+
+        async getSeedSales(year = null, scope = {}, field = 'hybrid') {
+            return GrowerTransaction.getSeedSales(year, scope, field);
+        },
+
+        async getGrowerYears(years, scope = {}) {
+            return GrowerTransaction.getGrowerYears(years, scope);
+        }
+    };
+};
+
+module.exports = {
+    createMongoCollection,
+    createMongoStore
+};
@@ -0,0 +1,177 @@
+/**
+ * Mongo Store tests: the GrowerTransaction aggregation pipelines, run over
+ * a fixture by a small pipeline evaluator in place of MongoDB, give the
+ * same totals as the in-memory store and leave out deleted records
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GrowerTransaction = require('../models/GrowerTransaction');
+const { createMongoStore } = require('./mongoStore');
+const { createMemoryStore, matchesQuery, sortRecords } = require('./memoryStore');
+const { withSoftDelete } = require('./softDelete');
+
+const SEED_SALES = [
+    { id: 'a', date: '2025-04-01', grower_id: 'g1', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', hybrid: 'P1185', trait: 'AM', crop_line: 'Corn', bags: 10, seed_units: 10, quantity: 10, amount: 3000, delivery_status: 'delivered' },
+    { id: 'b', date: '2026-03-02', grower_id: 'g1', grower_name: 'Garms Inc', territory: 'east', product: 'Corn Seed', hybrid: 'P1185', trait: 'AM', crop_line: 'Corn', bags: 6, seed_units: 6, quantity: 6, amount: 1800, delivery_status: 'pending' },
+    { id: 'c', date: '2026-03-09', grower_id: 'g2', grower_name: 'Lone Oak', territory: 'west', product: 'Corn Seed', hybrid: 'P1185', trait: 'Q', crop_line: 'Corn', bags: 4, quantity: 4, amount: 1200 },
+    { id: 'd', date: '2026-04-15', grower_name: 'Ridge Farms', territory: 'east', product: 'Soybean Seed', hybrid: 'P28A42X', trait: 'E3', crop_line: 'Soybean', seed_units: 40, quantity: 20, amount: 1200, delivery_status: 'staged' },
+    { id: 'e', date: '2026-05-01', grower_id: 'g2', grower_name: 'Lone Oak', territory: 'west', product: 'Corn Seed', hybrid: 'P1185', trait: 'AM', crop_line: 'Corn', bags: 50, quantity: 50, amount: 15000, delivery_status: 'delivered', deleted_at: '2026-05-02' },
+    { id: 'f', date: '2026-06-01', grower_id: 'g3', grower_name: 'Prairie Acres', territory: 'east', product: 'Fertilizer', quantity: 2, amount: 300 }
+];
+
+const path = (doc, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Evaluate an aggregation expression against one document
+ */
+function evaluate(expression, doc, vars = {}) {
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+        const [name, ...rest] = expression.slice(2).split('.');
+        return rest.length ? path(vars[name], rest.join('.')) : vars[name];
+    }
+    if (typeof expression === 'string' && expression.startsWith('$')) return path(doc, expression.slice(1));
+    if (Array.isArray(expression)) return expression.map(item => evaluate(item, doc, vars));
+    if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+    const [op] = Object.keys(expression);
+    if (!op.startsWith('$')) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc, vars)]));
+    }
+    const operand = expression[op];
+    if (op === '$reduce') {
+        return evaluate(operand.input, doc, vars)
+            .reduce((value, item) => evaluate(operand.in, doc, { ...vars, value, this: item }), evaluate(operand.initialValue, doc, vars));
+    }
+    const args = Array.isArray(operand) ? operand.map(item => evaluate(item, doc, vars)) : [evaluate(operand, doc, vars)];
+    switch (op) {
+        case '$ifNull': return args[0] == null ? args[1] : args[0];
+        case '$cond': return args[0] ? args[1] : args[2];
+        case '$gt': return args[0] != null && args[0] > args[1];
+        case '$divide': return args[0] / args[1];
+        case '$year': return args[0].getUTCFullYear();
+        case '$month': return args[0].getUTCMonth() + 1;
+        case '$size': return args[0].length;
+        case '$setUnion': return [...new Set(args.flat())];
+        case '$setDifference': return args[0].filter(value => !args[1].includes(value));
+        case '$arrayToObject': return Object.fromEntries(args[0].map(({ k, v }) => [k, v]));
+        default: throw new Error(`Unsupported expression: ${op}`);
+    }
+}
+
+const ACCUMULATORS = {
+    $sum: values => values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0),
+    $addToSet: values => [...new Set(values.filter(value => value !== undefined))],
+    $push: values => values.filter(value => value !== undefined),
+    $first: values => values[0]
+};
+
+const STAGES = {
+    $match: (docs, query) => docs.filter(doc => {
+        const dotted = Object.keys(query).filter(field => field.includes('.'));
+        return matchesQuery({ ...doc, ...Object.fromEntries(dotted.map(field => [field, path(doc, field)])) }, query);
+    }),
+    $group: (docs, { _id, ...fields }) => {
+        const groups = new Map();
+        docs.forEach(doc => {
+            const key = evaluate(_id, doc);
+            const id = JSON.stringify(key === undefined ? null : key);
+            if (!groups.has(id)) groups.set(id, { _id: key, docs: [] });
+            groups.get(id).docs.push(doc);
+        });
+        return [...groups.values()].map(group => ({
+            _id: group._id,
+            ...Object.fromEntries(Object.entries(fields).map(([field, accumulator]) => {
+                const [[op, expression]] = Object.entries(accumulator);
+                return [field, ACCUMULATORS[op](group.docs.map(doc => evaluate(expression, doc)))];
+            }))
+        }));
+    },
+    $project: (docs, fields) => docs.map(doc => {
+        const projected = fields._id === 0 ? {} : { _id: doc._id };
+        Object.entries(fields).forEach(([field, value]) => {
+            if (field === '_id') return;
+            const result = value === 1 ? doc[field] : evaluate(value, doc);
+            if (result !== undefined) projected[field] = result;
+        });
+        return projected;
+    }),
+    $sort: (docs, sort) => sortRecords([...docs], sort)
+};
+
+/**
+ * The Mongo transaction store over the fixture, with the model's
+ * aggregate run by the evaluator above
+ */
+const mongoStore = (t) => {
+    const docs = SEED_SALES.map(sale => ({ ...sale, date: new Date(sale.date), deleted_at: sale.deleted_at ? new Date(sale.deleted_at) : null }));
+    t.mock.method(GrowerTransaction, 'aggregate', async (pipeline) => pipeline.reduce((result, stage) => {
+        const [[name, spec]] = Object.entries(stage);
+        return STAGES[name](result, spec);
+    }, docs));
+    return withSoftDelete(createMongoStore());
+};
+
+const BACKENDS = {
+    memory: () => withSoftDelete(createMemoryStore(SEED_SALES)),
+    mongo: mongoStore
+};
+
+// Sets come back in no particular order from MongoDB
+const sorted = (groups) => groups.map(group => ({
+    ...group,
+    cropLines: [...group.cropLines].sort(),
+    traits: [...group.traits].sort(),
+    hybrids: [...group.hybrids].sort()
+}));
+
+test('getSeedSales totals live seed sales by hybrid and by trait', async (t) => {
+    for (const [name, open] of Object.entries(BACKENDS)) {
+        const store = open(t);
+
+        assert.deepEqual(sorted(await store.getSeedSales(2026)), [
+            {
+                key: 'P1185', revenue: 3000, quantity: 10, bags: 10, seedUnits: 6, orders: 2,
+                delivery: { pending: 6, unknown: 4 },
+                cropLines: ['Corn'], traits: ['AM', 'Q'], hybrids: ['P1185'], growers: 2
+            },
+            {
+                key: 'P28A42X', revenue: 1200, quantity: 20, bags: 0, seedUnits: 40, orders: 1,
+                delivery: { staged: 20 },
+                cropLines: ['Soybean'], traits: ['E3'], hybrids: ['P28A42X'], growers: 1
+            }
+        ], name);
+        const byTrait = await store.getSeedSales(null, { territory: 'east' }, 'trait');
+        assert.deepEqual(byTrait.map(group => [group.key, group.revenue, group.orders]), [['AM', 4800, 2], ['E3', 1200, 1]], name);
+    }
+});
+
+test('getGrowerYears lists the years each live grower bought in', async (t) => {
+    for (const [name, open] of Object.entries(BACKENDS)) {
+        const store = open(t);
+        const years = async (...args) => (await store.getGrowerYears(...args))
+            .map(({ grower, years }) => [grower, [...years].sort()])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+
+        assert.deepEqual(await years([2025, 2026]), [
+            ['g1', [2025, 2026]],
+            ['g2', [2026]],
+            ['g3', [2026]],
+            ['Ridge Farms', [2026]]
+        ], name);
+        assert.deepEqual(await years([2025], { territory: 'east' }), [['g1', [2025]]], name);
+    }
+});
+
+test('getSummaryByYear leaves out deleted records', async (t) => {
+    for (const [name, open] of Object.entries(BACKENDS)) {
+        assert.deepEqual(await open(t).getSummaryByYear(2026), {
+            totalRevenue: 4500,
+            totalQuantity: 32,
+            totalBags: 10,
+            totalSeedUnits: 46,
+            totalOrders: 4,
+            uniqueGrowers: 4
+        }, name);
+    }
+});
@@ -0,0 +1,100 @@
+/**
+ * Soft Delete
+ * Wraps a store so removed records stay in the collection, flagged with
+ * deleted_at, until they are purged. Reads hide flagged records unless the
+ * query names deleted_at itself, so trash queries see them and normal
+ * queries never do.
+ */
+
+const CLEARED_DELETION = { deleted_at: null, deleted_by: null, deletion_id: null, deletion_kind: null };
+
+const STATICS = [
+    'getSummaryByYear', 'getProductBreakdown', 'getGrowerSummary', 'getMonthlyTrends',
+    'getSeedSales', 'getGrowerYears'
+];
+
+/**
+ * Add the "not deleted" condition unless the query already filters on it
+ */
+const activeOnly = (query = {}) => (
+    Object.prototype.hasOwnProperty.call(query, 'deleted_at') ? query : { ...query, deleted_at: null }
+);
+
+const withSoftDelete = (store) => {
+    const wrapped = {
+        ...store,
+
+        async find(query = {}, options = {}) {
+            return store.find.call(wrapped, activeOnly(query), options);
+        },
+
+        async findOne(query = {}) {
+            return store.findOne.call(wrapped, activeOnly(query));
+        },
+
+        /**
+         * Find by id, hiding deleted records unless withDeleted is set
+         */
+        async findById(id, { withDeleted = false } = {}) {
+            const record = await store.findById.call(wrapped, id);
+            return record && (withDeleted || !record.deleted_at) ? record : null;
+        },
+
+        async count(query = {}) {
+            return store.count.call(wrapped, activeOnly(query));
+        },
+
+        async distinct(field, query = {}) {
+            return store.distinct.call(wrapped, field, activeOnly(query));
+        },
+
+        /**
+         * Flag one live record as deleted. deletion describes the operation:
+         * { deletion_id, deletion_kind, deleted_by }.
+         */
+        async softDeleteById(id, deletion) {
+            const record = await wrapped.findById(id);
+            if (!record) return null;
+            return store.updateById(id, { ...deletion, deleted_at: new Date() });
+        },
+
+        /**
+         * Clear the deletion flags on one deleted record
+         */
+        async restoreById(id) {
+            const record = await wrapped.findById(id, { withDeleted: true });
+            if (!record || !record.deleted_at) return null;
+            return store.updateById(id, CLEARED_DELETION);
+        },
+
+        /**
+         * Flag every matching live record as deleted
+         */
+        async softDeleteMany(query, deletion) {
+            return store.updateMany(activeOnly(query), { ...deletion, deleted_at: new Date() });
+        },
+
+        /**
+         * Clear the deletion flags on every matching deleted record
+         */
+        async restoreMany(query) {
+            return store.updateMany({ ...query, deleted_at: { $ne: null } }, CLEARED_DELETION);
+        },
+
+        /**
+         * Permanently remove deleted records flagged on or before cutoff
+         */
+        async purgeDeleted(cutoff, query = {}) {
+            return store.deleteMany({ ...query, deleted_at: { $ne: null, $lte: cutoff } });
+        }
+    };
+
+    // Aggregations only count live records
+    STATICS.filter(name => typeof store[name] === 'function').forEach(name => {
+        wrapped[name] = (year, scope = {}, ...options) => store[name].call(wrapped, year, { ...scope, deleted_at: null }, ...options);
+    });
+
+    return wrapped;
+};
+
+module.exports = { withSoftDelete, CLEARED_DELETION };